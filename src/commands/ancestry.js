@@ -4,7 +4,8 @@
  */
 
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const raceTraits = require('../utils/raceTraits');
+const raceDatabase = require('../utils/raceDatabase');
+const dossierManager = require('../utils/dossierManager');
 const logger = require('../utils/logger');
 
 /**
@@ -161,6 +162,14 @@ const RACE_ALIASES = {
     'angler':           'Ceratioidi'
 };
 
+/**
+ * Built-in aliases plus any declared on race records (homebrew races bring their own)
+ * @returns {Object<string, string>} - Lowercase alias -> race name
+ */
+function getAliases() {
+    return { ...RACE_ALIASES, ...raceDatabase.aliases() };
+}
+
 /**
  * Calculate edit distance between two strings (Levenshtein distance)
  * Used for fuzzy matching misspellings
@@ -206,15 +215,16 @@ function editDistance(a, b) {
  */
 function findBestMatch(input) {
     const lowerInput = input.toLowerCase().trim();
-    const allRaces = Object.keys(raceTraits);
+    const allRaces = raceDatabase.names({ includeSpecial: true });
     
     // 1. Exact match (case-insensitive)
     const exact = allRaces.find(r => r.toLowerCase() === lowerInput);
     if (exact) return { match: exact, confidence: 'exact' };
     
     // 2. Alias lookup
-    if (RACE_ALIASES[lowerInput]) {
-        return { match: RACE_ALIASES[lowerInput], confidence: 'alias' };
+    const aliases = getAliases();
+    if (aliases[lowerInput]) {
+        return { match: aliases[lowerInput], confidence: 'alias' };
     }
     
     // 3. Starts-with match
@@ -244,7 +254,7 @@ function findBestMatch(input) {
         }
     }
     
-    for (const [alias, canonical] of Object.entries(RACE_ALIASES)) {
+    for (const [alias, canonical] of Object.entries(aliases)) {
         const distance = editDistance(lowerInput, alias);
         const threshold = Math.min(3, Math.floor(alias.length / 2));
         if (distance <= threshold && distance < bestDistance) {
@@ -267,22 +277,46 @@ function findBestMatch(input) {
     return { match: null, confidence: 'none' };
 }
 
+/** Most races /ancestry compare takes at once */
+const MAX_COMPARE = 4;
+
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('ancestry')
         .setDescription('View racial traits for available ancestries')
-        .addStringOption(option =>
-            option.setName('race')
-                .setDescription('Name of the race/ancestry to view (leave blank to see all options)')
-                .setRequired(false)
-                .setAutocomplete(true)
-        ),
+        .addSubcommand(sub =>
+            sub.setName('view')
+                .setDescription('View one race (leave blank to see all options)')
+                .addStringOption(option =>
+                    option.setName('race')
+                        .setDescription('Name of the race/ancestry to view (leave blank to see all options)')
+                        .setRequired(false)
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand(sub => {
+            sub.setName('compare')
+                .setDescription('Compare races side by side, optionally against a character\'s current race');
+            for (let i = 1; i <= MAX_COMPARE; i++) {
+                sub.addStringOption(option =>
+                    option.setName(`race${i}`)
+                        .setDescription(i <= 2 ? `Race ${i}` : `Race ${i} (optional)`)
+                        .setRequired(i <= 2)
+                        .setAutocomplete(true)
+                );
+            }
+            return sub.addStringOption(option =>
+                option.setName('character')
+                    .setDescription('Show the net change from this character\'s current race')
+                    .setRequired(false)
+            );
+        }),
     
     async autocomplete(interaction) {
         const focusedValue = interaction.options.getFocused().toLowerCase().trim();
         
         // Get all race names from the traits database
-        const allRaces = Object.keys(raceTraits)
+        const allRaces = raceDatabase.names({ includeSpecial: true })
             .filter(race => 
                 !race.includes("GM's Choice") && 
                 !race.includes("Player's Choice")
@@ -322,7 +356,7 @@ module.exports = {
         
         // Also check aliases for matches
         const aliasMatches = [];
-        for (const [alias, canonical] of Object.entries(RACE_ALIASES)) {
+        for (const [alias, canonical] of Object.entries(getAliases())) {
             if (alias.startsWith(focusedValue) || alias.includes(focusedValue)) {
                 if (!aliasMatches.includes(canonical) && !scored.some(s => s.race === canonical && s.score > 0)) {
                     aliasMatches.push(canonical);
@@ -354,15 +388,21 @@ module.exports = {
     },
     
     async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
         logger.info('Ancestry command executed', {
             userId: interaction.user.id,
             username: interaction.user.username,
-            race: interaction.options.getString('race')
+            subcommand,
+            race: interaction.options.getString(subcommand === 'view' ? 'race' : 'race1')
         });
         
         const raceName = interaction.options.getString('race');
         
         try {
+            if (subcommand === 'compare') {
+                return await this.showComparison(interaction);
+            }
+            
             // If no race specified, show list of all available races
             if (!raceName) {
                 return await this.showRaceList(interaction);
@@ -382,7 +422,7 @@ module.exports = {
      */
     async showRaceList(interaction) {
         // Get all race names, excluding special results
-        const allRaces = Object.keys(raceTraits)
+        const allRaces = raceDatabase.names({ includeSpecial: true })
             .filter(race => 
                 !race.includes("GM's Choice") && 
                 !race.includes("Player's Choice") &&
@@ -415,7 +455,7 @@ module.exports = {
         const embed = new EmbedBuilder()
             .setColor(0x8B4513)
             .setTitle('📜 Available Ancestries')
-            .setDescription('Use `/ancestry [race name]` to view detailed racial traits.\nAutocomplete will suggest matches as you type.\n\n*These are all possible results from the reincarnation tables.*')
+            .setDescription('Use `/ancestry view [race name]` to view detailed racial traits, or `/ancestry compare` to put races side by side.\nAutocomplete will suggest matches as you type.\n\n*These are all possible results from the reincarnation tables.*')
             .addFields(
                 { 
                     name: '🏛️ Standard Races', 
@@ -454,14 +494,14 @@ module.exports = {
         
         // No match found at all
         if (!result.match && result.confidence === 'none') {
-            const availableRaces = Object.keys(raceTraits)
+            const availableRaces = raceDatabase.names({ includeSpecial: true })
                 .filter(r => !r.includes("GM's Choice") && !r.includes("Player's Choice"))
                 .sort()
                 .slice(0, 10)
                 .join(', ');
             
             return await interaction.reply({
-                content: `❌ I couldn't find a race matching **"${raceName}"**.\n\n**Try one of these:** ${availableRaces}...\n\nUse \`/ancestry\` to see the full list, or start typing for autocomplete suggestions.`,
+                content: `❌ I couldn't find a race matching **"${raceName}"**.\n\n**Try one of these:** ${availableRaces}...\n\nUse \`/ancestry view\` to see the full list, or start typing for autocomplete suggestions.`,
                 ephemeral: true
             });
         }
@@ -476,20 +516,21 @@ module.exports = {
         }
         
         const raceKey = result.match;
-        const raceData = raceTraits[raceKey];
+        const raceData = raceDatabase.get(raceKey);
         
         // Build embed
         const embed = new EmbedBuilder()
             .setColor(0x8B4513)
             .setTitle(`📜 ${raceKey}`)
-            .setDescription(raceData.traits)
             .setTimestamp();
         
         // Show a "did you mean" note for fuzzy/partial matches
         if (result.confidence === 'fuzzy' || result.confidence === 'partial') {
-            embed.setDescription(`*Showing results for **${raceKey}** (closest match to "${raceName}")*\n\n${raceData.traits}`);
+            embed.setDescription(`*Showing results for **${raceKey}** (closest match to "${raceName}")*`);
         }
         
+        embed.addFields(...this.buildRaceFields(raceData));
+        
         // Add lore if present (for custom races)
         if (raceData.lore) {
             embed.addFields({ 
@@ -523,6 +564,154 @@ module.exports = {
         await interaction.reply({ embeds: [embed] });
     },
     
+    /**
+     * Compare two or more races side by side
+     * @param {Object} interaction - Discord interaction
+     */
+    async showComparison(interaction) {
+        const inputs = [];
+        for (let i = 1; i <= MAX_COMPARE; i++) {
+            const value = interaction.options.getString(`race${i}`);
+            if (value) inputs.push(value);
+        }
+        
+        // Resolve every input the same way /ancestry view does
+        const races = [];
+        const problems = [];
+        for (const input of inputs) {
+            const result = findBestMatch(input);
+            if (result.match && raceDatabase.get(result.match)) {
+                if (!races.some(r => r.name === result.match)) races.push(raceDatabase.get(result.match));
+            } else if (result.confidence === 'multiple') {
+                problems.push(`**"${input}"** could be ${result.suggestions.join(', ')}`);
+            } else {
+                problems.push(`**"${input}"** didn't match any race`);
+            }
+        }
+        
+        if (problems.length > 0 || races.length < 2) {
+            return await interaction.reply({
+                content: `❌ I need at least two different races to compare.\n${problems.map(p => `• ${p}`).join('\n')}`,
+                ephemeral: true
+            });
+        }
+        
+        const embed = new EmbedBuilder()
+            .setColor(0x8B4513)
+            .setTitle(`⚖️ ${races.map(r => r.name).join(' vs ')}`)
+            .setFooter({ text: 'Pathfinder 1e Racial Traits' })
+            .setTimestamp();
+        
+        for (const race of races) {
+            embed.addFields({ name: race.name, value: this.buildComparisonColumn(race), inline: true });
+        }
+        
+        // Net change from a character's current race
+        const characterName = interaction.options.getString('character');
+        if (characterName) {
+            const dossier = dossierManager.getDossier(characterName);
+            const current = dossier ? raceDatabase.find(dossier.race) : null;
+            if (!dossier) {
+                embed.setDescription(`*No dossier found for "${characterName}".*`);
+            } else if (!current) {
+                embed.setDescription(`*${dossier.canonicalName}'s current race${dossier.race ? ` (${dossier.race})` : ''} isn't in the race database, so there's nothing to compare against.*`);
+            } else {
+                embed.setDescription(`Net change for **${dossier.canonicalName}** (currently **${current.name}**):`);
+                for (const race of races) {
+                    embed.addFields({
+                        name: `${current.name} → ${race.name}`,
+                        value: this.describeNetChange(raceDatabase.compare(current, race)),
+                        inline: false
+                    });
+                }
+            }
+        }
+        
+        await interaction.reply({ embeds: [embed] });
+    },
+    
+    /**
+     * One race's column in a comparison embed
+     * @param {Object} race - Race record
+     * @returns {string} - Field value
+     */
+    buildComparisonColumn(race) {
+        if (raceDatabase.isSpecial(race.name)) {
+            return race.summary.substring(0, 1024);
+        }
+        
+        const lines = [
+            `**Abilities:** ${raceDatabase.formatAbilities(race)}`,
+            `**Size:** ${race.size}`,
+            `**Speed:** ${raceDatabase.formatSpeed(race)}`,
+            `**Senses:** ${raceDatabase.formatSenses(race)}`
+        ];
+        if (race.naturalArmor) lines.push(`**Natural Armor:** +${race.naturalArmor}`);
+        const notable = race.traits.filter(t => t.name !== 'Ability Scores').map(t => t.name);
+        if (notable.length > 0) lines.push(`**Traits:** ${notable.join(', ')}`);
+        return lines.join('\n').substring(0, 1024);
+    },
+    
+    /**
+     * Describe the result of raceDatabase.compare()
+     * @param {Object} diff - Comparison
+     * @returns {string} - Field value
+     */
+    describeNetChange(diff) {
+        const signed = n => `${n > 0 ? '+' : ''}${n}`;
+        const parts = [];
+        
+        const abilities = Object.entries(diff.abilities).map(([a, d]) => `${signed(d)} ${a.toUpperCase()}`);
+        if (diff.flexible > 0) abilities.push(`+${diff.flexible} to one ability`);
+        if (diff.flexible < 0) abilities.push(`loses +${-diff.flexible} to one ability`);
+        parts.push(`**Abilities:** ${abilities.length > 0 ? abilities.join(', ') : 'no change'}`);
+        
+        if (diff.size) parts.push(`**Size:** ${diff.size.from} → ${diff.size.to}`);
+        const speed = Object.entries(diff.speed).map(([mode, d]) => `${mode} ${signed(d)} ft`);
+        if (speed.length > 0) parts.push(`**Speed:** ${speed.join(', ')}`);
+        if (diff.sensesGained.length > 0) parts.push(`**Gains:** ${diff.sensesGained.join(', ')}`);
+        if (diff.sensesLost.length > 0) parts.push(`**Loses:** ${diff.sensesLost.join(', ')}`);
+        if (diff.naturalArmor) parts.push(`**Natural Armor:** ${signed(diff.naturalArmor)}`);
+        
+        return parts.join('\n');
+    },
+    
+    /**
+     * Embed fields for a structured race record
+     * @param {Object} race - Race record from raceDatabase
+     * @returns {Object[]} - Embed fields
+     */
+    buildRaceFields(race) {
+        if (raceDatabase.isSpecial(race.name)) {
+            return [{ name: 'Result', value: race.summary, inline: false }];
+        }
+
+        const fields = [
+            { name: 'Ability Scores', value: raceDatabase.formatAbilities(race), inline: true },
+            { name: 'Size', value: race.size, inline: true },
+            { name: 'Speed', value: raceDatabase.formatSpeed(race), inline: true },
+            { name: 'Senses', value: raceDatabase.formatSenses(race), inline: true }
+        ];
+        if (race.naturalArmor) {
+            fields.push({ name: 'Natural Armor', value: `+${race.naturalArmor}`, inline: true });
+        }
+        if (race.languages.length > 0) {
+            fields.push({ name: 'Languages', value: race.languages.join(', '), inline: true });
+        }
+        if (race.weaponFamiliarity.length > 0) {
+            fields.push({ name: 'Weapon Familiarity', value: race.weaponFamiliarity.join(', '), inline: false });
+        }
+        if (race.traits.length > 0) {
+            const traitsText = race.traits.map(t => `• **${t.name}**${t.description ? ` — ${t.description}` : ''}`).join('\n');
+            fields.push({ name: 'Racial Traits', value: traitsText.substring(0, 1024), inline: false });
+        }
+        if (race.alternateTraits.length > 0) {
+            const altText = race.alternateTraits.map(t => `• **${t.name}**${t.replaces ? ` *(replaces ${t.replaces})*` : ''}${t.description ? ` — ${t.description}` : ''}`).join('\n');
+            fields.push({ name: 'Alternate Racial Traits', value: altText.substring(0, 1024), inline: false });
+        }
+        return fields;
+    },
+    
     /**
      * Determine which tables a race appears on
      * @param {string} raceName - Canonical race name
@@ -29,7 +29,7 @@ module.exports = {
             await interaction.deferReply();
             
             // Process with LLM
-            const response = await llmHandler.processQuery(question, interaction.user.username);
+            const response = await llmHandler.processQuery(question, interaction.user.username, interaction.user.id);
             
             // Create simple response (no embed, just text)
             await interaction.editReply(response);
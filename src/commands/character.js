@@ -1,29 +1,83 @@
 /**
  * /character command for Casandalee
- * View a character's dossier — their race, class, notes, timeline mentions, roll history.
+ * View a character's dossier — their race, class, notes, timeline mentions, roll history —
+ * and its change log: who changed what and when, with a revert for bad edits.
  */
 
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const dossierManager = require('../utils/dossierManager');
+const characterSheet = require('../utils/characterSheet');
 const nameResolver = require('../utils/nameResolver');
+const privateRolls = require('../utils/privateRolls');
+const playerLinks = require('../utils/playerLinks');
+const logger = require('../utils/logger');
+
+/** Change log entries shown by /character history */
+const HISTORY_PAGE_SIZE = 10;
+
+/** Characters of fields per history page (Discord allows 6000 per embed; the rest is title and footer) */
+const HISTORY_PAGE_CHARS = 5000;
+
+/** Change lines shown per entry */
+const MAX_CHANGE_LINES = 8;
+
+/** Shared character name option */
+const nameOption = option =>
+    option.setName('name')
+        .setDescription('Character name (default: your /iam character)')
+        .setRequired(false)
+        .setAutocomplete(true);
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('character')
-        .setDescription('View a character dossier')
-        .addStringOption(option =>
-            option.setName('name')
-                .setDescription('Character name (fuzzy matched)')
-                .setRequired(true)
-                .setAutocomplete(true)
+        .setDescription('View a character dossier and its change history')
+        .addSubcommand(sub =>
+            sub.setName('view')
+                .setDescription('View a character dossier')
+                .addStringOption(nameOption)
+        )
+        .addSubcommand(sub =>
+            sub.setName('history')
+                .setDescription('Who changed what on a dossier, newest first')
+                .addStringOption(nameOption)
+                .addIntegerOption(option =>
+                    option.setName('page')
+                        .setDescription(`Page of up to ${HISTORY_PAGE_SIZE} changes (default: 1, the newest)`)
+                        .setRequired(false)
+                        .setMinValue(1)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('revert')
+                .setDescription('Undo one change (the person who made it or a GM)')
+                .addIntegerOption(option =>
+                    option.setName('change')
+                        .setDescription('Change number from /character history')
+                        .setRequired(true)
+                        .setMinValue(1)
+                        .setAutocomplete(true)
+                )
+                .addStringOption(nameOption)
         ),
 
     /**
-     * Handle autocomplete for character name
+     * Handle autocomplete for character name and change number
      * @param {Object} interaction - Discord autocomplete interaction
      */
     async autocomplete(interaction) {
-        const focusedValue = interaction.options.getFocused();
+        const focused = interaction.options.getFocused(true);
+        if (focused.name === 'change') {
+            const log = dossierManager.getChangeLog(this.characterName(interaction) || '') || [];
+            await interaction.respond(
+                log.filter(entry => `${entry.id}`.startsWith(`${focused.value}`.trim()))
+                    .slice(0, 25)
+                    .map(entry => ({ name: this.describeEntry(entry).substring(0, 100), value: entry.id }))
+            );
+            return;
+        }
+
+        const focusedValue = focused.value;
         const matches = nameResolver.search(focusedValue, 25);
 
         // Also include dossier names that might not be in the resolver
@@ -44,7 +98,163 @@ module.exports = {
      * @param {Object} interaction - Discord command interaction
      */
     async execute(interaction) {
-        const nameInput = interaction.options.getString('name');
+        const subcommand = interaction.options.getSubcommand();
+        try {
+            switch (subcommand) {
+                case 'view': return await this.executeView(interaction);
+                case 'history': return await this.executeHistory(interaction);
+                case 'revert': return await this.executeRevert(interaction);
+            }
+        } catch (error) {
+            logger.error('Error in character command:', error);
+            const message = { content: `❌ ${error.message}`, ephemeral: true };
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(message);
+            } else {
+                await interaction.reply(message);
+            }
+        }
+    },
+
+    /**
+     * The character a subcommand is about: the name given, else the user's active character
+     * @param {Object} interaction - Discord interaction
+     * @returns {string|null} - Name
+     */
+    characterName(interaction) {
+        return playerLinks.resolve(interaction.options.getString('name'), interaction.user.id);
+    },
+
+    /**
+     * The dossier a subcommand is about
+     * @param {Object} interaction - Discord command interaction
+     * @returns {Object} - Dossier
+     */
+    requireDossier(interaction) {
+        const name = this.characterName(interaction);
+        if (!name) {
+            throw new Error('Which character? Name one, or link yours with `/iam`.');
+        }
+        const dossier = dossierManager.getDossier(name);
+        if (!dossier) {
+            throw new Error(`I don't have a dossier for "${name}"`);
+        }
+        return dossier;
+    },
+
+    /**
+     * /character history
+     * @param {Object} interaction - Discord command interaction
+     */
+    async executeHistory(interaction) {
+        const dossier = this.requireDossier(interaction);
+
+        const log = dossierManager.getChangeLog(dossier.canonicalName);
+        const revertedBy = new Map(log.filter(entry => entry.revertOf).map(entry => [entry.revertOf, entry.id]));
+
+        // A page ends at HISTORY_PAGE_SIZE entries, or sooner if long entries would overflow the embed
+        const pages = [[]];
+        let pageChars = 0;
+        for (const entry of log) {
+            const field = this.buildHistoryField(entry, revertedBy);
+            const chars = field.name.length + field.value.length;
+            const current = pages[pages.length - 1];
+            if (current.length === HISTORY_PAGE_SIZE || (current.length > 0 && pageChars + chars > HISTORY_PAGE_CHARS)) {
+                pages.push([]);
+                pageChars = 0;
+            }
+            pages[pages.length - 1].push(field);
+            pageChars += chars;
+        }
+        const page = Math.min(interaction.options.getInteger('page') || 1, pages.length);
+
+        const embed = new EmbedBuilder()
+            .setTitle(`Change History: ${dossier.canonicalName}`)
+            .setColor(0x7B68EE)
+            .setFooter({ text: `Page ${page}/${pages.length} • ${log.length} change(s) • /character revert undoes one` })
+            .setTimestamp();
+
+        if (log.length === 0) {
+            embed.setDescription('No changes recorded yet.');
+        }
+        embed.addFields(...pages[page - 1]);
+
+        await interaction.reply({ embeds: [embed] });
+    },
+
+    /**
+     * One change log entry as a history embed field
+     * @param {Object} entry - Change log entry
+     * @param {Map<number, number>} revertedBy - Entry id -> id of the entry that reverted it
+     * @returns {Object} - Embed field
+     */
+    buildHistoryField(entry, revertedBy) {
+        const lines = entry.changes.map(change => dossierManager.formatLogChange(change));
+        let value = lines.slice(0, MAX_CHANGE_LINES).join('\n');
+        if (lines.length > MAX_CHANGE_LINES) value += `\n…and ${lines.length - MAX_CHANGE_LINES} more`;
+        if (entry.revertOf) value = `↩️ Undoes #${entry.revertOf}\n${value}`;
+        if (revertedBy.has(entry.id)) value += `\n*Reverted by #${revertedBy.get(entry.id)}*`;
+        return {
+            name: `#${entry.id} · ${entry.action} · ${entry.updatedBy || 'Cass'} · ${entry.at.split('T')[0]}`.substring(0, 256),
+            value: value.substring(0, 1024),
+            inline: false
+        };
+    },
+
+    /**
+     * /character revert
+     * @param {Object} interaction - Discord command interaction
+     */
+    async executeRevert(interaction) {
+        const dossier = this.requireDossier(interaction);
+
+        const id = interaction.options.getInteger('change');
+        const entry = (dossier.changeLog || []).find(e => e.id === id);
+        if (!entry) {
+            throw new Error(`${dossier.canonicalName} has no change #${id}`);
+        }
+        if (entry.updatedById !== interaction.user.id && !privateRolls.isGameMaster(interaction.member)) {
+            throw new Error(`Only ${entry.updatedBy || 'a GM'}${entry.updatedBy ? ' (who made that change) or a GM' : ''} can revert #${id}`);
+        }
+
+        const { revert } = dossierManager.revertChange(dossier.canonicalName, id, {
+            updatedBy: interaction.user.username,
+            updatedById: interaction.user.id
+        });
+        dossierManager.flush();
+
+        const lines = revert ? revert.changes.map(change => dossierManager.formatLogChange(change)) : [];
+        const embed = new EmbedBuilder()
+            .setTitle(`Reverted #${id}: ${dossier.canonicalName}`)
+            .setColor(0xFFAA00)
+            .setDescription(lines.length > 0 ? lines.slice(0, 20).join('\n').substring(0, 4000) : 'Nothing needed changing.')
+            .setFooter({ text: `${revert ? `Logged as #${revert.id} • ` : ''}Reverted by ${interaction.user.username}` })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed] });
+    },
+
+    /**
+     * One-line description of a change log entry (autocomplete)
+     * @param {Object} entry - Change log entry
+     * @returns {string} - e.g. "#12 sheet (vision) by tester: Race Human → Elf, +2 more"
+     */
+    describeEntry(entry) {
+        const first = entry.changes.length > 0 ? dossierManager.formatLogChange(entry.changes[0]) : '';
+        const more = entry.changes.length > 1 ? `, +${entry.changes.length - 1} more` : '';
+        return `#${entry.id} ${entry.action} by ${entry.updatedBy || 'Cass'}: ${first}${more}`;
+    },
+
+    /**
+     * /character view
+     * @param {Object} interaction - Discord command interaction
+     */
+    async executeView(interaction) {
+        const nameInput = this.characterName(interaction);
+        if (!nameInput) {
+            await interaction.reply({ content: 'Which character? Name one, or link yours with `/iam`.', ephemeral: true });
+            return;
+        }
         const canonical = nameResolver.resolve(nameInput);
 
         if (!canonical) {
@@ -76,6 +286,8 @@ module.exports = {
         if (dossier.class) basicInfo.push(`**Class:** ${dossier.class}`);
         if (dossier.level) basicInfo.push(`**Level:** ${dossier.level}`);
         if (dossier.player) basicInfo.push(`**Player:** ${dossier.player}`);
+        if (dossier.negativeLevels) basicInfo.push(`**Negative Levels:** ${dossier.negativeLevels}`);
+        if (dossier.conDrain) basicInfo.push(`**Con Drain:** ${dossier.conDrain}`);
         if (basicInfo.length > 0) {
             embed.addFields({ name: 'Overview', value: basicInfo.join('\n'), inline: false });
         }
@@ -84,6 +296,27 @@ module.exports = {
             embed.setDescription(dossier.description);
         }
 
+        // Numbers from the latest sheet import
+        if (dossier.sheet) {
+            const sections = characterSheet.formatSections(dossier.sheet.data);
+            const sheetText = [sections.abilities, sections.combat, sections.saves].filter(Boolean).join('\n');
+            if (sheetText) {
+                embed.addFields({
+                    name: `Sheet (v${dossier.sheet.version}, ${dossier.sheet.updatedAt.split('T')[0]})`,
+                    value: sheetText.substring(0, 1024),
+                    inline: false
+                });
+            }
+        }
+
+        // Earlier incarnations, oldest first
+        if (dossier.pastBodies && dossier.pastBodies.length > 0) {
+            const bodiesText = dossier.pastBodies.map(body =>
+                `- ${body.race || 'Unknown'} → ${body.becameRace} *(${body.endedAt.split('T')[0]}${body.rollId ? `, roll #${body.rollId}` : ''})*`
+            ).join('\n');
+            embed.addFields({ name: 'Past Bodies', value: bodiesText.substring(0, 1024), inline: false });
+        }
+
         // Player notes (most recent 5)
         if (dossier.playerUpdates && dossier.playerUpdates.length > 0) {
             const recent = dossier.playerUpdates.slice(-5);
@@ -96,8 +329,9 @@ module.exports = {
         // Roll history (most recent 5)
         if (dossier.rollHistory && dossier.rollHistory.length > 0) {
             const recent = dossier.rollHistory.slice(-5);
+            // GM and blind roll results stay hidden here
             const rollText = recent.map(r =>
-                `- **${r.type}:** ${r.result} *(${r.timestamp.split('T')[0]})*`
+                `- **${r.type}:** ${r.visibility && r.visibility !== 'public' ? `🔒 *${r.visibility} roll*` : r.result} *(${r.timestamp.split('T')[0]})*`
             ).join('\n');
             embed.addFields({ name: 'Recent Rolls', value: rollText.substring(0, 1024), inline: false });
         }
@@ -126,9 +360,12 @@ module.exports = {
             embed.addFields({ name: 'Community Reactions', value: emojiText, inline: false });
         }
 
-        // Aliases
-        if (dossier.aliases && dossier.aliases.length > 0) {
-            embed.setFooter({ text: `Also known as: ${dossier.aliases.join(', ')}` });
+        // Aliases and the change log
+        const footer = [];
+        if (dossier.aliases && dossier.aliases.length > 0) footer.push(`Also known as: ${dossier.aliases.join(', ')}`);
+        if (dossier.changeLog && dossier.changeLog.length > 0) footer.push(`${dossier.changeLog.length} change(s) — /character history`);
+        if (footer.length > 0) {
+            embed.setFooter({ text: footer.join(' • ') });
         }
 
         await interaction.reply({ embeds: [embed] });
@@ -0,0 +1,116 @@
+/**
+ * /characterimport command for Casandalee
+ * Import a FoundryVTT PF1 actor export (.json) straight into a dossier's
+ * structured sheet — exact numbers, no screenshot reading. Importing the same
+ * actor again updates its sheet as a new version.
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const foundryActorImporter = require('../utils/foundryActorImporter');
+const dossierManager = require('../utils/dossierManager');
+const nameResolver = require('../utils/nameResolver');
+const logger = require('../utils/logger');
+const { buildSheetEmbed } = require('./charactersheet');
+
+/** Largest actor export accepted (actors with many items and spells run to a few MB) */
+const MAX_IMPORT_BYTES = 8 * 1024 * 1024;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('characterimport')
+        .setDescription('Import a Foundry PF1 actor export into a character dossier')
+        .addAttachmentOption(option =>
+            option.setName('file')
+                .setDescription('Actor .json exported from Foundry (right-click the actor → Export Data)')
+                .setRequired(true)
+        )
+        .addStringOption(option =>
+            option.setName('name')
+                .setDescription('Character to import into (default: the actor\'s name)')
+                .setRequired(false)
+                .setAutocomplete(true)
+        ),
+
+    // Downloading a large export can take a moment
+    timeout: 15000,
+
+    /**
+     * Handle autocomplete for character name
+     * @param {Object} interaction - Discord autocomplete interaction
+     */
+    async autocomplete(interaction) {
+        const focusedValue = interaction.options.getFocused();
+        const matches = nameResolver.search(focusedValue, 25);
+        const allNames = [...new Set([...matches, ...dossierManager.getAllNames()])];
+
+        await interaction.respond(
+            allNames
+                .filter(name => name.toLowerCase().includes(focusedValue.toLowerCase()))
+                .slice(0, 25)
+                .map(name => ({ name, value: name }))
+        );
+    },
+
+    /**
+     * Execute the /characterimport command
+     * @param {Object} interaction - Discord command interaction
+     */
+    async execute(interaction) {
+        const attachment = interaction.options.getAttachment('file');
+        const name = interaction.options.getString('name');
+        logger.info('Character import executed', {
+            file: attachment.name,
+            name,
+            userId: interaction.user.id,
+            username: interaction.user.username
+        });
+
+        try {
+            if (attachment.size > MAX_IMPORT_BYTES) {
+                throw new Error('That file is too large for an actor export');
+            }
+
+            await interaction.deferReply();
+
+            const response = await fetch(attachment.url);
+            if (!response.ok) {
+                throw new Error(`Could not download the file (HTTP ${response.status})`);
+            }
+
+            let raw;
+            try {
+                raw = JSON.parse(await response.text());
+            } catch (error) {
+                throw new Error('That file isn\'t valid JSON');
+            }
+
+            const result = foundryActorImporter.importIntoDossier(raw, {
+                name,
+                updatedBy: interaction.user.username,
+                updatedById: interaction.user.id
+            });
+
+            const embed = buildSheetEmbed(result.canonical, result.sheet, { version: result.version, changes: result.changes });
+            if (result.version > 1 && result.changes.length === 0) {
+                embed.setTitle(`Character Sheet Unchanged: ${result.canonical}`);
+            }
+            if (result.warnings.length > 0) {
+                embed.addFields({ name: 'Check in Foundry', value: result.warnings.join('\n').substring(0, 1024), inline: false });
+            }
+            embed.setFooter({
+                text: `Sheet v${result.version} | ${result.created ? 'New dossier' : 'Updated dossier'} from Foundry actor ${result.actorId || '(no id)'} | Imported by ${interaction.user.username}`
+            });
+
+            await interaction.editReply({ embeds: [embed] });
+            logger.info(`Foundry actor imported for ${result.canonical} (v${result.version}, ${result.changes.length} changes)`);
+        } catch (error) {
+            logger.error('Error importing Foundry actor:', error);
+            const message = { content: `❌ ${error.message}`, ephemeral: true };
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(message);
+            } else {
+                await interaction.reply(message);
+            }
+        }
+    }
+};
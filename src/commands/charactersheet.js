@@ -1,29 +1,124 @@
 /**
  * /charactersheet command for Casandalee
- * Upload a screenshot of a PF1 character sheet and Cass will parse it
- * into a character dossier using Claude's vision capabilities.
+ * Upload screenshots (up to four pages) or a PDF of a PF1 character sheet and
+ * Cass will parse it into a character dossier using Claude's vision
+ * capabilities. Pages are read one at a time and merged into one sheet that
+ * remembers which page each field came from. The numbers are
+ * cross-checked against PF1 rules first; if anything looks misread the player
+ * can accept, correct or re-read those fields before the sheet is stored as a
+ * new version of the dossier's structured sheet.
  */
 
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const {
+    SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle,
+    ModalBuilder, TextInputBuilder, TextInputStyle
+} = require('discord.js');
 const dossierManager = require('../utils/dossierManager');
+const characterSheet = require('../utils/characterSheet');
+const sheetValidator = require('../utils/sheetValidator');
 const nameResolver = require('../utils/nameResolver');
+const privateRolls = require('../utils/privateRolls');
 const llmRouter = require('../utils/llmRouter');
 const logger = require('../utils/logger');
 
-/** Supported image MIME types (Discord's contentType can be unreliable) */
+/** Button/modal custom ID prefix; index.js routes them to this command */
+const BUTTON_PREFIX = 'charactersheet';
+
+/** Unsaved reads wait this long for Accept/Correct/Retry */
+const REVIEW_TTL_MS = 15 * 60 * 1000;
+
+/** How often reads nobody finished are dropped */
+const REVIEW_SWEEP_MS = 60 * 1000;
+
+/** Re-reads allowed per upload */
+const MAX_RETRIES = 2;
+
+/** Discord modals hold at most five text inputs */
+const MAX_MODAL_FIELDS = 5;
+
+const VISION_MODEL = 'claude-3-5-haiku-latest';
+const VISION_SYSTEM = 'You are an expert at reading Pathfinder 1st Edition character sheets. Extract all visible data accurately. Return only valid JSON.';
+
+/** Where each checked field sits on a typical sheet, for re-read prompts */
+const FIELD_HINTS = {
+    bab: 'base attack bonus', cmb: 'combat maneuver bonus (CMB) total', cmd: 'combat maneuver defense (CMD) total',
+    'ac.normal': 'total armor class', 'ac.touch': 'touch armor class', 'ac.flatFooted': 'flat-footed armor class',
+    'saves.fort': 'Fortitude save total', 'saves.ref': 'Reflex save total', 'saves.will': 'Will save total'
+};
+
+/**
+ * Sheets read from a screenshot but not saved yet, by review id
+ * @type {Map<string, Object>}
+ */
+const pendingReviews = new Map();
+
+// Abandoned reviews hold page images; sweep them even if no button is ever pressed again
+setInterval(() => sweepReviews(), REVIEW_SWEEP_MS).unref();
+
+/** Supported image and document MIME types (Discord's contentType can be unreliable) */
 const SUPPORTED_CONTENT_TYPES = new Set([
-    'image/png', 'image/jpeg', 'image/jpg', 'image/webp', 'image/gif'
+    'image/png', 'image/jpeg', 'image/jpg', 'image/webp', 'image/gif', 'application/pdf'
 ]);
 
+/** Attachment options: the first page of the sheet plus up to three more */
+const PAGE_OPTIONS = ['sheet', 'page2', 'page3', 'page4'];
+
+/** Largest PDF sent to Claude (the API takes up to 32 MB) */
+const MAX_PDF_BYTES = 20 * 1024 * 1024;
+
+/** The JSON every page is read into */
+const SHEET_FORMAT = `{
+  "name": "character name",
+  "race": "race",
+  "class": "class and archetype if visible",
+  "level": number,
+  "alignment": "alignment",
+  "deity": "deity if visible",
+  "player": "player name if visible",
+  "hp_current": number,
+  "hp_max": number,
+  "ac": number,
+  "touch_ac": number,
+  "flat_footed_ac": number,
+  "abilities": {
+    "str": number, "dex": number, "con": number,
+    "int": number, "wis": number, "cha": number
+  },
+  "saves": {
+    "fort": number, "ref": number, "will": number
+  },
+  "bab": number,
+  "cmb": number,
+  "cmd": number,
+  "initiative": number,
+  "speed": "land speed in feet",
+  "skills": [{"name": "skill name", "bonus": number}, ...],
+  "feats": ["feat name", ...],
+  "traits": ["trait name", ...],
+  "special_abilities": ["ability name", ...],
+  "weapons": [{"name": "weapon name", "attack": "+12/+7", "damage": "1d8+4", "critical": "19-20/x2"}, ...],
+  "spells": [{"name": "spell name", "level": number, "school": "school if visible"}, ...],
+  "gear": [{"name": "item name", "quantity": number}, ...],
+  "armor": "armor if visible",
+  "notes": "any other notable text on the sheet"
+}`;
+
+const SAVES_REMINDER = 'IMPORTANT: Look carefully for ALL THREE saving throws. In PF1 sheets, Fortitude, Reflex, and Will saves are typically displayed in a row, often with shield icons. Each has a total bonus (e.g., +19, +11, +19). Do NOT skip any of the three saves.';
+
 /**
- * Detect real image MIME type from buffer magic bytes.
+ * Detect real image (or PDF) MIME type from buffer magic bytes.
  * Discord often reports contentType incorrectly (e.g., says webp but sends png).
- * @param {Buffer} buffer - Image data
+ * @param {Buffer} buffer - Image or PDF data
  * @returns {string|null} - Detected MIME type or null
  */
 function detectImageType(buffer) {
     if (!buffer || buffer.length < 4) return null;
 
+    // PDF: 25 50 44 46 ("%PDF")
+    if (buffer[0] === 0x25 && buffer[1] === 0x50 && buffer[2] === 0x44 && buffer[3] === 0x46) {
+        return 'application/pdf';
+    }
+
     // PNG: 89 50 4E 47
     if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47) {
         return 'image/png';
@@ -46,13 +141,352 @@ function detectImageType(buffer) {
     return null;
 }
 
+/**
+ * Embed showing an imported sheet and what changed since the previous version
+ * @param {string} canonical - Character name
+ * @param {Object} sheet - Sheet data
+ * @param {Object} options - {version, changes, thumbnail?}
+ * @returns {EmbedBuilder} - Embed
+ */
+function buildSheetEmbed(canonical, sheet, { version, changes, thumbnail = null }) {
+    const embed = new EmbedBuilder()
+        .setTitle(`Character Sheet Imported: ${canonical}`)
+        .setColor(0x00FF88)
+        .setTimestamp();
+    if (thumbnail) embed.setThumbnail(thumbnail);
+
+    const sections = characterSheet.formatSections(sheet);
+    const className = sections.classes || sheet.class;
+    if (sheet.race && className) {
+        embed.setDescription(`**${sheet.race} ${className}${sheet.level ? ` (Level ${sheet.level})` : ''}**`);
+    }
+
+    const fields = [
+        ['Ability Scores', sections.abilities],
+        ['Combat', sections.combat],
+        ['Saving Throws', sections.saves],
+        ['Skills', sections.skills],
+        ['Feats', sections.feats],
+        ['Weapons', sections.weapons],
+        ['Spells', sections.spells]
+    ];
+    for (const [name, value] of fields) {
+        if (value) embed.addFields({ name, value: value.substring(0, 1024), inline: false });
+    }
+
+    if (version > 1) {
+        const lines = changes.map(change => characterSheet.formatChange(change));
+        let value = lines.length > 0 ? lines.slice(0, 15).join('\n') : 'No changes';
+        if (lines.length > 15) value += `\n…and ${lines.length - 15} more`;
+        embed.addFields({ name: `Changes since v${version - 1}`, value: value.substring(0, 1024), inline: false });
+    }
+
+    return embed;
+}
+
+/**
+ * Send a sheet image or PDF to Claude Vision and parse the JSON it returns
+ * @param {string} prompt - What to read
+ * @param {Buffer} imageBuffer - Image or PDF data
+ * @param {string} mediaType - MIME type
+ * @param {number} maxTokens - Response budget
+ * @returns {Promise<{parsed: Object|null, raw: string}>} - Parsed JSON (null if it wasn't JSON) and the raw text
+ */
+async function readSheet(prompt, imageBuffer, mediaType, maxTokens) {
+    const raw = await llmRouter.claudeVision(prompt, imageBuffer, mediaType, {
+        system: VISION_SYSTEM,
+        maxTokens,
+        model: VISION_MODEL
+    });
+    try {
+        // Claude sometimes wraps in markdown code blocks
+        const jsonStr = raw.replace(/```json?\n?/g, '').replace(/```/g, '').trim();
+        return { parsed: JSON.parse(jsonStr), raw };
+    } catch (parseErr) {
+        return { parsed: null, raw };
+    }
+}
+
+/**
+ * A whole number from a re-read or a typed correction ("+12", 12, "12")
+ * @param {*} value - Raw value
+ * @returns {number|null} - Integer, or null when it isn't one
+ */
+function toInt(value) {
+    if (typeof value === 'number' && Number.isInteger(value)) return value;
+    if (typeof value === 'string' && /^\s*[+-]?\d+\s*$/.test(value)) return parseInt(value, 10);
+    return null;
+}
+
+/**
+ * Read every uploaded page. Each image is one page; a PDF is read in one call
+ * that returns one extraction per page.
+ * @param {Object[]} attachments - Discord attachments in upload order
+ * @returns {Promise<Object>} - {pages: [{label, sheet}], files: [{label, buffer, mediaType, page}], failures: [{label, raw}]}
+ */
+async function readPages(attachments) {
+    const pages = [];
+    const files = [];
+    const failures = [];
+
+    for (const [index, attachment] of attachments.entries()) {
+        const response = await fetch(attachment.url);
+        if (!response.ok) {
+            throw new Error(`Failed to download ${attachment.name}: ${response.status}`);
+        }
+        const buffer = Buffer.from(await response.arrayBuffer());
+
+        // Detect REAL type from magic bytes (Discord's contentType is unreliable)
+        const mediaType = detectImageType(buffer) || attachment.contentType;
+        const name = attachments.filter(a => a.name === attachment.name).length > 1 ? `${attachment.name} (${index + 1})` : attachment.name;
+        logger.info(`Reading sheet page ${name} (${(buffer.length / 1024).toFixed(0)}KB, detected: ${mediaType}, discord said: ${attachment.contentType})`);
+
+        if (mediaType === 'application/pdf') {
+            if (buffer.length > MAX_PDF_BYTES) {
+                throw new Error(`${attachment.name} is too large (PDFs up to ${MAX_PDF_BYTES / 1024 / 1024} MB)`);
+            }
+            const prompt = `This PDF is a Pathfinder 1st Edition character sheet, possibly several pages (stats, spells, gear). Read EVERY page carefully and extract all character data on it.
+
+${SAVES_REMINDER}
+
+Return a JSON array with one object per page, in page order. Each object has "page" (the page number, starting at 1) and the fields below for what appears ON THAT PAGE (null or empty lists for anything not on it):
+
+${SHEET_FORMAT}
+
+Return ONLY the JSON array, no other text.`;
+            const { parsed, raw } = await readSheet(prompt, buffer, mediaType, 8000);
+            const extractions = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.pages) ? parsed.pages : null);
+            if (!extractions) {
+                failures.push({ label: name, raw });
+                continue;
+            }
+            for (const [pageIndex, extraction] of extractions.entries()) {
+                // A page the model couldn't read comes back as null (or something else that isn't a sheet)
+                if (!extraction || typeof extraction !== 'object' || Array.isArray(extraction)) {
+                    failures.push({ label: `${name} p${pageIndex + 1}`, raw: String(JSON.stringify(extraction)) });
+                    continue;
+                }
+                const page = toInt(extraction.page) || pageIndex + 1;
+                const label = `${name} p${page}`;
+                pages.push({ label, sheet: characterSheet.fromVision(extraction) });
+                files.push({ label, buffer, mediaType, page });
+            }
+            continue;
+        }
+
+        const prompt = `Analyze this Pathfinder 1st Edition character sheet screenshot carefully. Extract ALL visible character data.${attachments.length > 1 ? ' This is one page of a multi-page sheet, so some sections may be on other pages.' : ''}
+
+${SAVES_REMINDER}
+
+Return data in this exact JSON format (use null ONLY for fields truly not visible):
+
+${SHEET_FORMAT}
+
+Return ONLY the JSON, no other text.`;
+        const { parsed, raw } = await readSheet(prompt, buffer, mediaType, 2500);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            failures.push({ label: name, raw });
+            continue;
+        }
+        pages.push({ label: name, sheet: characterSheet.fromVision(parsed) });
+        files.push({ label: name, buffer, mediaType, page: null });
+    }
+
+    return { pages, files, failures };
+}
+
+/**
+ * Which page each part of the sheet came from
+ * @param {Object} sources - Field -> page label
+ * @returns {string} - One line per page, e.g. "**stats.png**: STR, DEX, ..., skills (12)"
+ */
+function describeSources(sources) {
+    const empty = characterSheet.empty();
+    const byPage = new Map();
+    for (const [field, label] of Object.entries(sources)) {
+        const [group] = field.split('.');
+        const key = field.includes('.') ? group : characterSheet.fieldLabel(field);
+        if (!byPage.has(label)) byPage.set(label, new Map());
+        const counts = byPage.get(label);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return [...byPage.entries()].map(([label, counts]) => {
+        const parts = [...counts.entries()].map(([key, count]) => (Array.isArray(empty[key]) ? `${key} (${count})` : key));
+        return `**${label}**: ${parts.join(', ')}`;
+    }).join('\n');
+}
+
+/**
+ * Values two pages disagreed on
+ * @param {Object[]} conflicts - From characterSheet.mergePages
+ * @returns {string} - One line per conflict
+ */
+function describeConflicts(conflicts) {
+    return conflicts.map(c => `• ${characterSheet.fieldLabel(c.field)}: kept ${c.kept} (${c.keptFrom}), ${c.otherFrom} shows ${c.other}`).join('\n');
+}
+
+/**
+ * Store a sheet on the dossier (creating the dossier if needed)
+ * @param {string} canonical - Character name
+ * @param {Object} sheet - Sheet data
+ * @param {Object} options - {username, userId, thumbnail, accepted, sources, pageCount}; accepted lists flagged
+ *   numbers kept as read, sources maps fields to the page they came from (multi-page uploads)
+ * @returns {EmbedBuilder} - Embed for the saved sheet
+ */
+function saveSheet(canonical, sheet, { username, userId = null, thumbnail, accepted = [], sources = null, pageCount = 1 }) {
+    if (!dossierManager.getDossier(canonical)) {
+        dossierManager.createDossier(canonical, {
+            race: sheet.race,
+            class: sheet.class,
+            level: sheet.level
+        }, { updatedBy: username, updatedById: userId });
+    }
+
+    const { version, changes } = dossierManager.setSheet(canonical, sheet, {
+        updatedBy: username,
+        updatedById: userId,
+        source: 'vision',
+        fieldSources: sources
+    });
+    dossierManager.flush();
+
+    const embed = buildSheetEmbed(canonical, sheet, { version, changes, thumbnail });
+    if (accepted.length > 0) {
+        embed.addFields({
+            name: 'Kept As Read',
+            value: accepted.map(issue => `• ${issue.message}`).join('\n').substring(0, 1024),
+            inline: false
+        });
+    }
+    if (sources) {
+        embed.addFields({ name: 'Pages', value: describeSources(sources).substring(0, 1024), inline: false });
+    }
+    embed.setFooter({ text: `Sheet v${version} | Parsed by Claude Vision${pageCount > 1 ? ` from ${pageCount} pages` : ''} | Imported by ${username}` });
+    logger.info(`Character sheet imported for ${canonical} by ${username}`, { version, accepted: accepted.length });
+    return embed;
+}
+
+/**
+ * Embed and buttons for a read that failed the PF1 cross-check, or whose pages disagreed
+ * @param {string} id - Review id
+ * @param {Object} review - Pending review
+ * @returns {Object} - Message payload {embeds, components}
+ */
+function buildReview(id, review) {
+    const dossier = dossierManager.getDossier(review.canonical);
+    const current = dossier && dossier.sheet ? dossier.sheet : null;
+    const embed = buildSheetEmbed(review.canonical, review.sheet, {
+        version: current ? current.version + 1 : 1,
+        changes: characterSheet.diff(current ? current.data : null, review.sheet),
+        thumbnail: review.thumbnail
+    })
+        .setTitle(`Check Character Sheet: ${review.canonical}`)
+        .setColor(0xFFAA00);
+
+    embed.addFields({
+        name: review.issues.length > 0 ? '⚠️ Check These Numbers' : '✅ Numbers Check Out',
+        value: review.issues.length > 0
+            ? review.issues.map(issue => `• ${issue.message}`).join('\n').substring(0, 1024)
+            : 'Everything matches the PF1 math. Press **Save** to store the sheet.',
+        inline: false
+    });
+    if (review.conflicts.length > 0) {
+        embed.addFields({ name: '📄 Pages Disagree', value: describeConflicts(review.conflicts).substring(0, 1024), inline: false });
+    }
+    if (review.unread.length > 0) {
+        embed.addFields({ name: '❓ Couldn\'t Read', value: `${review.unread.join(', ')} — saving keeps only the other pages`, inline: false });
+    }
+    if (review.sources) {
+        embed.addFields({ name: 'Pages', value: describeSources(review.sources).substring(0, 1024), inline: false });
+    }
+    if (review.note) {
+        embed.addFields({ name: 'Last Change', value: review.note.substring(0, 1024), inline: false });
+    }
+    embed.setFooter({ text: 'Not saved yet | Accept keeps the numbers as read, Correct lets you type them, Retry re-reads the flagged ones' });
+
+    const button = (action, label, style) => new ButtonBuilder()
+        .setCustomId(`${BUTTON_PREFIX}:${action}:${id}`)
+        .setLabel(label)
+        .setStyle(style);
+    const hasIssues = review.issues.length > 0;
+    const buttons = [button('accept', hasIssues ? 'Accept as read' : 'Save', ButtonStyle.Success)];
+    if (review.issues.some(issue => issue.expected !== null)) {
+        buttons.push(button('expected', 'Use expected', ButtonStyle.Primary));
+    }
+    if (hasIssues) {
+        buttons.push(button('correct', 'Correct…', ButtonStyle.Primary));
+        buttons.push(button('retry', `Retry (${MAX_RETRIES - review.retries} left)`, ButtonStyle.Secondary)
+            .setDisabled(review.retries >= MAX_RETRIES || !hasFiles(review)));
+    }
+    buttons.push(button('cancel', 'Cancel', ButtonStyle.Danger));
+
+    return { embeds: [embed], components: [new ActionRowBuilder().addComponents(...buttons)] };
+}
+
+/**
+ * Replace a review's sheet, re-run the cross-check and note what changed
+ * @param {Object} review - Pending review
+ * @param {Object} sheet - New sheet data
+ * @param {string} action - What changed it ("Corrected", "Re-read", ...)
+ * @param {string} username - Who did it
+ */
+function updateReview(review, sheet, action, username) {
+    const changes = characterSheet.diff(review.sheet, sheet);
+    review.sheet = sheet;
+    review.issues = sheetValidator.check(sheet);
+    review.note = changes.length > 0
+        ? `${action} by ${username}: ${changes.map(change => characterSheet.formatChange(change)).join(', ')}`
+        : `${action} by ${username}: no numbers changed`;
+    releaseFiles(review);
+}
+
+/**
+ * Drop a review's page images once nothing will re-read them (no flagged numbers, or no re-reads left)
+ * @param {Object} review - Pending review
+ */
+function releaseFiles(review) {
+    if (review.issues.length > 0 && review.retries < MAX_RETRIES) return;
+    for (const file of review.files) file.buffer = null;
+}
+
+/**
+ * Whether a review still holds its page images
+ * @param {Object} review - Pending review
+ * @returns {boolean} - True if Retry can re-read them
+ */
+function hasFiles(review) {
+    return review.files.some(file => file.buffer);
+}
+
+/**
+ * Drop expired reviews
+ */
+function sweepReviews() {
+    const now = Date.now();
+    for (const [key, review] of pendingReviews) {
+        if (now - review.createdAt > REVIEW_TTL_MS) pendingReviews.delete(key);
+    }
+}
+
+/**
+ * Pending review a button or modal points at, dropping expired ones
+ * @param {string} id - Review id
+ * @returns {Object|null} - Review or null
+ */
+function getReview(id) {
+    sweepReviews();
+    return pendingReviews.get(id) || null;
+}
+
 module.exports = {
-    /** Custom timeout: vision API calls need more than 5s */
-    timeout: 30000,
+    buildSheetEmbed,
+
+    /** Custom timeout: vision API calls need more than 5s, and a multi-page sheet makes one per page */
+    timeout: 90000,
 
     data: new SlashCommandBuilder()
         .setName('charactersheet')
-        .setDescription('Upload a character sheet screenshot to create/update a dossier')
+        .setDescription('Upload character sheet screenshots or a PDF to create/update a dossier')
         .addStringOption(option =>
             option.setName('name')
                 .setDescription('Character name')
@@ -61,8 +495,23 @@ module.exports = {
         )
         .addAttachmentOption(option =>
             option.setName('sheet')
-                .setDescription('Screenshot of the character sheet')
+                .setDescription('Screenshot or PDF of the character sheet')
                 .setRequired(true)
+        )
+        .addAttachmentOption(option =>
+            option.setName('page2')
+                .setDescription('Another page (spells, gear, ...)')
+                .setRequired(false)
+        )
+        .addAttachmentOption(option =>
+            option.setName('page3')
+                .setDescription('Another page')
+                .setRequired(false)
+        )
+        .addAttachmentOption(option =>
+            option.setName('page4')
+                .setDescription('Another page')
+                .setRequired(false)
         ),
 
     /**
@@ -94,12 +543,13 @@ module.exports = {
      */
     async execute(interaction) {
         const nameInput = interaction.options.getString('name');
-        const attachment = interaction.options.getAttachment('sheet');
+        const attachments = PAGE_OPTIONS.map(option => interaction.options.getAttachment(option)).filter(Boolean);
 
-        // Quick sanity check: Discord should at least claim it's an image
-        if (!attachment.contentType || !SUPPORTED_CONTENT_TYPES.has(attachment.contentType)) {
+        // Quick sanity check: Discord should at least claim it's an image or a PDF
+        const unsupported = attachments.find(a => !a.contentType || !SUPPORTED_CONTENT_TYPES.has(a.contentType));
+        if (unsupported) {
             await interaction.reply({
-                content: `That doesn't look like an image. Please upload a PNG, JPEG, or WebP screenshot of the character sheet.`,
+                content: `${unsupported.name} doesn't look like an image or PDF. Please upload PNG, JPEG, or WebP screenshots or a PDF of the character sheet.`,
                 ephemeral: true
             });
             return;
@@ -109,81 +559,17 @@ module.exports = {
         await interaction.deferReply();
 
         try {
-            // Download the image
-            const response = await fetch(attachment.url);
-            if (!response.ok) {
-                throw new Error(`Failed to download image: ${response.status}`);
-            }
-            const imageBuffer = Buffer.from(await response.arrayBuffer());
-
-            // Detect REAL image type from magic bytes (Discord's contentType is unreliable)
-            const mediaType = detectImageType(imageBuffer) || attachment.contentType;
-            logger.info(`Processing character sheet for "${nameInput}" (${attachment.name}, ${(imageBuffer.length / 1024).toFixed(0)}KB, detected: ${mediaType}, discord said: ${attachment.contentType})`);
-
-            // Send to Claude Vision for parsing
-            const extractionPrompt = `Analyze this Pathfinder 1st Edition character sheet screenshot carefully. Extract ALL visible character data.
-
-IMPORTANT: Look carefully for ALL THREE saving throws. In PF1 sheets, Fortitude, Reflex, and Will saves are typically displayed in a row, often with shield icons. Each has a total bonus (e.g., +19, +11, +19). Do NOT skip any of the three saves.
-
-Return data in this exact JSON format (use null ONLY for fields truly not visible):
-
-{
-  "name": "character name",
-  "race": "race",
-  "class": "class and archetype if visible",
-  "level": number,
-  "alignment": "alignment",
-  "deity": "deity if visible",
-  "player": "player name if visible",
-  "hp_current": number,
-  "hp_max": number,
-  "ac": number,
-  "touch_ac": number,
-  "flat_footed_ac": number,
-  "abilities": {
-    "str": number, "dex": number, "con": number,
-    "int": number, "wis": number, "cha": number
-  },
-  "saves": {
-    "fort": number, "ref": number, "will": number
-  },
-  "bab": number,
-  "cmb": number,
-  "cmd": number,
-  "initiative": number,
-  "speed": "land speed in feet",
-  "skills": ["skill name +bonus", ...],
-  "feats": ["feat name", ...],
-  "traits": ["trait name", ...],
-  "special_abilities": ["ability name", ...],
-  "weapons": ["weapon name", ...],
-  "armor": "armor if visible",
-  "notes": "any other notable text on the sheet"
-}
-
-Return ONLY the JSON, no other text.`;
-
-            const visionResult = await llmRouter.claudeVision(
-                extractionPrompt,
-                imageBuffer,
-                mediaType,
-                {
-                    system: 'You are an expert at reading Pathfinder 1st Edition character sheets. Extract all visible data accurately. Return only valid JSON.',
-                    maxTokens: 1500,
-                    model: 'claude-3-5-haiku-latest'
-                }
-            );
+            logger.info(`Processing character sheet for "${nameInput}" (${attachments.map(a => a.name).join(', ')})`);
 
-            // Parse the JSON response
-            let parsed;
-            try {
-                // Claude sometimes wraps in markdown code blocks
-                const jsonStr = visionResult.replace(/```json?\n?/g, '').replace(/```/g, '').trim();
-                parsed = JSON.parse(jsonStr);
-            } catch (parseErr) {
-                logger.error('Failed to parse vision result as JSON:', visionResult.substring(0, 200));
+            // Send every page to Claude Vision for parsing
+            const { pages, files, failures } = await readPages(attachments);
+            for (const failure of failures) {
+                logger.error(`Failed to parse vision result for ${failure.label} as JSON:`, failure.raw.substring(0, 200));
+            }
+            if (pages.length === 0) {
+                const raw = failures.length > 0 ? failures[0].raw : '';
                 await interaction.editReply({
-                    content: `I could read the image but had trouble parsing the data. Here's what I saw:\n\n${visionResult.substring(0, 1500)}`
+                    content: `I could read the sheet but had trouble parsing the data. Here's what I saw:\n\n${raw.substring(0, 1500)}`
                 });
                 return;
             }
@@ -196,157 +582,207 @@ Return ONLY the JSON, no other text.`;
                     .join(' ');
             }
 
-            // Get or create dossier
-            let dossier = dossierManager.getDossier(canonical);
-            if (!dossier) {
-                dossier = dossierManager.createDossier(canonical, {
-                    race: parsed.race,
-                    class: parsed.class,
-                    level: parsed.level
+            // One structured sheet from all pages, remembering where each field came from
+            const multiPage = pages.length > 1;
+            const { data: sheet, sources, conflicts } = multiPage
+                ? characterSheet.mergePages(pages)
+                : { data: pages[0].sheet, sources: null, conflicts: [] };
+            const thumbnail = files[0].mediaType === 'application/pdf' ? null : attachments[0].url;
+            const unread = failures.map(failure => failure.label);
+
+            // Cross-check the numbers before anything is written
+            const issues = sheetValidator.check(sheet);
+            if (issues.length === 0 && conflicts.length === 0 && unread.length === 0) {
+                const embed = saveSheet(canonical, sheet, {
+                    username: interaction.user.username,
+                    userId: interaction.user.id,
+                    thumbnail,
+                    sources,
+                    pageCount: pages.length
                 });
-            } else {
-                // Update fields from parsed data
-                if (parsed.race) dossier.race = parsed.race;
-                if (parsed.class) dossier.class = parsed.class;
-                if (parsed.level) dossier.level = parsed.level;
+                await interaction.editReply({ embeds: [embed] });
+                return;
             }
 
-            // Build a rich description from the parsed data
-            const descParts = [];
-            if (parsed.alignment) descParts.push(`**Alignment:** ${parsed.alignment}`);
-            if (parsed.deity) descParts.push(`**Deity:** ${parsed.deity}`);
-            if (parsed.hp_max) descParts.push(`**HP:** ${parsed.hp_current ?? '?'}/${parsed.hp_max}`);
-            if (parsed.ac) descParts.push(`**AC:** ${parsed.ac}`);
-            if (parsed.speed) descParts.push(`**Speed:** ${parsed.speed}`);
-            if (parsed.bab) descParts.push(`**BAB:** +${parsed.bab}`);
-            if (parsed.initiative) descParts.push(`**Initiative:** +${parsed.initiative}`);
-
-            if (descParts.length > 0) {
-                dossier.description = descParts.join(' | ');
-            }
+            const review = {
+                canonical,
+                sheet,
+                issues,
+                files,
+                sources,
+                conflicts,
+                unread,
+                thumbnail,
+                userId: interaction.user.id,
+                retries: 0,
+                note: null,
+                createdAt: Date.now()
+            };
+            releaseFiles(review);
+            pendingReviews.set(interaction.id, review);
+            logger.info(`Character sheet for ${canonical} needs review`, { issues: issues.map(issue => issue.field) });
+            await interaction.editReply(buildReview(interaction.id, review));
 
-            // Store the full parsed data as a player update
-            const summaryParts = [];
-            if (parsed.abilities) {
-                const abs = parsed.abilities;
-                summaryParts.push(`STR ${abs.str} DEX ${abs.dex} CON ${abs.con} INT ${abs.int} WIS ${abs.wis} CHA ${abs.cha}`);
-            }
-            if (parsed.saves) {
-                const sv = (val) => val != null ? `+${val}` : '?';
-                summaryParts.push(`Saves: Fort ${sv(parsed.saves.fort)} Ref ${sv(parsed.saves.ref)} Will ${sv(parsed.saves.will)}`);
-            }
-            if (parsed.feats && parsed.feats.length > 0) {
-                summaryParts.push(`Feats: ${parsed.feats.join(', ')}`);
-            }
-            if (parsed.weapons && parsed.weapons.length > 0) {
-                summaryParts.push(`Weapons: ${parsed.weapons.join(', ')}`);
-            }
+        } catch (error) {
+            logger.error('Error processing character sheet:', error);
+            const errorMsg = error.message.includes('Anthropic')
+                ? 'Claude vision API error. Please try again.'
+                : `Error processing sheet: ${error.message}`;
+            await interaction.editReply({ content: `Sorry, ${errorMsg}` });
+        }
+    },
 
-            if (summaryParts.length > 0) {
-                dossierManager.addPlayerUpdate(
-                    canonical,
-                    `[Sheet Import] ${summaryParts.join(' | ')}`,
-                    interaction.user.username
-                );
-            }
+    /**
+     * Handle Accept / Use expected / Correct / Retry / Cancel on a sheet that needs review
+     * @param {Object} interaction - Discord button interaction
+     */
+    async handleButton(interaction) {
+        const [, action, id] = interaction.customId.split(':');
+        const review = getReview(id);
 
-            // Also store raw parsed data as a note
-            if (parsed.skills && parsed.skills.length > 0) {
-                dossierManager.addPlayerUpdate(
-                    canonical,
-                    `[Skills] ${parsed.skills.join(', ')}`,
-                    'sheet-import'
-                );
-            }
-            if (parsed.special_abilities && parsed.special_abilities.length > 0) {
-                dossierManager.addPlayerUpdate(
-                    canonical,
-                    `[Special Abilities] ${parsed.special_abilities.join(', ')}`,
-                    'sheet-import'
-                );
-            }
-            if (parsed.notes) {
-                dossierManager.addPlayerUpdate(canonical, `[Sheet Notes] ${parsed.notes}`, 'sheet-import');
-            }
+        if (!review) {
+            await interaction.update({ components: [] });
+            await interaction.followUp({ content: '⌛ That sheet read has expired — upload the sheet again.', ephemeral: true });
+            return;
+        }
+        if (review.userId !== interaction.user.id && !privateRolls.isGameMaster(interaction.member)) {
+            await interaction.reply({ content: '❌ Only the player who uploaded the sheet or a GM can decide this.', ephemeral: true });
+            return;
+        }
 
-            dossierManager.flush();
+        const username = interaction.user.username;
 
-            // Build response embed
-            const embed = new EmbedBuilder()
-                .setTitle(`Character Sheet Imported: ${canonical}`)
-                .setColor(0x00FF88)
-                .setThumbnail(attachment.url)
-                .setTimestamp();
+        if (action === 'cancel') {
+            pendingReviews.delete(id);
+            logger.info('Character sheet import cancelled', { character: review.canonical, by: username });
+            await interaction.update({ content: `↩️ Sheet for **${review.canonical}** was not saved.`, embeds: [], components: [] });
+            return;
+        }
 
-            if (parsed.race && parsed.class) {
-                embed.setDescription(`**${parsed.race} ${parsed.class}${parsed.level ? ` (Level ${parsed.level})` : ''}**`);
-            }
+        if (action === 'accept') {
+            pendingReviews.delete(id);
+            const embed = saveSheet(review.canonical, review.sheet, {
+                username,
+                userId: interaction.user.id,
+                thumbnail: review.thumbnail,
+                accepted: review.issues,
+                sources: review.sources,
+                pageCount: review.files.length
+            });
+            await interaction.update({ embeds: [embed], components: [] });
+            return;
+        }
 
-            // Ability scores
-            if (parsed.abilities) {
-                const abs = parsed.abilities;
-                const mod = (v) => {
-                    if (v == null) return '?';
-                    const m = Math.floor((v - 10) / 2);
-                    return `${v} (${m >= 0 ? '+' : ''}${m})`;
-                };
-                embed.addFields({
-                    name: 'Ability Scores',
-                    value: `STR ${mod(abs.str)} | DEX ${mod(abs.dex)} | CON ${mod(abs.con)}\nINT ${mod(abs.int)} | WIS ${mod(abs.wis)} | CHA ${mod(abs.cha)}`,
-                    inline: false
-                });
-            }
+        if (action === 'expected') {
+            updateReview(review, sheetValidator.applyExpected(review.sheet, review.issues), 'Expected values applied', username);
+            await interaction.update(buildReview(id, review));
+            return;
+        }
 
-            // Combat stats
-            const combatParts = [];
-            if (parsed.hp_max) combatParts.push(`HP: ${parsed.hp_current ?? '?'}/${parsed.hp_max}`);
-            if (parsed.ac) combatParts.push(`AC: ${parsed.ac}`);
-            if (parsed.bab) combatParts.push(`BAB: +${parsed.bab}`);
-            if (parsed.cmb) combatParts.push(`CMB: +${parsed.cmb}`);
-            if (parsed.cmd) combatParts.push(`CMD: ${parsed.cmd}`);
-            if (combatParts.length > 0) {
-                embed.addFields({ name: 'Combat', value: combatParts.join(' | '), inline: false });
+        if (action === 'correct') {
+            const fields = [...new Set(review.issues.map(issue => issue.field))].slice(0, MAX_MODAL_FIELDS);
+            review.modalFields = fields;
+            const modal = new ModalBuilder()
+                .setCustomId(`${BUTTON_PREFIX}:correct:${id}`)
+                .setTitle(`Correct ${review.canonical}`.substring(0, 45));
+            for (const field of fields) {
+                const issue = review.issues.find(i => i.field === field);
+                const value = issue.expected ?? issue.value;
+                const input = new TextInputBuilder()
+                    .setCustomId(field.substring(0, 100))
+                    .setLabel(`${characterSheet.fieldLabel(field)} (read as ${issue.value ?? '?'})`.substring(0, 45))
+                    .setStyle(TextInputStyle.Short)
+                    .setRequired(false)
+                    .setMaxLength(6);
+                if (value !== null) input.setValue(`${value}`);
+                modal.addComponents(new ActionRowBuilder().addComponents(input));
             }
+            await interaction.showModal(modal);
+            return;
+        }
 
-            // Saves (handle null values gracefully)
-            if (parsed.saves) {
-                const sv = (val) => val != null ? `+${val}` : '?';
-                embed.addFields({
-                    name: 'Saving Throws',
-                    value: `Fort ${sv(parsed.saves.fort)} | Ref ${sv(parsed.saves.ref)} | Will ${sv(parsed.saves.will)}`,
-                    inline: false
-                });
+        if (action === 'retry') {
+            if (review.retries >= MAX_RETRIES || !hasFiles(review)) {
+                await interaction.reply({ content: '❌ No re-reads left — correct the numbers by hand or accept them.', ephemeral: true });
+                return;
             }
-
-            // Feats
-            if (parsed.feats && parsed.feats.length > 0) {
-                embed.addFields({
-                    name: 'Feats',
-                    value: parsed.feats.join(', ').substring(0, 1024),
-                    inline: false
-                });
+            await interaction.deferUpdate();
+            review.retries++;
+
+            // Re-read each flagged field from the page it came from
+            const byFile = new Map();
+            for (const field of new Set(review.issues.map(issue => issue.field))) {
+                const label = review.sources && review.sources[field] ? review.sources[field] : review.files[0].label;
+                const file = review.files.find(f => f.label === label) || review.files[0];
+                if (!byFile.has(file)) byFile.set(file, []);
+                byFile.get(file).push(field);
             }
 
-            // Weapons
-            if (parsed.weapons && parsed.weapons.length > 0) {
-                embed.addFields({
-                    name: 'Weapons',
-                    value: parsed.weapons.join(', ').substring(0, 1024),
-                    inline: false
-                });
+            try {
+                let sheet = review.sheet;
+                for (const [file, fields] of byFile) {
+                    const lines = fields.map(field => {
+                        const hint = FIELD_HINTS[field]
+                            || (field.startsWith('skills.') ? `${characterSheet.fieldLabel(field)} skill total` : `${characterSheet.fieldLabel(field)} score`);
+                        return `- "${field}": the ${hint} (first read as ${characterSheet.getValue(sheet, field) ?? 'nothing'})`;
+                    });
+                    const where = file.page ? `page ${file.page} of this Pathfinder 1st Edition character sheet PDF` : 'this Pathfinder 1st Edition character sheet';
+                    const prompt = `Look again at ${where}. A first read gave numbers that don't add up under PF1 rules. Re-read ONLY these values, carefully, including their signs:
+
+${lines.join('\n')}
+
+Return ONLY a JSON object with exactly these keys and whole numbers (null if not visible), e.g. {"${fields[0]}": 12}.`;
+
+                    const { parsed, raw } = await readSheet(prompt, file.buffer, file.mediaType, 500);
+                    if (!parsed) {
+                        logger.error('Failed to parse vision re-read as JSON:', raw.substring(0, 200));
+                        throw new Error(`the re-read of ${file.label} wasn't readable`);
+                    }
+                    for (const field of fields) {
+                        const value = toInt(parsed[field]);
+                        if (value !== null) sheet = characterSheet.setValue(sheet, field, value);
+                    }
+                }
+                updateReview(review, sheet, `Re-read ${review.retries}/${MAX_RETRIES}`, username);
+            } catch (error) {
+                logger.error('Error re-reading character sheet fields:', error);
+                review.note = `Re-read ${review.retries}/${MAX_RETRIES} failed: ${error.message}`;
+                releaseFiles(review);
             }
+            await interaction.editReply(buildReview(id, review));
+        }
+    },
 
-            embed.setFooter({ text: `Parsed by Claude Vision | Imported by ${interaction.user.username}` });
-
-            await interaction.editReply({ embeds: [embed] });
-            logger.info(`Character sheet imported for ${canonical} by ${interaction.user.username}`);
+    /**
+     * Handle the Correct… form
+     * @param {Object} interaction - Discord modal submit interaction
+     */
+    async handleModal(interaction) {
+        const [, , id] = interaction.customId.split(':');
+        const review = getReview(id);
+        if (!review) {
+            await interaction.reply({ content: '⌛ That sheet read has expired — upload the sheet again.', ephemeral: true });
+            return;
+        }
 
-        } catch (error) {
-            logger.error('Error processing character sheet:', error);
-            const errorMsg = error.message.includes('Anthropic')
-                ? 'Claude vision API error. Please try again.'
-                : `Error processing sheet: ${error.message}`;
-            await interaction.editReply({ content: `Sorry, ${errorMsg}` });
+        let sheet = review.sheet;
+        const invalid = [];
+        for (const field of review.modalFields || []) {
+            const text = interaction.fields.getTextInputValue(field.substring(0, 100)).trim();
+            if (text === '') continue;
+            const value = toInt(text);
+            if (value === null) {
+                invalid.push(`${characterSheet.fieldLabel(field)}: "${text}"`);
+                continue;
+            }
+            sheet = characterSheet.setValue(sheet, field, value);
         }
+        if (invalid.length > 0) {
+            await interaction.reply({ content: `❌ Those need to be whole numbers — ${invalid.join(', ')}`, ephemeral: true });
+            return;
+        }
+
+        updateReview(review, sheet, 'Corrected', interaction.user.username);
+        await interaction.update(buildReview(id, review));
     }
 };
@@ -6,6 +6,7 @@
 
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const dossierManager = require('../utils/dossierManager');
+const characterSheet = require('../utils/characterSheet');
 const nameResolver = require('../utils/nameResolver');
 
 module.exports = {
@@ -56,6 +57,7 @@ module.exports = {
         const nameInput = interaction.options.getString('name');
         const info = interaction.options.getString('info');
         const updatedBy = interaction.user.username;
+        const meta = { updatedBy, updatedById: interaction.user.id };
 
         // Try to resolve existing name, or use as-is for new characters
         let canonical = nameResolver.resolve(nameInput);
@@ -74,17 +76,23 @@ module.exports = {
 
         let dossier = dossierManager.getDossier(canonical);
         if (!dossier) {
-            dossier = dossierManager.createDossier(canonical, structuredFields);
-        } else {
-            // Apply structured fields if found
-            if (structuredFields.race) dossier.race = structuredFields.race;
-            if (structuredFields.class) dossier.class = structuredFields.class;
-            if (structuredFields.level) dossier.level = structuredFields.level;
-            if (structuredFields.player) dossier.player = structuredFields.player;
+            dossier = dossierManager.createDossier(canonical, structuredFields, meta);
         }
 
-        // Always add the raw text as a player update
-        dossierManager.addPlayerUpdate(canonical, info, updatedBy);
+        // One change log entry for everything this update does
+        const stats = this._parseStatUpdate(info);
+        dossierManager.recordChange(canonical, { action: 'characterupdate', ...meta }, () => {
+            // Apply structured fields if found
+            if (!isNew) dossierManager.updateFields(canonical, structuredFields, meta);
+
+            // Numeric stats (e.g., "str: 18, bab: 11") go on the sheet and feed macro @variables
+            if (Object.keys(stats).length > 0) {
+                dossierManager.updateSheet(canonical, characterSheet.patchFromStats(stats), { ...meta, source: 'characterupdate' });
+            }
+
+            // Always add the raw text as a player update
+            dossierManager.addPlayerUpdate(canonical, info, updatedBy, interaction.user.id);
+        });
 
         // Build response
         const embed = new EmbedBuilder()
@@ -107,6 +115,11 @@ module.exports = {
             embed.addFields({ name: 'Parsed Fields', value: parsed.join('\n'), inline: true });
         }
 
+        if (Object.keys(stats).length > 0) {
+            const statText = Object.entries(stats).map(([key, value]) => `${key}: ${value}`).join(', ');
+            embed.addFields({ name: 'Stats', value: statText, inline: true });
+        }
+
         await interaction.reply({ embeds: [embed] });
     },
 
@@ -132,5 +145,26 @@ module.exports = {
         if (playerMatch) fields.player = playerMatch[1].trim();
 
         return fields;
+    },
+
+    /**
+     * Parse numeric stat updates from text
+     * Supports: "str: 18", "bab: 11", "fort: +12", "init: 7"
+     * Ability names are stored as scores (strScore, dexScore, ...)
+     * @param {string} text - The update text
+     * @returns {Object} - Parsed stats
+     */
+    _parseStatUpdate(text) {
+        const stats = {};
+        const statRegex = /\b(str|dex|con|int|wis|cha|bab|cmb|cmd|init|fort|ref|will|ac|hp):\s*([+-]?\d+)/gi;
+
+        for (const match of text.matchAll(statRegex)) {
+            const key = match[1].toLowerCase();
+            const value = parseInt(match[2]);
+            const isAbility = ['str', 'dex', 'con', 'int', 'wis', 'cha'].includes(key);
+            stats[isAbility ? `${key}Score` : key] = value;
+        }
+
+        return stats;
     }
 };
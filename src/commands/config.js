@@ -0,0 +1,191 @@
+/**
+ * /config command for Casandalee
+ * Server settings (admin only): the channels for the daily history post,
+ * random memories and timeline announcements, and the timezone and times the
+ * scheduled posts run at. Changes take effect straight away.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, ChannelType } = require('discord.js');
+const guildSettings = require('../utils/guildSettings');
+const { CHANNEL_FEATURES } = require('../utils/guildSettings');
+const logger = require('../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('config')
+        .setDescription('Server settings: announcement channels, timezone and post times')
+        .addSubcommand(sub =>
+            sub.setName('show')
+                .setDescription('Show this server\'s settings')
+        )
+        .addSubcommand(sub =>
+            sub.setName('channel')
+                .setDescription('Admin: choose where a feature posts (leave the channel out to turn it off)')
+                .addStringOption(option =>
+                    option.setName('feature')
+                        .setDescription('What gets posted')
+                        .setRequired(true)
+                        .addChoices(
+                            ...Object.entries(CHANNEL_FEATURES).map(([value, { label }]) => ({ name: label, value }))
+                        )
+                )
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel to post in')
+                        .setRequired(false)
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('timezone')
+                .setDescription('Admin: the timezone post times are in')
+                .addStringOption(option =>
+                    option.setName('zone')
+                        .setDescription('e.g. America/Chicago, Europe/London')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('times')
+                .setDescription('Admin: when the daily history and random memories post (24-hour HH:MM)')
+                .addStringOption(option =>
+                    option.setName('daily-history')
+                        .setDescription('Daily history post, e.g. 07:30')
+                        .setRequired(false)
+                )
+                .addStringOption(option =>
+                    option.setName('memories-from')
+                        .setDescription('Random memories start, e.g. 06:00')
+                        .setRequired(false)
+                )
+                .addStringOption(option =>
+                    option.setName('memories-until')
+                        .setDescription('Random memories end, e.g. 18:00')
+                        .setRequired(false)
+                )
+        ),
+
+    /**
+     * Handle autocomplete for the timezone
+     * @param {Object} interaction - Discord autocomplete interaction
+     */
+    async autocomplete(interaction) {
+        const focusedValue = interaction.options.getFocused().toLowerCase();
+
+        await interaction.respond(
+            Intl.supportedValuesOf('timeZone')
+                .filter(zone => zone.toLowerCase().includes(focusedValue))
+                .slice(0, 25)
+                .map(zone => ({ name: zone, value: zone }))
+        );
+    },
+
+    /**
+     * Execute the /config command
+     * @param {Object} interaction - Discord command interaction
+     */
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        logger.info('Config command executed', {
+            subcommand,
+            userId: interaction.user.id,
+            username: interaction.user.username,
+            guildId: interaction.guildId
+        });
+
+        const meta = {
+            updatedBy: interaction.user.username,
+            updatedById: interaction.user.id
+        };
+
+        try {
+            if (!interaction.guildId) {
+                throw new Error('Settings belong to a server — use /config there');
+            }
+            if (subcommand !== 'show' && !interaction.member.permissions.has('Administrator')) {
+                throw new Error('This command requires Administrator permissions.');
+            }
+
+            switch (subcommand) {
+                case 'show':
+                    await interaction.reply({ embeds: [this.buildShow(interaction.guildId)], ephemeral: true });
+                    return;
+                case 'channel': {
+                    const feature = interaction.options.getString('feature');
+                    const channel = interaction.options.getChannel('channel');
+                    const { key, label } = CHANNEL_FEATURES[feature];
+                    guildSettings.update(interaction.guildId, { [key]: channel ? channel.id : null }, meta);
+                    await interaction.reply({
+                        content: channel ? `✅ ${label} will post in <#${channel.id}>.` : `✅ ${label} turned off.`,
+                        ephemeral: true
+                    });
+                    return;
+                }
+                case 'timezone': {
+                    const settings = guildSettings.update(interaction.guildId, { timezone: interaction.options.getString('zone') }, meta);
+                    const localTime = guildSettings.localDate(settings.timezone)
+                        .toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+                    await interaction.reply({ content: `✅ Timezone set to **${settings.timezone}** (it's ${localTime} there).`, ephemeral: true });
+                    return;
+                }
+                case 'times': {
+                    const changes = {};
+                    const dailyHistoryTime = interaction.options.getString('daily-history');
+                    const memoryStart = interaction.options.getString('memories-from');
+                    const memoryEnd = interaction.options.getString('memories-until');
+                    if (dailyHistoryTime) changes.dailyHistoryTime = dailyHistoryTime;
+                    if (memoryStart) changes.memoryStart = memoryStart;
+                    if (memoryEnd) changes.memoryEnd = memoryEnd;
+                    if (Object.keys(changes).length === 0) {
+                        throw new Error('Give at least one time to change');
+                    }
+
+                    const settings = guildSettings.update(interaction.guildId, changes, meta);
+                    await interaction.reply({
+                        content: `✅ Daily history posts at **${settings.dailyHistoryTime}**; random memories post between **${settings.memoryStart}** and **${settings.memoryEnd}** (${settings.timezone}).`,
+                        ephemeral: true
+                    });
+                    return;
+                }
+            }
+        } catch (error) {
+            logger.error('Error in config command:', error);
+            const message = { content: `❌ ${error.message}`, ephemeral: true };
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(message);
+            } else {
+                await interaction.reply(message);
+            }
+        }
+    },
+
+    /**
+     * /config show — every setting for a server
+     * @param {string} guildId - Discord guild id
+     * @returns {EmbedBuilder} - Settings embed
+     */
+    buildShow(guildId) {
+        const settings = guildSettings.get(guildId);
+
+        const embed = new EmbedBuilder()
+            .setColor(0x4B0082)
+            .setTitle('⚙️ Server Settings')
+            .addFields(
+                ...Object.values(CHANNEL_FEATURES).map(({ key, label }) => ({
+                    name: label,
+                    value: settings[key] ? `<#${settings[key]}>` : 'Off',
+                    inline: true
+                })),
+                { name: 'Timezone', value: settings.timezone, inline: true },
+                { name: 'Daily History Time', value: settings.dailyHistoryTime, inline: true },
+                { name: 'Memory Window', value: `${settings.memoryStart}–${settings.memoryEnd}`, inline: true }
+            )
+            .setTimestamp();
+
+        if (settings.updatedBy) {
+            embed.setFooter({ text: `Last changed by ${settings.updatedBy}` });
+        }
+        return embed;
+    }
+};
@@ -3,6 +3,9 @@
  */
 
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const calendar = require('../utils/golarionCalendar');
+const timelineRepository = require('../utils/timelineRepository');
+const guildSettings = require('../utils/guildSettings');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -21,7 +24,7 @@ module.exports = {
         .addSubcommand(subcommand =>
             subcommand
                 .setName('trigger')
-                .setDescription('Manually trigger daily history post to General channel (admin only)')
+                .setDescription('Manually trigger the daily history post to this server\'s daily history channel (admin only)')
         ),
     
     async execute(interaction) {
@@ -47,16 +50,22 @@ module.exports = {
                     return;
                 }
                 
+                if (!guildSettings.getChannel(interaction.guildId, 'daily-history')) {
+                    await interaction.editReply('❌ No daily history channel is set for this server. Choose one with `/config channel`.');
+                    return;
+                }
+                
                 // Test the daily history feature
-                await dailyHistoryScheduler.testDailyHistory();
-                await interaction.editReply('✅ Daily history test completed! Check the General channel.');
+                const posted = await dailyHistoryScheduler.testDailyHistory(interaction.guildId);
+                await interaction.editReply(posted.length
+                    ? `✅ Daily history test completed! Check <#${posted[0]}>.`
+                    : '✅ Daily history test completed — nothing was posted (no events today, or the channel couldn\'t be reached).');
                 
             } else if (subcommand === 'today') {
                 await interaction.deferReply();
                 
                 // Get today's events directly
-                const timelineSearch = require('../utils/timelineSearch');
-                const todayEvents = await getTodaysEvents(timelineSearch);
+                const todayEvents = await getTodaysEvents();
                 
                 if (todayEvents.length === 0) {
                     await interaction.editReply('📅 No historical events found for today.');
@@ -67,7 +76,7 @@ module.exports = {
                 const embed = new EmbedBuilder()
                     .setColor(0x8B4513)
                     .setTitle('📜 Today in Golarion History')
-                    .setDescription(`Historical events that occurred on ${new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric' })}`)
+                    .setDescription(`Historical events that occurred on ${calendar.format(calendar.fromEarthDate(), { year: false })} (${new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric' })})`)
                     .setTimestamp()
                     .setFooter({ text: 'Casandalee Historical Archive' });
                 
@@ -75,8 +84,7 @@ module.exports = {
                 const maxEvents = Math.min(todayEvents.length, 10);
                 for (let i = 0; i < maxEvents; i++) {
                     const event = todayEvents[i];
-                    const parsedDate = parseEventDate(event.date);
-                    const year = parsedDate ? parsedDate.year : 'Unknown';
+                    const year = event.year !== null ? `${event.year} AR` : 'Unknown';
                     
                     embed.addFields({
                         name: `${year} - ${event.location}`,
@@ -114,9 +122,16 @@ module.exports = {
                     return;
                 }
                 
+                if (!guildSettings.getChannel(interaction.guildId, 'daily-history')) {
+                    await interaction.editReply('❌ No daily history channel is set for this server. Choose one with `/config channel`.');
+                    return;
+                }
+                
                 // Trigger the daily history post
-                await dailyHistoryScheduler.postDailyHistory();
-                await interaction.editReply('✅ Daily history post triggered! Check the General channel.');
+                const posted = await dailyHistoryScheduler.postDailyHistory(interaction.guildId);
+                await interaction.editReply(posted.length
+                    ? `✅ Daily history post triggered! Check <#${posted[0]}>.`
+                    : '✅ Daily history post triggered — nothing was posted (no events today, or the channel couldn\'t be reached).');
             }
             
         } catch (error) {
@@ -135,46 +150,9 @@ module.exports = {
 /**
  * Get today's historical events
  */
-async function getTodaysEvents(timelineSearch) {
-    const today = new Date();
-    const month = today.getMonth() + 1;
-    const day = today.getDate();
-    
-    const allEvents = timelineSearch.timeline || [];
-    const todaysEvents = allEvents.filter(event => {
-        if (!event.date) return false;
-        
-        const eventDate = parseEventDate(event.date);
-        if (!eventDate) return false;
-        
-        return eventDate.month === month && eventDate.day === day;
-    });
-    
-    // Sort by year (most recent first)
-    todaysEvents.sort((a, b) => {
-        const yearA = parseEventDate(a.date)?.year || 0;
-        const yearB = parseEventDate(b.date)?.year || 0;
-        return yearB - yearA;
-    });
+async function getTodaysEvents() {
+    const { month, day } = calendar.fromEarthDate();
     
-    return todaysEvents;
-}
-
-/**
- * Parse event date to extract year, month, day
- */
-function parseEventDate(dateString) {
-    try {
-        const parts = dateString.split('.');
-        if (parts.length >= 2) {
-            const year = parseInt(parts[0]);
-            const month = parseInt(parts[1]);
-            const day = parts[2] ? parseInt(parts[2]) : 1;
-            
-            return { year, month, day };
-        }
-        return null;
-    } catch (error) {
-        return null;
-    }
+    // Most recent year first
+    return timelineRepository.getEventsOn(month, day);
 }
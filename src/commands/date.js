@@ -1,38 +1,419 @@
-const { SlashCommandBuilder } = require('discord.js');
+/**
+ * /date command for Casandalee
+ * The campaign clock: show the in-game date, and (GM) set it, advance it,
+ * and put effects and hooks on it. Hooks are GM notes and are only shown to
+ * the GM, including when they fire.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const campaignContext = require('../utils/campaignContext');
+const campaignClock = require('../utils/campaignClock');
+const calendar = require('../utils/golarionCalendar');
+const dossierManager = require('../utils/dossierManager');
+const nameResolver = require('../utils/nameResolver');
+const privateRolls = require('../utils/privateRolls');
 const logger = require('../utils/logger');
 
+/**
+ * Add the amount/unit pair used for lengths of time
+ * @param {Object} sub - Subcommand builder
+ * @param {boolean} required - Whether the amount is required
+ * @returns {Object} - Configured subcommand
+ */
+const durationOptions = (sub, required) => sub
+    .addIntegerOption(option =>
+        option.setName('amount')
+            .setDescription('How many days or hours')
+            .setRequired(required)
+            .setMinValue(1)
+            .setMaxValue(3650)
+    )
+    .addStringOption(option =>
+        option.setName('unit')
+            .setDescription('Days or hours (default: days)')
+            .setRequired(false)
+            .addChoices(
+                { name: 'days', value: 'days' },
+                { name: 'hours', value: 'hours' }
+            )
+    );
+
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('date')
-        .setDescription('Get the current campaign date'),
+        .setDescription('The campaign clock: current in-game date, time jumps, effects and hooks')
+        .addSubcommand(sub =>
+            sub.setName('show')
+                .setDescription('Get the current campaign date')
+        )
+        .addSubcommand(sub =>
+            sub.setName('set')
+                .setDescription('GM: set the campaign date')
+                .addStringOption(option =>
+                    option.setName('date')
+                        .setDescription('e.g. "15 Gozran 4717" or 4717.04.15')
+                        .setRequired(true)
+                )
+                .addIntegerOption(option =>
+                    option.setName('hour')
+                        .setDescription('Hour of the day, 0-23 (default: keep the current hour)')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(23)
+                )
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Why (shown in /date history)')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(sub =>
+            durationOptions(sub.setName('advance').setDescription('GM: let time pass (e.g. the party rests 3 days)'), true)
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Why (shown in /date history)')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('history')
+                .setDescription('Recent time jumps')
+        )
+        .addSubcommand(sub =>
+            durationOptions(
+                sub.setName('effect')
+                    .setDescription('GM: add an effect that expires after a while (a curse, a disease, a long buff)')
+                    .addStringOption(option =>
+                        option.setName('text')
+                            .setDescription('What it is, e.g. "cursed with lycanthropy"')
+                            .setRequired(true)
+                    ),
+                true
+            )
+                .addStringOption(option =>
+                    option.setName('character')
+                        .setDescription('Who it affects')
+                        .setRequired(false)
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand(sub =>
+            durationOptions(
+                sub.setName('hook')
+                    .setDescription('GM: a private reminder that fires at a date, or after a while')
+                    .addStringOption(option =>
+                        option.setName('text')
+                            .setDescription('What happens, e.g. "the caravan reaches Absalom"')
+                            .setRequired(true)
+                    )
+                    .addStringOption(option =>
+                        option.setName('date')
+                            .setDescription('When, e.g. "15 Gozran 4717" (or use amount and unit)')
+                            .setRequired(false)
+                    ),
+                false
+            )
+                .addIntegerOption(option =>
+                    option.setName('hour')
+                        .setDescription('Hour of the day for a date, 0-23 (default: current hour)')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(23)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('timers')
+                .setDescription('Effects running on the clock (and, for the GM, pending hooks)')
+        )
+        .addSubcommand(sub =>
+            sub.setName('cancel')
+                .setDescription('GM: cancel an effect or hook')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('Timer number from /date timers')
+                        .setRequired(true)
+                        .setMinValue(1)
+                )
+        ),
+
+    /**
+     * Handle autocomplete for character name
+     * @param {Object} interaction - Discord autocomplete interaction
+     */
+    async autocomplete(interaction) {
+        const focusedValue = interaction.options.getFocused();
+        const matches = nameResolver.search(focusedValue, 25);
+        const allNames = [...new Set([...matches, ...dossierManager.getAllNames()])];
+
+        await interaction.respond(
+            allNames
+                .filter(name => name.toLowerCase().includes(focusedValue.toLowerCase()))
+                .slice(0, 25)
+                .map(name => ({ name, value: name }))
+        );
+    },
+
+    /**
+     * Execute the /date command
+     * @param {Object} interaction - Discord command interaction
+     */
     async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
         logger.info('Date command executed', {
+            subcommand,
             userId: interaction.user.id,
             username: interaction.user.username,
             guildId: interaction.guildId,
             channelId: interaction.channelId
         });
 
+        const meta = {
+            updatedBy: interaction.user.username,
+            updatedById: interaction.user.id,
+            reason: interaction.options.getString('reason')
+        };
+        const isGM = privateRolls.isGameMaster(interaction.member);
+
         try {
-            const currentDate = campaignContext.getCurrentDate();
-            
-            let response = `📅 **Current Campaign Date**\n\n`;
-            response += `**Date:** ${currentDate.month} ${currentDate.year} AR (Absalom Reckoning)\n`;
-            response += `**Source:** ${currentDate.source === 'timeline' ? 'Timeline (most recent event)' : 'Environment variables'}\n`;
-            
-            if (currentDate.source === 'timeline' && currentDate.lastEvent) {
-                response += `**Based on:** "${currentDate.lastEvent.description}"\n`;
-                response += `**Event Date:** ${currentDate.lastEvent.date} (${currentDate.lastEvent.location})\n`;
+            if (['set', 'advance', 'effect', 'hook', 'cancel'].includes(subcommand) && !isGM) {
+                throw new Error('Only a GM can change the campaign clock');
             }
-            
-            response += `\n*The current date is automatically updated based on the most recent event in the campaign timeline.*`;
 
-            await interaction.reply(response);
-            
+            switch (subcommand) {
+                case 'show':
+                    await interaction.reply(this.buildShow());
+                    return;
+                case 'set': {
+                    const input = interaction.options.getString('date');
+                    const date = calendar.parse(input);
+                    if (!date) {
+                        throw new Error(`I can't read "${input}" as a date — try "15 Gozran 4717" or 4717.04.15`);
+                    }
+                    const result = campaignClock.set(date, interaction.options.getInteger('hour'), meta);
+                    await this.replyWithJump(interaction, '📅 Date Set', result, meta.reason);
+                    return;
+                }
+                case 'advance': {
+                    const amount = interaction.options.getInteger('amount');
+                    const unit = interaction.options.getString('unit') || 'days';
+                    const result = campaignClock.advance({ [unit]: amount }, meta);
+                    await this.replyWithJump(interaction, `⏳ Time passes: ${campaignClock.formatDuration(result.hours)}`, result, meta.reason);
+                    return;
+                }
+                case 'history':
+                    await interaction.reply({ embeds: [this.buildHistory()] });
+                    return;
+                case 'effect': {
+                    const input = interaction.options.getString('character');
+                    const character = input ? nameResolver.resolve(input) || input.trim() : null;
+                    const timer = campaignClock.addEffect(
+                        interaction.options.getString('text'),
+                        this.hours(interaction),
+                        character,
+                        meta
+                    );
+                    await interaction.reply(`✨ **#${timer.id}** ${character ? `**${character}**: ` : ''}${timer.text} — until ${this.formatDue(timer)}.`);
+                    return;
+                }
+                case 'hook': {
+                    const timer = campaignClock.addTimer({
+                        kind: 'hook',
+                        text: interaction.options.getString('text'),
+                        due: this.hookDue(interaction)
+                    }, meta);
+                    await interaction.reply({ content: `🪝 Hook **#${timer.id}** set for ${this.formatDue(timer)}: ${timer.text}`, ephemeral: true });
+                    return;
+                }
+                case 'timers':
+                    await interaction.reply({ embeds: [this.buildTimers(isGM)], ephemeral: isGM });
+                    return;
+                case 'cancel': {
+                    const timer = campaignClock.cancelTimer(interaction.options.getInteger('id'));
+                    if (!timer) {
+                        throw new Error(`There's no pending effect or hook #${interaction.options.getInteger('id')}`);
+                    }
+                    await interaction.reply({ content: `🗑️ Cancelled ${timer.kind} **#${timer.id}**: ${timer.text}`, ephemeral: timer.kind === 'hook' });
+                    return;
+                }
+            }
         } catch (error) {
             logger.error('Error in date command:', error);
-            await interaction.reply('❌ Error retrieving current date. Please try again later.');
+            const message = { content: `❌ ${error.message}`, ephemeral: true };
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(message);
+            } else {
+                await interaction.reply(message);
+            }
+        }
+    },
+
+    /**
+     * /date show — current date, where it comes from, and what's running on the clock
+     * @returns {string} - Reply text
+     */
+    buildShow() {
+        const currentDate = campaignContext.getCurrentDate();
+
+        let response = `📅 **Current Campaign Date**\n\n`;
+        response += `**Date:** ${currentDate.formatted}${currentDate.time ? `, ${currentDate.time}` : ''} (Absalom Reckoning)\n`;
+        response += `**Other Reckonings:** ${calendar.formatYears(currentDate.date)}\n`;
+
+        if (currentDate.source === 'clock') {
+            response += `**Source:** Campaign clock${currentDate.updatedBy ? ` (last changed by ${currentDate.updatedBy})` : ''}\n`;
+        } else {
+            response += `**Source:** ${currentDate.source === 'timeline' ? 'Timeline (most recent event)' : 'Environment variables'}\n`;
+        }
+
+        if (currentDate.source === 'timeline' && currentDate.lastEvent) {
+            response += `**Based on:** "${currentDate.lastEvent.description}"\n`;
+            response += `**Event Date:** ${calendar.formatEventDate(currentDate.lastEvent.date)} (${currentDate.lastEvent.location})\n`;
+        }
+
+        const effects = campaignClock.getTimers('effect');
+        if (effects.length > 0) {
+            response += `**Active Effects:** ${effects.length} — see \`/date timers\`\n`;
+        }
+
+        response += currentDate.source === 'clock'
+            ? `\n*The GM moves the clock with \`/date advance\` and \`/date set\`.*`
+            : `\n*Until a GM sets the clock with \`/date set\`, the date follows the most recent event in the campaign timeline.*`;
+
+        return response;
+    },
+
+    /**
+     * Announce a time jump; expired effects go to the channel, fired hooks only to the GM
+     * @param {Object} interaction - Discord command interaction
+     * @param {string} title - Embed title
+     * @param {Object} result - From campaignClock.set() or advance()
+     * @param {string|null} reason - Why time moved
+     */
+    async replyWithJump(interaction, title, result, reason) {
+        const { from, to, fired, notes } = result;
+        const effects = fired.filter(timer => timer.kind === 'effect');
+        const hooks = fired.filter(timer => timer.kind === 'hook');
+
+        const embed = new EmbedBuilder()
+            .setTitle(title)
+            .setColor(0x8B4513)
+            .setDescription(`${campaignClock.format(from)}\n→ **${campaignClock.format(to)}**${reason ? `\n\n*${reason}*` : ''}`)
+            .setFooter({ text: `Changed by ${interaction.user.username}` })
+            .setTimestamp();
+
+        if (effects.length > 0) {
+            embed.addFields({
+                name: '⌛ Effects Ended',
+                value: effects.map(e => `${e.character ? `**${e.character}**: ` : ''}${e.text}`).join('\n').substring(0, 1024),
+                inline: false
+            });
+        }
+        if (notes.length > 0) {
+            embed.addFields({ name: '⚔️ Conditions Ended', value: notes.join('\n').substring(0, 1024), inline: false });
+        }
+        if (result.hours < 0) {
+            embed.addFields({ name: 'Time Went Back', value: 'Effects and hooks don\'t fire when the clock is set backwards.', inline: false });
+        }
+
+        await interaction.reply({ embeds: [embed] });
+
+        if (hooks.length > 0) {
+            await interaction.followUp({
+                content: `🪝 **Hooks due:**\n${hooks.map(h => `• **#${h.id}** (${this.formatDue(h)}) ${h.text}`).join('\n')}`.substring(0, 2000),
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * /date history — recent time jumps
+     * @returns {EmbedBuilder} - Embed
+     */
+    buildHistory() {
+        const log = campaignClock.getLog(10);
+        const embed = new EmbedBuilder()
+            .setTitle('📜 Campaign Clock History')
+            .setColor(0x8B4513);
+
+        if (log.length === 0) {
+            return embed.setDescription('The clock hasn\'t moved yet. A GM can start it with `/date set` or `/date advance`.');
+        }
+
+        for (const entry of log) {
+            const jump = entry.kind === 'advance'
+                ? `+${campaignClock.formatDuration(entry.hours)}`
+                : `set (${entry.hours >= 0 ? '+' : ''}${campaignClock.formatDuration(entry.hours)})`;
+            embed.addFields({
+                name: `#${entry.id} ${jump} → ${campaignClock.format(entry.to)}`,
+                value: `${entry.reason || '*no reason given*'} — ${entry.updatedBy || 'unknown'}, <t:${Math.floor(new Date(entry.timestamp).getTime() / 1000)}:R>`,
+                inline: false
+            });
+        }
+        return embed;
+    },
+
+    /**
+     * /date timers — effects for everyone, hooks too for the GM
+     * @param {boolean} isGM - Whether to include hooks
+     * @returns {EmbedBuilder} - Embed
+     */
+    buildTimers(isGM) {
+        const timers = campaignClock.getTimers().filter(timer => isGM || timer.kind === 'effect');
+        const embed = new EmbedBuilder()
+            .setTitle('⏳ On the Clock')
+            .setColor(0x8B4513)
+            .setFooter({ text: `Now: ${campaignClock.format()}` });
+
+        if (timers.length === 0) {
+            return embed.setDescription(`Nothing is running.${isGM ? ' Add effects with `/date effect` and hooks with `/date hook`.' : ''}`);
         }
+
+        return embed.setDescription(timers.map(timer => {
+            const icon = timer.kind === 'hook' ? '🪝' : '✨';
+            const who = timer.character ? `**${timer.character}**: ` : '';
+            return `${icon} **#${timer.id}** ${who}${timer.text} — ${this.formatDue(timer)} (in ${campaignClock.formatDuration(campaignClock.hoursLeft(timer))})`;
+        }).join('\n').substring(0, 4096));
+    },
+
+    /**
+     * Hours from the amount and unit options
+     * @param {Object} interaction - Discord command interaction
+     * @returns {number} - Hours
+     */
+    hours(interaction) {
+        const amount = interaction.options.getInteger('amount');
+        return (interaction.options.getString('unit') || 'days') === 'hours' ? amount : amount * 24;
+    },
+
+    /**
+     * When a hook fires: its date option, or amount/unit from now
+     * @param {Object} interaction - Discord command interaction
+     * @returns {{date: Object, hour: number}} - Moment
+     */
+    hookDue(interaction) {
+        const input = interaction.options.getString('date');
+        if (input) {
+            const date = calendar.parse(input);
+            if (!date) {
+                throw new Error(`I can't read "${input}" as a date — try "15 Gozran 4717" or 4717.04.15`);
+            }
+            const hour = interaction.options.getInteger('hour');
+            return {
+                date: { year: date.year, month: date.month || 1, day: date.day || 1 },
+                hour: hour ?? campaignClock.now().hour
+            };
+        }
+        if (!interaction.options.getInteger('amount')) {
+            throw new Error('Give the hook a date, or an amount of time from now');
+        }
+        return campaignClock.fromNow(this.hours(interaction));
+    },
+
+    /**
+     * When a timer is due
+     * @param {Object} timer - Timer
+     * @returns {string} - e.g. "Starday, 4 Desnus 4717 AR, 08:00"
+     */
+    formatDue(timer) {
+        return campaignClock.format(timer.due);
     }
 };
@@ -12,19 +12,39 @@ module.exports = {
     
     async execute(interaction) {
         const helpText = `**Available Commands:**
-• \`/roll <notation>\` - Roll dice using D&D notation
-• \`/reincarnate standard [character]\` - Roll on the standard reincarnation table (1d43)
+• \`/roll dice <notation>\` - Roll dice using D&D notation
+• \`/roll attack <bonus> [bab] [damage] [threat]\` - PF1 attack/full attack with crit confirmation
+• \`/roll dice <notation> preview:True\` - Show odds and expected value without rolling
+• \`/roll dice <notation> mode:GM roll|Blind roll\` - Private rolls: only you and the GM, or only the GM
+• \`/roll verify <id>\` - Replay a logged roll from its seed to check it
+• \`/rollstats [character]\` - d20 distribution, nat 20s/1s and luck report (log rolls with \`character:\`)
+• \`/init start|add-pc|add-monster|next|condition|end\` - Initiative tracker with rounds, conditions and a pinned live embed
+• \`/macro save|run|list|delete\` - Save named rolls (personal or per character) with @str/@bab variables
+• \`/table roll|list|reset|import\` - Roll on Foundry roll tables or import your own
+• \`/reincarnate standard [character] [bonus]\` - Roll on the standard reincarnation table (1d43); confirm to rebuild the character's scores
 • \`/reincarnate aquatic [character]\` - Roll on the aquatic reincarnation table (1d100, Shackles)
-• \`/ancestry [race]\` - View racial traits for available ancestries
-• \`/character <name>\` - View a character's dossier (race, class, notes, roll history)
+• \`/ancestry view [race]\` - View racial traits for available ancestries
+• \`/ancestry compare race1 race2 [character]\` - Compare races side by side, with the net change for a character
+• \`/iam [character]\` - Link yourself to a character (or switch to another of yours); with no name, list yours
+• \`/link @user <character>\` - GM: link a player to a character, or \`unlink:True\` to remove it
+• \`/character view [name]\` - View a character's dossier (race, class, notes, roll history)
+• \`/character history [name]\` - See who changed what on a dossier
+• \`/character revert <change> [name]\` - Undo a change (its author or a GM)
 • \`/characterupdate <name> <info>\` - Add info to a character's dossier
-• \`/charactersheet <name> [image]\` - Upload a character sheet screenshot to auto-import stats
+• \`/charactersheet <name> <sheet> [page2-4]\` - Upload character sheet screenshots or a PDF to auto-import stats
+• \`/characterimport <file> [name]\` - Import a Foundry PF1 actor export (.json) into a dossier
 • \`/campaign [type]\` - Get campaign information and world state
 • \`/timeline [search]\` - Search the campaign timeline for events
+• \`/date show\` - Current in-game date; \`/date timers\` for running effects
+• \`/date set <date>\`, \`/date advance <amount> [unit]\` - GM: move the campaign clock
+• \`/date effect\`, \`/date hook\` - GM: effects that expire and private reminders that fire as time passes
+• \`/config show\` - This server's announcement channels and post times; \`/config channel|timezone|times\` - Admin: change them
 • \`/memory\` - Have Cass share a random memory or thought (from one of her 72 lives)
 • \`/persona\` - See which personality (past life or goddess form) she is right now
 • \`/help\` - Show this help message
 
+Commands that take a character use your \`/iam\` character when you leave the name out.
+
 **Features:**
 • Dice rolling with advantage/disadvantage
 • Multiple reincarnation tables (standard & aquatic/Shackles)
@@ -39,8 +59,8 @@ module.exports = {
 **Examples:**
 • "/reincarnate standard Bob" - Roll standard reincarnation for Bob
 • "/reincarnate aquatic Noknek" - Roll aquatic reincarnation
-• "/ancestry Human" - View Human racial traits
-• "/character Tokala" - View Tokala's dossier
+• "/ancestry view Human" - View Human racial traits
+• "/character view Tokala" - View Tokala's dossier
 • "/characterupdate Tokala is 6'10 tall" - Update a dossier
 • "What happened in Kintargo?" - Search the timeline
 
@@ -0,0 +1,130 @@
+/**
+ * /iam command for Casandalee
+ * Tell Cass which character you play. Linked characters are what /roll,
+ * /reincarnate, /character and mentions use when you don't name one; link
+ * several and /iam switches between them.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const playerLinks = require('../utils/playerLinks');
+const dossierManager = require('../utils/dossierManager');
+const nameResolver = require('../utils/nameResolver');
+const logger = require('../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('iam')
+        .setDescription('Link yourself to a character, switch characters, or see who you play')
+        .addStringOption(option =>
+            option.setName('character')
+                .setDescription('Character you play (leave empty to list yours)')
+                .setRequired(false)
+                .setAutocomplete(true)
+        )
+        .addBooleanOption(option =>
+            option.setName('unlink')
+                .setDescription('Stop playing this character instead')
+                .setRequired(false)
+        ),
+
+    /**
+     * Handle autocomplete for character name (your own characters first)
+     * @param {Object} interaction - Discord autocomplete interaction
+     */
+    async autocomplete(interaction) {
+        const focusedValue = interaction.options.getFocused();
+        const { characters } = playerLinks.getCharacters(interaction.user.id);
+        const matches = nameResolver.search(focusedValue, 25);
+        const allNames = [...new Set([...characters, ...matches, ...dossierManager.getAllNames()])];
+
+        await interaction.respond(
+            allNames
+                .filter(name => name.toLowerCase().includes(focusedValue.toLowerCase()))
+                .slice(0, 25)
+                .map(name => ({ name, value: name }))
+        );
+    },
+
+    /**
+     * Execute the /iam command
+     * @param {Object} interaction - Discord command interaction
+     */
+    async execute(interaction) {
+        const name = interaction.options.getString('character');
+        const unlink = interaction.options.getBoolean('unlink') || false;
+        logger.info('Iam command executed', { name, unlink, userId: interaction.user.id, username: interaction.user.username });
+
+        const meta = { updatedBy: interaction.user.username, updatedById: interaction.user.id };
+
+        try {
+            if (!name) {
+                await interaction.reply({ embeds: [this.buildCharacterList(interaction.user)], ephemeral: true });
+                return;
+            }
+
+            if (unlink) {
+                const canonical = playerLinks.unlink(interaction.user.id, name, meta);
+                if (!canonical) {
+                    throw new Error(`You aren't linked to "${name}"`);
+                }
+                dossierManager.flush();
+                const active = playerLinks.getActive(interaction.user.id);
+                await interaction.reply({
+                    content: `You no longer play **${canonical}**.${active ? ` Your active character is now **${active}**.` : ''}`,
+                    ephemeral: true
+                });
+                return;
+            }
+
+            const canonical = nameResolver.resolve(name) || name.trim();
+            const owner = playerLinks.getOwner(canonical);
+            if (owner && owner.userId !== interaction.user.id) {
+                throw new Error(`${canonical} is linked to ${owner.username}. A GM can move it with /link.`);
+            }
+
+            const { created } = playerLinks.link(interaction.user, canonical, meta);
+            dossierManager.flush();
+
+            const { characters } = playerLinks.getCharacters(interaction.user.id);
+            const others = characters.filter(character => character !== canonical);
+            const embed = new EmbedBuilder()
+                .setTitle(`You are playing ${canonical}`)
+                .setColor(0x7B68EE)
+                .setDescription(`/roll, /reincarnate, /character and mentions will use **${canonical}** when you don't name a character.`)
+                .setFooter({ text: created ? 'New dossier — fill it in with /characterupdate or /charactersheet' : `Linked by ${interaction.user.username}` })
+                .setTimestamp();
+            if (others.length > 0) {
+                embed.addFields({ name: 'Your Other Characters', value: others.join(', ').substring(0, 1024), inline: false });
+            }
+
+            await interaction.reply({ embeds: [embed] });
+        } catch (error) {
+            logger.error('Error in iam command:', error);
+            const message = { content: `❌ ${error.message}`, ephemeral: true };
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(message);
+            } else {
+                await interaction.reply(message);
+            }
+        }
+    },
+
+    /**
+     * List of a user's characters
+     * @param {Object} user - Discord user
+     * @returns {EmbedBuilder} - Embed
+     */
+    buildCharacterList(user) {
+        const { characters, active } = playerLinks.getCharacters(user.id);
+        const embed = new EmbedBuilder()
+            .setTitle(`${user.username}'s Characters`)
+            .setColor(0x7B68EE);
+
+        if (characters.length === 0) {
+            return embed.setDescription('You aren\'t linked to a character yet. Use `/iam <character>`.');
+        }
+        return embed
+            .setDescription(characters.map(name => name === active ? `**${name}** ← active` : name).join('\n'))
+            .setFooter({ text: '/iam <character> switches your active character' });
+    }
+};
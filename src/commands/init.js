@@ -0,0 +1,441 @@
+/**
+ * /init command for Casandalee
+ * Initiative tracker: add PCs (initiative bonus from their dossier) and monsters,
+ * roll or set initiative, advance turns and rounds, and track timed conditions.
+ * The channel gets a pinned tracker embed that updates after every change.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const initiativeTracker = require('../utils/initiativeTracker');
+const dossierManager = require('../utils/dossierManager');
+const nameResolver = require('../utils/nameResolver');
+const logger = require('../utils/logger');
+
+/**
+ * Add the "name" option that picks a combatant in this channel's encounter
+ * @param {Object} option - Option builder
+ * @param {boolean} required - Whether the option is required
+ * @returns {Object} - Configured option
+ */
+const combatantOption = (option, required = true) =>
+    option.setName('name')
+        .setDescription('Combatant')
+        .setRequired(required)
+        .setAutocomplete(true);
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('init')
+        .setDescription('Initiative tracker: turn order, rounds and conditions')
+        .addSubcommand(sub =>
+            sub.setName('start')
+                .setDescription('Start an encounter in this channel')
+                .addStringOption(option =>
+                    option.setName('title')
+                        .setDescription('Encounter name (e.g., Ambush at the Ford)')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('add-pc')
+                .setDescription('Add a PC, using the initiative bonus from their dossier')
+                .addStringOption(option =>
+                    option.setName('character')
+                        .setDescription('Character name (fuzzy matched)')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+                .addIntegerOption(option =>
+                    option.setName('bonus')
+                        .setDescription('Initiative bonus (overrides the dossier)')
+                        .setRequired(false)
+                )
+                .addIntegerOption(option =>
+                    option.setName('initiative')
+                        .setDescription('Initiative already rolled at the table')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('add-monster')
+                .setDescription('Add one or more monsters')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Monster name (numbered when adding several)')
+                        .setRequired(true)
+                )
+                .addIntegerOption(option =>
+                    option.setName('bonus')
+                        .setDescription('Initiative bonus')
+                        .setRequired(true)
+                )
+                .addIntegerOption(option =>
+                    option.setName('count')
+                        .setDescription('How many (default 1)')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(20)
+                )
+                .addIntegerOption(option =>
+                    option.setName('initiative')
+                        .setDescription('Set initiative instead of rolling')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('roll')
+                .setDescription('Roll initiative for everyone who hasn\'t (or re-roll one combatant)')
+                .addStringOption(option => combatantOption(option, false))
+        )
+        .addSubcommand(sub =>
+            sub.setName('set')
+                .setDescription('Set a combatant\'s initiative')
+                .addStringOption(option => combatantOption(option))
+                .addIntegerOption(option =>
+                    option.setName('value')
+                        .setDescription('Initiative result')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('next')
+                .setDescription('Advance to the next turn (starts round 1 the first time)')
+        )
+        .addSubcommand(sub =>
+            sub.setName('condition')
+                .setDescription('Apply a condition, optionally for a number of rounds')
+                .addStringOption(option => combatantOption(option))
+                .addStringOption(option =>
+                    option.setName('condition')
+                        .setDescription('Condition (e.g., shaken, prone, bless)')
+                        .setRequired(true)
+                )
+                .addIntegerOption(option =>
+                    option.setName('rounds')
+                        .setDescription('Duration in rounds (omit for until removed)')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(1000)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('clear')
+                .setDescription('Remove a condition early')
+                .addStringOption(option => combatantOption(option))
+                .addStringOption(option =>
+                    option.setName('condition')
+                        .setDescription('Condition to remove')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('remove')
+                .setDescription('Remove a combatant (dead, fled, ...)')
+                .addStringOption(option => combatantOption(option))
+        )
+        .addSubcommand(sub =>
+            sub.setName('show')
+                .setDescription('Re-post the tracker at the bottom of the channel')
+        )
+        .addSubcommand(sub =>
+            sub.setName('end')
+                .setDescription('End the encounter')
+        ),
+
+    // Pinning and editing the tracker message can be slow
+    timeout: 15000,
+
+    /**
+     * Autocomplete combatant and character names
+     * @param {Object} interaction - Discord autocomplete interaction
+     */
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused(true);
+        const value = focused.value.toLowerCase();
+
+        let choices;
+        if (focused.name === 'character') {
+            const matches = nameResolver.search(focused.value, 25);
+            choices = [...new Set([...matches, ...dossierManager.getAllNames()])];
+        } else {
+            choices = initiativeTracker.getCombatantNames(interaction.channelId);
+        }
+
+        await interaction.respond(
+            choices
+                .filter(choice => choice.toLowerCase().includes(value))
+                .slice(0, 25)
+                .map(choice => ({ name: choice, value: choice }))
+        );
+    },
+
+    /**
+     * Execute the /init command
+     * @param {Object} interaction - Discord command interaction
+     */
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const channelId = interaction.channelId;
+        logger.info('Init command executed', {
+            subcommand,
+            userId: interaction.user.id,
+            username: interaction.user.username,
+            channelId
+        });
+
+        try {
+            let reply;
+            switch (subcommand) {
+                case 'start': {
+                    const encounter = initiativeTracker.start(channelId, {
+                        guildId: interaction.guildId,
+                        name: interaction.options.getString('title'),
+                        startedBy: interaction.user.username
+                    });
+                    reply = `⚔️ **${encounter.name}** begins! Add combatants with \`/init add-pc\` and \`/init add-monster\`, then \`/init next\` to start round 1.`;
+                    break;
+                }
+                case 'add-pc':
+                    reply = this.addPc(interaction);
+                    break;
+                case 'add-monster': {
+                    const added = initiativeTracker.addCombatant(channelId, {
+                        name: interaction.options.getString('name'),
+                        bonus: interaction.options.getInteger('bonus'),
+                        count: interaction.options.getInteger('count') || 1,
+                        initiative: interaction.options.getInteger('initiative'),
+                        type: 'monster'
+                    });
+                    reply = `👹 Added ${added.map(c => `**${c.name}**`).join(', ')}.`;
+                    break;
+                }
+                case 'roll': {
+                    const rolled = initiativeTracker.rollInitiative(channelId, interaction.options.getString('name'));
+                    reply = rolled.length > 0
+                        ? `🎲 ${rolled.map(c => `**${c.name}** [${c.natural}] ${this.sign(c.bonus)} = **${c.initiative}**`).join(', ')}`
+                        : 'Everyone has already rolled initiative.';
+                    break;
+                }
+                case 'set': {
+                    const combatant = initiativeTracker.setInitiative(channelId, interaction.options.getString('name'), interaction.options.getInteger('value'));
+                    reply = `✏️ **${combatant.name}** is on initiative **${combatant.initiative}**.`;
+                    break;
+                }
+                case 'next':
+                    await this.executeNext(interaction);
+                    return;
+                case 'condition': {
+                    const rounds = interaction.options.getInteger('rounds');
+                    const { combatant, condition } = initiativeTracker.addCondition(
+                        channelId,
+                        interaction.options.getString('name'),
+                        interaction.options.getString('condition'),
+                        rounds
+                    );
+                    reply = `🌀 **${combatant.name}** is ${condition.name}${rounds ? ` for ${rounds} round${rounds === 1 ? '' : 's'}` : ''}.`;
+                    break;
+                }
+                case 'clear': {
+                    const condition = interaction.options.getString('condition');
+                    const combatant = initiativeTracker.removeCondition(channelId, interaction.options.getString('name'), condition);
+                    reply = `✨ **${combatant.name}** is no longer ${condition.toLowerCase()}.`;
+                    break;
+                }
+                case 'remove': {
+                    const combatant = initiativeTracker.removeCombatant(channelId, interaction.options.getString('name'));
+                    reply = `💀 **${combatant.name}** leaves the fight.`;
+                    break;
+                }
+                case 'show': {
+                    const encounter = initiativeTracker.getEncounter(channelId);
+                    if (!encounter) throw new Error('No encounter in this channel — start one with `/init start`');
+                    await interaction.reply({ content: '📌 Tracker re-posted.', ephemeral: true });
+                    await this.repostTracker(interaction.channel, encounter);
+                    return;
+                }
+                case 'end':
+                    await this.executeEnd(interaction);
+                    return;
+            }
+
+            await interaction.reply(reply);
+            await this.refreshTracker(interaction.channel, initiativeTracker.getEncounter(channelId));
+
+        } catch (error) {
+            logger.error('Error in init command:', error);
+            const message = { content: `❌ ${error.message}`, ephemeral: true };
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(message);
+            } else {
+                await interaction.reply(message);
+            }
+        }
+    },
+
+    /**
+     * /init add-pc — initiative bonus from the option, the dossier's init stat or Dex
+     * @param {Object} interaction - Discord command interaction
+     * @returns {string} - Reply text
+     */
+    addPc(interaction) {
+        const characterInput = interaction.options.getString('character');
+        const canonical = nameResolver.resolve(characterInput);
+        const bonusOption = interaction.options.getInteger('bonus');
+
+        let bonus = bonusOption;
+        let source = 'given';
+        if (bonus === null) {
+            const variables = canonical ? dossierManager.getRollVariables(canonical) : null;
+            if (variables && typeof variables.init === 'number') {
+                bonus = variables.init;
+                source = 'dossier';
+            } else if (variables && typeof variables.dex === 'number') {
+                bonus = variables.dex;
+                source = 'Dex';
+            } else {
+                bonus = 0;
+                source = 'none recorded';
+            }
+        }
+
+        const [combatant] = initiativeTracker.addCombatant(interaction.channelId, {
+            name: canonical || characterInput,
+            bonus,
+            initiative: interaction.options.getInteger('initiative'),
+            type: 'pc',
+            character: canonical
+        });
+
+        return `🛡️ Added **${combatant.name}** (init ${this.sign(bonus)}${source === 'given' ? '' : `, ${source}`}).`;
+    },
+
+    /**
+     * /init next — advance the turn and announce who's up and what expired
+     * @param {Object} interaction - Discord command interaction
+     */
+    async executeNext(interaction) {
+        const { encounter, current, newRound, expired } = initiativeTracker.next(interaction.channelId);
+
+        const lines = [];
+        if (newRound) lines.push(`🔔 **Round ${encounter.round}**`);
+        lines.push(`▶️ **${current.name}**, it's your turn!${current.conditions.length > 0 ? ` *(${current.conditions.map(c => c.name).join(', ')})*` : ''}`);
+        for (const { combatant, condition } of expired) {
+            lines.push(`⌛ ${combatant.name} is no longer ${condition.name}.`);
+        }
+
+        await interaction.reply(lines.join('\n'));
+        await this.refreshTracker(interaction.channel, encounter);
+    },
+
+    /**
+     * /init end — unpin the tracker and show a final summary
+     * @param {Object} interaction - Discord command interaction
+     */
+    async executeEnd(interaction) {
+        const encounter = initiativeTracker.end(interaction.channelId);
+        await interaction.reply(`🏁 **${encounter.name}** ended after ${encounter.round} round${encounter.round === 1 ? '' : 's'}.`);
+
+        if (encounter.messageId && interaction.channel) {
+            try {
+                const message = await interaction.channel.messages.fetch(encounter.messageId);
+                await message.edit({ embeds: [this.buildTrackerEmbed(encounter, true)] });
+                await message.unpin();
+            } catch (error) {
+                logger.warn('Could not update tracker message on end', { error: error.message });
+            }
+        }
+    },
+
+    /**
+     * Edit the pinned tracker message, or post and pin one if it's missing
+     * @param {Object} channel - Discord text channel
+     * @param {Object|null} encounter - Encounter
+     */
+    async refreshTracker(channel, encounter) {
+        if (!encounter || !channel) return;
+        const embed = this.buildTrackerEmbed(encounter);
+
+        if (encounter.messageId) {
+            try {
+                const message = await channel.messages.fetch(encounter.messageId);
+                await message.edit({ embeds: [embed] });
+                return;
+            } catch (error) {
+                logger.warn('Tracker message missing, posting a new one', { error: error.message });
+            }
+        }
+
+        const message = await channel.send({ embeds: [embed] });
+        try {
+            await message.pin();
+        } catch (error) {
+            logger.warn('Could not pin tracker message (missing Manage Messages?)', { error: error.message });
+        }
+        initiativeTracker.setMessageId(channel.id, message.id);
+    },
+
+    /**
+     * Unpin the old tracker and post a fresh one
+     * @param {Object} channel - Discord text channel
+     * @param {Object} encounter - Encounter
+     */
+    async repostTracker(channel, encounter) {
+        if (encounter.messageId) {
+            try {
+                const old = await channel.messages.fetch(encounter.messageId);
+                await old.unpin();
+            } catch (error) {
+                logger.warn('Could not unpin old tracker message', { error: error.message });
+            }
+            initiativeTracker.setMessageId(channel.id, null);
+        }
+        await this.refreshTracker(channel, encounter);
+    },
+
+    /**
+     * Build the tracker embed
+     * @param {Object} encounter - Encounter
+     * @param {boolean} [ended=false] - Whether the encounter is over
+     * @returns {EmbedBuilder} - Embed
+     */
+    buildTrackerEmbed(encounter, ended = false) {
+        const current = initiativeTracker.getCurrent(encounter);
+
+        const lines = encounter.combatants.map(combatant => {
+            const marker = combatant === current && !ended ? '▶️' : combatant.type === 'pc' ? '🛡️' : '👹';
+            const initiative = combatant.initiative === null ? '—' : `**${combatant.initiative}**`;
+            const conditions = combatant.conditions.map(condition => {
+                const remaining = initiativeTracker.roundsRemaining(encounter, condition);
+                return remaining === null ? condition.name : `${condition.name} (${remaining} rd${remaining === 1 ? '' : 's'})`;
+            });
+            return `${marker} ${initiative} ${combatant.name} *(${this.sign(combatant.bonus)})*${conditions.length > 0 ? ` — ${conditions.join(', ')}` : ''}`;
+        });
+
+        const status = ended
+            ? `Ended after round ${encounter.round}`
+            : encounter.round === 0 ? 'Gathering combatants' : `Round ${encounter.round}`;
+
+        const embed = new EmbedBuilder()
+            .setColor(ended ? 0x808080 : 0xB22222)
+            .setTitle(`⚔️ ${encounter.name} — ${status}`)
+            .setDescription((lines.length > 0 ? lines.join('\n') : '*No combatants yet*').substring(0, 4096))
+            .setFooter({ text: ended ? 'Encounter over' : '/init next to advance • /init condition to add effects' })
+            .setTimestamp();
+
+        const recent = encounter.log.slice(-5);
+        if (recent.length > 0 && !ended) {
+            embed.addFields({ name: 'Recent', value: recent.join('\n').substring(0, 1024), inline: false });
+        }
+
+        return embed;
+    },
+
+    /**
+     * Format a modifier with its sign
+     * @param {number} n - Modifier
+     * @returns {string} - e.g., "+3" or "-1"
+     */
+    sign(n) {
+        return n >= 0 ? `+${n}` : `${n}`;
+    }
+};
@@ -0,0 +1,107 @@
+/**
+ * /link command for Casandalee
+ * GM-side character links: tie a character to a player (taking it from anyone
+ * else who had it) or take it away. Players link themselves with /iam.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const playerLinks = require('../utils/playerLinks');
+const dossierManager = require('../utils/dossierManager');
+const nameResolver = require('../utils/nameResolver');
+const privateRolls = require('../utils/privateRolls');
+const logger = require('../utils/logger');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('link')
+        .setDescription('GM: link a player to a character (or unlink them)')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('Player')
+                .setRequired(true)
+        )
+        .addStringOption(option =>
+            option.setName('character')
+                .setDescription('Character they play')
+                .setRequired(true)
+                .setAutocomplete(true)
+        )
+        .addBooleanOption(option =>
+            option.setName('unlink')
+                .setDescription('Remove the link instead')
+                .setRequired(false)
+        ),
+
+    /**
+     * Handle autocomplete for character name
+     * @param {Object} interaction - Discord autocomplete interaction
+     */
+    async autocomplete(interaction) {
+        const focusedValue = interaction.options.getFocused();
+        const matches = nameResolver.search(focusedValue, 25);
+        const allNames = [...new Set([...matches, ...dossierManager.getAllNames()])];
+
+        await interaction.respond(
+            allNames
+                .filter(name => name.toLowerCase().includes(focusedValue.toLowerCase()))
+                .slice(0, 25)
+                .map(name => ({ name, value: name }))
+        );
+    },
+
+    /**
+     * Execute the /link command
+     * @param {Object} interaction - Discord command interaction
+     */
+    async execute(interaction) {
+        const user = interaction.options.getUser('user');
+        const name = interaction.options.getString('character');
+        const unlink = interaction.options.getBoolean('unlink') || false;
+        logger.info('Link command executed', { target: user.id, name, unlink, userId: interaction.user.id, username: interaction.user.username });
+
+        const meta = { updatedBy: interaction.user.username, updatedById: interaction.user.id };
+
+        try {
+            if (!privateRolls.isGameMaster(interaction.member)) {
+                throw new Error('Only a GM can link other players. Use /iam to link yourself.');
+            }
+            if (user.bot) {
+                throw new Error('Bots don\'t play characters');
+            }
+
+            if (unlink) {
+                const canonical = playerLinks.unlink(user.id, name, meta);
+                if (!canonical) {
+                    throw new Error(`${user.username} isn't linked to "${name}"`);
+                }
+                dossierManager.flush();
+                await interaction.reply({ content: `🔗 ${user} no longer plays **${canonical}**.` });
+                return;
+            }
+
+            const { canonical, previousOwner, created } = playerLinks.link(user, name, meta);
+            dossierManager.flush();
+
+            const lines = [`${user} now plays **${canonical}** (their active character).`];
+            if (previousOwner) lines.push(`Taken from ${previousOwner.username}.`);
+            if (created) lines.push('Started a new dossier for them.');
+
+            const embed = new EmbedBuilder()
+                .setTitle(`🔗 ${canonical} → ${user.username}`)
+                .setColor(0x7B68EE)
+                .setDescription(lines.join('\n'))
+                .setFooter({ text: `Linked by ${interaction.user.username}` })
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed] });
+        } catch (error) {
+            logger.error('Error in link command:', error);
+            const message = { content: `❌ ${error.message}`, ephemeral: true };
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(message);
+            } else {
+                await interaction.reply(message);
+            }
+        }
+    }
+};
@@ -0,0 +1,350 @@
+/**
+ * /macro command for Casandalee
+ * Save named rolls per player or per character and run them later.
+ * e.g., /macro save perception 1d20+17, /macro save greatsword +@bab+@str damage:2d6+@str full:true character:Tokala
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const diceRoller = require('../utils/diceRoller');
+const dossierManager = require('../utils/dossierManager');
+const macroManager = require('../utils/macroManager');
+const nameResolver = require('../utils/nameResolver');
+const logger = require('../utils/logger');
+const roll = require('./roll');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('macro')
+        .setDescription('Save and run named rolls')
+        .addSubcommand(sub =>
+            sub.setName('save')
+                .setDescription('Save a named roll (use @str, @bab, ... for dossier stats)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Macro name (e.g., perception, greatsword)')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('roll')
+                        .setDescription('Dice expression, or attack bonus for attacks (e.g., 1d20+@wis+12, +@bab+@str)')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('character')
+                        .setDescription('Save on this character\'s dossier instead of your personal macros')
+                        .setRequired(false)
+                        .setAutocomplete(true)
+                )
+                .addStringOption(option =>
+                    option.setName('damage')
+                        .setDescription('Makes this an attack macro: damage per hit (e.g., 2d6+@str)')
+                        .setRequired(false)
+                )
+                .addStringOption(option =>
+                    option.setName('threat')
+                        .setDescription('Attack threat range (e.g., 19-20/x2)')
+                        .setRequired(false)
+                )
+                .addStringOption(option =>
+                    option.setName('extra')
+                        .setDescription('Attack extra damage not multiplied on a crit (e.g., 3d6)')
+                        .setRequired(false)
+                )
+                .addBooleanOption(option =>
+                    option.setName('full')
+                        .setDescription('Full attack: add iterative attacks from @bab')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('run')
+                .setDescription('Roll a saved macro')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Macro name')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+                .addStringOption(option =>
+                    option.setName('character')
+                        .setDescription('Character whose stats fill in @variables')
+                        .setRequired(false)
+                        .setAutocomplete(true)
+                )
+                .addStringOption(option =>
+                    option.setName('mode')
+                        .setDescription('Who sees the result (default: everyone)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Public', value: 'public' },
+                            { name: 'GM roll (only you and the GM)', value: 'gm' },
+                            { name: 'Blind roll (only the GM)', value: 'blind' }
+                        )
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('list')
+                .setDescription('List your macros (and a character\'s)')
+                .addStringOption(option =>
+                    option.setName('character')
+                        .setDescription('Also list this character\'s macros')
+                        .setRequired(false)
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('delete')
+                .setDescription('Delete a macro')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Macro name')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+                .addStringOption(option =>
+                    option.setName('character')
+                        .setDescription('Delete from this character\'s macros')
+                        .setRequired(false)
+                        .setAutocomplete(true)
+                )
+        ),
+
+    /**
+     * Autocomplete macro names and character names
+     * @param {Object} interaction - Discord autocomplete interaction
+     */
+    async autocomplete(interaction) {
+        const focused = interaction.options.getFocused(true);
+        const value = focused.value.toLowerCase();
+
+        let choices;
+        if (focused.name === 'character') {
+            const matches = nameResolver.search(focused.value, 25);
+            choices = [...new Set([...matches, ...dossierManager.getAllNames()])];
+        } else {
+            choices = macroManager.getNamesForUser(interaction.user.id);
+        }
+
+        await interaction.respond(
+            choices
+                .filter(choice => choice.toLowerCase().includes(value))
+                .slice(0, 25)
+                .map(choice => ({ name: choice, value: choice }))
+        );
+    },
+
+    /**
+     * Execute the /macro command
+     * @param {Object} interaction - Discord command interaction
+     */
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        logger.info('Macro command executed', {
+            subcommand,
+            userId: interaction.user.id,
+            username: interaction.user.username
+        });
+
+        try {
+            switch (subcommand) {
+                case 'save': return await this.executeSave(interaction);
+                case 'run': return await this.executeRun(interaction);
+                case 'list': return await this.executeList(interaction);
+                case 'delete': return await this.executeDelete(interaction);
+            }
+        } catch (error) {
+            logger.error('Error in macro command:', error);
+            // GM and blind rolls are already deferred by roll.sendRoll
+            const content = `❌ ${error.message}`;
+            await (interaction.deferred || interaction.replied
+                ? interaction.editReply({ content, embeds: [] })
+                : interaction.reply({ content, ephemeral: true }));
+        }
+    },
+
+    /**
+     * /macro save — validate the notation (with placeholder variables) and store it
+     * @param {Object} interaction - Discord command interaction
+     */
+    async executeSave(interaction) {
+        const name = interaction.options.getString('name');
+        const notation = interaction.options.getString('roll');
+        const character = interaction.options.getString('character');
+        const damage = interaction.options.getString('damage');
+        const threat = interaction.options.getString('threat');
+        const extra = interaction.options.getString('extra');
+        const full = interaction.options.getBoolean('full') || false;
+
+        const isAttack = Boolean(damage || threat || extra || full);
+        const attack = isAttack ? { damage, threat, extra, full } : null;
+
+        // Check syntax now with every variable as 0, so typos surface at save time
+        const placeholders = {};
+        for (const text of [notation, damage, extra].filter(Boolean)) {
+            for (const variable of macroManager.getVariables(text)) placeholders[variable] = 0;
+        }
+        if (isAttack) {
+            this.resolveAttackBonuses(notation, { ...placeholders, bab: 1 }, false);
+            if (damage) diceRoller.roll(macroManager.resolveVariables(damage, placeholders));
+            if (extra) diceRoller.roll(macroManager.resolveVariables(extra, placeholders));
+            if (threat) diceRoller.parseThreatRange(threat);
+        } else {
+            diceRoller.roll(macroManager.resolveVariables(notation, placeholders));
+        }
+
+        const macro = macroManager.save({
+            userId: interaction.user.id,
+            username: interaction.user.username,
+            name,
+            notation,
+            character,
+            attack
+        });
+
+        const embed = new EmbedBuilder()
+            .setTitle(`💾 Macro Saved: ${macro.name}`)
+            .setColor(0x00FF88)
+            .setDescription(this.describeMacro(macro))
+            .setFooter({ text: macro.character ? `Saved on ${macro.character}'s dossier` : `Personal macro for ${interaction.user.username}` })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    },
+
+    /**
+     * /macro run — resolve variables from the character's dossier and roll
+     * @param {Object} interaction - Discord command interaction
+     */
+    async executeRun(interaction) {
+        const name = interaction.options.getString('name');
+        const characterInput = interaction.options.getString('character');
+        const visibility = interaction.options.getString('mode') || 'public';
+
+        const macro = macroManager.find(interaction.user.id, name, characterInput);
+        if (!macro) {
+            await interaction.reply({ content: `❌ No macro named "${name}". Use \`/macro list\` to see yours.`, ephemeral: true });
+            return;
+        }
+
+        const character = characterInput || macro.character;
+        const variables = character ? dossierManager.getRollVariables(character) : null;
+
+        if (macro.attack) {
+            const bonuses = this.resolveAttackBonuses(macro.notation, variables, macro.attack.full);
+            const threat = diceRoller.parseThreatRange(macro.attack.threat || '20');
+            const input = {
+                bonuses,
+                threatMin: threat.min,
+                multiplier: threat.multiplier || 2,
+                damage: macro.attack.damage ? macroManager.resolveVariables(macro.attack.damage, variables) : null,
+                extraDamage: macro.attack.extra ? macroManager.resolveVariables(macro.attack.extra, variables) : null
+            };
+            const result = diceRoller.rollAttack(input);
+            const entry = roll.auditRoll(interaction, { type: 'attack', input, result, character, visibility });
+
+            const embed = roll.buildAttackEmbed(result, interaction.user.username)
+                .setTitle(`⚔️ ${macro.name}${character ? ` — ${nameResolver.resolve(character) || character}` : ''}`)
+                .setFooter({ text: `Rolled by ${interaction.user.username} • Roll #${entry.id}` });
+            await roll.sendRoll(interaction, embed, visibility, entry.id);
+            return;
+        }
+
+        const resolved = macroManager.resolveVariables(macro.notation, variables);
+        const result = diceRoller.roll(resolved);
+        const entry = roll.auditRoll(interaction, { type: 'dice', input: { notation: resolved }, result, character, visibility });
+        const embed = roll.buildDiceEmbed(result, interaction.user.username)
+            .setTitle(`🎲 ${macro.name}${character ? ` — ${nameResolver.resolve(character) || character}` : ''}`)
+            .setFooter({ text: `Rolled by ${interaction.user.username} • Roll #${entry.id}` });
+
+        if (resolved !== macro.notation) {
+            embed.setDescription(`\`${macro.notation}\``);
+        }
+
+        logger.info('Macro rolled', { macro: macro.name, notation: resolved, total: result.total, visibility });
+        await roll.sendRoll(interaction, embed, visibility, entry.id);
+    },
+
+    /**
+     * /macro list
+     * @param {Object} interaction - Discord command interaction
+     */
+    async executeList(interaction) {
+        const character = interaction.options.getString('character');
+        const { personal, character: characterMacros, characterName } = macroManager.list(interaction.user.id, character);
+
+        const format = (macros) => macros.map(m => `• **${m.name}** — ${this.describeMacro(m)}`).join('\n').substring(0, 1024);
+
+        const embed = new EmbedBuilder()
+            .setTitle('📒 Roll Macros')
+            .setColor(0x7B68EE)
+            .addFields({ name: 'Personal', value: personal.length > 0 ? format(personal) : '*None yet — use `/macro save`*', inline: false })
+            .setTimestamp();
+
+        if (characterName) {
+            embed.addFields({
+                name: characterName,
+                value: characterMacros.length > 0 ? format(characterMacros) : '*None*',
+                inline: false
+            });
+        }
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    },
+
+    /**
+     * /macro delete
+     * @param {Object} interaction - Discord command interaction
+     */
+    async executeDelete(interaction) {
+        const name = interaction.options.getString('name');
+        const character = interaction.options.getString('character');
+
+        const macro = macroManager.delete(interaction.user.id, name, character);
+        await interaction.reply({ content: `🗑️ Deleted macro **${macro.name}**${macro.character ? ` from ${macro.character}` : ''}.`, ephemeral: true });
+    },
+
+    /**
+     * Turn an attack macro's bonus into attack bonuses.
+     * "+15/+10/+5" is taken as explicit iteratives; anything else is an
+     * arithmetic expression (e.g., "+@bab+@str+1") for the first attack,
+     * with iteratives from @bab when `full` is set.
+     * @param {string} notation - Attack bonus text
+     * @param {Object|null} variables - Roll variables
+     * @param {boolean} full - Whether to add iterative attacks
+     * @returns {number[]} - Attack bonuses
+     */
+    resolveAttackBonuses(notation, variables, full) {
+        const resolved = macroManager.resolveVariables(notation, variables);
+        if (/^\s*[+-]?\d+(\s*\/\s*[+-]?\d+)+\s*$/.test(resolved)) {
+            return diceRoller.parseAttackBonuses(resolved);
+        }
+
+        const expression = resolved.trim().replace(/^\+/, '');
+        const tree = diceRoller.parseNotation(expression);
+        if (!tree || diceRoller.collectTerms(diceRoller.evaluate(tree)).length > 0) {
+            throw new Error(`Attack bonus "${notation}" must be a number or arithmetic (no dice)`);
+        }
+        const bonus = diceRoller.evaluate(tree).value;
+
+        if (!full) return [bonus];
+        if (!variables || typeof variables.bab !== 'number') {
+            throw new Error('Full attacks need @bab — record it with /characterupdate (e.g., "bab: 11") or a sheet import');
+        }
+        return diceRoller.iterativeBonuses(bonus, variables.bab);
+    },
+
+    /**
+     * One-line description of a macro
+     * @param {Object} macro - Macro
+     * @returns {string} - Description
+     */
+    describeMacro(macro) {
+        if (!macro.attack) return `\`${macro.notation}\``;
+
+        const parts = [`${macro.attack.full ? 'Full attack' : 'Attack'} \`${macro.notation}\``];
+        if (macro.attack.damage) parts.push(`dmg \`${macro.attack.damage}\``);
+        if (macro.attack.extra) parts.push(`+ \`${macro.attack.extra}\``);
+        if (macro.attack.threat) parts.push(`crit ${macro.attack.threat}`);
+        return parts.join(' • ');
+    }
+};
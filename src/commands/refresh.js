@@ -1,9 +1,10 @@
 /**
- * Refresh Command - Manually refresh data from Google Sheets
+ * Refresh Command - Manually refresh the timeline and characters from Google Sheets (or the timeline CSV)
  */
 
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const googleSheetsIntegration = require('../utils/googleSheetsIntegration');
+const timelineRepository = require('../utils/timelineRepository');
 const logger = require('../utils/logger');
 
 module.exports = {
@@ -31,56 +32,45 @@ module.exports = {
         try {
             const type = interaction.options.getString('type') || 'all';
             
-            // Check if Google Sheets integration is available
-            if (!googleSheetsIntegration.isAvailable()) {
-                await interaction.reply({
-                    content: '❌ Google Sheets integration is not configured. Please check your environment variables.',
-                    ephemeral: true
-                });
-                return;
-            }
-            
             // Show that we're working
             await interaction.deferReply();
             
-            // Force refresh the data
-            const success = await googleSheetsIntegration.forceRefresh();
+            // Reload the timeline (Google Sheets refreshes characters along with it; without Sheets the CSV is re-read)
+            const change = await timelineRepository.refresh();
+            const { events, source } = change;
+            const summary = timelineRepository.describeChange(change);
+            const stats = timelineRepository.getStats();
+            const characterCount = googleSheetsIntegration.getPlayerCharacters().length;
+            const fromSheets = source === 'sheets';
             
-            if (success) {
-                const lastRefresh = googleSheetsIntegration.getLastRefresh();
-                const timelineCount = googleSheetsIntegration.getCampaignTimeline().length;
-                const characterCount = googleSheetsIntegration.getPlayerCharacters().length;
-                
-                const embed = new EmbedBuilder()
-                    .setColor(0x00ff00)
-                    .setTitle('✅ Data Refreshed Successfully')
-                    .addFields(
-                        { name: 'Timeline Events', value: `${timelineCount} events loaded`, inline: true },
-                        { name: 'Player Characters', value: `${characterCount} characters loaded`, inline: true },
-                        { name: 'Last Refresh', value: lastRefresh ? lastRefresh.toLocaleString() : 'Unknown', inline: true }
-                    )
-                    .setFooter({ text: 'Data synchronized from Google Sheets' })
-                    .setTimestamp();
-                
-                await interaction.editReply({ embeds: [embed] });
-                
-                logger.info('Data refresh completed successfully', {
-                    timelineCount,
-                    characterCount,
-                    lastRefresh: lastRefresh?.toISOString()
-                });
-                
-            } else {
-                await interaction.editReply({
-                    content: '❌ Failed to refresh data from Google Sheets. Please check the logs for details.'
-                });
-            }
+            const embed = new EmbedBuilder()
+                .setColor(0x00ff00)
+                .setTitle('✅ Data Refreshed Successfully')
+                .addFields(
+                    { name: 'Timeline Events', value: `${events.length} events loaded${summary ? ` (${summary})` : ''}`, inline: true },
+                    { name: 'Player Characters', value: fromSheets ? `${characterCount} characters loaded` : 'Google Sheets not configured', inline: true },
+                    { name: 'Last Refresh', value: new Date(stats.loadedAt).toLocaleString(), inline: true }
+                )
+                .setFooter({ text: fromSheets ? 'Data synchronized from Google Sheets' : 'Timeline reloaded from pf_folkengames_timeline.csv' })
+                .setTimestamp();
+            
+            await interaction.editReply({ embeds: [embed] });
+            
+            logger.info('Data refresh completed successfully', {
+                timelineCount: events.length,
+                changes: summary || 'none',
+                characterCount,
+                source
+            });
             
         } catch (error) {
             logger.error('Error in refresh command:', error);
-            await interaction.editReply({
-                content: `❌ Error refreshing data: ${error.message}`
-            });
+            const reply = { content: `❌ Error refreshing data: ${error.message}` };
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply(reply);
+            } else {
+                await interaction.reply({ ...reply, ephemeral: true });
+            }
         }
     }
 };
@@ -5,6 +5,9 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const reincarnationTable = require('../utils/reincarnationTable');
 const dossierManager = require('../utils/dossierManager');
+const rollLog = require('../utils/rollLog');
+const reincarnationWorkflow = require('../utils/reincarnationWorkflow');
+const playerLinks = require('../utils/playerLinks');
 const logger = require('../utils/logger');
 const { executeAquatic } = require('./reincarnate-aquatic');
 
@@ -17,19 +20,32 @@ module.exports = {
                 .setDescription('Roll on the standard reincarnation table (1d43)')
                 .addStringOption(option =>
                     option.setName('character')
-                        .setDescription('Character name (optional)')
+                        .setDescription('Character name (default: your /iam character)')
                         .setRequired(false)
                 )
+                .addStringOption(reincarnationWorkflow.bonusOption)
+                .addStringOption(reincarnationWorkflow.previousBonusOption)
         )
         .addSubcommand(sub =>
             sub.setName('aquatic')
                 .setDescription('Roll on the aquatic reincarnation table (1d100, Shackles)')
                 .addStringOption(option =>
                     option.setName('character')
-                        .setDescription('Character name (optional)')
+                        .setDescription('Character name (default: your /iam character)')
                         .setRequired(false)
                 )
+                .addStringOption(reincarnationWorkflow.bonusOption)
+                .addStringOption(reincarnationWorkflow.previousBonusOption)
         ),
+
+    /**
+     * Confirm/Cancel buttons on a reincarnation result
+     * @param {Object} interaction - Discord button interaction
+     */
+    async handleButton(interaction) {
+        await reincarnationWorkflow.handleButton(interaction);
+    },
+
     
     async execute(interaction) {
         const subcommand = interaction.options.getSubcommand();
@@ -45,7 +61,7 @@ module.exports = {
             channelId: interaction.channelId
         });
         
-        const characterName = interaction.options.getString('character') || interaction.user.username;
+        const characterName = playerLinks.resolve(interaction.options.getString('character'), interaction.user.id) || interaction.user.username;
         
         try {
             if (!reincarnationTable.isReady()) {
@@ -65,9 +81,18 @@ module.exports = {
                 result: result.result
             });
             
+            const entry = rollLog.record({
+                type: 'reincarnation',
+                input: { table: 'standard' },
+                result,
+                userId: interaction.user.id,
+                username: interaction.user.username,
+                character: characterName
+            });
+            
             // Build embed fields
             const embedFields = [
-                { name: 'Roll (d43)', value: `\`${result.roll}\``, inline: true },
+                { name: `Roll (${result.formula})`, value: `\`${result.roll}\``, inline: true },
                 { name: 'New Form', value: `**${result.result}**`, inline: true }
             ];
             
@@ -86,15 +111,6 @@ module.exports = {
                 embedFields.push({ name: 'Reference', value: `[View on d20PFSRD](${result.srdLink})`, inline: false });
             }
             
-            // Create embed response
-            const embed = new EmbedBuilder()
-                .setColor(0x8B4513) // Brown color for Casandalee
-                .setTitle('🔄 Reincarnation Result')
-                .setDescription(`**${characterName}** has been reincarnated!`)
-                .addFields(embedFields)
-                .setFooter({ text: `Reincarnated by ${interaction.user.username}` })
-                .setTimestamp();
-            
             // Log roll to character dossier
             dossierManager.addRollHistory(characterName, {
                 type: 'Reincarnation (Standard)',
@@ -103,8 +119,27 @@ module.exports = {
                 command: '/reincarnate'
             });
 
+            // Propose the new body (ability scores, penalties) for the player to confirm
+            const proposal = reincarnationWorkflow.prepare(characterName, result, {
+                table: 'standard',
+                rollId: entry.id,
+                userId: interaction.user.id,
+                bonus: interaction.options.getString('bonus'),
+                previousBonus: interaction.options.getString('previous-bonus')
+            });
+            embedFields.push(...proposal.fields);
+            
+            // Create embed response
+            const embed = new EmbedBuilder()
+                .setColor(0x8B4513) // Brown color for Casandalee
+                .setTitle('🔄 Reincarnation Result')
+                .setDescription(`**${characterName}** has been reincarnated!`)
+                .addFields(embedFields)
+                .setFooter({ text: `Reincarnated by ${interaction.user.username} • Roll #${entry.id}` })
+                .setTimestamp();
+            
             logger.info('Sending reincarnation response');
-            await interaction.reply({ embeds: [embed] });
+            await interaction.reply({ embeds: [embed], components: proposal.components });
             logger.info('Reincarnation response sent successfully');
             
         } catch (error) {
@@ -1,31 +1,149 @@
 /**
- * Roll Command - Handle dice rolling
+ * Roll Command - Handle dice rolling and Pathfinder attack rolls
  */
 
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const diceRoller = require('../utils/diceRoller');
+const dossierManager = require('../utils/dossierManager');
+const nameResolver = require('../utils/nameResolver');
+const reincarnationTable = require('../utils/reincarnationTable');
+const rollTables = require('../utils/rollTables');
+const rollLog = require('../utils/rollLog');
+const privateRolls = require('../utils/privateRolls');
+const playerLinks = require('../utils/playerLinks');
 const logger = require('../utils/logger');
 
+/**
+ * Add the optional "character" option (roll is logged to that dossier, or to the roller's active character)
+ * @param {Object} option - Option builder
+ * @returns {Object} - Configured option
+ */
+const characterOption = option =>
+    option.setName('character')
+        .setDescription('Log this roll to a character\'s dossier (default: your /iam character)')
+        .setRequired(false)
+        .setAutocomplete(true);
+
+/**
+ * Add the optional "mode" option (public, GM-only or blind)
+ * @param {Object} option - Option builder
+ * @returns {Object} - Configured option
+ */
+const modeOption = option =>
+    option.setName('mode')
+        .setDescription('Who sees the result (default: everyone)')
+        .setRequired(false)
+        .addChoices(
+            { name: 'Public', value: 'public' },
+            { name: 'GM roll (only you and the GM)', value: 'gm' },
+            { name: 'Blind roll (only the GM)', value: 'blind' }
+        );
+
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('roll')
         .setDescription('Roll dice using D&D notation')
-        .addStringOption(option =>
-            option.setName('notation')
-                .setDescription('Dice notation (e.g., 1d20+5, 2d6, 1d100)')
-                .setRequired(true)
+        .addSubcommand(sub =>
+            sub.setName('dice')
+                .setDescription('Roll a dice expression')
+                .addStringOption(option =>
+                    option.setName('notation')
+                        .setDescription('Dice expression (e.g., 1d20+5, 2d8+1d6-2, 4d6kh3, 1d6!, 10d6>=5)')
+                        .setRequired(true)
+                )
+                .addBooleanOption(option =>
+                    option.setName('advantage')
+                        .setDescription('Roll with advantage (roll twice, take higher)')
+                        .setRequired(false)
+                )
+                .addBooleanOption(option =>
+                    option.setName('disadvantage')
+                        .setDescription('Roll with disadvantage (roll twice, take lower)')
+                        .setRequired(false)
+                )
+                .addStringOption(characterOption)
+                .addStringOption(modeOption)
+                .addBooleanOption(option =>
+                    option.setName('preview')
+                        .setDescription('Show the exact probability distribution and expected value instead of rolling')
+                        .setRequired(false)
+                )
         )
-        .addBooleanOption(option =>
-            option.setName('advantage')
-                .setDescription('Roll with advantage (roll twice, take higher)')
-                .setRequired(false)
+        .addSubcommand(sub =>
+            sub.setName('attack')
+                .setDescription('Pathfinder attack or full attack with crit confirmation')
+                .addStringOption(option =>
+                    option.setName('bonus')
+                        .setDescription('Attack bonus, or explicit iteratives (e.g., +15 or +15/+10/+5)')
+                        .setRequired(true)
+                )
+                .addIntegerOption(option =>
+                    option.setName('bab')
+                        .setDescription('Base attack bonus — adds iterative attacks at -5 (e.g., 11 gives three attacks)')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(40)
+                )
+                .addStringOption(option =>
+                    option.setName('damage')
+                        .setDescription('Damage per hit (e.g., 2d6+12)')
+                        .setRequired(false)
+                )
+                .addStringOption(option =>
+                    option.setName('threat')
+                        .setDescription('Threat range (e.g., 20, 19-20, 18-20/x2)')
+                        .setRequired(false)
+                )
+                .addIntegerOption(option =>
+                    option.setName('multiplier')
+                        .setDescription('Critical multiplier (default x2)')
+                        .setRequired(false)
+                        .setMinValue(2)
+                        .setMaxValue(6)
+                )
+                .addStringOption(option =>
+                    option.setName('extra')
+                        .setDescription('Extra damage not multiplied on a crit (e.g., 3d6 sneak attack)')
+                        .setRequired(false)
+                )
+                .addIntegerOption(option =>
+                    option.setName('ac')
+                        .setDescription('Target AC (to resolve hits and confirmations)')
+                        .setRequired(false)
+                )
+                .addStringOption(characterOption)
+                .addStringOption(modeOption)
         )
-        .addBooleanOption(option =>
-            option.setName('disadvantage')
-                .setDescription('Roll with disadvantage (roll twice, take lower)')
-                .setRequired(false)
+        .addSubcommand(sub =>
+            sub.setName('verify')
+                .setDescription('Replay a logged roll from its stored seed to check it')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('Roll number shown in the roll\'s footer (e.g., 42)')
+                        .setRequired(true)
+                        .setMinValue(1)
+                )
         ),
     
+    /**
+     * Handle autocomplete for character name
+     * @param {Object} interaction - Discord autocomplete interaction
+     */
+    async autocomplete(interaction) {
+        const focusedValue = interaction.options.getFocused();
+        const matches = nameResolver.search(focusedValue, 25);
+        const dossierNames = dossierManager.getAllNames();
+        const allNames = [...new Set([...matches, ...dossierNames])];
+        
+        const filtered = allNames
+            .filter(name => name.toLowerCase().includes(focusedValue.toLowerCase()))
+            .slice(0, 25);
+        
+        await interaction.respond(
+            filtered.map(name => ({ name, value: name }))
+        );
+    },
+    
     async execute(interaction) {
         logger.info('Roll command executed', {
             userId: interaction.user.id,
@@ -34,11 +152,24 @@ module.exports = {
             channelId: interaction.channelId
         });
         
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand === 'attack') {
+            await this.executeAttack(interaction);
+            return;
+        }
+        if (subcommand === 'verify') {
+            await this.executeVerify(interaction);
+            return;
+        }
+        
         const notation = interaction.options.getString('notation');
         const advantage = interaction.options.getBoolean('advantage') || false;
         const disadvantage = interaction.options.getBoolean('disadvantage') || false;
+        const character = playerLinks.resolve(interaction.options.getString('character'), interaction.user.id);
+        const preview = interaction.options.getBoolean('preview') || false;
+        const visibility = interaction.options.getString('mode') || privateRolls.VISIBILITY.PUBLIC;
         
-        logger.info('Roll command parameters', { notation, advantage, disadvantage });
+        logger.info('Roll command parameters', { notation, advantage, disadvantage, character, preview, visibility });
         
         try {
             let result;
@@ -49,6 +180,16 @@ module.exports = {
                 return;
             }
             
+            if (preview) {
+                // A preview for a GM or blind roll stays with the roller
+                const probability = diceRoller.probability(notation);
+                await interaction.reply({
+                    embeds: [this.buildPreviewEmbed(probability)],
+                    ephemeral: visibility !== privateRolls.VISIBILITY.PUBLIC
+                });
+                return;
+            }
+            
             if (advantage) {
                 logger.info('Rolling with advantage');
                 result = diceRoller.rollAdvantage(notation, true);
@@ -60,32 +201,438 @@ module.exports = {
                 result = diceRoller.roll(notation);
             }
             
-            logger.info('Dice roll completed', { 
-                notation: result.notation, 
-                total: result.finalTotal || result.total,
-                breakdown: result.breakdown 
+            logger.info('Dice roll completed', {
+                notation: result.notation,
+                total: result.finalTotal ?? result.total,
+                breakdown: result.breakdown
+            });
+            
+            const embed = this.buildDiceEmbed(result, interaction.user.username);
+            const entry = this.auditRoll(interaction, {
+                type: result.roll1 ? 'advantage' : 'dice',
+                input: result.roll1 ? { notation, advantage } : { notation },
+                result,
+                character,
+                visibility
+            });
+            const footer = [`Rolled by ${interaction.user.username}`, `Roll #${entry.id}`];
+            
+            if (character) {
+                const rolls = result.roll1 ? [result.roll1, result.roll2] : [result];
+                const logged = this.logRoll(character, {
+                    type: advantage ? 'Dice (advantage)' : disadvantage ? 'Dice (disadvantage)' : 'Dice',
+                    roll: result.notation,
+                    result: result.finalTotal ?? result.total,
+                    command: '/roll dice',
+                    d20s: rolls.flatMap(r => diceRoller.getD20Results(r)),
+                    expected: advantage || disadvantage ? null : this.expectedValue(result.notation),
+                    visibility,
+                    userId: interaction.user.id
+                });
+                footer.push(logged);
+            }
+            embed.setFooter({ text: footer.join(' • ') });
+            
+            logger.info('Sending dice roll response', { visibility });
+            await this.sendRoll(interaction, embed, visibility, entry.id);
+            logger.info('Dice roll response sent successfully');
+        
+        } catch (error) {
+            logger.error('Error in roll command:', error);
+            // GM and blind rolls are already deferred by sendRoll
+            const content = `❌ Error rolling dice: ${error.message}`;
+            await (interaction.deferred || interaction.replied ? interaction.editReply({ content, embeds: [] }) : interaction.reply(content));
+        }
+    },
+    
+    /**
+     * Record a roll and its seed in the audit log
+     * @param {Object} interaction - Discord command interaction
+     * @param {Object} roll - {type, input, result, character, visibility}
+     * @returns {Object} - Roll log entry (its id goes in the footer for /roll verify)
+     */
+    auditRoll(interaction, { type, input, result, character = null, visibility = privateRolls.VISIBILITY.PUBLIC }) {
+        return rollLog.record({
+            type,
+            input,
+            result,
+            userId: interaction.user.id,
+            username: interaction.user.username,
+            character: character ? (nameResolver.resolve(character) || character) : null,
+            visibility
+        });
+    },
+    
+    /**
+     * Send a roll result with the requested visibility.
+     * Public rolls reply in channel. GM rolls reply ephemerally and DM the GM role.
+     * Blind rolls only DM the GM role; the roller just learns the roll was made.
+     * @param {Object} interaction - Discord command interaction
+     * @param {EmbedBuilder} embed - Roll result embed
+     * @param {string} visibility - 'public', 'gm' or 'blind'
+     * @param {number} rollId - Roll log id
+     */
+    async sendRoll(interaction, embed, visibility, rollId) {
+        if (visibility === privateRolls.VISIBILITY.PUBLIC) {
+            await interaction.reply({ embeds: [embed] });
+            return;
+        }
+        
+        // Looking up the GM role's members can take longer than Discord's 3 seconds
+        await interaction.deferReply({ ephemeral: true });
+        
+        const username = interaction.user.username;
+        if (visibility === privateRolls.VISIBILITY.GM) {
+            const delivered = await privateRolls.sendToGameMasters(interaction.guild, {
+                content: `🔒 GM roll by **${username}**`,
+                embeds: [embed]
+            }, interaction.user.id);
+            await interaction.editReply({
+                content: delivered > 0
+                    ? `🔒 GM roll — only you and the GM (${delivered}) can see this.`
+                    : '🔒 GM roll — only you can see this (no GM could be reached by DM).',
+                embeds: [embed]
             });
+            return;
+        }
+        
+        const delivered = await privateRolls.sendToGameMasters(interaction.guild, {
+            content: `🙈 Blind roll by **${username}**`,
+            embeds: [embed]
+        });
+        await interaction.editReply(delivered > 0
+            ? `🙈 Blind roll #${rollId} made — the result went to the GM. You don't get to see it.`
+            : `⚠️ Blind roll #${rollId} made, but no GM could be reached by DM. A GM can still reveal it with \`/roll verify ${rollId}\`.`);
+    },
+    
+    /**
+     * Replay a logged roll from its seed
+     * @param {Object} entry - Roll log entry
+     * @returns {Object} - Fresh result of the same roll
+     */
+    replay(entry) {
+        const { input, seed } = entry;
+        switch (entry.type) {
+            case 'dice':
+                return diceRoller.roll(input.notation, seed);
+            case 'advantage':
+                return diceRoller.rollAdvantage(input.notation, input.advantage, seed);
+            case 'attack':
+                return diceRoller.rollAttack({ ...input, seed });
+            case 'reincarnation':
+                return (input.table === 'aquatic' ? reincarnationTable.aquatic : reincarnationTable).rollReincarnation(seed, { record: false });
+            case 'table':
+                return rollTables.draw(input.table, { seed, exclude: input.exclude, nestedExclude: input.nestedExclude, record: false });
+            default:
+                throw new Error(`Roll #${entry.id} has unknown type "${entry.type}"`);
+        }
+    },
+    
+    /**
+     * Handle /roll verify — replay a logged roll and compare it with the record
+     * @param {Object} interaction - Discord command interaction
+     */
+    async executeVerify(interaction) {
+        const id = interaction.options.getInteger('id');
+        const entry = rollLog.get(id);
+        
+        if (!entry) {
+            await interaction.reply({ content: `❌ No logged roll #${id} (only the most recent rolls are kept).`, ephemeral: true });
+            return;
+        }
+        
+        // GM and blind rolls can only be replayed by those who could see them
+        if (!privateRolls.canView(entry, interaction.user.id, interaction.member)) {
+            await interaction.reply({ content: `🔒 Roll #${entry.id} was a ${entry.visibility} roll — only the GM can verify it.`, ephemeral: true });
+            return;
+        }
+        const isPrivate = (entry.visibility || privateRolls.VISIBILITY.PUBLIC) !== privateRolls.VISIBILITY.PUBLIC;
+        
+        try {
+            const replayed = rollLog.describeOutcome(entry.type, this.replay(entry));
+            const matches = replayed === entry.outcome;
+            
+            logger.info('Roll verified', { id: entry.id, type: entry.type, matches });
             
             const embed = new EmbedBuilder()
-                .setColor(0x8B4513)
-                .setTitle('🎲 Dice Roll Result')
+                .setColor(matches ? 0x2E8B57 : 0xB22222)
+                .setTitle(`🔍 Roll #${entry.id} ${matches ? 'verified' : 'does NOT match'}`)
                 .addFields(
-                    { name: 'Notation', value: `\`${result.notation}\``, inline: true },
-                    { name: 'Result', value: `**${result.finalTotal || result.total}**`, inline: true },
-                    { name: 'Breakdown', value: result.breakdown, inline: false }
+                    { name: 'Rolled By', value: `${entry.username || 'unknown'}${entry.character ? ` (${entry.character})` : ''}`, inline: true },
+                    { name: 'When', value: `<t:${Math.floor(new Date(entry.timestamp).getTime() / 1000)}:f>`, inline: true },
+                    { name: 'Type', value: isPrivate ? `${entry.type} (${entry.visibility} roll)` : entry.type, inline: true },
+                    { name: 'Input', value: `\`${JSON.stringify(entry.input).substring(0, 1000)}\``, inline: false },
+                    { name: 'Seed', value: `\`${entry.seed}\``, inline: false },
+                    { name: 'Recorded', value: entry.outcome.substring(0, 1024), inline: false },
+                    { name: 'Replayed', value: replayed.substring(0, 1024), inline: false }
                 )
-                .setFooter({ text: `Rolled by ${interaction.user.username}` })
+                .setFooter({ text: matches
+                    ? 'Replaying the stored seed reproduces this roll exactly'
+                    : 'The stored seed produces a different result — the record may have been altered' })
                 .setTimestamp();
             
-            logger.info('Sending dice roll response');
-            await interaction.reply({ embeds: [embed] });
-            logger.info('Dice roll response sent successfully');
+            await interaction.reply({ embeds: [embed], ephemeral: isPrivate });
+        } catch (error) {
+            logger.error('Error verifying roll:', error);
+            await interaction.reply({ content: `❌ Could not replay roll #${entry.id}: ${error.message}`, ephemeral: true });
+        }
+    },
+    
+    /**
+     * Log a roll to a character's dossier
+     * @param {string} character - Character name (fuzzy matched)
+     * @param {Object} rollData - Roll history entry
+     * @returns {string} - Footer note describing where the roll was logged
+     */
+    logRoll(character, rollData) {
+        if (!dossierManager.addRollHistory(character, rollData)) {
+            return `not logged: unknown character "${character}"`;
+        }
+        return `logged to ${nameResolver.resolve(character)}`;
+    },
+    
+    /**
+     * Expected value of a notation, or null if it's too complex to compute
+     * @param {string} notation - Dice expression
+     * @returns {number|null} - Expected value
+     */
+    expectedValue(notation) {
+        try {
+            return diceRoller.probability(notation).expected;
+        } catch (error) {
+            return null;
+        }
+    },
+    
+    /**
+     * Build the probability preview embed
+     * @param {Object} probability - Result from diceRoller.probability
+     * @returns {EmbedBuilder} - Embed
+     */
+    buildPreviewEmbed(probability) {
+        const { distribution } = probability;
+        const percent = (p) => `${(p * 100).toFixed(p < 0.001 && p > 0 ? 3 : 1)}%`;
+        
+        // Bucket wide distributions so the chart fits in one field
+        const maxRows = 20;
+        const bucketSize = Math.ceil((probability.max - probability.min + 1) / maxRows);
+        const buckets = [];
+        for (const outcome of distribution) {
+            const index = Math.floor((outcome.value - probability.min) / bucketSize);
+            if (!buckets[index]) {
+                const low = probability.min + index * bucketSize;
+                buckets[index] = { low, high: Math.min(low + bucketSize - 1, probability.max), probability: 0 };
+            }
+            buckets[index].probability += outcome.probability;
+        }
+        
+        const visible = buckets.filter(b => b && b.probability >= 0.0005);
+        const maxProbability = Math.max(...visible.map(b => b.probability));
+        const labelWidth = Math.max(...visible.map(b => (b.low === b.high ? `${b.low}` : `${b.low}-${b.high}`).length));
+        const chart = visible.map(b => {
+            const label = (b.low === b.high ? `${b.low}` : `${b.low}-${b.high}`).padStart(labelWidth, ' ');
+            const bar = '█'.repeat(Math.max(1, Math.round((b.probability / maxProbability) * 15)));
+            return `${label} │ ${bar} ${percent(b.probability)}`;
+        }).join('\n');
+        
+        const embed = new EmbedBuilder()
+            .setColor(0x4682B4)
+            .setTitle('📊 Probability Preview')
+            .addFields(
+                { name: 'Notation', value: `\`${probability.notation}\``, inline: true },
+                { name: 'Expected', value: `**${probability.expected.toFixed(2)}**`, inline: true },
+                { name: 'Range', value: `${probability.min} – ${probability.max}`, inline: true },
+                { name: 'Std. Dev.', value: probability.standardDeviation.toFixed(2), inline: true },
+                { name: 'Distribution', value: `\`\`\`\n${chart}\n\`\`\``.substring(0, 1024), inline: false }
+            )
+            .setFooter({ text: probability.approximate
+                ? 'Exploding dice: tail beyond one-in-a-billion odds omitted'
+                : 'Exact distribution — nothing was rolled' })
+            .setTimestamp();
+        
+        return embed;
+    },
+    
+    /**
+     * Build the dice result embed (also used by /macro run)
+     * @param {Object} result - Result from diceRoller.roll or rollAdvantage
+     * @param {string} username - Who rolled
+     * @returns {EmbedBuilder} - Embed
+     */
+    buildDiceEmbed(result, username) {
+        const embed = new EmbedBuilder()
+            .setColor(0x8B4513)
+            .setTitle('🎲 Dice Roll Result')
+            .addFields(
+                { name: 'Notation', value: `\`${result.notation}\``, inline: true },
+                { name: 'Result', value: `**${result.finalTotal ?? result.total}**`, inline: true },
+                { name: 'Breakdown', value: result.breakdown.substring(0, 1024), inline: false }
+            )
+            .setFooter({ text: `Rolled by ${username}` })
+            .setTimestamp();
+        
+        // Per-term breakdown for mixed pools (e.g., weapon + sneak attack dice)
+        if (result.terms && result.terms.length > 1) {
+            embed.addFields({ name: 'Dice Terms', value: diceRoller.formatTerms(result).substring(0, 1024), inline: false });
+        }
+        
+        // Explain kept/dropped/rerolled/exploded markers when modifiers were used
+        const legend = result.terms ? diceRoller.formatLegend(result) : null;
+        if (legend) {
+            embed.addFields({ name: 'Key', value: legend, inline: false });
+        }
+        
+        return embed;
+    },
+    
+    /**
+     * Handle /roll attack — single attack or full attack with iteratives
+     * @param {Object} interaction - Discord command interaction
+     */
+    async executeAttack(interaction) {
+        const bonusInput = interaction.options.getString('bonus');
+        const bab = interaction.options.getInteger('bab');
+        const damage = interaction.options.getString('damage');
+        const threatInput = interaction.options.getString('threat') || '20';
+        const multiplierInput = interaction.options.getInteger('multiplier');
+        const extraDamage = interaction.options.getString('extra');
+        const ac = interaction.options.getInteger('ac');
+        const character = playerLinks.resolve(interaction.options.getString('character'), interaction.user.id);
+        const visibility = interaction.options.getString('mode') || privateRolls.VISIBILITY.PUBLIC;
+        
+        logger.info('Attack roll parameters', { bonusInput, bab, damage, threatInput, multiplierInput, extraDamage, ac, character, visibility });
+        
+        try {
+            // Explicit "+15/+10/+5" wins; otherwise derive iteratives from BAB
+            let bonuses = diceRoller.parseAttackBonuses(bonusInput);
+            if (bonuses.length === 1 && bab !== null) {
+                bonuses = diceRoller.iterativeBonuses(bonuses[0], bab);
+            }
+            
+            const threat = diceRoller.parseThreatRange(threatInput);
+            const multiplier = multiplierInput || threat.multiplier || 2;
+            
+            const result = diceRoller.rollAttack({
+                bonuses,
+                threatMin: threat.min,
+                multiplier,
+                damage,
+                extraDamage,
+                ac
+            });
+            
+            logger.info('Attack roll completed', {
+                bonuses,
+                naturals: result.attacks.map(a => a.natural),
+                totalDamage: result.totalDamage
+            });
+            
+            const embed = this.buildAttackEmbed(result, interaction.user.username);
+            const entry = this.auditRoll(interaction, {
+                type: 'attack',
+                input: { bonuses, threatMin: threat.min, multiplier, damage, extraDamage, ac },
+                result,
+                character,
+                visibility
+            });
+            const footer = [`Rolled by ${interaction.user.username}`, `Roll #${entry.id}`];
             
+            if (character) {
+                const logged = this.logRoll(character, {
+                    type: result.attacks.length > 1 ? 'Full Attack' : 'Attack',
+                    roll: bonuses.map(b => (b >= 0 ? `+${b}` : `${b}`)).join('/'),
+                    result: result.damage ? result.totalDamage : result.attacks.map(a => a.total).join('/'),
+                    command: '/roll attack',
+                    d20s: result.attacks.flatMap(a => a.confirmation ? [a.natural, a.confirmation.natural] : [a.natural]),
+                    visibility,
+                    userId: interaction.user.id
+                });
+                footer.push(logged);
+            }
+            embed.setFooter({ text: footer.join(' • ') });
+            
+            await this.sendRoll(interaction, embed, visibility, entry.id);
+        
         } catch (error) {
-            logger.error('Error in roll command:', error);
-            await interaction.reply(`❌ Error rolling dice: ${error.message}`);
+            logger.error('Error in roll attack command:', error);
+            // GM and blind rolls are already deferred by sendRoll
+            const content = `❌ Error rolling attack: ${error.message}`;
+            await (interaction.deferred || interaction.replied ? interaction.editReply({ content, embeds: [] }) : interaction.reply(content));
         }
+    },
+    
+    /**
+     * Build the full-attack embed: one field per attack plus a damage total
+     * @param {Object} result - Result from diceRoller.rollAttack
+     * @param {string} username - Who rolled
+     * @returns {EmbedBuilder} - Embed
+     */
+    buildAttackEmbed(result, username) {
+        const sign = (n) => n >= 0 ? `+${n}` : `${n}`;
+        const threatText = result.threatMin === 20 ? '20' : `${result.threatMin}-20`;
+        const isFullAttack = result.attacks.length > 1;
+        
+        const embed = new EmbedBuilder()
+            .setColor(0xB22222)
+            .setTitle(isFullAttack ? '⚔️ Full Attack' : '⚔️ Attack Roll')
+            .setDescription([
+                `**Bonus:** ${result.bonuses.map(sign).join('/')}`,
+                `**Crit:** ${threatText}/×${result.multiplier}`,
+                result.damage ? `**Damage:** \`${result.damage}\`${result.extraDamage ? ` + \`${result.extraDamage}\` (not multiplied)` : ''}` : null,
+                result.ac !== null ? `**Target AC:** ${result.ac}` : null
+            ].filter(Boolean).join('\n'))
+            .setFooter({ text: `Rolled by ${username}` })
+            .setTimestamp();
+        
+        result.attacks.forEach((attack, index) => {
+            const lines = [];
+            
+            let outcome;
+            if (attack.natural === 1) outcome = '💀 Natural 1 — miss';
+            else if (attack.critical) outcome = '💥 **Critical hit!**';
+            else if (attack.threat) outcome = attack.confirmation.confirmed === false ? '⚠️ Threat — not confirmed (hit)' : '⚠️ **Threat!**';
+            else if (attack.hit === true) outcome = '✅ Hit';
+            else if (attack.hit === false) outcome = '❌ Miss';
+            else outcome = '';
+            lines.push(`🎲 [${attack.natural}] ${sign(attack.bonus)} = **${attack.total}** ${outcome}`.trim());
+            
+            if (attack.confirmation) {
+                const confirm = attack.confirmation;
+                const status = confirm.confirmed === true ? '✅ confirmed'
+                    : confirm.confirmed === false ? '❌ not confirmed'
+                    : `confirms if AC ≤ ${confirm.total}`;
+                lines.push(`Confirm: [${confirm.natural}] ${sign(attack.bonus)} = **${confirm.total}** — ${status}`);
+            }
+            
+            if (attack.damage) {
+                const dmg = attack.damage;
+                const extraText = dmg.extra ? ` + ${diceRoller.formatNode(dmg.extra.parsed)} extra` : '';
+                if (attack.critical) {
+                    const sets = dmg.rolls.map(r => r.total).join(' + ');
+                    const extraTotal = dmg.extra ? ` + ${dmg.extra.total} extra` : '';
+                    lines.push(`Damage (×${result.multiplier}): ${sets}${extraTotal} = **${dmg.total}**`);
+                } else {
+                    const crit = dmg.critical !== null ? ` (**${dmg.critical}** if confirmed)` : '';
+                    lines.push(`Damage: ${diceRoller.formatNode(dmg.rolls[0].parsed)}${extraText} = **${dmg.normal}**${crit}`);
+                }
+            }
+            
+            embed.addFields({
+                name: isFullAttack ? `Attack ${index + 1} (${sign(attack.bonus)})` : `Attack (${sign(attack.bonus)})`,
+                value: lines.join('\n').substring(0, 1024),
+                inline: false
+            });
+        });
+        
+        if (result.damage) {
+            const pending = result.attacks.some(a => a.hit === null || (a.confirmation && a.confirmation.confirmed === null));
+            embed.addFields({
+                name: 'Total Damage',
+                value: `**${result.totalDamage}**${pending ? ' *(assuming every attack hits; crits unconfirmed)*' : ''}`,
+                inline: false
+            });
+        }
+        
+        return embed;
     }
 };
-
-
@@ -0,0 +1,100 @@
+/**
+ * /rollstats command for Casandalee
+ * Luck report for a character: d20 distribution, nat 20s and 1s, and how
+ * their rolls compare to what the dice should have produced.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const dossierManager = require('../utils/dossierManager');
+const nameResolver = require('../utils/nameResolver');
+const playerLinks = require('../utils/playerLinks');
+const privateRolls = require('../utils/privateRolls');
+const RollStats = require('../utils/rollStats');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('rollstats')
+        .setDescription('Show a character\'s roll statistics and luck report')
+        .addStringOption(option =>
+            option.setName('character')
+                .setDescription('Character name (default: your /iam character)')
+                .setRequired(false)
+                .setAutocomplete(true)
+        ),
+
+    /**
+     * Handle autocomplete for character name
+     * @param {Object} interaction - Discord autocomplete interaction
+     */
+    async autocomplete(interaction) {
+        const focusedValue = interaction.options.getFocused();
+        const matches = nameResolver.search(focusedValue, 25);
+        const dossierNames = dossierManager.getAllNames();
+        const allNames = [...new Set([...matches, ...dossierNames])];
+
+        const filtered = allNames
+            .filter(name => name.toLowerCase().includes(focusedValue.toLowerCase()))
+            .slice(0, 25);
+
+        await interaction.respond(
+            filtered.map(name => ({ name, value: name }))
+        );
+    },
+
+    /**
+     * Execute the /rollstats command
+     * @param {Object} interaction - Discord command interaction
+     */
+    async execute(interaction) {
+        const nameInput = playerLinks.resolve(interaction.options.getString('character'), interaction.user.id);
+        if (!nameInput) {
+            await interaction.reply({ content: 'Which character? Name one, or link yours with `/iam`.', ephemeral: true });
+            return;
+        }
+        const canonical = nameResolver.resolve(nameInput);
+        const dossier = canonical ? dossierManager.getDossier(canonical) : null;
+
+        // GM and blind rolls only count for those who could see them, or the stats would give them away
+        const rolls = (dossier?.rollHistory || []).filter(entry =>
+            privateRolls.canView(entry, interaction.user.id, interaction.member)
+        );
+
+        if (!dossier || rolls.length === 0) {
+            await interaction.reply({
+                content: `No rolls logged for "${canonical || nameInput}" yet. Add \`character:\` to \`/roll dice\` or \`/roll attack\` to start tracking.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        const stats = RollStats.summarize(rolls);
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🎲 Roll Stats: ${dossier.canonicalName}`)
+            .setColor(0x2E8B57)
+            .setDescription(`${stats.totalRolls} logged roll${stats.totalRolls === 1 ? '' : 's'}, ${stats.d20Count} natural d20${stats.d20Count === 1 ? '' : 's'}`)
+            .setTimestamp();
+
+        if (stats.d20Count > 0) {
+            embed.addFields(
+                { name: 'd20 Distribution', value: `\`\`\`\n${RollStats.formatHistogram(stats.distribution)}\n\`\`\``, inline: false },
+                { name: 'Natural 20s', value: `${stats.nat20s} (expected ${stats.expectedNat20s.toFixed(1)})`, inline: true },
+                { name: 'Natural 1s', value: `${stats.nat1s} (expected ${stats.expectedNat1s.toFixed(1)})`, inline: true },
+                { name: 'd20 Average', value: `${stats.d20Average.toFixed(2)} (expected ${stats.d20Expected})`, inline: true }
+            );
+        }
+
+        if (stats.averageDeviation !== null) {
+            const sign = stats.averageDeviation >= 0 ? '+' : '';
+            embed.addFields({
+                name: 'Totals vs. Expected',
+                value: `${sign}${stats.averageDeviation.toFixed(2)} per roll over ${stats.comparedRolls} dice roll${stats.comparedRolls === 1 ? '' : 's'}`,
+                inline: false
+            });
+        }
+
+        embed.addFields({ name: 'Verdict', value: RollStats.describeLuck(stats.luckScore), inline: false });
+
+        await interaction.reply({ embeds: [embed] });
+    }
+};
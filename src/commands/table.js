@@ -0,0 +1,215 @@
+/**
+ * /table command for Casandalee
+ * Roll on any FoundryVTT RollTable: the built-in reincarnation tables or
+ * tables imported from a Foundry JSON export.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const rollTables = require('../utils/rollTables');
+const logger = require('../utils/logger');
+const roll = require('./roll');
+
+/** Largest table export accepted by /table import */
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('table')
+        .setDescription('Roll on Foundry roll tables')
+        .addSubcommand(sub =>
+            sub.setName('roll')
+                .setDescription('Draw a result from a table')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Table name')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+                .addStringOption(option =>
+                    option.setName('mode')
+                        .setDescription('Who sees the result (default: everyone)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Public', value: 'public' },
+                            { name: 'GM roll (only you and the GM)', value: 'gm' },
+                            { name: 'Blind roll (only the GM)', value: 'blind' }
+                        )
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('list')
+                .setDescription('List the available tables')
+        )
+        .addSubcommand(sub =>
+            sub.setName('reset')
+                .setDescription('Put every drawn result back (tables without replacement)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Table name')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand(sub =>
+            sub.setName('import')
+                .setDescription('Import a Foundry RollTable JSON export')
+                .addAttachmentOption(option =>
+                    option.setName('file')
+                        .setDescription('RollTable .json exported from Foundry')
+                        .setRequired(true)
+                )
+        ),
+
+    // Downloading an import can take a moment
+    timeout: 15000,
+
+    /**
+     * Autocomplete table names
+     * @param {Object} interaction - Discord autocomplete interaction
+     */
+    async autocomplete(interaction) {
+        const value = interaction.options.getFocused().toLowerCase();
+        await interaction.respond(
+            rollTables.list()
+                .filter(table => table.name.toLowerCase().includes(value))
+                .slice(0, 25)
+                .map(table => ({ name: table.name.substring(0, 100), value: table.id }))
+        );
+    },
+
+    /**
+     * Execute the /table command
+     * @param {Object} interaction - Discord command interaction
+     */
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        logger.info('Table command executed', {
+            subcommand,
+            userId: interaction.user.id,
+            username: interaction.user.username
+        });
+
+        try {
+            switch (subcommand) {
+                case 'roll': return await this.executeRoll(interaction);
+                case 'list': return await this.executeList(interaction);
+                case 'reset': return await this.executeReset(interaction);
+                case 'import': return await this.executeImport(interaction);
+            }
+        } catch (error) {
+            logger.error('Error in table command:', error);
+            const message = { content: `❌ ${error.message}`, ephemeral: true };
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(message);
+            } else {
+                await interaction.reply(message);
+            }
+        }
+    },
+
+    /**
+     * /table roll
+     * @param {Object} interaction - Discord command interaction
+     */
+    async executeRoll(interaction) {
+        const name = interaction.options.getString('name');
+        const visibility = interaction.options.getString('mode') || 'public';
+
+        const draw = rollTables.draw(name);
+        const entry = roll.auditRoll(interaction, {
+            type: 'table',
+            input: { table: draw.table.id, exclude: draw.excluded, nestedExclude: draw.nestedExcluded },
+            result: draw,
+            visibility
+        });
+
+        logger.info('Table drawn', { table: draw.table.name, roll: draw.roll.total, result: draw.result.text, rollId: entry.id });
+
+        const embed = this.buildDrawEmbed(draw)
+            .setFooter({ text: `Rolled by ${interaction.user.username} • Roll #${entry.id}` });
+        await roll.sendRoll(interaction, embed, visibility, entry.id);
+    },
+
+    /**
+     * /table list
+     * @param {Object} interaction - Discord command interaction
+     */
+    async executeList(interaction) {
+        const lines = rollTables.list().map(table => {
+            const drawn = table.replacement ? '' : ` • ${rollTables.getDrawnIds(table).length}/${table.results.length} drawn`;
+            return `• **${table.name}** — \`${table.formula}\`, ${table.results.length} results${drawn}${table.source === 'imported' ? ' *(imported)*' : ''}`;
+        });
+
+        const embed = new EmbedBuilder()
+            .setTitle('📜 Roll Tables')
+            .setColor(0x8B4513)
+            .setDescription((lines.length > 0 ? lines.join('\n') : '*No tables loaded*').substring(0, 4096))
+            .setFooter({ text: 'Import more with /table import' })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    },
+
+    /**
+     * /table reset
+     * @param {Object} interaction - Discord command interaction
+     */
+    async executeReset(interaction) {
+        const table = rollTables.reset(interaction.options.getString('name'));
+        await interaction.reply(`🔄 **${table.name}** reset — every result is back in the table.`);
+    },
+
+    /**
+     * /table import — download and store a Foundry RollTable export
+     * @param {Object} interaction - Discord command interaction
+     */
+    async executeImport(interaction) {
+        const attachment = interaction.options.getAttachment('file');
+        if (attachment.size > MAX_IMPORT_BYTES) {
+            throw new Error('That file is too large for a roll table export');
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const response = await fetch(attachment.url);
+        if (!response.ok) {
+            throw new Error(`Could not download the file (HTTP ${response.status})`);
+        }
+
+        let raw;
+        try {
+            raw = JSON.parse(await response.text());
+        } catch (error) {
+            throw new Error('That file isn\'t valid JSON');
+        }
+
+        const table = rollTables.import(raw);
+        await interaction.editReply(`📥 Imported **${table.name}** — \`${table.formula}\`, ${table.results.length} results. Roll it with \`/table roll\`.`);
+    },
+
+    /**
+     * Build the embed for a table draw, including nested draws
+     * @param {Object} draw - Result from rollTables.draw
+     * @returns {EmbedBuilder} - Embed
+     */
+    buildDrawEmbed(draw) {
+        const embed = new EmbedBuilder()
+            .setTitle(`📜 ${draw.table.name}`)
+            .setColor(0x8B4513)
+            .setTimestamp();
+
+        let depth = 0;
+        for (let step = draw; step; step = step.nested) {
+            const lines = [`🎲 \`${step.roll.formula}\` → ${step.roll.breakdown}`, `**${step.result.text || '(blank result)'}**`];
+            if (step.result.details) lines.push(step.result.details);
+            embed.addFields({
+                name: depth === 0 ? 'Result' : `↳ ${step.table.name}`,
+                value: lines.join('\n').substring(0, 1024),
+                inline: false
+            });
+            depth++;
+        }
+
+        return embed;
+    }
+};
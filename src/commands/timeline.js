@@ -4,6 +4,7 @@
 
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const campaignContext = require('../utils/campaignContext');
+const calendar = require('../utils/golarionCalendar');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -80,7 +81,7 @@ module.exports = {
             const maxFields = Math.min(events.length, 25);
             for (let i = 0; i < maxFields; i++) {
                 const event = events[i];
-                const fieldName = `${event.date} (${event.location})`;
+                const fieldName = `${calendar.formatEventDate(event.date)} (${event.location})`;
                 const fieldValue = `${event.ap}: ${event.description}`;
                 
                 embed.addFields({
@@ -3,6 +3,8 @@
  */
 
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const calendar = require('../utils/golarionCalendar');
+const timelineRepository = require('../utils/timelineRepository');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -14,8 +16,7 @@ module.exports = {
             await interaction.deferReply();
             
             // Get today's events directly
-            const timelineSearch = require('../utils/timelineSearch');
-            const todayEvents = await getTodaysEvents(timelineSearch);
+            const todayEvents = await getTodaysEvents();
             
             if (todayEvents.length === 0) {
                 await interaction.editReply('📅 No historical events found for today. The day passes quietly in Golarion\'s history.');
@@ -26,7 +27,7 @@ module.exports = {
             const embed = new EmbedBuilder()
                 .setColor(0x8B4513) // Brown color
                 .setTitle('📜 Today in Golarion History')
-                .setDescription(`Historical events that occurred on ${new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric' })}`)
+                .setDescription(`Historical events that occurred on ${calendar.format(calendar.fromEarthDate(), { year: false })} (${new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric' })})`)
                 .setTimestamp()
                 .setFooter({ text: 'Casandalee Historical Archive' });
             
@@ -34,8 +35,7 @@ module.exports = {
             const maxEvents = Math.min(todayEvents.length, 10);
             for (let i = 0; i < maxEvents; i++) {
                 const event = todayEvents[i];
-                const parsedDate = parseEventDate(event.date);
-                const year = parsedDate ? parsedDate.year : 'Unknown';
+                const year = event.year !== null ? `${event.year} AR` : 'Unknown';
                 
                 embed.addFields({
                     name: `${year} - ${event.location}`,
@@ -70,49 +70,9 @@ module.exports = {
 /**
  * Get today's historical events
  */
-async function getTodaysEvents(timelineSearch) {
-    const today = new Date();
-    const month = today.getMonth() + 1;
-    const day = today.getDate();
+async function getTodaysEvents() {
+    const { month, day } = calendar.fromEarthDate();
     
-    const allEvents = timelineSearch.timeline || [];
-    const todaysEvents = allEvents.filter(event => {
-        if (!event.date) return false;
-        
-        const eventDate = parseEventDate(event.date);
-        if (!eventDate) return false;
-        
-        return eventDate.month === month && eventDate.day === day;
-    });
-    
-    // Sort by year (most recent first)
-    todaysEvents.sort((a, b) => {
-        const yearA = parseEventDate(a.date)?.year || 0;
-        const yearB = parseEventDate(b.date)?.year || 0;
-        return yearB - yearA;
-    });
-    
-    return todaysEvents;
-}
-
-/**
- * Parse event date to extract year, month, day
- */
-function parseEventDate(dateString) {
-    try {
-        const parts = dateString.split('.');
-        if (parts.length >= 2) {
-            const year = parseInt(parts[0]);
-            const month = parseInt(parts[1]);
-            const day = parts[2] ? parseInt(parts[2]) : 1;
-            
-            return { year, month, day };
-        }
-        return null;
-    } catch (error) {
-        return null;
-    }
+    // Most recent year first
+    return timelineRepository.getEventsOn(month, day);
 }
-
-
-
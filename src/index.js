@@ -12,17 +12,29 @@ require('dotenv').config();
 const diceRoller = require('./utils/diceRoller');
 
 const campaignContext = require('./utils/campaignContext');
-const timelineSearch = require('./utils/timelineSearch');
-const timelineCache = require('./utils/timelineCache');
+const timelineRepository = require('./utils/timelineRepository');
+const calendar = require('./utils/golarionCalendar');
 const dossierManager = require('./utils/dossierManager');
 const nameResolver = require('./utils/nameResolver');
 const llmRouter = require('./utils/llmRouter');
-const googleSheetsIntegration = require('./utils/googleSheetsIntegration');
 const llmHandler = require('./utils/llmHandler');
+const privateRolls = require('./utils/privateRolls');
 const logger = require('./utils/logger');
+const storage = require('./utils/storage');
+const guildSettings = require('./utils/guildSettings');
 const personalityManager = require('./utils/personalityManager');
+const raceDatabase = require('./utils/raceDatabase');
+const rollTables = require('./utils/rollTables');
 const DailyHistoryScheduler = require('./utils/dailyHistory');
 
+// Only one process may write data/ at a time; tools like cass-cli --import-actor check this lock
+try {
+    storage.lock('bot');
+} catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+}
+
 // Create Discord client
 const client = new Client({
     intents: [
@@ -76,63 +88,84 @@ client.once(Events.ClientReady, async readyClient => {
         logger.warn('Could not update avatar (rate limit or unchanged):', avatarError.message);
     }
 
-    // Initialize timeline search
+    // Servers that never used /config keep posting where they did before it existed
     try {
-        await timelineSearch.initialize();
-        logger.info('✅ Timeline search initialized successfully');
+        guildSettings.migrateLegacyChannels(readyClient.guilds.cache.values());
     } catch (error) {
-        logger.error('❌ Failed to initialize timeline search:', error);
+        logger.error('❌ Failed to migrate server channel settings:', error);
     }
-    
-    // Initialize timeline cache with new-event notification
+
+    // Load the timeline (search, indexes, /today and daily history all read from it)
     try {
-        const result = await timelineCache.rebuild();
-        timelineCache.startCron((newEvents) => {
-            logger.info(`Timeline cache detected ${newEvents.length} new events`);
-            // TODO: Post notification to Discord channel
-        });
-        logger.info(`✅ Timeline cache initialized: ${result.totalEvents} events`);
+        const count = await timelineRepository.load();
+        timelineRepository.startCron();
+        logger.info(`✅ Timeline loaded: ${count} events`);
     } catch (error) {
-        logger.error('❌ Failed to initialize timeline cache:', error);
+        logger.error('❌ Failed to load timeline:', error);
     }
 
-    // Set up new-event notifications via Google Sheets
+    // Announce added, edited and removed timeline events whenever the timeline reloads
     try {
-        googleSheetsIntegration.onNewEvents(async (newEvents) => {
+        timelineRepository.onChange(async (change) => {
+            const { added, changed, removed } = change;
+            if (added.length + changed.length + removed.length === 0) return;
             try {
-                // Find the General channel to post notifications
-                const guilds = readyClient.guilds.cache;
-                for (const [, guild] of guilds) {
-                    const generalChannel = guild.channels.cache.find(
-                        ch => ch.name === 'general' && ch.isTextBased()
-                    );
-                    if (generalChannel) {
-                        const embed = new EmbedBuilder()
-                            .setColor(0xFFD700)
-                            .setTitle('📜 New Timeline Events!')
-                            .setDescription(`${newEvents.length} new event(s) added to the campaign timeline.`)
-                            .setTimestamp();
-
-                        const eventList = newEvents.slice(0, 5).map(e =>
-                            `**${e.date}** (${e.location}): ${e.description?.substring(0, 150)}...`
-                        ).join('\n\n');
-                        embed.addFields({ name: 'Recent Additions', value: eventList.substring(0, 1024) });
-
-                        if (newEvents.length > 5) {
-                            embed.setFooter({ text: `...and ${newEvents.length - 5} more. Use /timeline to explore.` });
-                        }
-
-                        await generalChannel.send({ embeds: [embed] });
-                        logger.info(`Posted ${newEvents.length} new event notifications to ${guild.name}/#general`);
+                const line = (e) => `**${calendar.formatEventDate(e.date)}** (${e.location}): ${e.description?.substring(0, 150)}...`;
+                const list = (items, render) => {
+                    const text = items.slice(0, 5).map(render).join('\n\n');
+                    const more = items.length > 5 ? `\n\n...and ${items.length - 5} more` : '';
+                    return (text.substring(0, 1024 - more.length)) + more;
+                };
+
+                const embed = new EmbedBuilder()
+                    .setColor(0xFFD700)
+                    .setTitle(changed.length || removed.length ? '📜 Timeline Updated' : '📜 New Timeline Events!')
+                    .setDescription(`Campaign timeline: ${timelineRepository.describeChange(change)}.`)
+                    .setFooter({ text: 'Use /timeline to explore.' })
+                    .setTimestamp();
+
+                if (added.length) {
+                    embed.addFields({ name: '🆕 Added', value: list(added, line) });
+                }
+                if (changed.length) {
+                    embed.addFields({
+                        name: '✏️ Edited',
+                        value: list(changed, ({ before, after }) => {
+                            const was = [];
+                            if (before.date !== after.date) was.push(`date was ${calendar.formatEventDate(before.date)}`);
+                            if (before.location !== after.location) was.push(`location was ${before.location || 'blank'}`);
+                            if (before.ap !== after.ap) was.push(`AP was ${before.ap || 'blank'}`);
+                            if (before.description !== after.description) was.push(`was: "${before.description.substring(0, 100)}"`);
+                            return `${line(after)}\n*${was.join('; ')}*`;
+                        })
+                    });
+                }
+                if (removed.length) {
+                    embed.addFields({ name: '🗑️ Removed', value: list(removed, line) });
+                }
+
+                // Post to each server's timeline channel (set with /config)
+                for (const [, guild] of readyClient.guilds.cache) {
+                    const channelId = guildSettings.getChannel(guild.id, 'timeline');
+                    if (!channelId) {
+                        logger.warn(`Timeline changes not announced in ${guild.name}: no timeline channel set (/config channel)`);
+                        continue;
+                    }
+                    try {
+                        const channel = await readyClient.channels.fetch(channelId);
+                        await channel.send({ embeds: [embed] });
+                        logger.info(`Posted timeline changes (${timelineRepository.describeChange(change)}) to ${guild.name}/#${channel.name}`);
+                    } catch (sendError) {
+                        logger.error(`Could not post timeline changes to ${guild.name} (channel ${channelId}):`, sendError.message);
                     }
                 }
             } catch (notifyError) {
-                logger.error('Error posting new event notification:', notifyError);
+                logger.error('Error posting timeline change notification:', notifyError);
             }
         });
-        logger.info('✅ New event notifications configured');
+        logger.info('✅ Timeline change notifications configured');
     } catch (error) {
-        logger.error('❌ Failed to configure new event notifications:', error);
+        logger.error('❌ Failed to configure timeline change notifications:', error);
     }
 
     // Initialize dossier manager and register known characters
@@ -189,6 +222,28 @@ client.once(Events.ClientReady, async readyClient => {
         logger.warn('Could not watch personality directory:', error.message);
     }
 
+    // Homebrew races and roll tables from the editor (or /table import) reload the same way
+    const homebrewDirs = [
+        { dir: 'races', reload: () => raceDatabase.load() },
+        { dir: 'tables', reload: () => rollTables.loadAll() }
+    ];
+    for (const { dir, reload } of homebrewDirs) {
+        try {
+            const homebrewDir = path.join(__dirname, '../data', dir);
+            if (fs.existsSync(homebrewDir)) {
+                fs.watch(homebrewDir, { recursive: false }, (eventType, filename) => {
+                    if (filename && filename.endsWith('.json')) {
+                        logger.info(`Homebrew ${dir} file changed: ${filename}, reloading...`);
+                        reload();
+                    }
+                });
+                logger.info(`✅ Watching data/${dir} for changes`);
+            }
+        } catch (error) {
+            logger.warn(`Could not watch ${dir} directory:`, error.message);
+        }
+    }
+
     logger.info(`Bot is ready and listening for commands`);
 });
 
@@ -210,7 +265,39 @@ client.on(Events.InteractionCreate, async interaction => {
             }
             return;
         }
-        
+
+        // Handle button presses: custom IDs start with the owning command's name ("reincarnate:confirm:12:Bob")
+        if (interaction.isButton()) {
+            const command = client.commands.get(interaction.customId.split(':')[0]);
+            if (command && command.handleButton) {
+                try {
+                    await command.handleButton(interaction);
+                } catch (error) {
+                    logger.error(`Button error for ${interaction.customId}:`, error);
+                    if (!interaction.replied && !interaction.deferred) {
+                        await interaction.reply({ content: '❌ That button didn\'t work — please try again.', ephemeral: true });
+                    }
+                }
+            }
+            return;
+        }
+
+        // Handle modal forms opened from those buttons; custom IDs follow the same scheme
+        if (interaction.isModalSubmit()) {
+            const command = client.commands.get(interaction.customId.split(':')[0]);
+            if (command && command.handleModal) {
+                try {
+                    await command.handleModal(interaction);
+                } catch (error) {
+                    logger.error(`Modal error for ${interaction.customId}:`, error);
+                    if (!interaction.replied && !interaction.deferred) {
+                        await interaction.reply({ content: '❌ That form didn\'t go through — please try again.', ephemeral: true });
+                    }
+                }
+            }
+            return;
+        }
+
         if (!interaction.isChatInputCommand()) {
             logger.debug('Non-chat input command interaction ignored', { type: interaction.type });
             return;
@@ -332,13 +419,20 @@ client.on(Events.MessageCreate, async message => {
                 return;
             }
             
+            // GM and blind rolls ("gm roll 1d20+5", "blind roll 1d20") never show the result in channel
+            const privateMode = privateRolls.parseMessageMode(query);
+            if (privateMode) {
+                await privateRolls.handleMessageRoll(message, privateMode);
+                return;
+            }
+            
             logger.info('Processing query with LLM', { query, username: message.author.username });
             
             // Show typing indicator
             await message.channel.sendTyping();
             
             // Process the query with LLM
-            const response = await llmHandler.processQuery(query, message.author.username);
+            const response = await llmHandler.processQuery(query, message.author.username, message.author.id);
             
             logger.info('LLM response generated', { responseLength: response.length });
             
@@ -416,6 +510,7 @@ process.on('uncaughtException', (error) => {
     // Try to save state before crashing
     try {
         logger.error('Attempting graceful shutdown...');
+        storage.flushAll();
         client.destroy();
     } catch (shutdownError) {
         logger.error('Error during shutdown:', shutdownError);
@@ -426,12 +521,14 @@ process.on('uncaughtException', (error) => {
 
 process.on('SIGINT', () => {
     logger.info('Received SIGINT, shutting down gracefully...');
+    storage.flushAll();
     client.destroy();
     process.exit(0);
 });
 
 process.on('SIGTERM', () => {
     logger.info('Received SIGTERM, shutting down gracefully...');
+    storage.flushAll();
     client.destroy();
     process.exit(0);
 });
@@ -0,0 +1,322 @@
+/**
+ * Campaign Clock for Casandalee
+ * The in-game date and hour, set and advanced by the GM ("the party rests 3
+ * days"). Every jump is logged. Timers run on the clock: effects (a curse, a
+ * disease, a long buff) expire and hooks (the caravan arrives, the festival
+ * starts) fire when time passes them, and other systems can register
+ * listeners to react when time passes.
+ *
+ * Until a GM sets it, the clock follows the campaign timeline's latest event
+ * (see campaignContext.calculateCurrentDate).
+ */
+
+const path = require('path');
+const logger = require('./logger');
+const storage = require('./storage');
+const calendar = require('./golarionCalendar');
+
+/** Hour of day the clock starts at when none is given */
+const DEFAULT_HOUR = 8;
+
+/** Time jumps kept in the log */
+const MAX_LOG_ENTRIES = 200;
+
+class CampaignClock {
+    constructor() {
+        this.store = storage.open(path.join(__dirname, '../../data/campaign'), 'clock');
+
+        /** @type {{date: Object, hour: number, updatedBy: string|null, updatedAt: string}|null} */
+        this.clock = this.store.get('clock');
+        /** @type {Array<Object>} - Time jumps, oldest first */
+        this.log = this.store.get('log') || [];
+        /** @type {Array<Object>} - Pending effects and hooks, soonest first */
+        this.timers = this.store.get('timers') || [];
+        this.lastTimerId = this.store.get('lastTimerId') || 0;
+        /** @type {Function[]} - Called with {from, to, hours} whenever time moves forward */
+        this.listeners = [];
+
+        if (this.clock) {
+            logger.info(`Campaign clock: ${this.format()} (${this.timers.length} pending timers)`);
+        }
+    }
+
+    /**
+     * Whether a GM has set the clock
+     * @returns {boolean} - True once /date set or /date advance has been used
+     */
+    isSet() {
+        return Boolean(this.clock);
+    }
+
+    /**
+     * The current in-game moment
+     * @returns {{date: Object, hour: number}} - Date ({year, month, day}) and hour 0-23
+     */
+    now() {
+        if (this.clock) {
+            return { date: { ...this.clock.date }, hour: this.clock.hour };
+        }
+
+        // Not set yet: start from the latest timeline event (loaded lazily; campaignContext reads this clock)
+        const inferred = require('./campaignContext').calculateCurrentDate().date;
+        return {
+            date: { year: inferred.year, month: inferred.month || 1, day: inferred.day || 1 },
+            hour: DEFAULT_HOUR
+        };
+    }
+
+    /**
+     * Hours since the calendar's epoch, for comparing moments
+     * @param {{date: Object, hour: number}} moment - Date and hour
+     * @returns {number} - Absolute hour
+     */
+    _toHours(moment) {
+        return calendar.toDayNumber(moment.date) * 24 + moment.hour;
+    }
+
+    /**
+     * Moment from an absolute hour
+     * @param {number} hours - Absolute hour from _toHours()
+     * @returns {{date: Object, hour: number}} - Date and hour
+     */
+    _fromHours(hours) {
+        const days = Math.floor(hours / 24);
+        return { date: calendar.fromDayNumber(days), hour: hours - days * 24 };
+    }
+
+    /**
+     * The moment a number of hours from now
+     * @param {number} hours - Hours ahead
+     * @returns {{date: Object, hour: number}} - Date and hour
+     */
+    fromNow(hours) {
+        return this._fromHours(this._toHours(this.now()) + hours);
+    }
+
+    /**
+     * Format a moment (default: now)
+     * @param {{date: Object, hour: number}} [moment] - Date and hour
+     * @returns {string} - e.g. "Oathday, 1 Desnus 4717 AR, 08:00"
+     */
+    format(moment = this.now()) {
+        return `${calendar.format(moment.date, { weekday: true })}, ${this.formatHour(moment.hour)}`;
+    }
+
+    /**
+     * Format an hour of the day
+     * @param {number} hour - Hour 0-23
+     * @returns {string} - e.g. "08:00"
+     */
+    formatHour(hour) {
+        return `${String(hour).padStart(2, '0')}:00`;
+    }
+
+    /**
+     * Format a length of time
+     * @param {number} hours - Hours
+     * @returns {string} - e.g. "3 days", "1 day 4 hours", "5 hours"
+     */
+    formatDuration(hours) {
+        const sign = hours < 0 ? '-' : '';
+        const days = Math.floor(Math.abs(hours) / 24);
+        const rest = Math.abs(hours) % 24;
+        const parts = [];
+        if (days) parts.push(`${days} day${days === 1 ? '' : 's'}`);
+        if (rest || !days) parts.push(`${rest} hour${rest === 1 ? '' : 's'}`);
+        return sign + parts.join(' ');
+    }
+
+    /**
+     * Set the clock to a date (time can go backwards; nothing fires when it does)
+     * @param {Object} date - {year, month, day} (a missing month or day means the first)
+     * @param {number|null} hour - Hour 0-23 (null keeps the current hour)
+     * @param {Object} meta - {updatedBy, updatedById, reason}
+     * @returns {{from: Object, to: Object, hours: number, fired: Object[], notes: string[]}} - What happened
+     */
+    set(date, hour, meta = {}) {
+        const from = this.now();
+        const to = {
+            date: { year: date.year, month: date.month || 1, day: date.day || 1 },
+            hour: hour ?? from.hour
+        };
+        if (to.hour < 0 || to.hour > 23) {
+            throw new Error('The hour must be between 0 and 23');
+        }
+        return this._moveTo('set', from, to, meta);
+    }
+
+    /**
+     * Move the clock forward
+     * @param {{days?: number, hours?: number}} amount - Time to pass
+     * @param {Object} meta - {updatedBy, updatedById, reason}
+     * @returns {{from: Object, to: Object, hours: number, fired: Object[], notes: string[]}} - What happened
+     */
+    advance({ days = 0, hours = 0 }, meta = {}) {
+        const total = days * 24 + hours;
+        if (!Number.isInteger(total) || total <= 0) {
+            throw new Error('Time only moves forward — use /date set to go back');
+        }
+        return this._moveTo('advance', this.now(), this.fromNow(total), meta);
+    }
+
+    /**
+     * Move the clock, log the jump, fire due timers and tell listeners
+     * @param {string} kind - 'set' or 'advance'
+     * @param {Object} from - Moment before
+     * @param {Object} to - Moment after
+     * @param {Object} meta - {updatedBy, updatedById, reason}
+     * @returns {{from: Object, to: Object, hours: number, fired: Object[], notes: string[]}} - What happened
+     */
+    _moveTo(kind, from, to, meta) {
+        const hours = this._toHours(to) - this._toHours(from);
+
+        this.clock = {
+            date: to.date,
+            hour: to.hour,
+            updatedBy: meta.updatedBy || null,
+            updatedAt: new Date().toISOString()
+        };
+        this.store.set('clock', this.clock);
+
+        const entry = {
+            id: (this.log[this.log.length - 1]?.id || 0) + 1,
+            kind,
+            from,
+            to,
+            hours,
+            reason: meta.reason || null,
+            updatedBy: meta.updatedBy || null,
+            updatedById: meta.updatedById || null,
+            timestamp: new Date().toISOString()
+        };
+        this.log.push(entry);
+        if (this.log.length > MAX_LOG_ENTRIES) {
+            this.log = this.log.slice(-MAX_LOG_ENTRIES);
+        }
+        this.store.set('log', this.log);
+
+        let fired = [];
+        const notes = [];
+        if (hours > 0) {
+            const nowHours = this._toHours(to);
+            fired = this.timers.filter(timer => timer.dueAt <= nowHours);
+            if (fired.length > 0) {
+                this.timers = this.timers.filter(timer => timer.dueAt > nowHours);
+                this.store.set('timers', this.timers);
+            }
+
+            for (const listener of this.listeners) {
+                try {
+                    notes.push(...(listener({ from, to, hours }) || []));
+                } catch (error) {
+                    logger.error('Error in campaign clock listener:', error);
+                }
+            }
+        }
+
+        logger.info(`Campaign clock ${kind}: ${this.format(from)} -> ${this.format(to)}`, {
+            hours, fired: fired.length, updatedBy: meta.updatedBy
+        });
+        return { from, to, hours, fired, notes };
+    }
+
+    /**
+     * Run a function whenever time moves forward
+     * @param {Function} listener - Called with {from, to, hours}; may return lines to report
+     */
+    onAdvance(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Add a timer: an effect that expires or a hook that fires at a moment
+     * @param {Object} timer - {kind: 'effect'|'hook', text, character?, due: {date, hour}}
+     * @param {Object} meta - {updatedBy, updatedById}
+     * @returns {Object} - The timer
+     */
+    addTimer({ kind, text, character = null, due }, meta = {}) {
+        const dueAt = this._toHours(due);
+        if (dueAt <= this._toHours(this.now())) {
+            throw new Error(`${this.format(due)} has already passed`);
+        }
+
+        const timer = {
+            id: ++this.lastTimerId,
+            kind,
+            text: text.trim(),
+            character,
+            due: { date: due.date, hour: due.hour },
+            dueAt,
+            createdBy: meta.updatedBy || null,
+            createdById: meta.updatedById || null,
+            createdAt: new Date().toISOString()
+        };
+        this.timers.push(timer);
+        this.timers.sort((a, b) => a.dueAt - b.dueAt);
+        this.store.set('timers', this.timers);
+        this.store.set('lastTimerId', this.lastTimerId);
+
+        logger.info(`Campaign ${kind} added: ${timer.text}`, { id: timer.id, due: this.format(due) });
+        return timer;
+    }
+
+    /**
+     * An effect that lasts a while from now
+     * @param {string} text - What it is (e.g. "cursed with lycanthropy")
+     * @param {number} hours - How long it lasts
+     * @param {string|null} character - Who it affects
+     * @param {Object} meta - {updatedBy, updatedById}
+     * @returns {Object} - The timer
+     */
+    addEffect(text, hours, character, meta) {
+        if (!Number.isInteger(hours) || hours <= 0) {
+            throw new Error('An effect has to last at least an hour');
+        }
+        return this.addTimer({ kind: 'effect', text, character, due: this.fromNow(hours) }, meta);
+    }
+
+    /**
+     * Cancel a timer
+     * @param {number} id - Timer id
+     * @returns {Object|null} - The cancelled timer, or null if there's none with that id
+     */
+    cancelTimer(id) {
+        const timer = this.timers.find(t => t.id === id);
+        if (!timer) return null;
+        this.timers = this.timers.filter(t => t.id !== id);
+        this.store.set('timers', this.timers);
+        return timer;
+    }
+
+    /**
+     * Pending timers, soonest first
+     * @param {string} [kind] - Only 'effect' or 'hook'
+     * @returns {Object[]} - Timers
+     */
+    getTimers(kind = null) {
+        return this.timers.filter(timer => !kind || timer.kind === kind);
+    }
+
+    /**
+     * Time left on a timer
+     * @param {Object} timer - Timer
+     * @returns {number} - Hours until it expires or fires
+     */
+    hoursLeft(timer) {
+        return timer.dueAt - this._toHours(this.now());
+    }
+
+    /**
+     * Recent time jumps, newest first
+     * @param {number} [limit=10] - Max entries
+     * @returns {Object[]} - Log entries
+     */
+    getLog(limit = 10) {
+        return this.log.slice(-limit).reverse();
+    }
+}
+
+// Singleton instance
+const campaignClock = new CampaignClock();
+
+module.exports = campaignClock;
@@ -4,11 +4,15 @@
  */
 
 const googleSheetsIntegration = require('./googleSheetsIntegration');
+const timelineRepository = require('./timelineRepository');
+const rng = require('./rng');
+const calendar = require('./golarionCalendar');
+const campaignClock = require('./campaignClock');
 
 class CampaignContext {
     constructor() {
         this.currentYear = parseInt(process.env.CAMPAIGN_YEAR) || 4717;
-        this.currentMonth = process.env.CAMPAIGN_MONTH || 'April';
+        this.currentMonth = calendar.monthName(calendar.monthNumber(process.env.CAMPAIGN_MONTH) || 4);
         this.campaignEvents = [];
         this.playerCharacters = [];
         this.worldState = {};
@@ -47,167 +51,76 @@ class CampaignContext {
             }
         };
         
-        // Load campaign-specific timeline from CSV
-        this.loadCampaignTimeline();
-        
         // Initialize world state
         this.initializeWorldState();
     }
     
-    /**
-     * Load campaign timeline from CSV file
-     */
-    loadCampaignTimeline() {
-        try {
-            const fs = require('fs');
-            const path = require('path');
-            
-            const csvPath = path.join(__dirname, '../../pf_folkengames_timeline.csv');
-            const csvContent = fs.readFileSync(csvPath, 'utf8');
-            const lines = csvContent.split('\n');
-            
-            this.campaignTimeline = [];
-            
-            // Skip header row
-            for (let i = 1; i < lines.length; i++) {
-                const line = lines[i].trim();
-                if (!line) continue;
-                
-                // Parse CSV line (simple parsing, handles quoted fields)
-                const fields = this.parseCSVLine(line);
-                if (fields.length >= 4) {
-                    this.campaignTimeline.push({
-                        date: fields[0],
-                        location: fields[1],
-                        ap: fields[2],
-                        description: fields[3]
-                    });
-                }
-            }
-            
-            console.log(`✅ Loaded ${this.campaignTimeline.length} campaign timeline events`);
-            
-        } catch (error) {
-            console.warn('⚠️  Could not load campaign timeline:', error.message);
-            this.campaignTimeline = [];
-        }
-    }
-    
-    /**
-     * Parse a CSV line handling quoted fields
-     * @param {string} line - CSV line to parse
-     * @returns {Array} - Array of fields
-     */
-    parseCSVLine(line) {
-        const fields = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                fields.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        
-        fields.push(current.trim());
-        return fields;
-    }
-    
     /**
      * Get campaign timeline events
      * @returns {Array} - Campaign timeline events
      */
     getCampaignTimeline() {
-        // Try Google Sheets first, fallback to CSV
-        if (googleSheetsIntegration.isAvailable()) {
-            return googleSheetsIntegration.getCampaignTimeline();
-        }
-        return this.campaignTimeline || [];
+        return timelineRepository.getEvents();
     }
 
     /**
      * Calculate current date from most recent timeline event
-     * @returns {Object} - Current date object with year and month
+     * @returns {Object} - Current date: {year, month (name), day, date ({year, month, day}), formatted, source, lastEvent?}
      */
     calculateCurrentDate() {
-        const timeline = this.getCampaignTimeline();
-        
-        if (timeline.length === 0) {
-            // Fallback to environment variables if no timeline data
-            return {
-                year: this.currentYear,
-                month: this.currentMonth,
-                source: 'environment'
-            };
-        }
-
         // Find the most recent event by date
-        let mostRecentEvent = null;
-        let highestDate = -Infinity;
-
-        for (const event of timeline) {
-            // Try to parse the date as a number (assuming AR years)
-            const dateValue = parseFloat(event.date);
-            if (!isNaN(dateValue) && dateValue > highestDate) {
-                highestDate = dateValue;
-                mostRecentEvent = event;
-            }
-        }
+        const mostRecentEvent = timelineRepository.getLatest();
 
         if (mostRecentEvent) {
-            // Extract year and month from the most recent event
-            const currentYear = Math.floor(highestDate);
-            const currentMonth = this.extractMonthFromDate(highestDate);
-            
             this.dynamicDate = {
-                year: currentYear,
-                month: currentMonth,
+                ...this.describeDate(mostRecentEvent.parsed),
                 source: 'timeline',
                 lastEvent: mostRecentEvent
             };
 
-            console.log(`📅 Current date updated from timeline: ${currentMonth} ${currentYear} AR (from event: ${mostRecentEvent.description})`);
-            
+            console.log(`📅 Current date updated from timeline: ${this.dynamicDate.formatted} (from event: ${mostRecentEvent.description})`);
+
             return this.dynamicDate;
         }
 
-        // Fallback to environment variables
+        // Fallback to environment variables if no timeline data
         return {
-            year: this.currentYear,
-            month: this.currentMonth,
+            ...this.describeDate(calendar.create(this.currentYear, calendar.monthNumber(this.currentMonth))),
             source: 'environment'
         };
     }
 
     /**
-     * Extract month from a date value
-     * @param {number} dateValue - Date value (e.g., 4717.25 for April 4717)
-     * @returns {string} - Month name
+     * Current date fields for a calendar date
+     * @param {Object} date - {year, month, day} from the Golarion calendar
+     * @returns {Object} - {year, month (name), day, date, formatted}
      */
-    extractMonthFromDate(dateValue) {
-        const fractionalPart = dateValue - Math.floor(dateValue);
-        const monthIndex = Math.floor(fractionalPart * 12);
-        
-        const months = [
-            'January', 'February', 'March', 'April', 'May', 'June',
-            'July', 'August', 'September', 'October', 'November', 'December'
-        ];
-        
-        return months[monthIndex] || 'April'; // Default to April if calculation fails
+    describeDate(date) {
+        return {
+            year: date.year,
+            month: calendar.monthName(date.month),
+            day: date.day,
+            date,
+            formatted: calendar.format(date, { weekday: true })
+        };
     }
 
     /**
-     * Get current campaign date (dynamic or static)
-     * @returns {Object} - Current date information
+     * Get current campaign date: the GM's campaign clock once set, else inferred from the timeline
+     * @returns {Object} - Current date information (plus hour and time when it comes from the clock)
      */
     getCurrentDate() {
+        if (campaignClock.isSet()) {
+            const { date, hour } = campaignClock.now();
+            return {
+                ...this.describeDate(date),
+                hour,
+                time: campaignClock.formatHour(hour),
+                source: 'clock',
+                updatedBy: campaignClock.clock.updatedBy
+            };
+        }
+
         // Always recalculate to get the most recent data
         return this.calculateCurrentDate();
     }
@@ -217,12 +130,7 @@ class CampaignContext {
      * @returns {Array} - Recent events
      */
     getRecentCampaignEvents() {
-        if (!this.campaignTimeline || this.campaignTimeline.length === 0) {
-            return [];
-        }
-        
-        // Return the last 10 events
-        return this.campaignTimeline.slice(-10);
+        return timelineRepository.getRecent(10);
     }
     
     /**
@@ -231,21 +139,12 @@ class CampaignContext {
      * @returns {Array} - Matching events
      */
     searchCampaignTimeline(searchTerm) {
-        // Try Google Sheets first, fallback to CSV
-        if (googleSheetsIntegration.isAvailable()) {
-            return googleSheetsIntegration.searchCampaignTimeline(searchTerm);
-        }
-        
-        if (!this.campaignTimeline || this.campaignTimeline.length === 0) {
-            return [];
-        }
-        
         const searchLower = searchTerm.toLowerCase();
         
         // Extract individual words from the search term
         const searchWords = searchLower.split(/\s+/).filter(word => word.length > 2);
         
-        return this.campaignTimeline.filter(event => {
+        return timelineRepository.getEvents().filter(event => {
             const eventText = `${event.location} ${event.ap} ${event.description}`.toLowerCase();
             
             // Check if any search word is found in the event
@@ -255,22 +154,18 @@ class CampaignContext {
     
     /**
      * Get events by date range
-     * @param {string} startDate - Start date
+     * @param {string} startDate - Start date (any format the Golarion calendar reads)
      * @param {string} endDate - End date
      * @returns {Array} - Events in date range
      */
     getEventsByDateRange(startDate, endDate) {
-        if (!this.campaignTimeline || this.campaignTimeline.length === 0) {
+        const start = calendar.parse(startDate);
+        const end = calendar.parse(endDate);
+        if (!start || !end) {
             return [];
         }
-        
-        return this.campaignTimeline.filter(event => {
-            const eventDate = parseFloat(event.date);
-            const start = parseFloat(startDate);
-            const end = parseFloat(endDate);
-            
-            return eventDate >= start && eventDate <= end;
-        });
+
+        return timelineRepository.getEventsBetween(start, end);
     }
     
     /**
@@ -385,22 +280,33 @@ class CampaignContext {
         
         // Get current date (dynamic from timeline or static from environment)
         const currentDate = this.getCurrentDate();
-        context.push(`Current Date: ${currentDate.month} ${currentDate.year} AR (Absalom Reckoning)`);
+        context.push(`Current Date: ${currentDate.formatted}${currentDate.time ? `, ${currentDate.time}` : ''} (Absalom Reckoning; ${calendar.formatYears(currentDate.date)})`);
         
-        if (currentDate.source === 'timeline') {
+        if (currentDate.source === 'clock') {
+            context.push('Date Source: Campaign clock kept by the GM');
+        } else if (currentDate.source === 'timeline') {
             context.push(`Date Source: Based on most recent timeline event: "${currentDate.lastEvent.description}"`);
         } else {
             context.push(`Date Source: Environment variables (timeline not available)`);
         }
         
         context.push(`World State: ${this.worldState.majorEvents.join(', ')}`);
+
+        // Effects running on the campaign clock (hooks stay secret until they fire)
+        const effects = campaignClock.getTimers('effect');
+        if (effects.length > 0) {
+            context.push('Active Effects:');
+            effects.forEach(effect => {
+                context.push(`- ${effect.character ? `${effect.character}: ` : ''}${effect.text} (${campaignClock.formatDuration(campaignClock.hoursLeft(effect))} left)`);
+            });
+        }
         
         // Recent campaign timeline events
         const recentTimelineEvents = this.getRecentCampaignEvents();
         if (recentTimelineEvents.length > 0) {
             context.push('Recent Campaign Timeline Events:');
             recentTimelineEvents.forEach(event => {
-                context.push(`- ${event.date} (${event.location}): ${event.description}`);
+                context.push(`- ${calendar.formatEventDate(event.date)} (${event.location}): ${event.description}`);
             });
         }
         
@@ -457,7 +363,7 @@ class CampaignContext {
             'Adventurers often work for the Pathfinder Society or various noble houses.'
         ];
         
-        return facts[Math.floor(Math.random() * facts.length)];
+        return rng.pick(facts);
     }
 }
 
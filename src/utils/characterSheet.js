@@ -0,0 +1,744 @@
+/**
+ * Character Sheet for Casandalee
+ * The structured PF1 sheet kept on a dossier (`dossier.sheet`): ability scores,
+ * HP, AC, saves, combat numbers, skills, feats and weapons as real values rather
+ * than text. Every import or edit bumps the sheet's version and records what
+ * changed in `dossier.sheetHistory`; dossierManager does the storing, this
+ * module shapes, validates, diffs and formats the sheet data.
+ */
+
+const { validate } = require('./homebrewSchema');
+
+/** Bump when the shape of the sheet data changes */
+const SCHEMA_VERSION = 1;
+
+const ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+const NULLABLE_INT = { type: ['integer', 'null'] };
+const NULLABLE_STRING = { type: ['string', 'null'] };
+
+const SHEET_SCHEMA = {
+    type: 'object',
+    required: ['schemaVersion', 'abilities', 'hp', 'ac', 'saves', 'skills', 'feats', 'weapons'],
+    properties: {
+        schemaVersion: { type: 'integer', enum: [SCHEMA_VERSION] },
+        name: NULLABLE_STRING,
+        race: NULLABLE_STRING,
+        class: NULLABLE_STRING,
+        level: NULLABLE_INT,
+        alignment: NULLABLE_STRING,
+        deity: NULLABLE_STRING,
+        player: NULLABLE_STRING,
+        abilities: {
+            type: 'object',
+            properties: Object.fromEntries(ABILITIES.map(a => [a, NULLABLE_INT])),
+            additionalProperties: false
+        },
+        hp: { type: 'object', properties: { current: NULLABLE_INT, max: NULLABLE_INT }, additionalProperties: false },
+        ac: {
+            type: 'object',
+            properties: { normal: NULLABLE_INT, touch: NULLABLE_INT, flatFooted: NULLABLE_INT },
+            additionalProperties: false
+        },
+        saves: {
+            type: 'object',
+            properties: { fort: NULLABLE_INT, ref: NULLABLE_INT, will: NULLABLE_INT },
+            additionalProperties: false
+        },
+        bab: NULLABLE_INT,
+        cmb: NULLABLE_INT,
+        cmd: NULLABLE_INT,
+        initiative: NULLABLE_INT,
+        speed: { type: 'object', properties: { land: NULLABLE_INT } },
+        skills: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'bonus'],
+                properties: { name: { type: 'string', minLength: 1 }, bonus: NULLABLE_INT }
+            }
+        },
+        feats: { type: 'array', items: { type: 'string' } },
+        traits: { type: 'array', items: { type: 'string' } },
+        specialAbilities: { type: 'array', items: { type: 'string' } },
+        weapons: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string', minLength: 1 },
+                    attack: NULLABLE_STRING,
+                    damage: NULLABLE_STRING,
+                    critical: NULLABLE_STRING
+                }
+            }
+        },
+        classes: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'level'],
+                properties: { id: { type: 'string' }, name: { type: 'string', minLength: 1 }, level: { type: 'integer', minimum: 0 } }
+            }
+        },
+        spells: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'level'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string', minLength: 1 },
+                    level: { type: 'integer', minimum: 0 },
+                    school: NULLABLE_STRING,
+                    spellbook: NULLABLE_STRING
+                }
+            }
+        },
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string', minLength: 1 },
+                    type: NULLABLE_STRING,
+                    quantity: { type: 'integer', minimum: 0 },
+                    equipped: { type: 'boolean' }
+                }
+            }
+        },
+        armor: NULLABLE_STRING,
+        notes: NULLABLE_STRING
+    }
+};
+
+/** Old `dossier.stats` keys -> where they live on the sheet */
+const LEGACY_STAT_PATHS = {
+    strscore: ['abilities', 'str'], dexscore: ['abilities', 'dex'], conscore: ['abilities', 'con'],
+    intscore: ['abilities', 'int'], wisscore: ['abilities', 'wis'], chascore: ['abilities', 'cha'],
+    fort: ['saves', 'fort'], ref: ['saves', 'ref'], will: ['saves', 'will'],
+    bab: ['bab'], cmb: ['cmb'], cmd: ['cmd'], init: ['initiative'],
+    ac: ['ac', 'normal'], hp: ['hp', 'max']
+};
+
+/** Labels for change lines */
+const FIELD_LABELS = {
+    'hp.current': 'HP', 'hp.max': 'Max HP', 'ac.normal': 'AC', 'ac.touch': 'Touch AC', 'ac.flatFooted': 'Flat-footed AC',
+    'saves.fort': 'Fort', 'saves.ref': 'Ref', 'saves.will': 'Will', bab: 'BAB', cmb: 'CMB', cmd: 'CMD',
+    initiative: 'Initiative', 'speed.land': 'Speed', level: 'Level', race: 'Race', class: 'Class',
+    alignment: 'Alignment', deity: 'Deity', player: 'Player', name: 'Name', armor: 'Armor', notes: 'Notes'
+};
+
+/** List fields, and what one entry is called in change lines */
+const LIST_LABELS = {
+    skills: 'Skill', feats: 'Feat', traits: 'Trait', specialAbilities: 'Special ability', weapons: 'Weapon',
+    classes: 'Class', spells: 'Spell', items: 'Item'
+};
+
+/** How a list entry's value reads in change lines (default: as is) */
+const LIST_VALUE_FORMATS = {
+    skills: value => (value >= 0 ? `+${value}` : `${value}`),
+    classes: value => `level ${value}`,
+    spells: value => `level ${value}`,
+    items: value => `×${value}`
+};
+
+class CharacterSheet {
+    constructor() {
+        this.SCHEMA_VERSION = SCHEMA_VERSION;
+        this.SHEET_SCHEMA = SHEET_SCHEMA;
+        this.ABILITIES = ABILITIES;
+    }
+
+    /**
+     * An empty sheet
+     * @returns {Object} - Sheet data with every field unknown
+     */
+    empty() {
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            name: null, race: null, class: null, level: null,
+            alignment: null, deity: null, player: null,
+            abilities: Object.fromEntries(ABILITIES.map(a => [a, null])),
+            hp: { current: null, max: null },
+            ac: { normal: null, touch: null, flatFooted: null },
+            saves: { fort: null, ref: null, will: null },
+            bab: null, cmb: null, cmd: null, initiative: null,
+            speed: { land: null },
+            skills: [], feats: [], traits: [], specialAbilities: [], weapons: [],
+            classes: [], spells: [], items: [],
+            armor: null, notes: null
+        };
+    }
+
+    /**
+     * Build sheet data from the JSON the vision model returns for a sheet screenshot
+     * @param {Object} parsed - Vision output (hp_max, touch_ac, special_abilities, ...)
+     * @returns {Object} - Sheet data
+     */
+    fromVision(parsed) {
+        const sheet = this.empty();
+        const abilities = parsed.abilities || {};
+        const saves = parsed.saves || {};
+
+        sheet.name = this._string(parsed.name);
+        sheet.race = this._string(parsed.race);
+        sheet.class = this._string(parsed.class);
+        sheet.level = this._int(parsed.level);
+        sheet.alignment = this._string(parsed.alignment);
+        sheet.deity = this._string(parsed.deity);
+        sheet.player = this._string(parsed.player);
+        for (const ability of ABILITIES) {
+            sheet.abilities[ability] = this._int(abilities[ability]);
+        }
+        sheet.hp = { current: this._int(parsed.hp_current), max: this._int(parsed.hp_max) };
+        sheet.ac = { normal: this._int(parsed.ac), touch: this._int(parsed.touch_ac), flatFooted: this._int(parsed.flat_footed_ac) };
+        sheet.saves = { fort: this._int(saves.fort), ref: this._int(saves.ref), will: this._int(saves.will) };
+        sheet.bab = this._int(parsed.bab);
+        sheet.cmb = this._int(parsed.cmb);
+        sheet.cmd = this._int(parsed.cmd);
+        sheet.initiative = this._int(parsed.initiative);
+        sheet.speed = { land: this._int(parsed.speed) };
+        sheet.skills = this._list(parsed.skills).map(skill => this._skill(skill)).filter(Boolean);
+        sheet.feats = this._strings(parsed.feats);
+        sheet.traits = this._strings(parsed.traits);
+        sheet.specialAbilities = this._strings(parsed.special_abilities);
+        sheet.weapons = this._list(parsed.weapons).map(weapon => this._weapon(weapon)).filter(Boolean);
+        sheet.spells = this._list(parsed.spells).map(spell => this._spell(spell)).filter(Boolean);
+        sheet.items = this._list(parsed.gear).map(item => this._item(item)).filter(Boolean);
+        sheet.armor = this._string(parsed.armor);
+        sheet.notes = this._string(parsed.notes);
+
+        return sheet;
+    }
+
+    /**
+     * Combine sheets read from separate pages (stats, spells, gear) into one.
+     * The first page to give a value keeps it; list entries are pooled by name
+     * (a skill or weapon two pages read differently is a conflict too).
+     * @param {Object[]} pages - [{label, sheet}] in page order; label is e.g. "sheet.pdf p2"
+     * @returns {{data: Object, sources: Object, conflicts: Object[]}} - Merged sheet, field -> page label,
+     *   and values later pages disagreed on [{field, kept, keptFrom, other, otherFrom}]
+     */
+    mergePages(pages) {
+        const data = this.empty();
+        const sources = {};
+        const conflicts = [];
+        const notes = [];
+
+        const take = (target, key, value, field, label) => {
+            if (value === null || value === undefined) return;
+            if (target[key] === null || target[key] === undefined) {
+                target[key] = value;
+                sources[field] = label;
+            } else if (target[key] !== value) {
+                conflicts.push({ field, kept: target[key], keptFrom: sources[field], other: value, otherFrom: label });
+            }
+        };
+
+        for (const { label, sheet } of pages) {
+            for (const [key, value] of Object.entries(sheet)) {
+                if (key === 'schemaVersion') continue;
+                if (key === 'notes') {
+                    if (value) notes.push(value);
+                } else if (Array.isArray(value)) {
+                    for (const entry of value) {
+                        const name = typeof entry === 'string' ? entry : entry.name;
+                        const index = data[key].findIndex(e => (typeof e === 'string' ? e : e.name) === name);
+                        if (index === -1) {
+                            data[key].push(entry);
+                            sources[`${key}.${name}`] = label;
+                        } else if (key === 'skills' && data[key][index].bonus === null && entry.bonus !== null) {
+                            data[key][index] = entry;
+                            sources[`${key}.${name}`] = label;
+                        } else if (key !== 'items' && typeof entry !== 'string') {
+                            // The same item can legitimately be listed twice; anything else should read the same
+                            const field = `${key}.${name}`;
+                            const kept = this.displayValue(field, data[key][index]);
+                            const other = this.displayValue(field, entry);
+                            if (kept !== null && other !== null && kept !== other) {
+                                conflicts.push({ field, kept, keptFrom: sources[field], other, otherFrom: label });
+                            }
+                        }
+                    }
+                } else if (value && typeof value === 'object') {
+                    for (const [child, childValue] of Object.entries(value)) {
+                        take(data[key], child, childValue, `${key}.${child}`, label);
+                    }
+                } else {
+                    take(data, key, value, key, label);
+                }
+            }
+        }
+        if (notes.length > 0) data.notes = notes.join('\n');
+
+        return { data, sources, conflicts };
+    }
+
+    /**
+     * Build sheet data from the flat `dossier.stats` numbers older dossiers stored
+     * @param {Object} stats - e.g. {strscore: 14, fort: 5, bab: 3, init: 2}
+     * @returns {Object} - Sheet data
+     */
+    fromLegacyStats(stats) {
+        return this.merge(this.empty(), this.patchFromStats(stats));
+    }
+
+    /**
+     * A merge() patch from flat stat numbers ("str: 18, bab: 11" in /characterupdate)
+     * @param {Object} stats - e.g. {strscore: 14, fort: 5, bab: 3, init: 2}
+     * @returns {Object} - Patch, e.g. {abilities: {str: 14}, saves: {fort: 5}, bab: 3, initiative: 2}
+     */
+    patchFromStats(stats) {
+        const patch = {};
+        for (const [key, value] of Object.entries(stats || {})) {
+            const target = LEGACY_STAT_PATHS[key.toLowerCase()];
+            if (!target || typeof value !== 'number') continue;
+            if (target.length === 1) {
+                patch[target[0]] = value;
+            } else {
+                patch[target[0]] = { ...patch[target[0]], [target[1]]: value };
+            }
+        }
+        return patch;
+    }
+
+    /**
+     * Apply a partial update to sheet data; nested objects merge, lists are replaced
+     * @param {Object|null} data - Current sheet data
+     * @param {Object} patch - Fields to change, e.g. {race: 'Elf', abilities: {dex: 16}}
+     * @returns {Object} - New sheet data (the input is left alone)
+     */
+    merge(data, patch) {
+        const merged = JSON.parse(JSON.stringify(data || this.empty()));
+        for (const [key, value] of Object.entries(patch || {})) {
+            if (value === undefined) continue;
+            const isNested = value && typeof value === 'object' && !Array.isArray(value)
+                && merged[key] && typeof merged[key] === 'object' && !Array.isArray(merged[key]);
+            merged[key] = isNested ? { ...merged[key], ...value } : value;
+        }
+        return merged;
+    }
+
+    /**
+     * Validate sheet data
+     * @param {Object} data - Sheet data
+     * @returns {string[]} - Errors (empty when valid)
+     */
+    validate(data) {
+        return validate(SHEET_SCHEMA, data);
+    }
+
+    /**
+     * What changed between two versions of a sheet
+     * @param {Object|null} previous - Previous sheet data (null for the first import)
+     * @param {Object} next - New sheet data
+     * @returns {Object[]} - Changes [{field, from, to}]; list entries use "feats.Power Attack" style fields
+     */
+    diff(previous, next) {
+        const before = this._flatten(previous || this.empty());
+        const after = this._flatten(next);
+        const changes = [];
+        for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            const from = before[field] === undefined ? null : before[field];
+            const to = after[field] === undefined ? null : after[field];
+            if (from !== to) changes.push({ field, from, to });
+        }
+        return changes;
+    }
+
+    /**
+     * Describe one change for an embed or the history
+     * @param {Object} change - {field, from, to}
+     * @returns {string} - e.g. "Fort +5 → +6", "+ Feat: Power Attack"
+     */
+    formatChange({ field, from, to }) {
+        const [list, ...rest] = field.split('.');
+        if (LIST_LABELS[list]) {
+            const entry = rest.join('.');
+            const label = LIST_LABELS[list];
+            const show = value => (typeof value === 'number' && LIST_VALUE_FORMATS[list] ? LIST_VALUE_FORMATS[list](value) : `${value}`);
+            if (from === null) return `+ ${label}: ${entry}${to === true ? '' : ` ${show(to)}`}`;
+            if (to === null) return `− ${label}: ${entry}`;
+            return `${label}: ${entry} ${show(from)} → ${show(to)}`;
+        }
+
+        const label = this.fieldLabel(field);
+        const show = value => (value === null ? '—' : (this._isBonus(field) && value >= 0 ? `+${value}` : `${value}`));
+        return `${label} ${show(from)} → ${show(to)}`;
+    }
+
+    /**
+     * Human name for a field
+     * @param {string} field - Field path, e.g. "saves.fort", "abilities.str", "skills.Perception"
+     * @returns {string} - e.g. "Fort", "STR", "Perception", "Weapon Longsword"
+     */
+    fieldLabel(field) {
+        const [group, ...rest] = field.split('.');
+        if (FIELD_LABELS[field]) return FIELD_LABELS[field];
+        if (group === 'abilities') return rest[0].toUpperCase();
+        if (group === 'skills') return rest.join('.');
+        if (LIST_LABELS[group] && rest.length > 0) return `${LIST_LABELS[group]} ${rest.join('.')}`;
+        return field;
+    }
+
+    /**
+     * Read one number from a sheet
+     * @param {Object} data - Sheet data
+     * @param {string} field - Field path, e.g. "cmb", "ac.touch", "skills.Perception"
+     * @returns {*} - The value, or null when the sheet doesn't have it
+     */
+    getValue(data, field) {
+        const [group, ...rest] = field.split('.');
+        if (group === 'skills') {
+            const skill = data.skills.find(s => s.name === rest.join('.'));
+            return skill ? skill.bonus : null;
+        }
+        if (rest.length === 0) return data[group] ?? null;
+        return data[group] ? data[group][rest[0]] ?? null : null;
+    }
+
+    /**
+     * Set one number on a sheet
+     * @param {Object} data - Sheet data
+     * @param {string} field - Field path, e.g. "cmb", "ac.touch", "skills.Perception"
+     * @param {*} value - New value
+     * @returns {Object} - New sheet data (the input is left alone)
+     */
+    setValue(data, field, value) {
+        const [group, ...rest] = field.split('.');
+        if (group === 'skills') {
+            const name = rest.join('.');
+            const skills = data.skills.some(s => s.name === name)
+                ? data.skills.map(s => (s.name === name ? { ...s, bonus: value } : s))
+                : [...data.skills, { name, bonus: value }];
+            return this.merge(data, { skills });
+        }
+        return this.merge(data, { [group]: rest.length === 0 ? value : { [rest[0]]: value } });
+    }
+
+    /**
+     * @variables a sheet provides to rolls and macros. Ability names (@str) are the
+     * modifier, @strscore the score; skills use their name with everything but
+     * letters and digits dropped (@perception, @knowledgearcana)
+     * @param {Object|null} data - Sheet data
+     * @returns {Object} - Variable name -> number
+     */
+    toVariables(data) {
+        const variables = {};
+        if (!data) return variables;
+
+        const set = (name, value) => {
+            if (typeof value === 'number') variables[name] = value;
+        };
+        for (const ability of ABILITIES) {
+            const score = data.abilities[ability];
+            if (typeof score === 'number') {
+                variables[`${ability}score`] = score;
+                variables[ability] = Math.floor((score - 10) / 2);
+            }
+        }
+        set('fort', data.saves.fort);
+        set('ref', data.saves.ref);
+        set('will', data.saves.will);
+        set('bab', data.bab);
+        set('cmb', data.cmb);
+        set('cmd', data.cmd);
+        set('init', data.initiative);
+        set('ac', data.ac.normal);
+        set('touch', data.ac.touch);
+        set('flatfooted', data.ac.flatFooted);
+        set('hp', data.hp.max);
+        set('level', data.level);
+        for (const skill of data.skills) {
+            const name = skill.name.toLowerCase().replace(/[^a-z0-9]/g, '');
+            if (name && variables[name] === undefined) set(name, skill.bonus);
+        }
+
+        return variables;
+    }
+
+    /**
+     * Embed-ready sections of a sheet
+     * @param {Object} data - Sheet data
+     * @returns {{abilities: string|null, combat: string|null, saves: string|null, skills: string|null, feats: string|null, weapons: string|null, classes: string|null, spells: string|null}} - Section text
+     */
+    formatSections(data) {
+        const sign = value => (value === null ? '?' : `${value >= 0 ? '+' : ''}${value}`);
+        const score = ability => {
+            const value = data.abilities[ability];
+            return value === null ? `${ability.toUpperCase()} ?` : `${ability.toUpperCase()} ${value} (${sign(Math.floor((value - 10) / 2))})`;
+        };
+        const hasAbilities = ABILITIES.some(a => data.abilities[a] !== null);
+        const hasSaves = ['fort', 'ref', 'will'].some(s => data.saves[s] !== null);
+
+        const combat = [];
+        if (data.hp.max !== null) combat.push(`HP: ${data.hp.current ?? '?'}/${data.hp.max}`);
+        if (data.ac.normal !== null) {
+            combat.push(`AC: ${data.ac.normal}${data.ac.touch !== null ? ` (touch ${data.ac.touch}, flat-footed ${data.ac.flatFooted ?? '?'})` : ''}`);
+        }
+        if (data.bab !== null) combat.push(`BAB: ${sign(data.bab)}`);
+        if (data.cmb !== null) combat.push(`CMB: ${sign(data.cmb)}`);
+        if (data.cmd !== null) combat.push(`CMD: ${data.cmd}`);
+        if (data.initiative !== null) combat.push(`Init: ${sign(data.initiative)}`);
+        if (data.speed && data.speed.land !== null) combat.push(`Speed: ${data.speed.land} ft`);
+
+        return {
+            abilities: hasAbilities
+                ? `${ABILITIES.slice(0, 3).map(score).join(' | ')}\n${ABILITIES.slice(3).map(score).join(' | ')}`
+                : null,
+            combat: combat.length > 0 ? combat.join(' | ') : null,
+            saves: hasSaves ? `Fort ${sign(data.saves.fort)} | Ref ${sign(data.saves.ref)} | Will ${sign(data.saves.will)}` : null,
+            skills: data.skills.length > 0 ? data.skills.map(s => `${s.name} ${sign(s.bonus)}`).join(', ') : null,
+            feats: data.feats.length > 0 ? data.feats.join(', ') : null,
+            weapons: data.weapons.length > 0
+                ? data.weapons.map(w => [w.name, w.attack, w.damage, w.critical].filter(Boolean).join(' ')).join(', ')
+                : null,
+            classes: (data.classes || []).length > 0 ? data.classes.map(c => `${c.name} ${c.level}`).join(' / ') : null,
+            spells: (data.spells || []).length > 0 ? this._formatSpells(data.spells) : null
+        };
+    }
+
+    /**
+     * One-line summary of the numbers (LLM context)
+     * @param {Object} data - Sheet data
+     * @returns {string} - e.g. "STR 14 DEX 16 ... | HP 45 | AC 21 | Fort +6 Ref +8 Will +4 | BAB +5"
+     */
+    summarize(data) {
+        const sign = value => `${value >= 0 ? '+' : ''}${value}`;
+        const parts = [];
+        const abilities = ABILITIES.filter(a => data.abilities[a] !== null).map(a => `${a.toUpperCase()} ${data.abilities[a]}`);
+        if (abilities.length > 0) parts.push(abilities.join(' '));
+        if (data.hp.max !== null) parts.push(`HP ${data.hp.max}`);
+        if (data.ac.normal !== null) parts.push(`AC ${data.ac.normal}`);
+        const saves = ['fort', 'ref', 'will'].filter(s => data.saves[s] !== null).map(s => `${s.charAt(0).toUpperCase()}${s.slice(1)} ${sign(data.saves[s])}`);
+        if (saves.length > 0) parts.push(saves.join(' '));
+        if (data.bab !== null) parts.push(`BAB ${sign(data.bab)}`);
+        if ((data.classes || []).length > 0) parts.push(data.classes.map(c => `${c.name} ${c.level}`).join('/'));
+        if (data.feats.length > 0) parts.push(`Feats: ${data.feats.join(', ')}`);
+        if (data.weapons.length > 0) parts.push(`Weapons: ${data.weapons.map(w => w.name).join(', ')}`);
+        if ((data.spells || []).length > 0) parts.push(`Spells: ${this._formatSpells(data.spells)}`);
+        return parts.join(' | ');
+    }
+
+    /**
+     * Spells grouped by level: "0: Detect Magic, Light | 1: Magic Missile"
+     * @param {Object[]} spells - Sheet spells
+     * @returns {string} - Spell list
+     */
+    _formatSpells(spells) {
+        const byLevel = new Map();
+        for (const spell of [...spells].sort((a, b) => a.level - b.level || a.name.localeCompare(b.name))) {
+            if (!byLevel.has(spell.level)) byLevel.set(spell.level, []);
+            byLevel.get(spell.level).push(spell.name);
+        }
+        return [...byLevel.entries()].map(([level, names]) => `${level}: ${names.join(', ')}`).join(' | ');
+    }
+
+    /**
+     * Every field of a sheet with its stored value: list entries keep their whole
+     * record (a weapon object, true for a feat), so changes can be undone
+     * @param {Object} data - Sheet data
+     * @returns {Object} - Field -> value, e.g. {"abilities.str": 16, "weapons.Longsword": {...}, "feats.Dodge": true}
+     */
+    entries(data) {
+        const entries = {};
+        for (const [key, value] of Object.entries(data)) {
+            if (key === 'schemaVersion') continue;
+            if (key === 'items') {
+                // The same item can appear more than once (two daggers in different packs)
+                for (const item of value) {
+                    entries[`items.${item.name}`] = [...(entries[`items.${item.name}`] || []), item];
+                }
+            } else if (Array.isArray(value)) {
+                for (const entry of value) {
+                    if (typeof entry === 'string') {
+                        entries[`${key}.${entry}`] = true;
+                    } else {
+                        entries[`${key}.${entry.name}`] = entry;
+                    }
+                }
+            } else if (value && typeof value === 'object') {
+                for (const [child, childValue] of Object.entries(value)) entries[`${key}.${child}`] = childValue;
+            } else {
+                entries[key] = value;
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Set fields from entries() values; null removes a list entry
+     * @param {Object} data - Sheet data
+     * @param {Object[]} changes - [{field, value}]
+     * @returns {Object} - New sheet data (the input is left alone)
+     */
+    applyEntries(data, changes) {
+        const result = JSON.parse(JSON.stringify(data));
+        for (const { field, value } of changes) {
+            const [group, ...rest] = field.split('.');
+            if (!LIST_LABELS[group]) {
+                Object.assign(result, this.setValue(result, field, value));
+                continue;
+            }
+
+            const name = rest.join('.');
+            const list = result[group] || [];
+            const matches = entry => (typeof entry === 'string' ? entry : entry.name) === name;
+            const index = list.findIndex(matches);
+            const replacement = value === null || value === undefined
+                ? []
+                : value === true ? [name] : (Array.isArray(value) ? value : [value]);
+            const kept = list.filter(entry => !matches(entry));
+            kept.splice(index === -1 ? kept.length : index, 0, ...replacement);
+            result[group] = kept;
+        }
+        return result;
+    }
+
+    /**
+     * How an entries() value reads in change lines
+     * @param {string} field - Field path
+     * @param {*} value - entries() value
+     * @returns {*} - Scalar: a skill's bonus, a weapon's "attack damage critical", a class's level, ...
+     */
+    displayValue(field, value) {
+        if (value === null || value === undefined) return null;
+        const [group] = field.split('.');
+        if (group === 'skills') return value.bonus;
+        if (group === 'weapons') return [value.attack, value.damage, value.critical].filter(Boolean).join(' ') || true;
+        if (group === 'classes' || group === 'spells') return value.level;
+        if (group === 'items') return value.reduce((sum, item) => sum + (item.quantity ?? 1), 0);
+        return value;
+    }
+
+    /**
+     * Flatten sheet data to field -> scalar for diffing
+     * @param {Object} data - Sheet data
+     * @returns {Object} - Field -> value
+     */
+    _flatten(data) {
+        const flat = {};
+        for (const [field, value] of Object.entries(this.entries(data))) {
+            flat[field] = this.displayValue(field, value);
+        }
+        return flat;
+    }
+
+    /**
+     * Whether a field is a bonus shown with its sign
+     * @param {string} field - Field path
+     * @returns {boolean} - True for saves, BAB, CMB, initiative
+     */
+    _isBonus(field) {
+        return field.startsWith('saves.') || ['bab', 'cmb', 'initiative'].includes(field);
+    }
+
+    /**
+     * Read a whole number from a number or text like "+12" or "30 ft"
+     * @param {*} value - Raw value
+     * @returns {number|null} - Integer or null
+     */
+    _int(value) {
+        if (typeof value === 'number' && !Number.isNaN(value)) return Math.trunc(value);
+        if (typeof value === 'string') {
+            const match = value.match(/[+-]?\d+/);
+            if (match) return parseInt(match[0], 10);
+        }
+        return null;
+    }
+
+    /**
+     * Trimmed text, or null when empty
+     * @param {*} value - Raw value
+     * @returns {string|null} - Text or null
+     */
+    _string(value) {
+        if (value === null || value === undefined) return null;
+        const text = String(value).trim();
+        return text.length > 0 ? text : null;
+    }
+
+    /**
+     * An array, whatever came in
+     * @param {*} value - Raw value
+     * @returns {Array} - The array, or empty
+     */
+    _list(value) {
+        return Array.isArray(value) ? value : [];
+    }
+
+    /**
+     * Non-empty strings from a list
+     * @param {*} value - Raw list
+     * @returns {string[]} - Strings
+     */
+    _strings(value) {
+        return this._list(value).map(v => this._string(typeof v === 'object' && v ? v.name : v)).filter(Boolean);
+    }
+
+    /**
+     * A skill from {name, bonus} or "Perception +12"
+     * @param {*} skill - Raw skill
+     * @returns {Object|null} - {name, bonus} or null
+     */
+    _skill(skill) {
+        if (skill && typeof skill === 'object') {
+            const name = this._string(skill.name);
+            return name ? { name, bonus: this._int(skill.bonus) } : null;
+        }
+        const text = this._string(skill);
+        if (!text) return null;
+        const match = text.match(/^(.*?)\s*([+-]\d+)\s*$/);
+        return match ? { name: match[1].trim(), bonus: parseInt(match[2], 10) } : { name: text, bonus: null };
+    }
+
+    /**
+     * A spell from {name, level, school} or "Magic Missile"
+     * @param {*} spell - Raw spell
+     * @returns {Object|null} - {name, level, school} or null
+     */
+    _spell(spell) {
+        const name = this._string(spell && typeof spell === 'object' ? spell.name : spell);
+        if (!name) return null;
+        const level = spell && typeof spell === 'object' ? this._int(spell.level) : null;
+        return { name, level: level !== null && level >= 0 ? level : 0, school: spell && typeof spell === 'object' ? this._string(spell.school) : null };
+    }
+
+    /**
+     * Gear from {name, quantity} or a plain name
+     * @param {*} item - Raw item
+     * @returns {Object|null} - {name, quantity} or null
+     */
+    _item(item) {
+        const name = this._string(item && typeof item === 'object' ? item.name : item);
+        if (!name) return null;
+        const quantity = item && typeof item === 'object' ? this._int(item.quantity) : null;
+        return { name, quantity: quantity !== null && quantity >= 0 ? quantity : 1 };
+    }
+
+    /**
+     * A weapon from {name, attack, damage, critical} or a plain name
+     * @param {*} weapon - Raw weapon
+     * @returns {Object|null} - Weapon or null
+     */
+    _weapon(weapon) {
+        if (weapon && typeof weapon === 'object') {
+            const name = this._string(weapon.name);
+            return name
+                ? { name, attack: this._string(weapon.attack), damage: this._string(weapon.damage), critical: this._string(weapon.critical) }
+                : null;
+        }
+        const name = this._string(weapon);
+        return name ? { name, attack: null, damage: null, critical: null } : null;
+    }
+}
+
+// Singleton instance
+const characterSheet = new CharacterSheet();
+
+module.exports = characterSheet;
@@ -1,12 +1,16 @@
 /**
  * Daily History Scheduler
- * Posts "Today in Golarion History" to designated channels
+ * Posts "Today in Golarion History" and random memories to each server's
+ * channels, at the times and in the timezone chosen with /config
  */
 
 const cron = require('node-cron');
-const timelineSearch = require('./timelineSearch');
+const timelineRepository = require('./timelineRepository');
 const personalityManager = require('./personalityManager');
 const logger = require('./logger');
+const rng = require('./rng');
+const calendar = require('./golarionCalendar');
+const guildSettings = require('./guildSettings');
 
 /**
  * Generate one random in-character message using a timeline quote from a past life.
@@ -42,12 +46,14 @@ async function generateRandomMessageContent() {
 class DailyHistoryScheduler {
     constructor(client) {
         this.client = client;
-        this.generalChannelId = '303941538021638164';
         this.isRunning = false;
-        /** @type {NodeJS.Timeout[]} Timeouts for random daily quote posts (6am–6pm) */
-        this.randomMessageTimeouts = [];
-        this.dailyHistoryCron = null;
-        this.sixAmCron = null;
+        /** @type {Map<string, {historyCron: Object|null, memoryCron: Object|null, randomMessageTimeouts: NodeJS.Timeout[]}>} Jobs by guild id */
+        this.jobs = new Map();
+
+        // /config changes take effect straight away
+        guildSettings.onChange((guildId) => {
+            if (this.isRunning) this.schedule(guildId);
+        });
     }
 
     /**
@@ -59,49 +65,105 @@ class DailyHistoryScheduler {
             return;
         }
 
-        // Schedule daily history at 7:30 AM
-        this.dailyHistoryCron = cron.schedule('0 30 7 * * *', async () => {
-            await this.postDailyHistory();
-        }, {
-            scheduled: true,
-            timezone: 'America/Chicago'
-        });
+        this.isRunning = true;
+        const configured = guildSettings.getConfiguredGuilds();
+        for (const guildId of configured) {
+            this.schedule(guildId);
+        }
+        for (const [guildId, guild] of this.client.guilds.cache) {
+            if (!configured.includes(guildId)) {
+                logger.warn(`📅 No daily history or random memories for ${guild.name}: no channels set (/config channel)`);
+            }
+        }
 
-        // At 6 AM, schedule 1–2 random timeline-quote messages at random times between 6am and 6pm
-        this.sixAmCron = cron.schedule('0 0 6 * * *', () => {
-            this.scheduleTodaysRandomMessages();
-        }, {
-            scheduled: true,
-            timezone: 'America/Chicago'
-        });
+        logger.info(`📅 Daily history scheduler started for ${this.jobs.size} server(s) (set channels and times with /config)`);
+    }
 
-        this.isRunning = true;
-        logger.info('📅 Daily history scheduler started - will post at 7:30 AM daily');
-        logger.info('💬 Random timeline-quote messages: 1–2 per day, random time between 6am–6pm');
+    /**
+     * (Re)schedule one server's daily history post and random memories from its settings
+     * @param {string} guildId - Discord guild id
+     */
+    schedule(guildId) {
+        this.unschedule(guildId);
+
+        const settings = guildSettings.get(guildId);
+        const job = { historyCron: null, memoryCron: null, randomMessageTimeouts: [] };
+        const cronAt = (time) => {
+            const [hour, minute] = time.split(':').map(Number);
+            return `0 ${minute} ${hour} * * *`;
+        };
+
+        if (settings.dailyHistoryChannelId) {
+            job.historyCron = cron.schedule(cronAt(settings.dailyHistoryTime), async () => {
+                await this.postDailyHistory(guildId);
+            }, {
+                scheduled: true,
+                timezone: settings.timezone
+            });
+            logger.info(`📅 Daily history for ${guildId} will post at ${settings.dailyHistoryTime} (${settings.timezone})`);
+        } else {
+            logger.warn(`📅 Daily history for ${guildId} is off: no channel set (/config channel)`);
+        }
+
+        // At the start of the window, schedule 1–2 random timeline-quote messages at random times before it ends
+        if (settings.memoryChannelId) {
+            job.memoryCron = cron.schedule(cronAt(settings.memoryStart), () => {
+                this.scheduleTodaysRandomMessages(guildId);
+            }, {
+                scheduled: true,
+                timezone: settings.timezone
+            });
+            logger.info(`💬 Random timeline-quote messages for ${guildId}: 1–2 per day, ${settings.memoryStart}–${settings.memoryEnd} (${settings.timezone})`);
+        } else {
+            logger.warn(`💬 Random memories for ${guildId} are off: no channel set (/config channel)`);
+        }
+
+        if (job.historyCron || job.memoryCron) {
+            this.jobs.set(guildId, job);
+        }
     }
 
     /**
-     * Schedule 1 or 2 random quote posts at random times between now (6am) and 6pm (12h window).
+     * Cancel one server's scheduled posts
+     * @param {string} guildId - Discord guild id
      */
-    scheduleTodaysRandomMessages() {
-        for (const id of this.randomMessageTimeouts) {
+    unschedule(guildId) {
+        const job = this.jobs.get(guildId);
+        if (!job) return;
+        for (const id of job.randomMessageTimeouts) {
             clearTimeout(id);
         }
-        this.randomMessageTimeouts = [];
+        if (job.historyCron) job.historyCron.stop();
+        if (job.memoryCron) job.memoryCron.stop();
+        this.jobs.delete(guildId);
+    }
 
-        const numMessages = Math.random() < 0.5 ? 1 : 2;
-        const twelveHoursMs = 12 * 60 * 60 * 1000;
+    /**
+     * Schedule 1 or 2 random quote posts at random times between now (the window's start) and the window's end.
+     * @param {string} guildId - Discord guild id
+     */
+    scheduleTodaysRandomMessages(guildId) {
+        const job = this.jobs.get(guildId);
+        if (!job) return;
+        for (const id of job.randomMessageTimeouts) {
+            clearTimeout(id);
+        }
+        job.randomMessageTimeouts = [];
+
+        const settings = guildSettings.get(guildId);
+        const numMessages = rng.int(1, 2);
+        const windowMs = (guildSettings.toMinutes(settings.memoryEnd) - guildSettings.toMinutes(settings.memoryStart)) * 60 * 1000;
 
         for (let i = 0; i < numMessages; i++) {
-            const delayMs = Math.floor(Math.random() * twelveHoursMs);
+            const delayMs = rng.int(0, windowMs - 1);
             const id = setTimeout(async () => {
-                await this.postRandomMessage();
-                this.randomMessageTimeouts = this.randomMessageTimeouts.filter(t => t !== id);
+                await this.postRandomMessage(guildId);
+                job.randomMessageTimeouts = job.randomMessageTimeouts.filter(t => t !== id);
             }, delayMs);
-            this.randomMessageTimeouts.push(id);
+            job.randomMessageTimeouts.push(id);
         }
 
-        logger.info(`💬 Scheduled ${numMessages} random timeline-quote message(s) between 6am–6pm`);
+        logger.info(`💬 Scheduled ${numMessages} random timeline-quote message(s) for ${guildId} between ${settings.memoryStart}–${settings.memoryEnd}`);
     }
 
     /**
@@ -109,109 +171,81 @@ class DailyHistoryScheduler {
      */
     stop() {
         if (!this.isRunning) return;
-        for (const id of this.randomMessageTimeouts) {
-            clearTimeout(id);
+        for (const guildId of [...this.jobs.keys()]) {
+            this.unschedule(guildId);
         }
-        this.randomMessageTimeouts = [];
-        if (this.dailyHistoryCron) this.dailyHistoryCron.destroy();
-        if (this.sixAmCron) this.sixAmCron.destroy();
-        this.dailyHistoryCron = null;
-        this.sixAmCron = null;
         this.isRunning = false;
         logger.info('📅 Daily history scheduler stopped');
     }
 
     /**
-     * Post today's historical events
+     * Post today's historical events to every server's daily history channel (or just one server's)
+     * @param {string|null} [guildId] - Only this server
+     * @returns {Promise<string[]>} - Channel ids posted to
      */
-    async postDailyHistory() {
+    async postDailyHistory(guildId = null) {
+        const posted = [];
         try {
             logger.info('📅 Generating daily history post...');
-            
-            // Get today's date in Golarion format
-            const todayEvents = await this.getTodaysEvents();
-            
-            if (todayEvents.length === 0) {
-                logger.info('📅 No historical events found for today');
-                return;
-            }
 
-            // Post to General channel
-            await this.postToChannel(this.generalChannelId, todayEvents);
-            
-            logger.info(`📅 Posted ${todayEvents.length} historical events for today`);
-            
+            const guildIds = guildId ? [guildId] : guildSettings.getConfiguredGuilds();
+            for (const id of guildIds) {
+                const settings = guildSettings.get(id);
+                if (!settings.dailyHistoryChannelId) {
+                    logger.warn(`📅 Daily history not posted for ${id}: no channel set (/config channel)`);
+                    continue;
+                }
+
+                // "Today" is today where the server is
+                const today = guildSettings.localDate(settings.timezone);
+                const todayEvents = await this.getTodaysEvents(today);
+
+                if (todayEvents.length === 0) {
+                    logger.info(`📅 No historical events found for today (${id})`);
+                    continue;
+                }
+
+                if (await this.postToChannel(settings.dailyHistoryChannelId, todayEvents, today)) {
+                    posted.push(settings.dailyHistoryChannelId);
+                    logger.info(`📅 Posted ${todayEvents.length} historical events for today (${id})`);
+                }
+            }
         } catch (error) {
             logger.error('❌ Error posting daily history:', error);
         }
+        return posted;
     }
 
     /**
      * Get historical events for today's date
+     * @param {Date} [earthDate=new Date()] - Today (local fields are read)
      */
-    async getTodaysEvents() {
-        const today = new Date();
-        const month = today.getMonth() + 1; // JavaScript months are 0-based
-        const day = today.getDate();
-        
-        // Search for events on this month/day (any year)
-        const searchQuery = `${month.toString().padStart(2, '0')}.${day.toString().padStart(2, '0')}`;
-        
-        logger.info(`📅 Searching for events on ${searchQuery}`);
-        
-        // Get all timeline events and filter by month/day
-        const allEvents = timelineSearch.timeline || [];
-        const todaysEvents = allEvents.filter(event => {
-            if (!event.date) return false;
-            
-            // Parse the date to check month and day
-            const eventDate = this.parseEventDate(event.date);
-            if (!eventDate) return false;
-            
-            return eventDate.month === month && eventDate.day === day;
-        });
+    async getTodaysEvents(earthDate = new Date()) {
+        const today = calendar.fromEarthDate(earthDate);
+        const { month, day } = today;
 
-        // Sort by year (most recent first)
-        todaysEvents.sort((a, b) => {
-            const yearA = this.parseEventDate(a.date)?.year || 0;
-            const yearB = this.parseEventDate(b.date)?.year || 0;
-            return yearB - yearA;
-        });
+        logger.info(`📅 Searching for events on ${calendar.format(today, { year: false })}`);
+        
+        // Events on this day in any year, most recent year first
+        const todaysEvents = timelineRepository.getEventsOn(month, day);
 
-        logger.info(`📅 Found ${todaysEvents.length} events for ${month}/${day}`);
+        logger.info(`📅 Found ${todaysEvents.length} events for ${calendar.format(today, { year: false })}`);
         return todaysEvents;
     }
 
-    /**
-     * Parse event date to extract year, month, day
-     */
-    parseEventDate(dateString) {
-        try {
-            // Handle formats like "4707.01.16" or "4707.00.00"
-            const parts = dateString.split('.');
-            if (parts.length >= 2) {
-                const year = parseInt(parts[0]);
-                const month = parseInt(parts[1]);
-                const day = parts[2] ? parseInt(parts[2]) : 1; // Default to 1st if no day specified
-                
-                return { year, month, day };
-            }
-            return null;
-        } catch (error) {
-            logger.error('Error parsing event date:', error);
-            return null;
-        }
-    }
-
     /**
      * Post events to a specific channel
+     * @param {string} channelId - Discord channel id
+     * @param {Array<Object>} events - Today's events
+     * @param {Date} [earthDate=new Date()] - Today (local fields are read)
+     * @returns {Promise<boolean>} - Whether it posted
      */
-    async postToChannel(channelId, events) {
+    async postToChannel(channelId, events, earthDate = new Date()) {
         try {
             const channel = await this.client.channels.fetch(channelId);
             if (!channel) {
                 logger.error(`❌ Channel ${channelId} not found`);
-                return;
+                return false;
             }
 
             // Create embed
@@ -219,7 +253,7 @@ class DailyHistoryScheduler {
             const embed = new EmbedBuilder()
                 .setColor(0x8B4513) // Brown color
                 .setTitle('📜 Today in Golarion History')
-                .setDescription(`Historical events that occurred on ${new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric' })}`)
+                .setDescription(`Historical events that occurred on ${calendar.format(calendar.fromEarthDate(earthDate), { year: false })} (${earthDate.toLocaleDateString('en-US', { month: 'long', day: 'numeric' })})`)
                 .setTimestamp()
                 .setFooter({ text: 'Casandalee Historical Archive' });
 
@@ -227,8 +261,7 @@ class DailyHistoryScheduler {
             const maxEvents = Math.min(events.length, 10); // Limit to 10 for readability
             for (let i = 0; i < maxEvents; i++) {
                 const event = events[i];
-                const parsedDate = this.parseEventDate(event.date);
-                const year = parsedDate ? parsedDate.year : 'Unknown';
+                const year = event.year !== null ? `${event.year} AR` : 'Unknown';
                 
                 embed.addFields({
                     name: `${year} - ${event.location}`,
@@ -246,9 +279,11 @@ class DailyHistoryScheduler {
             }
 
             await channel.send({ embeds: [embed] });
+            return true;
             
         } catch (error) {
             logger.error('❌ Error posting to channel:', error);
+            return false;
         }
     }
 
@@ -256,12 +291,18 @@ class DailyHistoryScheduler {
      * Post a random in-character message from Cass.
      * If the chosen personality has memory snippets, posts one as "Name (life#): snippet".
      * Otherwise uses Ollama to generate a short in-character message.
+     * @param {string} guildId - Discord guild id
      */
-    async postRandomMessage() {
+    async postRandomMessage(guildId) {
         try {
+            const channelId = guildSettings.getChannel(guildId, 'memories');
+            if (!channelId) {
+                logger.warn(`💬 Random memory not posted for ${guildId}: no channel set (/config channel)`);
+                return;
+            }
             const content = await generateRandomMessageContent();
             if (!content) return;
-            const channel = await this.client.channels.fetch(this.generalChannelId);
+            const channel = await this.client.channels.fetch(channelId);
             if (channel) {
                 await channel.send(content);
                 logger.info('💬 Random message posted');
@@ -273,10 +314,12 @@ class DailyHistoryScheduler {
 
     /**
      * Test the daily history feature (for manual testing)
+     * @param {string|null} [guildId] - Only this server
+     * @returns {Promise<string[]>} - Channel ids posted to
      */
-    async testDailyHistory() {
+    async testDailyHistory(guildId = null) {
         logger.info('🧪 Testing daily history feature...');
-        await this.postDailyHistory();
+        return this.postDailyHistory(guildId);
     }
 }
 
@@ -1,100 +1,807 @@
 /**
  * Dice Rolling Utility for D&D Notation
- * Supports standard D&D dice notation (e.g., 1d20+5, 2d6+3, 1d100)
+ * Supports full dice expressions: mixed pools, flat bonuses, parentheses,
+ * multiplication and division (e.g., 1d20+5, 2d8+1d6-2, (1d6+3)*2, 1d100)
+ * and per-pool modifiers:
+ *   kh/kl/k N - keep highest/lowest N (4d6kh3, 2d20kl1)
+ *   dh/dl N   - drop highest/lowest N (4d6dl1)
+ *   !         - exploding dice, roll again on max (1d6!)
+ *   r N       - reroll once any die showing N or lower (1d8r1)
+ *   >= N, > N - count successes instead of summing (10d6>=5)
+ * Every roll records the RNG seed it was made with, so it can be replayed.
  */
 
+const rng = require('./rng');
+
+/** Run of characters that can make up a dice expression (used to pull notation out of chat text) */
+const EXPRESSION_PREFIX = /^[0-9dkhlr!<>=+\-*/()\s]+/;
+
+/** Modifier suffix on a dice term, e.g. "r1!kh3>=5" */
+const MODIFIER_PATTERN = /(kh|kl|dh|dl|k|r|>=|>)(\d+)|(!)/g;
+
+/** Safety cap on extra dice added by exploding pools */
+const MAX_EXPLOSIONS = 100;
+
+/** Limits that keep exact probability previews cheap */
+const MAX_PREVIEW_OUTCOMES = 100000;
+const MAX_PREVIEW_COMBINATIONS = 1000000;
+const EXPLOSION_TAIL_PROBABILITY = 1e-9;
+
 class DiceRoller {
     /**
      * Parse and roll dice using D&D notation
-     * @param {string} notation - Dice notation (e.g., "1d20+5", "2d6", "1d100")
+     * @param {string} notation - Dice expression (e.g., "1d20+5", "2d8+1d6-2", "(1d6+2)*2")
+     * @param {string|null} [seed] - Seed to replay a logged roll (fresh seed if omitted)
      * @returns {Object} - Result object with details
      */
-    static roll(notation) {
+    static roll(notation, seed = null) {
         try {
             // Clean the notation
             const cleanNotation = notation.trim().toLowerCase();
-            
-            // Parse the notation
+
+            // Parse the notation into an expression tree
             const parsed = this.parseNotation(cleanNotation);
             if (!parsed) {
                 throw new Error('Invalid dice notation');
             }
-            
-            // Roll the dice
-            const results = [];
-            let total = 0;
-            
-            for (let i = 0; i < parsed.count; i++) {
-                const roll = Math.floor(Math.random() * parsed.sides) + 1;
-                results.push(roll);
-                total += roll;
-            }
-            
-            // Apply modifier
-            total += parsed.modifier;
-            
+
+            // Roll the dice and evaluate the arithmetic
+            const { seed: usedSeed, result: evaluated } = rng.withSeed(seed, () => this.evaluate(parsed));
+            const terms = this.collectTerms(evaluated);
+            const total = evaluated.value;
+
             return {
                 notation: notation,
-                parsed: parsed,
-                rolls: results,
+                parsed: evaluated,
+                rolls: terms.flatMap(term => term.rolls),
+                terms: terms,
                 total: total,
-                breakdown: this.formatBreakdown(parsed, results, total)
+                breakdown: this.formatBreakdown(evaluated, total),
+                seed: usedSeed
             };
-            
+
         } catch (error) {
             throw new Error(`Dice rolling error: ${error.message}`);
         }
     }
-    
+
     /**
-     * Parse dice notation into components
+     * Parse a dice expression into a tree.
+     * Grammar:
+     *   expression := term (('+' | '-') term)*
+     *   term       := factor (('*' | '/') factor)*
+     *   factor     := ('+' | '-') factor | primary
+     *   primary    := dice | number | '(' expression ')'
+     * Nodes: { type: 'dice', count, sides, modifiers }, { type: 'number', value },
+     * { type: 'group', expression }, { type: 'unary', operator, operand },
+     * { type: 'binary', operator, left, right }
      * @param {string} notation - Dice notation to parse
-     * @returns {Object|null} - Parsed components or null if invalid
+     * @returns {Object|null} - Root node of the expression tree, or null if invalid
      */
     static parseNotation(notation) {
-        // Regex to match dice notation: [count]d[sides][+/-modifier]
-        const diceRegex = /^(\d+)d(\d+)([+-]\d+)?$/;
-        const match = notation.match(diceRegex);
-        
-        if (!match) {
+        const tokens = this.tokenize(notation);
+        if (!tokens || tokens.length === 0) {
+            return null;
+        }
+
+        let position = 0;
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+
+        const parseExpression = () => {
+            let left = parseTerm();
+            if (!left) return null;
+
+            while (peek() && (peek().value === '+' || peek().value === '-')) {
+                const operator = next().value;
+                const right = parseTerm();
+                if (!right) return null;
+                left = { type: 'binary', operator, left, right };
+            }
+            return left;
+        };
+
+        const parseTerm = () => {
+            let left = parseFactor();
+            if (!left) return null;
+
+            while (peek() && (peek().value === '*' || peek().value === '/')) {
+                const operator = next().value;
+                const right = parseFactor();
+                if (!right) return null;
+                left = { type: 'binary', operator, left, right };
+            }
+            return left;
+        };
+
+        const parseFactor = () => {
+            const token = peek();
+            if (token && token.type === 'operator' && (token.value === '+' || token.value === '-')) {
+                next();
+                const operand = parseFactor();
+                if (!operand) return null;
+                return token.value === '-' ? { type: 'unary', operator: '-', operand } : operand;
+            }
+            return parsePrimary();
+        };
+
+        const parsePrimary = () => {
+            const token = next();
+            if (!token) return null;
+
+            if (token.type === 'dice') {
+                return { type: 'dice', count: token.count, sides: token.sides, modifiers: token.modifiers };
+            }
+            if (token.type === 'number') {
+                return { type: 'number', value: token.value };
+            }
+            if (token.type === 'paren' && token.value === '(') {
+                const expression = parseExpression();
+                const closing = next();
+                if (!expression || !closing || closing.value !== ')') return null;
+                return { type: 'group', expression };
+            }
+            return null;
+        };
+
+        const tree = parseExpression();
+
+        // Leftover tokens mean the expression didn't fully parse (e.g., "2d6 3")
+        if (!tree || position !== tokens.length) {
             return null;
         }
-        
-        const count = parseInt(match[1]);
-        const sides = parseInt(match[2]);
-        const modifier = match[3] ? parseInt(match[3]) : 0;
-        
-        // Validate ranges
-        if (count < 1 || count > 100) {
-            throw new Error('Dice count must be between 1 and 100');
+
+        return tree;
+    }
+
+    /**
+     * Split a dice expression into tokens
+     * @param {string} notation - Dice notation
+     * @returns {Array|null} - Tokens, or null if an unknown character is found
+     */
+    static tokenize(notation) {
+        const tokens = [];
+        const tokenRegex = /\s*(?:(\d*)d(\d+)((?:kh\d+|kl\d+|dh\d+|dl\d+|k\d+|r\d+|!|>=\d+|>\d+)*)|(\d+)|([+\-*/])|([()]))/y;
+
+        let index = 0;
+        while (index < notation.length) {
+            // Allow trailing whitespace
+            if (/^\s*$/.test(notation.slice(index))) break;
+
+            tokenRegex.lastIndex = index;
+            const match = tokenRegex.exec(notation);
+            if (!match) {
+                return null;
+            }
+            index = tokenRegex.lastIndex;
+
+            if (match[2] !== undefined) {
+                const count = match[1] ? parseInt(match[1]) : 1;
+                const sides = parseInt(match[2]);
+
+                // Validate ranges
+                if (count < 1 || count > 100) {
+                    throw new Error('Dice count must be between 1 and 100');
+                }
+
+                if (sides < 1 || sides > 1000) {
+                    throw new Error('Dice sides must be between 1 and 1000');
+                }
+
+                const modifiers = this.parseModifiers(match[3], count, sides);
+                tokens.push({ type: 'dice', count, sides, modifiers });
+            } else if (match[4] !== undefined) {
+                tokens.push({ type: 'number', value: parseInt(match[4]) });
+            } else if (match[5] !== undefined) {
+                tokens.push({ type: 'operator', value: match[5] });
+            } else {
+                tokens.push({ type: 'paren', value: match[6] });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parse the modifier suffix of a dice term
+     * @param {string} suffix - Modifier text after NdS (e.g., "kh3", "r1!", ">=5")
+     * @param {number} count - Number of dice in the pool
+     * @param {number} sides - Sides per die
+     * @returns {Object} - Modifiers {keep, drop, explode, reroll, success}
+     */
+    static parseModifiers(suffix, count, sides) {
+        const modifiers = {};
+        if (!suffix) return modifiers;
+
+        for (const match of suffix.matchAll(MODIFIER_PATTERN)) {
+            const [, code, rawValue, bang] = match;
+            const value = parseInt(rawValue);
+
+            if (bang) {
+                if (sides < 2) {
+                    throw new Error('Exploding dice need at least 2 sides');
+                }
+                modifiers.explode = true;
+                continue;
+            }
+
+            switch (code) {
+                case 'kh':
+                case 'k':
+                case 'kl':
+                    if (modifiers.keep || modifiers.drop) {
+                        throw new Error('Only one keep/drop modifier per dice term');
+                    }
+                    if (value < 1 || value > count) {
+                        throw new Error(`Can only keep between 1 and ${count} dice`);
+                    }
+                    modifiers.keep = { highest: code !== 'kl', count: value };
+                    break;
+                case 'dh':
+                case 'dl':
+                    if (modifiers.keep || modifiers.drop) {
+                        throw new Error('Only one keep/drop modifier per dice term');
+                    }
+                    if (value < 1 || value >= count) {
+                        throw new Error(`Can only drop between 1 and ${count - 1} dice`);
+                    }
+                    modifiers.drop = { highest: code === 'dh', count: value };
+                    break;
+                case 'r':
+                    if (value < 1 || value >= sides) {
+                        throw new Error(`Reroll threshold must be between 1 and ${sides - 1}`);
+                    }
+                    modifiers.reroll = value;
+                    break;
+                case '>=':
+                case '>':
+                    modifiers.success = { operator: code, target: value };
+                    break;
+            }
+        }
+
+        return modifiers;
+    }
+
+    /**
+     * Roll one die
+     * @param {number} sides - Sides on the die
+     * @returns {number} - Result between 1 and sides
+     */
+    static rollDie(sides) {
+        return rng.int(1, sides);
+    }
+
+    /**
+     * Roll a dice pool and apply its modifiers in order:
+     * reroll → explode → keep/drop → success counting.
+     * @param {Object} node - Dice node {count, sides, modifiers}
+     * @returns {Array} - Dice as {value, rerolledFrom, exploded, dropped, success}
+     */
+    static rollPool(node) {
+        const { count, sides } = node;
+        const modifiers = node.modifiers || {};
+        const dice = [];
+
+        const rollOne = () => {
+            const die = { value: this.rollDie(sides) };
+            if (modifiers.reroll && die.value <= modifiers.reroll) {
+                die.rerolledFrom = die.value;
+                die.value = this.rollDie(sides);
+            }
+            return die;
+        };
+
+        for (let i = 0; i < count; i++) {
+            dice.push(rollOne());
+        }
+
+        // Exploding: every max result adds another die (which can explode too)
+        if (modifiers.explode) {
+            let explosions = 0;
+            for (let i = 0; i < dice.length && explosions < MAX_EXPLOSIONS; i++) {
+                if (dice[i].value === sides) {
+                    dice[i].exploded = true;
+                    dice.splice(i + 1, 0, rollOne());
+                    explosions++;
+                }
+            }
         }
-        
-        if (sides < 1 || sides > 1000) {
-            throw new Error('Dice sides must be between 1 and 1000');
+
+        // Keep/drop by value; ties resolve to the earlier die
+        const keepDrop = modifiers.keep
+            ? { highest: !modifiers.keep.highest, count: dice.length - modifiers.keep.count }
+            : modifiers.drop;
+        if (keepDrop && keepDrop.count > 0) {
+            const order = dice
+                .map((die, index) => ({ die, index }))
+                .sort((a, b) => keepDrop.highest
+                    ? b.die.value - a.die.value || a.index - b.index
+                    : a.die.value - b.die.value || a.index - b.index);
+            order.slice(0, keepDrop.count).forEach(({ die }) => { die.dropped = true; });
+        }
+
+        if (modifiers.success) {
+            for (const die of dice) {
+                if (!die.dropped && this.meetsTarget(die.value, modifiers.success)) {
+                    die.success = true;
+                }
+            }
+        }
+
+        return dice;
+    }
+
+    /**
+     * Check a die against a success target
+     * @param {number} value - Die result
+     * @param {Object} success - {operator: '>=' | '>', target}
+     * @returns {boolean} - Whether the die counts as a success
+     */
+    static meetsTarget(value, success) {
+        return success.operator === '>' ? value > success.target : value >= success.target;
+    }
+
+    /**
+     * Roll every dice node in a parsed tree and compute its value.
+     * Returns a copy of the tree where each node carries its `value`
+     * and each dice node also carries its `dice` (every die rolled, with
+     * kept/dropped/rerolled/exploded flags) and `rolls` (kept results).
+     * @param {Object} node - Parsed expression node
+     * @returns {Object} - Evaluated node
+     */
+    static evaluate(node) {
+        switch (node.type) {
+            case 'number':
+                return { ...node };
+
+            case 'dice': {
+                const dice = this.rollPool(node);
+                const kept = dice.filter(die => !die.dropped);
+                const value = node.modifiers && node.modifiers.success
+                    ? kept.filter(die => die.success).length
+                    : kept.reduce((sum, die) => sum + die.value, 0);
+                return { ...node, dice, rolls: kept.map(die => die.value), value };
+            }
+
+            case 'group': {
+                const expression = this.evaluate(node.expression);
+                return { ...node, expression, value: expression.value };
+            }
+
+            case 'unary': {
+                const operand = this.evaluate(node.operand);
+                return { ...node, operand, value: -operand.value };
+            }
+
+            case 'binary': {
+                const left = this.evaluate(node.left);
+                const right = this.evaluate(node.right);
+                return { ...node, left, right, value: this.applyOperator(node.operator, left.value, right.value) };
+            }
+
+            default:
+                throw new Error(`Unknown expression node: ${node.type}`);
         }
-        
-        return { count, sides, modifier };
     }
-    
+
+    /**
+     * Apply a binary arithmetic operator. Division rounds down, as in Pathfinder.
+     * @param {string} operator - One of + - * /
+     * @param {number} left - Left operand
+     * @param {number} right - Right operand
+     * @returns {number} - Result
+     */
+    static applyOperator(operator, left, right) {
+        switch (operator) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/':
+                if (right === 0) {
+                    throw new Error('Division by zero');
+                }
+                return Math.floor(left / right);
+            default:
+                throw new Error(`Unknown operator: ${operator}`);
+        }
+    }
+
+    /**
+     * Collect the dice terms of an evaluated tree in left-to-right order
+     * @param {Object} node - Evaluated expression node
+     * @param {Array} [terms=[]] - Accumulator
+     * @returns {Array} - Terms as {notation, count, sides, dice, rolls, total}
+     */
+    static collectTerms(node, terms = []) {
+        switch (node.type) {
+            case 'dice':
+                terms.push({
+                    notation: this.formatNotation(node),
+                    count: node.count,
+                    sides: node.sides,
+                    dice: node.dice,
+                    rolls: node.rolls,
+                    total: node.value
+                });
+                break;
+            case 'group':
+                this.collectTerms(node.expression, terms);
+                break;
+            case 'unary':
+                this.collectTerms(node.operand, terms);
+                break;
+            case 'binary':
+                this.collectTerms(node.left, terms);
+                this.collectTerms(node.right, terms);
+                break;
+        }
+        return terms;
+    }
+
+    /**
+     * Render a parsed (not yet rolled) tree back into canonical notation
+     * @param {Object} node - Expression node
+     * @returns {string} - Notation (e.g., "2d8+1d6-2")
+     */
+    static formatNotation(node) {
+        switch (node.type) {
+            case 'number': return `${node.value}`;
+            case 'dice': return `${node.count}d${node.sides}${this.formatModifiers(node.modifiers)}`;
+            case 'group': return `(${this.formatNotation(node.expression)})`;
+            case 'unary': return `-${this.formatNotation(node.operand)}`;
+            case 'binary': return `${this.formatNotation(node.left)}${node.operator}${this.formatNotation(node.right)}`;
+            default: return '';
+        }
+    }
+
+    /**
+     * Render dice modifiers back into notation
+     * @param {Object} [modifiers={}] - Parsed modifiers
+     * @returns {string} - Modifier suffix (e.g., "r1!kh3>=5")
+     */
+    static formatModifiers(modifiers = {}) {
+        let suffix = '';
+        if (modifiers.reroll) suffix += `r${modifiers.reroll}`;
+        if (modifiers.explode) suffix += '!';
+        if (modifiers.keep) suffix += `${modifiers.keep.highest ? 'kh' : 'kl'}${modifiers.keep.count}`;
+        if (modifiers.drop) suffix += `${modifiers.drop.highest ? 'dh' : 'dl'}${modifiers.drop.count}`;
+        if (modifiers.success) suffix += `${modifiers.success.operator}${modifiers.success.target}`;
+        return suffix;
+    }
+
+    /**
+     * Render the individual dice of a pool.
+     * Dropped dice are struck through, rerolls show the original result,
+     * exploded dice are marked with "!" and successes are bolded.
+     * @param {Array} dice - Dice from rollPool
+     * @returns {string} - Rendered pool (e.g., "[6!, 3, ~~1~~, 1→5]")
+     */
+    static formatDice(dice) {
+        const rendered = dice.map(die => {
+            let text = `${die.value}`;
+            if (die.rerolledFrom !== undefined) text = `${die.rerolledFrom}→${text}`;
+            if (die.exploded) text += '!';
+            if (die.dropped) return `~~${text}~~`;
+            if (die.success) return `__${text}__`;
+            return text;
+        });
+        return `[${rendered.join(', ')}]`;
+    }
+
     /**
      * Format the roll breakdown for display
-     * @param {Object} parsed - Parsed dice notation
-     * @param {Array} rolls - Individual die results
+     * @param {Object} evaluated - Evaluated expression tree (from evaluate)
      * @param {number} total - Final total
-     * @returns {string} - Formatted breakdown
+     * @returns {string} - Formatted breakdown (e.g., "[3, 7] + [4] + 5 = **19**")
+     */
+    static formatBreakdown(evaluated, total) {
+        return `${this.formatNode(evaluated)} = **${total}**`;
+    }
+
+    /**
+     * Render one evaluated node, showing individual dice results
+     * @param {Object} node - Evaluated expression node
+     * @returns {string} - Rendered node
      */
-    static formatBreakdown(parsed, rolls, total) {
-        let breakdown = `[${rolls.join(', ')}]`;
-        
-        if (parsed.modifier !== 0) {
-            const modifierStr = parsed.modifier > 0 ? `+${parsed.modifier}` : `${parsed.modifier}`;
-            breakdown += ` ${modifierStr}`;
+    static formatNode(node) {
+        switch (node.type) {
+            case 'number': return `${node.value}`;
+            case 'dice': {
+                const pool = this.formatDice(node.dice);
+                return node.modifiers && node.modifiers.success ? `${pool} (${node.value} successes)` : pool;
+            }
+            case 'group': return `(${this.formatNode(node.expression)})`;
+            case 'unary': return `-${this.formatNode(node.operand)}`;
+            case 'binary': {
+                const operator = node.operator === '*' ? '×' : node.operator === '/' ? '÷' : node.operator;
+                return `${this.formatNode(node.left)} ${operator} ${this.formatNode(node.right)}`;
+            }
+            default: return '';
         }
-        
-        breakdown += ` = **${total}**`;
-        return breakdown;
     }
-    
+
+    /**
+     * Format each dice term of a roll on its own line
+     * @param {Object} result - Result from roll()
+     * @returns {string} - One line per term (e.g., "4d6kh3: [5, 4, ~~2~~, 6] = 15")
+     */
+    static formatTerms(result) {
+        return result.terms
+            .map(term => `${term.notation}: ${this.formatDice(term.dice)} = ${term.total}`)
+            .join('\n');
+    }
+
+    /**
+     * Explain the markers used by formatDice, for results that use modifiers
+     * @param {Object} result - Result from roll()
+     * @returns {string|null} - Legend text, or null if no die was marked
+     */
+    static formatLegend(result) {
+        const dice = result.terms.flatMap(term => term.dice);
+        const legend = [];
+        if (dice.some(die => die.dropped)) legend.push('~~struck~~ = dropped');
+        if (dice.some(die => die.rerolledFrom !== undefined)) legend.push('1→5 = rerolled');
+        if (dice.some(die => die.exploded)) legend.push('6! = exploded');
+        if (dice.some(die => die.success)) legend.push('__underlined__ = success');
+        return legend.length > 0 ? legend.join(' • ') : null;
+    }
+
+    /**
+     * Find the first valid dice expression in free text
+     * (e.g., "roll 2d8+1d6+5 for damage" → "2d8+1d6+5")
+     * @param {string} text - Text that may contain dice notation
+     * @returns {string|null} - Extracted notation or null if none found
+     */
+    static extractNotation(text) {
+        const lower = text.toLowerCase();
+
+        for (let start = 0; start < lower.length; start++) {
+            // Expressions start at a word boundary with a number, a die or a parenthesis
+            if (start > 0 && /[a-z0-9]/.test(lower[start - 1])) continue;
+            if (!/^(?:\(|\d|d\d)/.test(lower.slice(start))) continue;
+
+            // Take the longest run of expression characters, then shrink until it parses
+            const run = lower.slice(start).match(EXPRESSION_PREFIX)[0];
+            for (let end = run.length; end > 0; end--) {
+                const candidate = run.slice(0, end).trim();
+                if (!/\d*d\d+/.test(candidate) || !/[\d)!]$/.test(candidate)) continue;
+
+                try {
+                    if (this.parseNotation(candidate)) {
+                        return candidate;
+                    }
+                } catch (error) {
+                    // Out-of-range dice or bad modifier; keep looking
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Compute the probability distribution of an expression without rolling it.
+     * Exact for everything except exploding dice, whose chain is cut off once
+     * the remaining probability is negligible.
+     * @param {string} notation - Dice expression
+     * @returns {Object} - {notation, distribution: [{value, probability}], expected, standardDeviation, min, max, approximate}
+     */
+    static probability(notation) {
+        try {
+            const parsed = this.parseNotation(notation.trim().toLowerCase());
+            if (!parsed) {
+                throw new Error('Invalid dice notation');
+            }
+
+            const state = { approximate: false };
+            const outcomes = this.nodeDistribution(parsed, state);
+            const distribution = [...outcomes.entries()]
+                .map(([value, probability]) => ({ value, probability }))
+                .sort((a, b) => a.value - b.value);
+
+            const expected = distribution.reduce((sum, o) => sum + o.value * o.probability, 0);
+            const variance = distribution.reduce((sum, o) => sum + (o.value - expected) ** 2 * o.probability, 0);
+
+            return {
+                notation,
+                distribution,
+                expected,
+                standardDeviation: Math.sqrt(variance),
+                min: distribution[0].value,
+                max: distribution[distribution.length - 1].value,
+                approximate: state.approximate
+            };
+        } catch (error) {
+            throw new Error(`Probability error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Probability distribution of one parsed node
+     * @param {Object} node - Parsed expression node
+     * @param {Object} state - Shared flags ({approximate})
+     * @returns {Map<number, number>} - Value -> probability
+     */
+    static nodeDistribution(node, state) {
+        switch (node.type) {
+            case 'number':
+                return new Map([[node.value, 1]]);
+
+            case 'dice':
+                return this.poolDistribution(node, state);
+
+            case 'group':
+                return this.nodeDistribution(node.expression, state);
+
+            case 'unary': {
+                const negated = new Map();
+                for (const [value, probability] of this.nodeDistribution(node.operand, state)) {
+                    negated.set(-value, probability);
+                }
+                return negated;
+            }
+
+            case 'binary':
+                return this.combineDistributions(
+                    this.nodeDistribution(node.left, state),
+                    this.nodeDistribution(node.right, state),
+                    (a, b) => this.applyOperator(node.operator, a, b)
+                );
+
+            default:
+                throw new Error(`Unknown expression node: ${node.type}`);
+        }
+    }
+
+    /**
+     * Combine two independent distributions with an operator
+     * @param {Map<number, number>} left - Left distribution
+     * @param {Map<number, number>} right - Right distribution
+     * @param {Function} operator - (a, b) => value
+     * @returns {Map<number, number>} - Combined distribution
+     */
+    static combineDistributions(left, right, operator) {
+        if (left.size * right.size > MAX_PREVIEW_COMBINATIONS) {
+            throw new Error('Expression has too many outcomes to preview');
+        }
+
+        const combined = new Map();
+        for (const [a, pa] of left) {
+            for (const [b, pb] of right) {
+                const value = operator(a, b);
+                combined.set(value, (combined.get(value) || 0) + pa * pb);
+            }
+        }
+
+        if (combined.size > MAX_PREVIEW_OUTCOMES) {
+            throw new Error('Expression has too many outcomes to preview');
+        }
+        return combined;
+    }
+
+    /**
+     * Distribution of a single die face after an optional reroll-once
+     * @param {number} sides - Sides on the die
+     * @param {number} [reroll] - Reroll threshold
+     * @returns {Map<number, number>} - Face -> probability
+     */
+    static faceDistribution(sides, reroll) {
+        const faces = new Map();
+        const rerollChance = reroll ? reroll / sides : 0;
+        for (let face = 1; face <= sides; face++) {
+            const kept = reroll && face <= reroll ? 0 : 1 / sides;
+            faces.set(face, kept + rerollChance / sides);
+        }
+        return faces;
+    }
+
+    /**
+     * Distribution of one die's contribution: its value (or 1/0 for a
+     * success pool), including any exploding chain
+     * @param {Object} node - Dice node
+     * @param {Object} state - Shared flags ({approximate})
+     * @returns {Map<number, number>} - Contribution -> probability
+     */
+    static dieDistribution(node, state) {
+        const modifiers = node.modifiers || {};
+        const faces = this.faceDistribution(node.sides, modifiers.reroll);
+        const score = (face) => modifiers.success ? (this.meetsTarget(face, modifiers.success) ? 1 : 0) : face;
+
+        if (!modifiers.explode) {
+            const single = new Map();
+            for (const [face, probability] of faces) {
+                single.set(score(face), (single.get(score(face)) || 0) + probability);
+            }
+            return single;
+        }
+
+        // Exploding chain: each max face adds another die; stop once the tail is negligible
+        state.approximate = true;
+        const chain = new Map();
+        const maxFace = node.sides;
+        let carry = 1;
+        let offset = 0;
+        for (let depth = 0; depth <= MAX_EXPLOSIONS; depth++) {
+            const lastLevel = depth === MAX_EXPLOSIONS || carry * faces.get(maxFace) < EXPLOSION_TAIL_PROBABILITY;
+            for (const [face, probability] of faces) {
+                if (face === maxFace && !lastLevel) continue;
+                const value = offset + score(face);
+                chain.set(value, (chain.get(value) || 0) + carry * probability);
+            }
+            if (lastLevel) break;
+            carry *= faces.get(maxFace);
+            offset += score(maxFace);
+        }
+        return chain;
+    }
+
+    /**
+     * Distribution of a whole dice pool
+     * @param {Object} node - Dice node
+     * @param {Object} state - Shared flags ({approximate})
+     * @returns {Map<number, number>} - Pool value -> probability
+     */
+    static poolDistribution(node, state) {
+        const modifiers = node.modifiers || {};
+
+        if (!modifiers.keep && !modifiers.drop) {
+            const single = this.dieDistribution(node, state);
+            let pool = new Map([[0, 1]]);
+            for (let i = 0; i < node.count; i++) {
+                pool = this.combineDistributions(pool, single, (a, b) => a + b);
+            }
+            return pool;
+        }
+
+        if (modifiers.explode) {
+            throw new Error('Can\'t preview exploding dice combined with keep/drop');
+        }
+
+        // Keep/drop: enumerate every combination of faces
+        const faces = [...this.faceDistribution(node.sides, modifiers.reroll).entries()];
+        if (faces.length ** node.count > MAX_PREVIEW_COMBINATIONS) {
+            throw new Error(`Too many combinations to preview ${this.formatNotation(node)}`);
+        }
+
+        const keepDrop = modifiers.keep
+            ? { highest: !modifiers.keep.highest, count: node.count - modifiers.keep.count }
+            : modifiers.drop;
+        const pool = new Map();
+        const current = [];
+
+        const visit = (probability) => {
+            if (current.length === node.count) {
+                const sorted = [...current].sort((a, b) => keepDrop.highest ? b - a : a - b);
+                const kept = sorted.slice(keepDrop.count);
+                const value = modifiers.success
+                    ? kept.filter(face => this.meetsTarget(face, modifiers.success)).length
+                    : kept.reduce((sum, face) => sum + face, 0);
+                pool.set(value, (pool.get(value) || 0) + probability);
+                return;
+            }
+            for (const [face, faceProbability] of faces) {
+                current.push(face);
+                visit(probability * faceProbability);
+                current.pop();
+            }
+        };
+        visit(1);
+
+        return pool;
+    }
+
+    /**
+     * Natural d20 results from a roll (kept dice only, e.g. 2d20kh1 gives one)
+     * @param {Object} result - Result from roll()
+     * @returns {number[]} - Natural d20 results
+     */
+    static getD20Results(result) {
+        return result.terms
+            .filter(term => term.sides === 20 && !(term.dice && term.dice.some(die => die.success !== undefined)))
+            .flatMap(term => term.rolls);
+    }
+
     /**
      * Roll multiple dice sets
      * @param {Array} notations - Array of dice notations
@@ -103,31 +810,32 @@ class DiceRoller {
     static rollMultiple(notations) {
         return notations.map(notation => this.roll(notation));
     }
-    
+
     /**
      * Roll advantage/disadvantage (roll twice, take higher/lower)
      * @param {string} notation - Base dice notation
      * @param {boolean} advantage - True for advantage, false for disadvantage
+     * @param {string|null} [seed] - Seed to replay a logged roll (both rolls share it)
      * @returns {Object} - Result with both rolls and final result
      */
-    static rollAdvantage(notation, advantage = true) {
-        const roll1 = this.roll(notation);
-        const roll2 = this.roll(notation);
-        
-        const finalTotal = advantage 
+    static rollAdvantage(notation, advantage = true, seed = null) {
+        const { seed: usedSeed, result: [roll1, roll2] } = rng.withSeed(seed, () => [this.roll(notation), this.roll(notation)]);
+
+        const finalTotal = advantage
             ? Math.max(roll1.total, roll2.total)
             : Math.min(roll1.total, roll2.total);
-        
+
         return {
             notation: notation,
             roll1: roll1,
             roll2: roll2,
             finalTotal: finalTotal,
             advantage: advantage,
-            breakdown: `${roll1.breakdown} vs ${roll2.breakdown} → **${finalTotal}**`
+            breakdown: `${roll1.breakdown} vs ${roll2.breakdown} → **${finalTotal}**`,
+            seed: usedSeed
         };
     }
-    
+
     /**
      * Roll with critical hit detection (for d20 rolls)
      * @param {string} notation - Dice notation (should be d20 based)
@@ -136,9 +844,12 @@ class DiceRoller {
      */
     static rollWithCrit(notation, criticalRange = 20) {
         const result = this.roll(notation);
-        const isCrit = result.rolls.some(roll => roll >= criticalRange);
-        const isCritFail = result.rolls.some(roll => roll === 1);
-        
+        const d20Rolls = result.terms
+            .filter(term => term.sides === 20)
+            .flatMap(term => term.rolls);
+        const isCrit = d20Rolls.some(roll => roll >= criticalRange);
+        const isCritFail = d20Rolls.some(roll => roll === 1);
+
         return {
             ...result,
             isCritical: isCrit,
@@ -146,8 +857,146 @@ class DiceRoller {
             criticalRange: criticalRange
         };
     }
-}
 
-module.exports = DiceRoller;
+    /**
+     * Parse a PF1 threat range, optionally with a multiplier
+     * @param {string|number} [threat='20'] - e.g. "20", "19-20", "18-20/x2", 19
+     * @returns {{min: number, multiplier: number|null}} - Lowest threatening natural roll and multiplier if given
+     */
+    static parseThreatRange(threat = '20') {
+        const match = `${threat}`.trim().toLowerCase().match(/^(\d+)(?:\s*-\s*20)?(?:\s*\/\s*[x×]?(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid threat range "${threat}" (use e.g. 20, 19-20 or 18-20/x2)`);
+        }
+
+        const min = parseInt(match[1]);
+        if (min < 2 || min > 20) {
+            throw new Error('Threat range must start between 2 and 20');
+        }
+
+        return { min, multiplier: match[2] ? parseInt(match[2]) : null };
+    }
 
+    /**
+     * Parse explicit attack bonuses
+     * @param {string|number} bonuses - e.g. "+15", "+15/+10/+5", "12/7"
+     * @returns {number[]} - Attack bonuses in order
+     */
+    static parseAttackBonuses(bonuses) {
+        const parts = `${bonuses}`.split('/').map(part => part.trim());
+        if (parts.some(part => !/^[+-]?\d+$/.test(part))) {
+            throw new Error(`Invalid attack bonus "${bonuses}" (use e.g. +15 or +15/+10/+5)`);
+        }
+        return parts.map(part => parseInt(part));
+    }
 
+    /**
+     * Build iterative attack bonuses from BAB: one extra attack at -5
+     * for every 5 points of BAB above +1, to a maximum of four attacks
+     * @param {number} bonus - Total bonus of the first attack
+     * @param {number} bab - Base attack bonus
+     * @returns {number[]} - Attack bonuses (e.g., +15/+10/+5)
+     */
+    static iterativeBonuses(bonus, bab) {
+        const attacks = bab >= 1 ? Math.min(4, 1 + Math.floor((bab - 1) / 5)) : 1;
+        return Array.from({ length: attacks }, (_, i) => bonus - i * 5);
+    }
+
+    /**
+     * Roll a Pathfinder 1e attack or full attack.
+     * Natural 20 always hits and natural 1 always misses. A natural roll in the
+     * threat range that hits is a threat and gets a confirmation roll at the same
+     * bonus. Critical damage rolls the damage expression `multiplier` times;
+     * extra damage (sneak attack, flaming, ...) is never multiplied.
+     * Without a target AC, hits are assumed and crit damage is shown "if confirmed".
+     * @param {Object} options - Attack options
+     * @param {number[]} options.bonuses - Attack bonus for each attack
+     * @param {number} [options.threatMin=20] - Lowest natural roll that threatens
+     * @param {number} [options.multiplier=2] - Critical multiplier
+     * @param {string} [options.damage] - Damage notation (e.g., "2d6+12")
+     * @param {string} [options.extraDamage] - Damage that isn't multiplied on a crit (e.g., "3d6")
+     * @param {number} [options.ac] - Target AC
+     * @param {string|null} [options.seed] - Seed to replay a logged attack
+     * @returns {Object} - Attack results and total damage
+     */
+    static rollAttack({ bonuses, threatMin = 20, multiplier = 2, damage = null, extraDamage = null, ac = null, seed = null }) {
+        if (!bonuses || bonuses.length === 0) {
+            throw new Error('At least one attack bonus is required');
+        }
+        if (multiplier < 2 || multiplier > 6) {
+            throw new Error('Critical multiplier must be between 2 and 6');
+        }
+
+        // Validate damage notation before rolling anything
+        for (const notation of [damage, extraDamage]) {
+            if (notation && !this.parseNotation(notation.trim().toLowerCase())) {
+                throw new Error(`Invalid damage notation "${notation}"`);
+            }
+        }
+
+        const hasAC = ac !== null && ac !== undefined;
+        const checkHit = (natural, total) => {
+            if (natural === 20) return true;
+            if (natural === 1) return false;
+            return hasAC ? total >= ac : null;
+        };
+
+        const { seed: usedSeed, result: attacks } = rng.withSeed(seed, () => bonuses.map(bonus => {
+            const natural = this.rollDie(20);
+            const total = natural + bonus;
+            const hit = checkHit(natural, total);
+            const threat = natural >= threatMin && hit !== false;
+
+            const attack = { bonus, natural, total, hit, threat, confirmation: null, critical: false, damage: null };
+
+            if (threat) {
+                const confirmNatural = this.rollDie(20);
+                const confirmTotal = confirmNatural + bonus;
+                attack.confirmation = {
+                    natural: confirmNatural,
+                    total: confirmTotal,
+                    confirmed: checkHit(confirmNatural, confirmTotal)
+                };
+                attack.critical = attack.confirmation.confirmed === true;
+            }
+
+            if (damage && hit !== false) {
+                // A threat rolls every multiplied set up front so unconfirmed results can show both
+                const sets = attack.threat && attack.confirmation.confirmed !== false ? multiplier : 1;
+                const rolls = Array.from({ length: sets }, () => this.roll(damage));
+                const extra = extraDamage ? this.roll(extraDamage) : null;
+                const extraTotal = extra ? extra.total : 0;
+                const normal = rolls[0].total + extraTotal;
+                const critical = rolls.reduce((sum, r) => sum + r.total, 0) + extraTotal;
+
+                attack.damage = {
+                    rolls,
+                    extra,
+                    normal,
+                    critical: sets > 1 ? critical : null,
+                    total: attack.critical ? critical : normal
+                };
+            }
+
+            return attack;
+        }));
+
+        const totalDamage = attacks
+            .filter(attack => attack.damage)
+            .reduce((sum, attack) => sum + attack.damage.total, 0);
+
+        return {
+            bonuses,
+            threatMin,
+            multiplier,
+            damage,
+            extraDamage,
+            ac: hasAC ? ac : null,
+            attacks,
+            totalDamage,
+            seed: usedSeed
+        };
+    }
+}
+
+module.exports = DiceRoller;
@@ -2,34 +2,56 @@
  * Dossier Manager for Casandalee
  * Manages character dossiers — auto-generated profiles from timeline data,
  * player updates via /characterupdate, roll history, and emoji reactions.
- * Dossiers are Cass's "character sheets" for people in the campaign.
+ * Dossiers are Cass's "character sheets" for people in the campaign; the
+ * numbers from an actual PF1 sheet live in a versioned `sheet` (see characterSheet.js).
  */
 
-const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const storage = require('./storage');
 const nameResolver = require('./nameResolver');
+const raceDatabase = require('./raceDatabase');
+const characterSheet = require('./characterSheet');
+
+/** Rolls kept per dossier (older rolls are dropped) */
+const MAX_ROLL_HISTORY = 500;
+
+/** Sheet versions whose changes are kept per dossier */
+const MAX_SHEET_HISTORY = 50;
+
+/** Dossier fields the change log tracks as a whole */
+const TRACKED_FIELDS = [
+    'race', 'class', 'level', 'player', 'description', 'aliases',
+    'racialBonus', 'negativeLevels', 'conDrain', 'foundryActorId'
+];
+
+/** Append-only dossier lists the change log tracks entry by entry, keyed by each entry's timestamp */
+const TRACKED_RECORDS = { playerUpdates: 'timestamp', pastBodies: 'endedAt' };
+
+/** Change log labels for dossier fields */
+const LOG_LABELS = {
+    race: 'Race', class: 'Class', level: 'Level', player: 'Player', description: 'Description', aliases: 'Aliases',
+    racialBonus: 'Racial bonus', negativeLevels: 'Negative levels', conDrain: 'Con drain', foundryActorId: 'Foundry actor',
+    playerUpdates: 'Note', pastBodies: 'Past body'
+};
 
 class DossierManager {
     constructor() {
         this.dossierDir = path.join(__dirname, '../../data/dossiers');
         this.dossierIndex = new Map(); // canonical name -> dossier data
-        this.dirty = new Set(); // names that need saving
-        this.autoSaveInterval = null;
+        this.recording = new Set(); // names with a change being logged (nested changes join it)
 
-        this._ensureDirectoryExists();
+        // Changes are journaled as they happen and written out by the store (see storage.js)
+        this.store = storage.open(this.dossierDir, 'dossiers');
         this._loadAll();
-        this._startAutoSave();
     }
 
     /**
-     * Ensure the dossier directory exists
+     * Re-read every dossier from disk (after another process may have changed them)
      */
-    _ensureDirectoryExists() {
-        if (!fs.existsSync(this.dossierDir)) {
-            fs.mkdirSync(this.dossierDir, { recursive: true });
-            logger.info('Created dossiers directory');
-        }
+    reload() {
+        this.dossierIndex.clear();
+        this._loadAll();
     }
 
     /**
@@ -37,13 +59,12 @@ class DossierManager {
      */
     _loadAll() {
         try {
-            const files = fs.readdirSync(this.dossierDir).filter(f => f.endsWith('.json'));
-            for (const file of files) {
-                const filePath = path.join(this.dossierDir, file);
-                const raw = fs.readFileSync(filePath, 'utf8');
-                const dossier = JSON.parse(raw);
-                const name = dossier.canonicalName || file.replace('.json', '');
+            for (const { key, value: dossier } of this.store.getAll()) {
+                const name = dossier.canonicalName || key;
                 this.dossierIndex.set(name, dossier);
+                if (this._migrate(dossier)) {
+                    this._markDirty(name);
+                }
 
                 // Register with name resolver
                 nameResolver.register(name, dossier.aliases || []);
@@ -55,37 +76,252 @@ class DossierManager {
     }
 
     /**
-     * Start auto-save timer (every 60 seconds)
+     * Bring an older dossier up to the current shape: flat `stats` numbers become sheet version 1
+     * @param {Object} dossier - Dossier as read from disk
+     * @returns {boolean} - True if anything changed
+     */
+    _migrate(dossier) {
+        if (!dossier.stats) return false;
+
+        if (!dossier.sheet) {
+            const data = characterSheet.fromLegacyStats(dossier.stats);
+            data.race = dossier.race || null;
+            data.class = dossier.class || null;
+            data.level = typeof dossier.level === 'number' ? dossier.level : null;
+            dossier.sheet = { version: 1, updatedAt: dossier.updatedAt || new Date().toISOString(), updatedBy: null, source: 'migrated', data };
+            dossier.sheetHistory = [{
+                version: 1,
+                updatedAt: dossier.sheet.updatedAt,
+                updatedBy: null,
+                source: 'migrated',
+                changes: characterSheet.diff(null, data)
+            }];
+        }
+        delete dossier.stats;
+        logger.info(`Migrated stats for ${dossier.canonicalName} to a structured sheet`);
+        return true;
+    }
+
+    /**
+     * Queue a changed dossier for saving
+     * @param {string} canonicalName - The canonical name
      */
-    _startAutoSave() {
-        this.autoSaveInterval = setInterval(() => this._saveDirty(), 60000);
+    _markDirty(canonicalName) {
+        const dossier = this.dossierIndex.get(canonicalName);
+        if (!dossier) return;
+
+        const safeName = canonicalName.replace(/[^a-zA-Z0-9_-]/g, '_').toLowerCase();
+        this.store.set(safeName, dossier);
     }
 
     /**
-     * Save all dirty dossiers to disk
+     * Everything the change log tracks on a dossier, as field -> value
+     * @param {Object} dossier - Dossier
+     * @returns {Object} - e.g. {race: 'Elf', 'playerUpdates.2026-...': {...}, 'sheet.abilities.str': 16}
      */
-    _saveDirty() {
-        for (const name of this.dirty) {
-            this._saveDossier(name);
+    _trackedValues(dossier) {
+        const values = {};
+        for (const field of TRACKED_FIELDS) {
+            const value = dossier[field];
+            if (value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)) values[field] = value;
         }
-        this.dirty.clear();
+        for (const [list, key] of Object.entries(TRACKED_RECORDS)) {
+            for (const entry of dossier[list] || []) values[`${list}.${entry[key]}`] = entry;
+        }
+        if (dossier.sheet) {
+            for (const [field, value] of Object.entries(characterSheet.entries(dossier.sheet.data))) {
+                if (value !== null) values[`sheet.${field}`] = value;
+            }
+        }
+        return JSON.parse(JSON.stringify(values));
     }
 
     /**
-     * Save a single dossier to disk
-     * @param {string} canonicalName - The canonical name
+     * Field-level differences between two _trackedValues() snapshots
+     * @param {Object} before - Earlier snapshot
+     * @param {Object} after - Later snapshot
+     * @returns {Object[]} - [{field, from, to}]
      */
-    _saveDossier(canonicalName) {
+    _diffTracked(before, after) {
+        const changes = [];
+        for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            const from = before[field] === undefined ? null : before[field];
+            const to = after[field] === undefined ? null : after[field];
+            if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+        }
+        return changes;
+    }
+
+    /**
+     * Run a change to a dossier and append what it did to the dossier's change log.
+     * Changes made inside another logged change become part of that entry.
+     * @param {string} canonical - Canonical name
+     * @param {Object} meta - {action, updatedBy, updatedById, revertOf}
+     * @param {Function} mutate - Makes the change; its return value is passed through
+     * @returns {*} - What mutate returned
+     */
+    _record(canonical, { action, updatedBy = null, updatedById = null, revertOf = null }, mutate) {
+        const dossier = this.dossierIndex.get(canonical);
+        if (!dossier || this.recording.has(canonical)) return mutate();
+
+        this.recording.add(canonical);
+        const before = this._trackedValues(dossier);
+        let result;
         try {
-            const dossier = this.dossierIndex.get(canonicalName);
-            if (!dossier) return;
+            result = mutate();
+        } finally {
+            this.recording.delete(canonical);
+        }
+        this._appendLog(dossier, { action, updatedBy, updatedById, revertOf }, this._diffTracked(before, this._trackedValues(dossier)));
 
-            const safeName = canonicalName.replace(/[^a-zA-Z0-9_-]/g, '_').toLowerCase();
-            const filePath = path.join(this.dossierDir, `${safeName}.json`);
-            fs.writeFileSync(filePath, JSON.stringify(dossier, null, 2), 'utf8');
-        } catch (err) {
-            logger.error(`Error saving dossier for ${canonicalName}:`, err.message);
+        return result;
+    }
+
+    /**
+     * Append an entry to a dossier's change log (nothing is appended for no changes)
+     * @param {Object} dossier - Dossier
+     * @param {Object} meta - {action, updatedBy, updatedById, revertOf}
+     * @param {Object[]} changes - [{field, from, to}]
+     * @returns {Object|null} - The entry, or null
+     */
+    _appendLog(dossier, { action, updatedBy = null, updatedById = null, revertOf = null }, changes) {
+        if (changes.length === 0) return null;
+
+        dossier.changeLog = dossier.changeLog || [];
+        const last = dossier.changeLog[dossier.changeLog.length - 1];
+        const entry = {
+            id: last ? last.id + 1 : 1,
+            at: new Date().toISOString(),
+            action,
+            updatedBy,
+            updatedById,
+            changes
+        };
+        if (revertOf) entry.revertOf = revertOf;
+        dossier.changeLog.push(entry);
+        this._markDirty(dossier.canonicalName);
+
+        return entry;
+    }
+
+    /**
+     * Make several changes to a dossier as one change log entry
+     * @param {string} name - Character name
+     * @param {Object} meta - {action, updatedBy, updatedById}
+     * @param {Function} mutate - Makes the changes through this manager's methods; its return value is passed through
+     * @returns {*} - What mutate returned
+     */
+    recordChange(name, meta, mutate) {
+        const canonical = nameResolver.resolve(name);
+        return this._record(canonical, meta, mutate);
+    }
+
+    /**
+     * A character's change log, newest first
+     * @param {string} name - Character name
+     * @returns {Object[]|null} - Entries [{id, at, action, updatedBy, updatedById, changes, revertOf?}], or null if no dossier
+     */
+    getChangeLog(name) {
+        const dossier = this.getDossier(name);
+        if (!dossier) return null;
+        return [...(dossier.changeLog || [])].reverse();
+    }
+
+    /**
+     * Undo one change log entry. Refused when a field it touched has changed again
+     * since; the revert is itself logged.
+     * @param {string} name - Character name
+     * @param {number} id - Change log entry id
+     * @param {Object} [meta] - {updatedBy, updatedById}
+     * @returns {{entry: Object, revert: Object|null}} - The reverted entry and the new log entry (null if nothing needed changing)
+     * @throws {Error} - If there is no such change or it can't be undone cleanly
+     */
+    revertChange(name, id, { updatedBy = null, updatedById = null } = {}) {
+        const dossier = this.getDossier(name);
+        if (!dossier) throw new Error(`No dossier for ${name}`);
+
+        const entry = (dossier.changeLog || []).find(e => e.id === id);
+        if (!entry) throw new Error(`${dossier.canonicalName} has no change #${id}`);
+        const earlier = dossier.changeLog.find(e => e.revertOf === id);
+        if (earlier) throw new Error(`#${id} was already reverted by #${earlier.id}`);
+
+        const current = this._trackedValues(dossier);
+        const moved = entry.changes.filter(change => JSON.stringify(current[change.field] ?? null) !== JSON.stringify(change.to));
+        if (moved.length > 0) {
+            const fields = moved.map(change => this._logLabel(change.field)).join(', ');
+            throw new Error(`${fields} changed again after #${id}; revert the later changes first`);
         }
+
+        const canonical = dossier.canonicalName;
+        this._record(canonical, { action: 'revert', updatedBy, updatedById, revertOf: id }, () => {
+            const sheetChanges = [];
+            for (const { field, from } of entry.changes) {
+                const [group, ...rest] = field.split('.');
+                if (group === 'sheet') {
+                    sheetChanges.push({ field: rest.join('.'), value: from });
+                } else if (TRACKED_RECORDS[group]) {
+                    const key = TRACKED_RECORDS[group];
+                    const list = (dossier[group] || []).filter(record => `${record[key]}` !== rest.join('.'));
+                    if (from !== null) list.push(from);
+                    list.sort((a, b) => `${a[key]}`.localeCompare(`${b[key]}`));
+                    dossier[group] = list;
+                } else if (from === null) {
+                    delete dossier[field];
+                } else {
+                    dossier[field] = from;
+                }
+            }
+            if (sheetChanges.length > 0) {
+                const data = characterSheet.applyEntries(dossier.sheet ? dossier.sheet.data : characterSheet.empty(), sheetChanges);
+                this.setSheet(canonical, data, { updatedBy, updatedById, source: 'revert' });
+            }
+            if (entry.changes.some(change => change.field === 'aliases')) {
+                nameResolver.register(canonical, dossier.aliases || []);
+            }
+            dossier.updatedAt = new Date().toISOString();
+            this._markDirty(canonical);
+        });
+
+        logger.info(`Reverted change #${id} on ${canonical}`, { by: updatedBy });
+
+        // Nothing is logged when the revert changed nothing, so the last entry may be an older one
+        const last = dossier.changeLog[dossier.changeLog.length - 1];
+        return { entry, revert: last && last.revertOf === id ? last : null };
+    }
+
+    /**
+     * Describe one change log change
+     * @param {Object} change - {field, from, to}
+     * @returns {string} - e.g. "Race Human → Elf", "+ Note: is 6'10\" tall", "STR 14 → 16"
+     */
+    formatLogChange({ field, from, to }) {
+        const [group, ...rest] = field.split('.');
+        if (group === 'sheet') {
+            const sheetField = rest.join('.');
+            return characterSheet.formatChange({
+                field: sheetField,
+                from: characterSheet.displayValue(sheetField, from),
+                to: characterSheet.displayValue(sheetField, to)
+            });
+        }
+        if (TRACKED_RECORDS[group]) {
+            const record = to || from;
+            const text = group === 'playerUpdates' ? `"${record.text}"` : `${record.race || 'unknown'} → ${record.becameRace}`;
+            return `${to ? '+' : '−'} ${LOG_LABELS[group]}: ${text}`;
+        }
+        const show = value => (value === null ? '—' : Array.isArray(value) ? value.join(', ') || '—' : `${value}`);
+        return `${this._logLabel(field)} ${show(from)} → ${show(to)}`;
+    }
+
+    /**
+     * Human name for a change log field
+     * @param {string} field - Field
+     * @returns {string} - Label
+     */
+    _logLabel(field) {
+        const [group, ...rest] = field.split('.');
+        if (group === 'sheet') return characterSheet.fieldLabel(rest.join('.'));
+        return LOG_LABELS[group] || field;
     }
 
     /**
@@ -105,9 +341,10 @@ class DossierManager {
      * Create a new dossier for a character
      * @param {string} canonicalName - The canonical name
      * @param {Object} [initialData={}] - Initial dossier data
+     * @param {Object} [meta] - Who created it, for the change log: {updatedBy, updatedById}
      * @returns {Object} - The new dossier
      */
-    createDossier(canonicalName, initialData = {}) {
+    createDossier(canonicalName, initialData = {}, { updatedBy = null, updatedById = null } = {}) {
         const dossier = {
             canonicalName,
             aliases: initialData.aliases || [],
@@ -121,13 +358,15 @@ class DossierManager {
             timelineReferences: [],
             playerUpdates: [],
             emojiReactions: {},
+            changeLog: [],
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
         };
 
         this.dossierIndex.set(canonicalName, dossier);
         nameResolver.register(canonicalName, dossier.aliases);
-        this.dirty.add(canonicalName);
+        this._appendLog(dossier, { action: 'create', updatedBy, updatedById }, this._diffTracked({}, this._trackedValues(dossier)));
+        this._markDirty(canonicalName);
         logger.info(`Created dossier for ${canonicalName}`);
 
         return dossier;
@@ -138,34 +377,81 @@ class DossierManager {
      * @param {string} name - Character name (fuzzy matched)
      * @param {string} updateText - The update text from the player
      * @param {string} updatedBy - Discord username of the updater
+     * @param {string|null} [updatedById] - Discord user ID of the updater
      * @returns {Object|null} - Updated dossier or null
      */
-    addPlayerUpdate(name, updateText, updatedBy) {
+    addPlayerUpdate(name, updateText, updatedBy, updatedById = null) {
         const canonical = nameResolver.resolve(name);
         if (!canonical) return null;
 
         let dossier = this.dossierIndex.get(canonical);
         if (!dossier) {
-            dossier = this.createDossier(canonical);
+            dossier = this.createDossier(canonical, {}, { updatedBy, updatedById });
         }
 
-        dossier.playerUpdates.push({
-            text: updateText,
-            updatedBy,
-            timestamp: new Date().toISOString()
+        this._record(canonical, { action: 'note', updatedBy, updatedById }, () => {
+            dossier.playerUpdates.push({
+                text: updateText,
+                updatedBy,
+                timestamp: new Date().toISOString()
+            });
         });
         dossier.updatedAt = new Date().toISOString();
 
-        this.dirty.add(canonical);
+        this._markDirty(canonical);
         logger.info(`Player update for ${canonical} by ${updatedBy}: "${updateText}"`);
 
         return dossier;
     }
 
+    /**
+     * Set basic dossier fields (race, class, level, player)
+     * @param {string} name - Character name
+     * @param {Object} fields - e.g. {race: 'Half-Orc', level: 7}; other keys are ignored
+     * @param {Object} [meta] - {updatedBy, updatedById}
+     * @returns {Object|null} - Updated dossier or null
+     */
+    updateFields(name, fields, { updatedBy = null, updatedById = null } = {}) {
+        const canonical = nameResolver.resolve(name);
+        const dossier = canonical ? this.dossierIndex.get(canonical) : null;
+        if (!dossier) return null;
+
+        this._record(canonical, { action: 'update', updatedBy, updatedById }, () => {
+            for (const field of ['race', 'class', 'level', 'player']) {
+                if (fields[field] !== undefined && fields[field] !== null) dossier[field] = fields[field];
+            }
+        });
+        dossier.updatedAt = new Date().toISOString();
+        this._markDirty(canonical);
+
+        return dossier;
+    }
+
+    /**
+     * Set (or clear) who plays a character
+     * @param {string} name - Character name
+     * @param {string|null} player - Player's Discord username, or null to clear it
+     * @param {Object} [meta] - For the change log: {action, updatedBy, updatedById}
+     * @returns {Object|null} - Updated dossier or null if not found
+     */
+    setPlayer(name, player, { action = 'player', updatedBy = null, updatedById = null } = {}) {
+        const canonical = nameResolver.resolve(name);
+        const dossier = canonical ? this.dossierIndex.get(canonical) : null;
+        if (!dossier) return null;
+
+        this._record(canonical, { action, updatedBy, updatedById }, () => {
+            dossier.player = player;
+        });
+        dossier.updatedAt = new Date().toISOString();
+        this._markDirty(canonical);
+
+        return dossier;
+    }
+
     /**
      * Add a roll to a character's history
      * @param {string} name - Character name
-     * @param {Object} rollData - Roll data {type, roll, result, command}
+     * @param {Object} rollData - Roll data {type, roll, result, command, d20s?, expected?}
      * @returns {boolean} - Success
      */
     addRollHistory(name, rollData) {
@@ -182,17 +468,230 @@ class DossierManager {
             timestamp: new Date().toISOString()
         });
 
-        // Keep only last 50 rolls
-        if (dossier.rollHistory.length > 50) {
-            dossier.rollHistory = dossier.rollHistory.slice(-50);
+        // Keep enough history for /rollstats without letting the file grow forever
+        if (dossier.rollHistory.length > MAX_ROLL_HISTORY) {
+            dossier.rollHistory = dossier.rollHistory.slice(-MAX_ROLL_HISTORY);
         }
 
         dossier.updatedAt = new Date().toISOString();
-        this.dirty.add(canonical);
+        this._markDirty(canonical);
 
         return true;
     }
 
+    /**
+     * Store a new version of a character's sheet, keeping what changed since the last one.
+     * Race, class and level on the sheet also update the dossier.
+     * @param {string} name - Character name
+     * @param {Object} data - Complete sheet data (see characterSheet)
+     * @param {Object} [meta] - Where it came from
+     * @param {string|null} [meta.updatedBy] - Discord username
+     * @param {string|null} [meta.updatedById] - Discord user ID
+     * @param {string} [meta.source='manual'] - 'vision', 'reincarnation', 'manual', ...
+     * @param {Object|null} [meta.fieldSources] - Field -> page it was read from, for multi-page imports
+     * @returns {{dossier: Object, version: number, changes: Object[]}|null} - Result, or null if no dossier
+     * @throws {Error} - If the data doesn't match the sheet schema
+     */
+    setSheet(name, data, { updatedBy = null, updatedById = null, source = 'manual', fieldSources = null } = {}) {
+        const canonical = nameResolver.resolve(name);
+        const dossier = canonical ? this.dossierIndex.get(canonical) : null;
+        if (!dossier) return null;
+
+        return this._record(canonical, { action: `sheet (${source})`, updatedBy, updatedById }, () =>
+            this._storeSheet(dossier, data, { updatedBy, source, fieldSources }));
+    }
+
+    /**
+     * setSheet without the change log
+     * @param {Object} dossier - Dossier
+     * @param {Object} data - Complete sheet data
+     * @param {Object} meta - {updatedBy, source, fieldSources}
+     * @returns {{dossier: Object, version: number, changes: Object[]}} - Result
+     */
+    _storeSheet(dossier, data, { updatedBy, source, fieldSources }) {
+        const canonical = dossier.canonicalName;
+
+        const errors = characterSheet.validate(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid character sheet: ${errors.slice(0, 3).join('; ')}`);
+        }
+
+        const previous = dossier.sheet ? dossier.sheet.data : null;
+        const changes = characterSheet.diff(previous, data);
+        if (previous && changes.length === 0) {
+            return { dossier, version: dossier.sheet.version, changes };
+        }
+
+        const version = dossier.sheet ? dossier.sheet.version + 1 : 1;
+        const updatedAt = new Date().toISOString();
+        dossier.sheet = { version, updatedAt, updatedBy, source, data };
+        if (fieldSources) dossier.sheet.fieldSources = fieldSources;
+        dossier.sheetHistory = dossier.sheetHistory || [];
+        dossier.sheetHistory.push({ version, updatedAt, updatedBy, source, changes });
+        if (dossier.sheetHistory.length > MAX_SHEET_HISTORY) {
+            dossier.sheetHistory = dossier.sheetHistory.slice(-MAX_SHEET_HISTORY);
+        }
+
+        if (data.race) dossier.race = data.race;
+        if (data.class) dossier.class = data.class;
+        if (typeof data.level === 'number') dossier.level = data.level;
+
+        dossier.updatedAt = updatedAt;
+        this._markDirty(canonical);
+        logger.info(`Sheet v${version} for ${canonical} (${source}): ${changes.length} change(s)`);
+
+        return { dossier, version, changes };
+    }
+
+    /**
+     * Change part of a character's sheet (nested objects merge, lists are replaced)
+     * @param {string} name - Character name
+     * @param {Object} patch - e.g. {race: 'Elf', abilities: {dex: 16}}
+     * @param {Object} [meta] - {updatedBy, updatedById, source}, as for setSheet
+     * @returns {{dossier: Object, version: number, changes: Object[]}|null} - Result, or null if no dossier
+     */
+    updateSheet(name, patch, meta = {}) {
+        const dossier = this.getDossier(name);
+        if (!dossier) return null;
+
+        const current = dossier.sheet ? dossier.sheet.data : characterSheet.empty();
+        return this.setSheet(dossier.canonicalName, characterSheet.merge(current, patch), meta);
+    }
+
+    /**
+     * Find the dossier an imported Foundry actor belongs to
+     * @param {string} actorId - Foundry actor _id
+     * @returns {Object|null} - Dossier or null
+     */
+    findByFoundryActor(actorId) {
+        for (const dossier of this.dossierIndex.values()) {
+            if (dossier.foundryActorId === actorId) return dossier;
+        }
+        return null;
+    }
+
+    /**
+     * Remember which Foundry actor a dossier was imported from
+     * @param {string} name - Character name
+     * @param {string} actorId - Foundry actor _id
+     * @param {Object} [meta] - {updatedBy, updatedById}
+     * @returns {Object|null} - Updated dossier or null
+     */
+    linkFoundryActor(name, actorId, { updatedBy = null, updatedById = null } = {}) {
+        const canonical = nameResolver.resolve(name);
+        const dossier = canonical ? this.dossierIndex.get(canonical) : null;
+        if (!dossier) return null;
+
+        this._record(canonical, { action: 'foundry link', updatedBy, updatedById }, () => {
+            dossier.foundryActorId = actorId;
+        });
+        this._markDirty(canonical);
+
+        return dossier;
+    }
+
+    /**
+     * The current sheet data for a character
+     * @param {string} name - Character name
+     * @returns {Object|null} - Sheet data, or null if there is no sheet
+     */
+    getSheet(name) {
+        const dossier = this.getDossier(name);
+        return dossier && dossier.sheet ? dossier.sheet.data : null;
+    }
+
+    /**
+     * Store (or clear) a reincarnation waiting for the player's confirmation
+     * @param {string} name - Character name
+     * @param {Object|null} pending - Reincarnation plan, or null to clear it
+     * @returns {Object|null} - Updated dossier or null
+     */
+    setPendingReincarnation(name, pending) {
+        const canonical = nameResolver.resolve(name);
+        const dossier = canonical ? this.dossierIndex.get(canonical) : null;
+        if (!dossier) return null;
+
+        if (pending) {
+            dossier.pendingReincarnation = pending;
+        } else {
+            delete dossier.pendingReincarnation;
+        }
+        this._markDirty(canonical);
+
+        return dossier;
+    }
+
+    /**
+     * Move a character into a new body: record the old one under pastBodies,
+     * then set the new race, ability scores and the spell's penalties
+     * @param {string} name - Character name
+     * @param {Object} change - {race, racialBonus, abilityScores, negativeLevels, conDrain, pastBody}
+     * @param {Object} [meta] - Who confirmed it, for the change log: {updatedBy, updatedById}
+     * @returns {Object|null} - Updated dossier or null
+     */
+    applyReincarnation(name, change, meta = {}) {
+        const canonical = nameResolver.resolve(name);
+        if (!canonical || !this.dossierIndex.has(canonical)) return null;
+
+        return this._record(canonical, { action: 'reincarnation', ...meta }, () => this._reincarnate(canonical, change, meta));
+    }
+
+    /**
+     * applyReincarnation without the change log
+     * @param {string} canonical - Canonical name
+     * @param {Object} change - {race, racialBonus, abilityScores, negativeLevels, conDrain, pastBody}
+     * @param {Object} meta - {updatedBy, updatedById}
+     * @returns {Object} - Updated dossier
+     */
+    _reincarnate(canonical, { race, racialBonus = null, abilityScores = null, negativeLevels = 0, conDrain = 0, pastBody }, meta) {
+        const dossier = this.dossierIndex.get(canonical);
+
+        dossier.pastBodies = dossier.pastBodies || [];
+        dossier.pastBodies.push({ ...pastBody, endedAt: new Date().toISOString() });
+
+        dossier.race = race;
+        if (racialBonus) {
+            dossier.racialBonus = racialBonus;
+        } else {
+            delete dossier.racialBonus;
+        }
+        dossier.negativeLevels = (dossier.negativeLevels || 0) + negativeLevels;
+        dossier.conDrain = (dossier.conDrain || 0) + conDrain;
+        delete dossier.pendingReincarnation;
+
+        // The sheet follows the new body: race and, when known, the recalculated scores
+        if (abilityScores || dossier.sheet) {
+            const patch = { race };
+            if (abilityScores) patch.abilities = abilityScores;
+            this.updateSheet(canonical, patch, { ...meta, source: 'reincarnation' });
+        }
+
+        dossier.updatedAt = new Date().toISOString();
+        this._markDirty(canonical);
+        logger.info(`Reincarnated ${canonical}: ${pastBody.race || 'unknown'} -> ${race}`);
+
+        return dossier;
+    }
+
+    /**
+     * Get the numeric values a character's rolls can reference as @variables.
+     * Ability names (@str, @dex, ...) resolve to the ability modifier;
+     * the raw score is available as @strscore, @dexscore, ...; skills as @perception, ...
+     * @param {string} name - Character name
+     * @returns {Object|null} - Variable name -> number, or null if no dossier
+     */
+    getRollVariables(name) {
+        const dossier = this.getDossier(name);
+        if (!dossier) return null;
+
+        const variables = characterSheet.toVariables(dossier.sheet ? dossier.sheet.data : null);
+        if (typeof dossier.level === 'number') {
+            variables.level = dossier.level;
+        }
+
+        return variables;
+    }
+
     /**
      * Record an emoji reaction on a Cass message about this character
      * @param {string} name - Character name
@@ -211,7 +710,7 @@ class DossierManager {
         }
         dossier.emojiReactions[emoji]++;
         dossier.updatedAt = new Date().toISOString();
-        this.dirty.add(canonical);
+        this._markDirty(canonical);
     }
 
     /**
@@ -238,7 +737,7 @@ class DossierManager {
         }
 
         dossier.updatedAt = new Date().toISOString();
-        this.dirty.add(canonicalName);
+        this._markDirty(canonicalName);
     }
 
     /**
@@ -256,7 +755,17 @@ class DossierManager {
         if (dossier.class) text += `Class: ${dossier.class}\n`;
         if (dossier.level) text += `Level: ${dossier.level}\n`;
         if (dossier.player) text += `Player: ${dossier.player}\n`;
+        if (dossier.negativeLevels) text += `Negative Levels: ${dossier.negativeLevels}\n`;
+        if (dossier.conDrain) text += `Con Drain: ${dossier.conDrain}\n`;
         if (dossier.description) text += `\n${dossier.description}\n`;
+        if (dossier.sheet) {
+            const summary = characterSheet.summarize(dossier.sheet.data);
+            if (summary) text += `\n**Sheet (v${dossier.sheet.version}):** ${summary}\n`;
+        }
+
+        if (dossier.pastBodies && dossier.pastBodies.length > 0) {
+            text += `\n**Past Bodies:** ${dossier.pastBodies.map(body => body.race || 'unknown').join(' → ')} → ${dossier.race}\n`;
+        }
 
         if (dossier.playerUpdates.length > 0) {
             text += '\n**Player Notes:**\n';
@@ -303,10 +812,23 @@ class DossierManager {
         if (!dossier) return null;
 
         let context = `Character: ${dossier.canonicalName}`;
-        if (dossier.race) context += ` | Race: ${dossier.race}`;
+        if (dossier.race) {
+            // Spell out the race's numbers so the model doesn't have to remember them
+            const race = raceDatabase.find(dossier.race);
+            context += race && !raceDatabase.isSpecial(race.name)
+                ? ` | Race: ${dossier.race} (${raceDatabase.formatAbilities(race)}; ${race.size}; ${raceDatabase.formatSpeed(race)}; ${raceDatabase.formatSenses(race)})`
+                : ` | Race: ${dossier.race}`;
+        }
         if (dossier.class) context += ` | Class: ${dossier.class}`;
         if (dossier.level) context += ` | Level: ${dossier.level}`;
+        if (dossier.pastBodies && dossier.pastBodies.length > 0) {
+            context += ` | Reincarnated from: ${dossier.pastBodies.map(body => body.race || 'unknown').join(', ')}`;
+        }
         if (dossier.description) context += ` | ${dossier.description}`;
+        if (dossier.sheet) {
+            const summary = characterSheet.summarize(dossier.sheet.data);
+            if (summary) context += ` | Sheet: ${summary}`;
+        }
 
         if (dossier.playerUpdates.length > 0) {
             const recentNotes = dossier.playerUpdates.slice(-3).map(u => u.text).join('; ');
@@ -340,7 +862,7 @@ class DossierManager {
 
         if (generated > 0) {
             logger.info(`Auto-generated ${generated} dossiers from timeline data`);
-            this._saveDirty();
+            this.flush();
         }
     }
 
@@ -348,17 +870,14 @@ class DossierManager {
      * Flush all pending changes to disk
      */
     flush() {
-        this._saveDirty();
+        this.store.flush();
     }
 
     /**
      * Cleanup resources
      */
     destroy() {
-        this._saveDirty();
-        if (this.autoSaveInterval) {
-            clearInterval(this.autoSaveInterval);
-        }
+        this.flush();
     }
 }
 
@@ -0,0 +1,419 @@
+/**
+ * Foundry Actor Importer for Casandalee
+ * Reads a FoundryVTT PF1 actor export (the .json from "Export Data" on an actor)
+ * and turns it into a structured character sheet: ability scores with racial and
+ * item adjustments, class levels, BAB, saves, AC, skills, feats, weapons, spells
+ * and gear. No LLM is involved. Exports only carry the actor's base data, so the
+ * totals are worked out here with the Core Rulebook formulas (pf1Math).
+ *
+ * The actor's _id is remembered on the dossier, so importing the same actor again
+ * updates its sheet (as a new version) instead of creating a second character.
+ */
+
+const dossierManager = require('./dossierManager');
+const nameResolver = require('./nameResolver');
+const characterSheet = require('./characterSheet');
+const pf1Math = require('./pf1Math');
+
+const ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+/** PF1 system skill keys -> names */
+const SKILL_NAMES = {
+    acr: 'Acrobatics', apr: 'Appraise', art: 'Artistry', blf: 'Bluff', clm: 'Climb', crf: 'Craft',
+    dip: 'Diplomacy', dev: 'Disable Device', dis: 'Disguise', esc: 'Escape Artist', fly: 'Fly',
+    han: 'Handle Animal', hea: 'Heal', int: 'Intimidate', kar: 'Knowledge (arcana)',
+    kdu: 'Knowledge (dungeoneering)', ken: 'Knowledge (engineering)', kge: 'Knowledge (geography)',
+    khi: 'Knowledge (history)', klo: 'Knowledge (local)', kna: 'Knowledge (nature)',
+    kno: 'Knowledge (nobility)', kpl: 'Knowledge (planes)', kre: 'Knowledge (religion)',
+    lin: 'Linguistics', lor: 'Lore', per: 'Perception', prf: 'Perform', pro: 'Profession', rid: 'Ride',
+    sen: 'Sense Motive', slt: 'Sleight of Hand', spl: 'Spellcraft', ste: 'Stealth', sur: 'Survival',
+    swm: 'Swim', umd: 'Use Magic Device'
+};
+
+/** PF1 system size keys -> size categories */
+const SIZES = {
+    fine: 'Fine', dim: 'Diminutive', tiny: 'Tiny', sm: 'Small', med: 'Medium',
+    lg: 'Large', huge: 'Huge', grg: 'Gargantuan', col: 'Colossal'
+};
+
+const ALIGNMENTS = {
+    lg: 'Lawful Good', ng: 'Neutral Good', cg: 'Chaotic Good',
+    ln: 'Lawful Neutral', tn: 'True Neutral', n: 'True Neutral', cn: 'Chaotic Neutral',
+    le: 'Lawful Evil', ne: 'Neutral Evil', ce: 'Chaotic Evil'
+};
+
+/** Feat item subtypes that are abilities rather than feats or traits */
+const SPECIAL_ABILITY_TYPES = new Set(['classFeat', 'racial', 'misc', 'template']);
+
+/** Item types that are carried gear (weapons and spells are kept separately) */
+const GEAR_TYPES = new Set(['equipment', 'consumable', 'loot', 'container']);
+
+/** Skills the armor check penalty applies to, when the export doesn't flag them itself */
+const ACP_SKILLS = new Set(['acr', 'clm', 'dev', 'esc', 'fly', 'rid', 'slt', 'ste', 'swm']);
+
+/** Change targets that add to each save */
+const SAVE_TARGETS = { fort: ['fort', 'allSavingThrows'], ref: ['ref', 'allSavingThrows'], will: ['will', 'allSavingThrows'] };
+
+class FoundryActorImporter {
+    /**
+     * Read a PF1 actor export into sheet data
+     * @param {Object} raw - Actor JSON
+     * @returns {{actorId: string|null, name: string, sheet: Object, warnings: string[]}} - Import result
+     * @throws {Error} - If the JSON isn't a PF1 actor export
+     */
+    parse(raw) {
+        const system = raw && (raw.system || raw.data);
+        if (!system || !Array.isArray(raw.items) || !system.abilities) {
+            throw new Error('Not a Foundry PF1 actor export (expected an actor with system.abilities and items)');
+        }
+
+        const warnings = [];
+        const items = raw.items.map(item => ({ ...item, system: item.system || item.data || {} }));
+        const changes = this._collectChanges(items, warnings);
+        const sheet = characterSheet.empty();
+
+        const race = items.find(item => item.type === 'race');
+        const classes = items.filter(item => item.type === 'class' && item.system.subType !== 'mythic');
+        const details = system.details || {};
+        const attributes = system.attributes || {};
+        const size = SIZES[(system.traits || {}).size] || 'Medium';
+
+        sheet.name = raw.name || null;
+        sheet.race = race ? race.name : null;
+        sheet.classes = classes.map(cls => this._withId(cls, { name: cls.name, level: this._number(cls.system.level) || 0 }));
+        sheet.class = sheet.classes.map(cls => cls.name).join(' / ') || null;
+        sheet.level = sheet.classes.reduce((sum, cls) => sum + cls.level, 0) || null;
+        sheet.alignment = ALIGNMENTS[details.alignment] || details.alignment || null;
+        sheet.deity = details.deity || null;
+
+        // Ability scores: base value plus racial/item adjustments, less drain
+        const mods = {};
+        for (const ability of ABILITIES) {
+            const source = system.abilities[ability] || {};
+            const base = this._number(source.value);
+            if (base === null) continue;
+            sheet.abilities[ability] = base + this._bonus(changes, [ability]) - (this._number(source.drain) || 0);
+            mods[ability] = pf1Math.abilityModifier(sheet.abilities[ability]) - Math.floor((this._number(source.damage) || 0) / 2);
+        }
+        const mod = ability => mods[ability] || 0;
+
+        // Class progressions
+        sheet.bab = classes.reduce((sum, cls) => sum + pf1Math.baseAttack(cls.system.bab, this._number(cls.system.level) || 0), 0);
+        const saveAbility = { fort: 'con', ref: 'dex', will: 'wis' };
+        for (const save of ['fort', 'ref', 'will']) {
+            const base = classes.reduce((sum, cls) => {
+                const progression = ((cls.system.savingThrows || {})[save] || {}).value;
+                return sum + pf1Math.baseSave(progression, this._number(cls.system.level) || 0);
+            }, 0);
+            sheet.saves[save] = base + mod(saveAbility[save]) + this._bonus(changes, SAVE_TARGETS[save]);
+        }
+
+        // Hit points: rolled class HP, Con per hit die and favored class bonuses
+        const hp = attributes.hp || {};
+        const hitDice = sheet.level || 0;
+        const rolledHp = classes.reduce((sum, cls) => sum + (this._number(cls.system.hp) || 0) + (this._number(((cls.system.fc || {}).hp || {}).value) || 0), 0);
+        sheet.hp.max = this._number(hp.max) || (rolledHp > 0 ? rolledHp + mod('con') * hitDice : null);
+        sheet.hp.current = this._number(hp.value);
+
+        // Armor class
+        const ac = this._armorClass(items, changes, mod('dex'), size);
+        sheet.ac = ac.values;
+        sheet.armor = ac.armor;
+
+        sheet.initiative = mod('dex') + this._bonus(changes, ['init']);
+        sheet.cmb = sheet.bab + mod('str') + pf1Math.specialSizeModifier(size);
+        sheet.cmd = 10 + sheet.bab + mod('str') + mod('dex') + pf1Math.specialSizeModifier(size);
+
+        const land = ((attributes.speed || {}).land) || {};
+        sheet.speed = { land: this._number(land.base) ?? this._number(land.value) ?? this._number(land.total) };
+
+        sheet.skills = this._skills(system.skills || {}, classes, mod, changes, this._armorCheckPenalty(items));
+        sheet.weapons = items.filter(item => item.type === 'weapon').map(item => this._weapon(item, sheet.bab, mod, size));
+
+        const feats = items.filter(item => item.type === 'feat' && !item.system.disabled);
+        const featType = item => item.system.subType || item.system.featType || 'feat';
+        sheet.feats = feats.filter(item => featType(item) === 'feat').map(item => item.name);
+        sheet.traits = feats.filter(item => featType(item) === 'trait').map(item => item.name);
+        sheet.specialAbilities = feats.filter(item => SPECIAL_ABILITY_TYPES.has(featType(item))).map(item => item.name);
+
+        sheet.spells = items.filter(item => item.type === 'spell').map(item => this._withId(item, {
+            name: item.name,
+            level: this._number(item.system.level) || 0,
+            school: item.system.school || null,
+            spellbook: item.system.spellbook || null
+        }));
+        sheet.items = items.filter(item => GEAR_TYPES.has(item.type)).map(item => this._withId(item, {
+            name: item.name,
+            type: item.type,
+            quantity: this._number(item.system.quantity) ?? 1,
+            equipped: item.system.equipped === true
+        }));
+
+        return { actorId: raw._id || null, name: raw.name, sheet, warnings };
+    }
+
+    /**
+     * Import an actor export into its dossier: the dossier already linked to this
+     * actor, else the named (or actor-named) dossier, else a new one
+     * @param {Object} raw - Actor JSON
+     * @param {Object} [options] - Options
+     * @param {string|null} [options.name] - Character to import into (defaults to the actor's name)
+     * @param {string|null} [options.updatedBy] - Who imported it
+     * @param {string|null} [options.updatedById] - Their Discord user ID
+     * @returns {{canonical: string, created: boolean, actorId: string|null, sheet: Object, version: number, changes: Object[], warnings: string[]}} - Result
+     */
+    importIntoDossier(raw, { name = null, updatedBy = null, updatedById = null } = {}) {
+        const { actorId, sheet, warnings } = this.parse(raw);
+
+        let dossier = actorId ? dossierManager.findByFoundryActor(actorId) : null;
+        let created = false;
+        if (!dossier) {
+            const wanted = name || sheet.name;
+            if (!wanted) {
+                throw new Error('The export has no actor name; give the character name to import into');
+            }
+            const canonical = nameResolver.resolve(wanted) || wanted.split(' ')
+                .map(w => w.charAt(0).toUpperCase() + w.slice(1))
+                .join(' ');
+            dossier = dossierManager.getDossier(canonical);
+            if (!dossier) {
+                dossier = dossierManager.createDossier(canonical, { race: sheet.race, class: sheet.class, level: sheet.level }, { updatedBy, updatedById });
+                created = true;
+            }
+        }
+
+        const canonical = dossier.canonicalName;
+        const { version, changes } = dossierManager.recordChange(canonical, { action: 'foundry import', updatedBy, updatedById }, () => {
+            if (actorId) {
+                dossierManager.linkFoundryActor(canonical, actorId, { updatedBy, updatedById });
+            }
+            return dossierManager.setSheet(canonical, sheet, { updatedBy, updatedById, source: 'foundry' });
+        });
+        dossierManager.flush();
+
+        return { canonical, created, actorId, sheet, version, changes, warnings };
+    }
+
+    /**
+     * Numeric changes (the PF1 system's item effects) from the race, feats,
+     * active buffs and equipped gear, by target
+     * @param {Object[]} items - Actor items
+     * @param {string[]} warnings - Collects notes about skipped changes
+     * @returns {Object[]} - Changes [{target, type, value}]
+     */
+    _collectChanges(items, warnings) {
+        const changes = [];
+        let skipped = 0;
+        for (const item of items) {
+            const system = item.system;
+            const active = item.type === 'race'
+                || (item.type === 'feat' && !system.disabled)
+                || (item.type === 'buff' && system.active)
+                || (['equipment', 'weapon'].includes(item.type) && system.equipped);
+            if (!active) continue;
+
+            for (const change of system.changes || []) {
+                const target = change.subTarget || change.target;
+                const value = /^\s*[+-]?\d+\s*$/.test(`${change.formula}`) ? parseInt(change.formula, 10) : null;
+                if (value === null) {
+                    skipped++;
+                    continue;
+                }
+                changes.push({ target, type: change.modifier || change.type || 'untyped', value });
+            }
+        }
+        if (skipped > 0) {
+            warnings.push(skipped === 1
+                ? '1 item or buff effect uses a formula and was not applied; check the totals it touches in Foundry.'
+                : `${skipped} item or buff effects use formulas and were not applied; check the totals they touch in Foundry.`);
+        }
+        return changes;
+    }
+
+    /**
+     * Total bonus to some targets: bonuses of the same type don't stack
+     * (highest applies) except untyped, dodge and penalties
+     * @param {Object[]} changes - Collected changes
+     * @param {string[]} targets - Targets to total
+     * @returns {number} - Bonus
+     */
+    _bonus(changes, targets) {
+        const byType = {};
+        let stacking = 0;
+        for (const change of changes) {
+            if (!targets.includes(change.target)) continue;
+            if (['untyped', 'untypedPerm', 'dodge'].includes(change.type) || change.value < 0) {
+                stacking += change.value;
+            } else {
+                byType[change.type] = Math.max(byType[change.type] || 0, change.value);
+            }
+        }
+        return stacking + Object.values(byType).reduce((sum, value) => sum + value, 0);
+    }
+
+    /**
+     * AC, touch and flat-footed from equipped armor and shields, Dex (capped by armor), size and effects
+     * @param {Object[]} items - Actor items
+     * @param {Object[]} changes - Collected changes
+     * @param {number} dexMod - Dex modifier
+     * @param {string} size - Size category
+     * @returns {{values: Object, armor: string|null}} - AC values and the worn armor's name
+     */
+    _armorClass(items, changes, dexMod, size) {
+        const worn = items.filter(item => item.type === 'equipment' && item.system.equipped && item.system.armor);
+        let armor = 0;
+        let shield = 0;
+        let maxDex = null;
+        let armorName = null;
+        for (const item of worn) {
+            const stats = item.system.armor;
+            const bonus = (this._number(stats.value) || 0) + (this._number(stats.enh) || 0);
+            const isShield = item.system.subType === 'shield' || /shield/i.test(item.system.equipmentSubtype || '');
+            if (isShield) {
+                shield += bonus;
+            } else if (item.system.subType === 'armor' || bonus > 0) {
+                armor += bonus;
+                if (item.system.subType === 'armor') armorName = item.name;
+            }
+            const cap = this._number(stats.dex);
+            if (cap !== null && (item.system.subType === 'armor' || isShield)) {
+                maxDex = maxDex === null ? cap : Math.min(maxDex, cap);
+            }
+        }
+
+        const dex = maxDex === null ? dexMod : Math.min(dexMod, maxDex);
+        const sizeMod = pf1Math.sizeModifier(size);
+        const natural = this._bonus(changes, ['nac']);
+        const misc = this._bonus(changes, ['ac']);
+        const dodge = changes.filter(c => c.target === 'ac' && c.type === 'dodge').reduce((sum, c) => sum + c.value, 0);
+
+        return {
+            values: {
+                normal: 10 + armor + shield + dex + sizeMod + natural + misc,
+                touch: 10 + dex + sizeMod + misc,
+                flatFooted: 10 + armor + shield + Math.min(dex, 0) + sizeMod + natural + misc - dodge
+            },
+            armor: armorName
+        };
+    }
+
+    /**
+     * Armor check penalty from equipped armor and shields
+     * @param {Object[]} items - Actor items
+     * @returns {number} - Penalty (positive)
+     */
+    _armorCheckPenalty(items) {
+        return items
+            .filter(item => item.type === 'equipment' && item.system.equipped && item.system.armor)
+            .reduce((sum, item) => sum + Math.abs(this._number(item.system.armor.acp) || 0), 0);
+    }
+
+    /**
+     * Skills with ranks (including Craft/Perform/Profession subskills), with
+     * item and buff effects and the armor check penalty
+     * @param {Object} skills - system.skills
+     * @param {Object[]} classes - Class items
+     * @param {Function} mod - Ability -> modifier
+     * @param {Object[]} changes - Collected changes
+     * @param {number} acp - Armor check penalty
+     * @returns {Object[]} - Sheet skills [{name, bonus}]
+     */
+    _skills(skills, classes, mod, changes, acp) {
+        const isClassSkill = key => classes.some(cls => (cls.system.classSkills || {})[key] === true);
+        const result = [];
+        for (const [key, skill] of Object.entries(skills)) {
+            const name = SKILL_NAMES[key] || skill.name || key;
+            const entries = [{ name, skill, targets: [`skill.${key}`] }];
+            for (const [subKey, sub] of Object.entries(skill.subSkills || {})) {
+                entries.push({
+                    name: `${name} (${sub.name})`,
+                    skill: { ...sub, ability: sub.ability || skill.ability, cs: sub.cs ?? skill.cs, acp: sub.acp ?? skill.acp },
+                    targets: [`skill.${key}`, `skill.${key}.${subKey}`, `skill.${key}.subSkills.${subKey}`]
+                });
+            }
+            for (const entry of entries) {
+                const ranks = this._number(entry.skill.rank) || 0;
+                if (ranks <= 0) continue;
+                // Effects can target one skill, every skill, or every skill keyed to an ability ("dexSkills")
+                const targets = [...entry.targets, 'skills', `${entry.skill.ability}Skills`];
+                const hasAcp = typeof entry.skill.acp === 'boolean' ? entry.skill.acp : ACP_SKILLS.has(key);
+                result.push({
+                    name: entry.name,
+                    bonus: pf1Math.skillTotal({
+                        ranks,
+                        abilityMod: mod(entry.skill.ability),
+                        classSkill: entry.skill.cs === true || isClassSkill(key),
+                        misc: this._bonus(changes, targets) - (hasAcp ? acp : 0)
+                    })
+                });
+            }
+        }
+        return result.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * A weapon with its attack bonus (iteratives included), damage and critical
+     * @param {Object} item - Weapon item
+     * @param {number} bab - Base attack bonus
+     * @param {Function} mod - Ability -> modifier
+     * @param {string} size - Size category
+     * @returns {Object} - Sheet weapon
+     */
+    _weapon(item, bab, mod, size) {
+        const system = item.system;
+        const action = (system.actions || [])[0] || {};
+        const ability = action.ability || {};
+        const enhancement = this._number(system.enh) || 0;
+        const attackBonus = (enhancement || (system.masterwork ? 1 : 0)) + pf1Math.sizeModifier(size)
+            + mod(ability.attack || (system.weaponSubtype === 'ranged' ? 'dex' : 'str'));
+
+        const attacks = [];
+        for (let iterative = bab; attacks.length === 0 || (iterative > 0 && attacks.length < 4); iterative -= 5) {
+            attacks.push(iterative + attackBonus);
+        }
+
+        const parts = ((action.damage || {}).parts || []).map(part => (Array.isArray(part) ? part[0] : part.formula)).filter(Boolean);
+        let damage = parts.length > 0
+            ? parts[0].replace(/sizeRoll\(\s*(\d+)\s*,\s*(\d+)[^)]*\)/g, '$1d$2')
+            : null;
+        if (damage) {
+            const damageMod = Math.floor(mod(ability.damage || '') * (this._number(ability.damageMult) || 1)) + enhancement;
+            if (damageMod !== 0) damage += damageMod > 0 ? `+${damageMod}` : `${damageMod}`;
+        }
+
+        const critRange = this._number(ability.critRange) || 20;
+        const critMult = this._number(ability.critMult) || 2;
+        return this._withId(item, {
+            name: item.name,
+            attack: attacks.map(a => (a >= 0 ? `+${a}` : `${a}`)).join('/'),
+            damage,
+            critical: `${critRange < 20 ? `${critRange}-20` : '20'}/x${critMult}`
+        });
+    }
+
+    /**
+     * Keep the Foundry item id on a sheet entry, so entries can be matched back to the actor
+     * @param {Object} item - Actor item
+     * @param {Object} entry - Sheet entry
+     * @returns {Object} - Entry with id when the item has one
+     */
+    _withId(item, entry) {
+        return item._id ? { id: item._id, ...entry } : entry;
+    }
+
+    /**
+     * A number from the export, or null
+     * @param {*} value - Raw value
+     * @returns {number|null} - Number or null
+     */
+    _number(value) {
+        if (typeof value === 'number' && !Number.isNaN(value)) return value;
+        if (typeof value === 'string' && /^\s*[+-]?\d+\s*$/.test(value)) return parseInt(value, 10);
+        return null;
+    }
+}
+
+// Singleton instance
+const foundryActorImporter = new FoundryActorImporter();
+
+module.exports = foundryActorImporter;
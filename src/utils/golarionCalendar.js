@@ -0,0 +1,372 @@
+/**
+ * Golarion Calendar for Casandalee
+ * Absalom Reckoning dates: Abadius through Kuthona, Moonday through Sunday.
+ * Parses every date format the timeline uses ("4717.04.10", "4717.00.00",
+ * "-1,293.00", old float years like "4717.25") and written dates
+ * ("Oathday, 10 Gozran 4717 AR", "Gozran 4717", "5717 IC"), does date
+ * arithmetic, and formats dates the same way everywhere.
+ *
+ * A date is {year, month, day} in AR; month and day are null when the source
+ * only gives a year (or a year and month). Golarion's months have the same
+ * lengths, leap days and weekdays as the Gregorian year 2700 years earlier
+ * (4717 AR lines up with 2017), which is how Paizo's own calendars line up.
+ */
+
+/** Months of the year, with the Earth month each matches */
+const MONTHS = [
+    { name: 'Abadius', earth: 'January', days: 31 },
+    { name: 'Calistril', earth: 'February', days: 28 },
+    { name: 'Pharast', earth: 'March', days: 31 },
+    { name: 'Gozran', earth: 'April', days: 30 },
+    { name: 'Desnus', earth: 'May', days: 31 },
+    { name: 'Sarenith', earth: 'June', days: 30 },
+    { name: 'Erastus', earth: 'July', days: 31 },
+    { name: 'Arodus', earth: 'August', days: 31 },
+    { name: 'Rova', earth: 'September', days: 30 },
+    { name: 'Lamashan', earth: 'October', days: 31 },
+    { name: 'Neth', earth: 'November', days: 30 },
+    { name: 'Kuthona', earth: 'December', days: 31 }
+];
+
+/** Days of the week, Sunday first (same order as Date#getDay) */
+const WEEKDAYS = ['Sunday', 'Moonday', 'Toilday', 'Wealday', 'Oathday', 'Fireday', 'Starday'];
+
+/** Other ways of counting years: year in that reckoning = AR year + offset */
+const RECKONINGS = {
+    AR: { name: 'Absalom Reckoning', offset: 0 },
+    IC: { name: 'Imperial Calendar', offset: 1000 },
+    CE: { name: 'Earth', offset: -2700 }
+};
+
+/** Other spellings of reckonings */
+const RECKONING_ALIASES = { AD: 'CE' };
+
+/** AR year -> Gregorian year with the same leap days and weekdays */
+const EARTH_OFFSET = RECKONINGS.CE.offset;
+
+/**
+ * Days since 1 January 1970 (Gregorian, proleptic, astronomical years)
+ * @param {number} y - Gregorian year
+ * @param {number} m - Month 1-12
+ * @param {number} d - Day of month
+ * @returns {number} - Day number
+ */
+function daysFromCivil(y, m, d) {
+    y -= m <= 2 ? 1 : 0;
+    const era = Math.floor(y / 400);
+    const yoe = y - era * 400;
+    const doy = Math.floor((153 * (m + (m > 2 ? -3 : 9)) + 2) / 5) + d - 1;
+    const doe = yoe * 365 + Math.floor(yoe / 4) - Math.floor(yoe / 100) + doy;
+    return era * 146097 + doe - 719468;
+}
+
+/**
+ * Gregorian date from a day number (inverse of daysFromCivil)
+ * @param {number} days - Days since 1 January 1970
+ * @returns {{y: number, m: number, d: number}} - Gregorian date
+ */
+function civilFromDays(days) {
+    const z = days + 719468;
+    const era = Math.floor(z / 146097);
+    const doe = z - era * 146097;
+    const yoe = Math.floor((doe - Math.floor(doe / 1460) + Math.floor(doe / 36524) - Math.floor(doe / 146096)) / 365);
+    const doy = doe - (365 * yoe + Math.floor(yoe / 4) - Math.floor(yoe / 100));
+    const mp = Math.floor((5 * doy + 2) / 153);
+    const d = doy - Math.floor((153 * mp + 2) / 5) + 1;
+    const m = mp < 10 ? mp + 3 : mp - 9;
+    return { y: yoe + era * 400 + (m <= 2 ? 1 : 0), m, d };
+}
+
+class GolarionCalendar {
+    constructor() {
+        this.MONTHS = MONTHS;
+        this.WEEKDAYS = WEEKDAYS;
+        this.RECKONINGS = RECKONINGS;
+    }
+
+    /**
+     * Whether Calistril has a 29th day this year
+     * @param {number} year - AR year
+     * @returns {boolean} - True in leap years
+     */
+    isLeapYear(year) {
+        const y = year + EARTH_OFFSET;
+        return (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+    }
+
+    /**
+     * Days in a month
+     * @param {number} year - AR year
+     * @param {number} month - Month 1-12
+     * @returns {number} - Days
+     */
+    daysInMonth(year, month) {
+        return MONTHS[month - 1].days + (month === 2 && this.isLeapYear(year) ? 1 : 0);
+    }
+
+    /**
+     * Month name
+     * @param {number} month - Month 1-12
+     * @returns {string} - e.g. "Gozran"
+     */
+    monthName(month) {
+        return MONTHS[month - 1]?.name || null;
+    }
+
+    /**
+     * Month number from a Golarion or Earth month name (or its first three letters)
+     * @param {string} name - e.g. "Gozran", "goz", "April"
+     * @returns {number|null} - Month 1-12
+     */
+    monthNumber(name) {
+        const lower = (name || '').toLowerCase();
+        if (lower.length < 3) return null;
+        const index = MONTHS.findIndex(m =>
+            m.name.toLowerCase() === lower || m.earth.toLowerCase() === lower ||
+            m.name.toLowerCase().startsWith(lower) || m.earth.toLowerCase().startsWith(lower)
+        );
+        return index >= 0 ? index + 1 : null;
+    }
+
+    /**
+     * Build a date, checking it exists
+     * @param {number} year - AR year
+     * @param {number|null} [month=null] - Month 1-12
+     * @param {number|null} [day=null] - Day of month
+     * @returns {{year: number, month: number|null, day: number|null}|null} - Date, or null if it doesn't exist
+     */
+    create(year, month = null, day = null) {
+        if (!Number.isInteger(year)) return null;
+        if (month === null) return { year, month: null, day: null };
+        if (!Number.isInteger(month) || month < 1 || month > 12) return null;
+        if (day === null) return { year, month, day: null };
+        if (!Number.isInteger(day) || day < 1 || day > this.daysInMonth(year, month)) return null;
+        return { year, month, day };
+    }
+
+    /**
+     * Parse a date in any format the timeline or a person uses
+     * @param {string|number} input - e.g. "4717.04.10", "4717.00.00", "-1,293.00", 4717.25,
+     *   "Oathday, 10 Gozran 4717 AR", "Gozran 4, 4717", "April 4717", "5717 IC"
+     * @returns {{year: number, month: number|null, day: number|null}|null} - Date in AR, or null if unreadable
+     */
+    parse(input) {
+        if (input === null || input === undefined) return null;
+        const text = String(input).replace(/"/g, '').trim();
+        if (!text) return null;
+
+        // Timeline style: YYYY.MM.DD, with 00 for an unknown month or day
+        let match = text.match(/^(-?[\d,]+)\.(\d{1,2})\.(\d{1,2})$/);
+        if (match) {
+            const year = parseInt(match[1].replace(/,/g, ''), 10);
+            const month = parseInt(match[2], 10) || null;
+            const day = month ? parseInt(match[3], 10) || null : null;
+            return this.create(year, month, day);
+        }
+
+        // A bare year, or an old-style float year whose fraction is how far through the year it is
+        match = text.match(/^(-?[\d,]+)(?:\.(\d+))?$/);
+        if (match) {
+            const year = parseInt(match[1].replace(/,/g, ''), 10);
+            const fraction = match[2] ? parseFloat(`0.${match[2]}`) : 0;
+            return this.create(year, fraction > 0 ? Math.min(12, Math.floor(fraction * 12) + 1) : null);
+        }
+
+        return this._parseWritten(text);
+    }
+
+    /**
+     * Parse a written date such as "Oathday, 10 Gozran 4717 AR" or "Gozran 4, 5717 IC"
+     * @param {string} text - Date text
+     * @returns {Object|null} - Date in AR, or null if unreadable
+     */
+    _parseWritten(text) {
+        let cleaned = text
+            .replace(/(\d),(\d{3})\b/g, '$1$2') // thousands separators
+            .replace(/(\d+)(st|nd|rd|th)\b/gi, '$1')
+            .replace(/[,.]/g, ' ')
+            .replace(/\bof\b/gi, ' ');
+
+        let reckoning = 'AR';
+        const suffix = cleaned.match(/\b(AR|IC|CE|AD)\b/i);
+        if (suffix) {
+            const key = suffix[1].toUpperCase();
+            reckoning = RECKONING_ALIASES[key] || key;
+            cleaned = cleaned.replace(suffix[0], ' ');
+        }
+
+        let month = null;
+        const numbers = [];
+        for (const token of cleaned.split(/\s+/).filter(Boolean)) {
+            if (/^-?\d+$/.test(token)) {
+                numbers.push(parseInt(token, 10));
+            } else if (WEEKDAYS.some(name => name.toLowerCase() === token.toLowerCase())) {
+                continue;
+            } else if (month === null && this.monthNumber(token)) {
+                month = this.monthNumber(token);
+            } else {
+                return null;
+            }
+        }
+
+        if (numbers.length === 0 || numbers.length > 2 || (numbers.length === 2 && month === null)) return null;
+
+        // The year is the last number (or the only one); "4717 Gozran 10" isn't a thing
+        let year = numbers[numbers.length - 1];
+        let day = numbers.length === 2 ? numbers[0] : null;
+        if (numbers.length === 2 && Math.abs(numbers[0]) > 31) {
+            [year, day] = [numbers[0], numbers[1]];
+        }
+
+        return this.create(year - RECKONINGS[reckoning].offset, month, day);
+    }
+
+    /**
+     * Format a date
+     * @param {Object} date - {year, month, day}
+     * @param {Object} [options] - {weekday: include the day of the week, year: false to leave the year off,
+     *   reckoning: 'AR' | 'IC' | 'CE'}
+     * @returns {string} - e.g. "Oathday, 10 Gozran 4717 AR", "Gozran 4717 AR", "4717 AR", "10 Gozran"
+     */
+    format(date, { weekday = false, year: showYear = true, reckoning = 'AR' } = {}) {
+        if (!date) return 'Unknown date';
+        const year = showYear ? ` ${date.year + RECKONINGS[reckoning].offset} ${reckoning}` : '';
+        if (!date.month) return year.trim();
+        if (!date.day) return `${this.monthName(date.month)}${year}`;
+        const text = `${date.day} ${this.monthName(date.month)}${year}`;
+        return weekday ? `${this.weekday(date)}, ${text}` : text;
+    }
+
+    /**
+     * Format a timeline date string, keeping the original if it can't be read
+     * @param {string} text - Date as stored, e.g. "4717.04.10"
+     * @param {Object} [options] - Same as format()
+     * @returns {string} - e.g. "10 Gozran 4717 AR"
+     */
+    formatEventDate(text, options) {
+        const date = this.parse(text);
+        return date ? this.format(date, options) : String(text || 'Unknown date');
+    }
+
+    /**
+     * A date's year in every reckoning
+     * @param {Object} date - {year, month, day}
+     * @returns {string} - e.g. "4717 AR • 5717 IC • 2017 CE"
+     */
+    formatYears(date) {
+        return Object.keys(RECKONINGS).map(key => `${date.year + RECKONINGS[key].offset} ${key}`).join(' • ');
+    }
+
+    /**
+     * The timeline's storage format
+     * @param {Object} date - {year, month, day}
+     * @returns {string} - e.g. "4717.04.10" (00 for an unknown month or day)
+     */
+    toKey(date) {
+        const pad = n => String(n || 0).padStart(2, '0');
+        return `${date.year}.${pad(date.month)}.${pad(date.day)}`;
+    }
+
+    /**
+     * Day of the week
+     * @param {Object} date - {year, month, day} (needs a month and day)
+     * @returns {string|null} - e.g. "Moonday"
+     */
+    weekday(date) {
+        if (!date || !date.month || !date.day) return null;
+        const days = this.toDayNumber(date);
+        return WEEKDAYS[((days + 4) % 7 + 7) % 7]; // 1 January 1970 was a Thursday
+    }
+
+    /**
+     * Days since a fixed epoch (missing month or day counts as the first)
+     * @param {Object} date - {year, month, day}
+     * @returns {number} - Day number
+     */
+    toDayNumber(date) {
+        return daysFromCivil(date.year + EARTH_OFFSET, date.month || 1, date.day || 1);
+    }
+
+    /**
+     * Date from a day number
+     * @param {number} days - Day number from toDayNumber()
+     * @returns {Object} - {year, month, day}
+     */
+    fromDayNumber(days) {
+        const { y, m, d } = civilFromDays(days);
+        return { year: y - EARTH_OFFSET, month: m, day: d };
+    }
+
+    /**
+     * Add (or subtract) days
+     * @param {Object} date - {year, month, day}
+     * @param {number} days - Days to add
+     * @returns {Object} - New date (with a month and day)
+     */
+    addDays(date, days) {
+        return this.fromDayNumber(this.toDayNumber(date) + days);
+    }
+
+    /**
+     * Add (or subtract) months, keeping the day where the month is long enough
+     * @param {Object} date - {year, month, day}
+     * @param {number} months - Months to add
+     * @returns {Object} - New date (keeps an unknown day unknown)
+     */
+    addMonths(date, months) {
+        const index = date.year * 12 + (date.month || 1) - 1 + months;
+        const year = Math.floor(index / 12);
+        const month = index - year * 12 + 1;
+        const day = date.day ? Math.min(date.day, this.daysInMonth(year, month)) : null;
+        return { year, month, day };
+    }
+
+    /**
+     * Add (or subtract) years (29 Calistril becomes 28 Calistril outside leap years)
+     * @param {Object} date - {year, month, day}
+     * @param {number} years - Years to add
+     * @returns {Object} - New date
+     */
+    addYears(date, years) {
+        const year = date.year + years;
+        const day = date.month && date.day ? Math.min(date.day, this.daysInMonth(year, date.month)) : date.day;
+        return { year, month: date.month, day };
+    }
+
+    /**
+     * Days from one date to another
+     * @param {Object} from - {year, month, day}
+     * @param {Object} to - {year, month, day}
+     * @returns {number} - Days (negative if `to` is earlier)
+     */
+    daysBetween(from, to) {
+        return this.toDayNumber(to) - this.toDayNumber(from);
+    }
+
+    /**
+     * Order two dates (a year-only date sorts before the dates within that year)
+     * @param {Object} a - {year, month, day}
+     * @param {Object} b - {year, month, day}
+     * @returns {number} - Negative, zero or positive
+     */
+    compare(a, b) {
+        return (a.year - b.year) || ((a.month || 0) - (b.month || 0)) || ((a.day || 0) - (b.day || 0));
+    }
+
+    /**
+     * The Golarion date with the same month and day as a real-world date
+     * @param {Date} [earthDate=new Date()] - Real-world date
+     * @param {number|null} [year=null] - AR year to use (default: the matching AR year)
+     * @returns {Object} - {year, month, day}
+     */
+    fromEarthDate(earthDate = new Date(), year = null) {
+        const month = earthDate.getMonth() + 1;
+        const targetYear = year ?? earthDate.getFullYear() - EARTH_OFFSET;
+        return { year: targetYear, month, day: Math.min(earthDate.getDate(), this.daysInMonth(targetYear, month)) };
+    }
+}
+
+// Singleton instance
+const golarionCalendar = new GolarionCalendar();
+
+module.exports = golarionCalendar;
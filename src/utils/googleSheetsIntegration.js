@@ -18,11 +18,8 @@ class GoogleSheetsIntegration {
         this.lastRefresh = null;
         this.refreshTimer = null;
 
-        /** @type {number} - Previous event count for change detection */
-        this.previousEventCount = 0;
-
-        /** @type {Function|null} - Callback for new event notifications */
-        this.onNewEventsCallback = null;
+        /** @type {Function|null} - Called with the rows after every timeline fetch */
+        this.onTimelineLoadedCallback = null;
         
         this.initialize();
     }
@@ -134,22 +131,16 @@ class GoogleSheetsIntegration {
                 }
             }
             
-            logger.info(`✅ Loaded ${this.campaignTimeline.length} timeline events from Google Sheets`);
-
-            // Detect new events
-            if (this.previousEventCount > 0 && this.campaignTimeline.length > this.previousEventCount) {
-                const newEvents = this.campaignTimeline.slice(this.previousEventCount);
-                logger.info(`📢 Detected ${newEvents.length} new timeline events!`);
+            logger.info(`✅ Fetched ${this.campaignTimeline.length} timeline rows from Google Sheets`);
 
-                if (this.onNewEventsCallback && newEvents.length > 0) {
-                    try {
-                        this.onNewEventsCallback(newEvents);
-                    } catch (callbackError) {
-                        logger.error('Error in new events callback:', callbackError);
-                    }
+            // The timeline repository normalizes the rows and works out what changed
+            if (this.onTimelineLoadedCallback) {
+                try {
+                    this.onTimelineLoadedCallback(this.campaignTimeline);
+                } catch (callbackError) {
+                    logger.error('Error in timeline loaded callback:', callbackError);
                 }
             }
-            this.previousEventCount = this.campaignTimeline.length;
             
         } catch (error) {
             logger.error('Error loading campaign timeline from Google Sheets:', error);
@@ -191,8 +182,8 @@ class GoogleSheetsIntegration {
     }
     
     /**
-     * Get campaign timeline events
-     * @returns {Array} - Campaign timeline events
+     * Get the raw timeline rows from the last fetch (use timelineRepository for events)
+     * @returns {Array} - Raw rows {date, location, ap, description}
      */
     getCampaignTimeline() {
         return this.campaignTimeline || [];
@@ -206,25 +197,6 @@ class GoogleSheetsIntegration {
         return this.playerCharacters || [];
     }
     
-    /**
-     * Search campaign timeline
-     * @param {string} searchTerm - Search term
-     * @returns {Array} - Matching events
-     */
-    searchCampaignTimeline(searchTerm) {
-        if (!this.campaignTimeline || this.campaignTimeline.length === 0) {
-            return [];
-        }
-        
-        const searchLower = searchTerm.toLowerCase();
-        const searchWords = searchLower.split(/\s+/).filter(word => word.length > 2);
-        
-        return this.campaignTimeline.filter(event => {
-            const eventText = `${event.location} ${event.ap} ${event.description}`.toLowerCase();
-            return searchWords.some(word => eventText.includes(word));
-        });
-    }
-    
     /**
      * Get last refresh time
      * @returns {Date|null} - Last refresh time
@@ -251,11 +223,11 @@ class GoogleSheetsIntegration {
     }
     
     /**
-     * Set callback for when new timeline events are detected
-     * @param {Function} callback - Function receiving array of new events
+     * Set callback for every timeline fetch
+     * @param {Function} callback - Function receiving the raw rows
      */
-    onNewEvents(callback) {
-        this.onNewEventsCallback = callback;
+    onTimelineLoaded(callback) {
+        this.onTimelineLoadedCallback = callback;
     }
 
     /**
@@ -0,0 +1,210 @@
+/**
+ * Guild Settings for Casandalee
+ * Per-server settings chosen with /config: which channels get the daily
+ * history post, the random memories and timeline announcements, and the
+ * timezone and times those posts run at. A feature with no channel set is
+ * off for that server. A server that has never saved settings starts with the
+ * channels the bot posted to before /config existed (see migrateLegacyChannels).
+ */
+
+const path = require('path');
+const logger = require('./logger');
+const storage = require('./storage');
+
+/** Channel settings, by feature */
+const CHANNEL_FEATURES = {
+    'daily-history': { key: 'dailyHistoryChannelId', label: 'Daily History' },
+    memories: { key: 'memoryChannelId', label: 'Random Memories' },
+    timeline: { key: 'timelineChannelId', label: 'Timeline Announcements' }
+};
+
+/** Where the daily history and random memories posted before /config existed */
+const LEGACY_DAILY_CHANNEL_ID = '303941538021638164';
+
+/** Settings a server starts with */
+const DEFAULTS = {
+    dailyHistoryChannelId: null,
+    memoryChannelId: null,
+    timelineChannelId: null,
+    timezone: 'America/Chicago',
+    dailyHistoryTime: '07:30',
+    memoryStart: '06:00',
+    memoryEnd: '18:00'
+};
+
+class GuildSettings {
+    constructor() {
+        /** @type {Map<string, Object>} - Saved settings by guild id */
+        this.guilds = new Map();
+
+        /** @type {Function[]} - Called with (guildId, settings) after every change */
+        this.listeners = [];
+
+        this.store = storage.open(path.join(__dirname, '../../data/guilds'), 'settings');
+        for (const { key, value } of this.store.getAll()) {
+            if (value) this.guilds.set(key, value);
+        }
+        logger.info(`Loaded settings for ${this.guilds.size} servers`);
+    }
+
+    /**
+     * A server's settings, with defaults for anything not set
+     * @param {string} guildId - Discord guild id
+     * @returns {Object} - Settings
+     */
+    get(guildId) {
+        return { ...DEFAULTS, ...(this.guilds.get(guildId) || {}) };
+    }
+
+    /**
+     * Servers that have changed any setting
+     * @returns {string[]} - Guild ids
+     */
+    getConfiguredGuilds() {
+        return [...this.guilds.keys()];
+    }
+
+    /**
+     * The channel a server uses for a feature
+     * @param {string} guildId - Discord guild id
+     * @param {string} feature - 'daily-history', 'memories' or 'timeline'
+     * @returns {string|null} - Channel id, or null if the feature is off
+     */
+    getChannel(guildId, feature) {
+        return this.get(guildId)[CHANNEL_FEATURES[feature].key];
+    }
+
+    /**
+     * Change some of a server's settings
+     * @param {string} guildId - Discord guild id
+     * @param {Object} changes - Settings to change
+     * @param {Object} meta - {updatedBy, updatedById}
+     * @returns {Object} - The server's settings
+     */
+    update(guildId, changes, meta = {}) {
+        if (changes.timezone !== undefined) {
+            changes.timezone = this.validateTimezone(changes.timezone);
+        }
+        for (const key of ['dailyHistoryTime', 'memoryStart', 'memoryEnd']) {
+            if (changes[key] !== undefined) {
+                changes[key] = this.parseTime(changes[key]);
+            }
+        }
+
+        const settings = {
+            ...this.get(guildId),
+            ...changes,
+            updatedBy: meta.updatedBy || null,
+            updatedById: meta.updatedById || null,
+            updatedAt: new Date().toISOString()
+        };
+        if (this.toMinutes(settings.memoryEnd) <= this.toMinutes(settings.memoryStart)) {
+            throw new Error(`Random memories have to stop after they start (${settings.memoryStart}–${settings.memoryEnd})`);
+        }
+
+        this.guilds.set(guildId, settings);
+        this.store.set(guildId, settings);
+        logger.info('Guild settings updated', { guildId, changes, updatedBy: meta.updatedBy });
+
+        for (const listener of this.listeners) {
+            try {
+                listener(guildId, settings);
+            } catch (error) {
+                logger.error('Error in guild settings listener:', error);
+            }
+        }
+        return settings;
+    }
+
+    /**
+     * Give servers with no saved settings the channels the bot used before
+     * /config: the old daily history channel for the daily post and random
+     * memories (in the server that has it), and #general for timeline announcements
+     * @param {Iterable<Object>} guilds - Discord guilds the bot is in
+     * @returns {string[]} - Ids of the servers given settings
+     */
+    migrateLegacyChannels(guilds) {
+        const migrated = [];
+        for (const guild of guilds) {
+            if (this.guilds.has(guild.id)) continue;
+
+            const changes = {};
+            if (guild.channels.cache.has(LEGACY_DAILY_CHANNEL_ID)) {
+                changes.dailyHistoryChannelId = LEGACY_DAILY_CHANNEL_ID;
+                changes.memoryChannelId = LEGACY_DAILY_CHANNEL_ID;
+            }
+            const general = guild.channels.cache.find(ch => ch.name === 'general' && ch.isTextBased());
+            if (general) {
+                changes.timelineChannelId = general.id;
+            }
+            if (Object.keys(changes).length === 0) continue;
+
+            this.update(guild.id, changes, { updatedBy: 'settings migration' });
+            logger.info(`Gave ${guild.name} the channels it used before /config`, changes);
+            migrated.push(guild.id);
+        }
+        return migrated;
+    }
+
+    /**
+     * Run a function whenever a server's settings change
+     * @param {Function} listener - Called with (guildId, settings)
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Check a timezone name
+     * @param {string} timezone - IANA timezone, e.g. "America/Chicago"
+     * @returns {string} - The timezone as Intl spells it
+     */
+    validateTimezone(timezone) {
+        try {
+            return new Intl.DateTimeFormat('en-US', { timeZone: timezone.trim() }).resolvedOptions().timeZone;
+        } catch (error) {
+            throw new Error(`"${timezone}" isn't a timezone — use a name like America/Chicago or Europe/London`);
+        }
+    }
+
+    /**
+     * Parse a time of day
+     * @param {string} input - e.g. "7:30", "07:30", "18:00"
+     * @returns {string} - "HH:MM"
+     */
+    parseTime(input) {
+        const match = String(input).trim().match(/^(\d{1,2}):(\d{2})$/);
+        const hour = match ? parseInt(match[1]) : NaN;
+        const minute = match ? parseInt(match[2]) : NaN;
+        if (!(hour >= 0 && hour <= 23 && minute >= 0 && minute <= 59)) {
+            throw new Error(`"${input}" isn't a time — use 24-hour HH:MM, e.g. 07:30`);
+        }
+        return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    }
+
+    /**
+     * Minutes after midnight
+     * @param {string} time - "HH:MM"
+     * @returns {number} - Minutes
+     */
+    toMinutes(time) {
+        const [hour, minute] = time.split(':').map(Number);
+        return hour * 60 + minute;
+    }
+
+    /**
+     * The wall-clock date and time in a timezone, as a Date whose local fields read that way
+     * @param {string} timezone - IANA timezone
+     * @param {Date} [date=new Date()] - Moment
+     * @returns {Date} - Shifted date (for calendar lookups and display only)
+     */
+    localDate(timezone, date = new Date()) {
+        return new Date(date.toLocaleString('en-US', { timeZone: timezone }));
+    }
+}
+
+// Singleton instance
+const guildSettings = new GuildSettings();
+
+module.exports = guildSettings;
+module.exports.CHANNEL_FEATURES = CHANNEL_FEATURES;
@@ -0,0 +1,176 @@
+/**
+ * Homebrew Schema for Casandalee
+ * Shapes of the race records (races.json, data/races/*.json) and roll tables
+ * (data/tables/*.json) that GMs can author in the editor, plus a small
+ * validator for them. The editor validates before it writes; the bot
+ * validates again when it loads, so a bad file is skipped instead of crashing.
+ */
+
+const ABILITY_MODIFIERS = {
+    type: 'object',
+    properties: {
+        str: { type: 'integer' }, dex: { type: 'integer' }, con: { type: 'integer' },
+        int: { type: 'integer' }, wis: { type: 'integer' }, cha: { type: 'integer' }
+    },
+    additionalProperties: false
+};
+
+const NAMED_TRAIT = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        replaces: { type: 'string' }
+    }
+};
+
+const RACE_SCHEMA = {
+    type: 'object',
+    required: ['name', 'abilityModifiers', 'size', 'speed', 'senses', 'languages', 'traits'],
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        aliases: { type: 'array', items: { type: 'string', minLength: 1 } },
+        abilityModifiers: ABILITY_MODIFIERS,
+        flexibleBonus: { type: 'integer', minimum: 0 },
+        size: { type: 'string', enum: ['Fine', 'Diminutive', 'Tiny', 'Small', 'Medium', 'Large', 'Huge', 'Gargantuan', 'Colossal'] },
+        speed: {
+            type: 'object',
+            required: ['land'],
+            properties: {
+                land: { type: 'integer', minimum: 0 }, swim: { type: 'integer', minimum: 0 },
+                fly: { type: 'integer', minimum: 0 }, climb: { type: 'integer', minimum: 0 },
+                burrow: { type: 'integer', minimum: 0 }
+            },
+            additionalProperties: false
+        },
+        senses: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['type'],
+                properties: { type: { type: 'string', minLength: 1 }, range: { type: ['integer', 'null'] } }
+            }
+        },
+        languages: { type: 'array', items: { type: 'string' } },
+        weaponFamiliarity: { type: 'array', items: { type: 'string' } },
+        naturalArmor: { type: 'integer', minimum: 0 },
+        traits: { type: 'array', items: NAMED_TRAIT },
+        alternateTraits: { type: 'array', items: NAMED_TRAIT },
+        summary: { type: 'string' },
+        srdLink: { type: ['string', 'null'] },
+        lore: { type: ['string', 'null'] }
+    }
+};
+
+/** A FoundryVTT RollTable export, as far as the roll table engine reads it */
+const TABLE_SCHEMA = {
+    type: 'object',
+    required: ['name', 'results'],
+    properties: {
+        _id: { type: 'string' },
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        description: { type: ['string', 'null'] },
+        formula: { type: 'string' },
+        replacement: { type: 'boolean' },
+        results: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    _id: { type: 'string' },
+                    text: { type: ['string', 'null'] },
+                    name: { type: ['string', 'null'] },
+                    description: { type: ['string', 'null'] },
+                    weight: { type: 'integer', minimum: 1 },
+                    range: { type: 'array', items: { type: 'integer' }, minItems: 2, maxItems: 2 },
+                    drawn: { type: 'boolean' }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Check a value's JSON type
+ * @param {*} value - Value
+ * @param {string} type - JSON schema type
+ * @returns {boolean} - True if it matches
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && !Number.isNaN(value);
+        default: return typeof value === type;
+    }
+}
+
+/**
+ * Validate a value against a schema (the subset of JSON Schema used above)
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to check
+ * @param {string} [at] - Path for error messages
+ * @returns {string[]} - Errors (empty when valid)
+ */
+function validate(schema, value, at = '') {
+    const where = at || 'value';
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        return [`${where} must be ${types.join(' or ')}`];
+    }
+
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${where} must be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${where} is required`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${where} is longer than ${schema.maxLength} characters`);
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${where} must be at least ${schema.minimum}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${where} needs at least ${schema.minItems} entries`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${where} allows at most ${schema.maxItems} entries`);
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validate(schema.items, item, `${where}[${i}]`)));
+        }
+    }
+    if (matchesType(value, 'object')) {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${at ? `${at}.` : ''}${key} is required`);
+        }
+        for (const [key, child] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) errors.push(...validate(child, value[key], at ? `${at}.${key}` : key));
+        }
+        if (schema.additionalProperties === false) {
+            for (const key of Object.keys(value)) {
+                if (!schema.properties[key]) errors.push(`${at ? `${at}.` : ''}${key} is not allowed`);
+            }
+        }
+    }
+    return errors;
+}
+
+module.exports = {
+    RACE_SCHEMA,
+    TABLE_SCHEMA,
+    validate,
+    /**
+     * Validate a race record
+     * @param {Object} race - Race record
+     * @returns {string[]} - Errors
+     */
+    validateRace: race => validate(RACE_SCHEMA, race),
+    /**
+     * Validate a roll table
+     * @param {Object} table - RollTable JSON
+     * @returns {string[]} - Errors
+     */
+    validateTable: table => validate(TABLE_SCHEMA, table)
+};
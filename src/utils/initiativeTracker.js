@@ -0,0 +1,534 @@
+/**
+ * Initiative Tracker for Casandalee
+ * One encounter per channel: combatants, PF1 initiative order, turns, rounds
+ * and timed conditions. Each encounter is saved to data/initiative/<channelId>.json
+ * (through the crash-safe store) on every change so a restart doesn't lose the fight.
+ *
+ * PF1 ties: higher initiative modifier goes first; if that ties too, the
+ * tied combatants roll off (the roll-off is kept so the order stays stable).
+ */
+
+const path = require('path');
+const logger = require('./logger');
+const storage = require('./storage');
+const rng = require('./rng');
+const campaignClock = require('./campaignClock');
+
+/** Safety cap so a typo can't add hundreds of monsters */
+const MAX_COMBATANTS = 50;
+
+/** A PF1 round is 6 seconds */
+const ROUNDS_PER_HOUR = 600;
+
+class InitiativeTracker {
+    constructor() {
+        /** @type {Map<string, Object>} channelId -> encounter */
+        this.encounters = new Map();
+
+        this.store = storage.open(path.join(__dirname, '../../data/initiative'), 'encounters');
+        this._loadAll();
+
+        // Timed conditions run out when the GM moves the campaign clock past them
+        campaignClock.onAdvance(({ hours }) => this.passTime(hours));
+    }
+
+    /**
+     * Load every saved encounter
+     */
+    _loadAll() {
+        try {
+            for (const { value: encounter } of this.store.getAll()) {
+                this.encounters.set(encounter.channelId, encounter);
+            }
+            if (this.encounters.size > 0) {
+                logger.info(`Loaded ${this.encounters.size} active encounters`);
+            }
+        } catch (err) {
+            logger.error('Error loading encounters:', err.message);
+        }
+    }
+
+    /**
+     * Save an encounter to disk
+     * @param {Object} encounter - Encounter
+     */
+    _save(encounter) {
+        encounter.updatedAt = new Date().toISOString();
+        this.store.set(encounter.channelId, encounter);
+    }
+
+    /**
+     * Get the encounter running in a channel
+     * @param {string} channelId - Discord channel ID
+     * @returns {Object|null} - Encounter or null
+     */
+    getEncounter(channelId) {
+        return this.encounters.get(channelId) || null;
+    }
+
+    /**
+     * Get the encounter in a channel or throw a friendly error
+     * @param {string} channelId - Discord channel ID
+     * @returns {Object} - Encounter
+     */
+    _require(channelId) {
+        const encounter = this.getEncounter(channelId);
+        if (!encounter) {
+            throw new Error('No encounter in this channel — start one with `/init start`');
+        }
+        return encounter;
+    }
+
+    /**
+     * Start an encounter in a channel
+     * @param {string} channelId - Discord channel ID
+     * @param {Object} options - {guildId, name, startedBy}
+     * @returns {Object} - New encounter
+     */
+    start(channelId, { guildId = null, name = null, startedBy = null } = {}) {
+        if (this.encounters.has(channelId)) {
+            throw new Error('An encounter is already running here — `/init end` it first');
+        }
+
+        const encounter = {
+            channelId,
+            guildId,
+            name: name || 'Encounter',
+            startedBy,
+            round: 0,
+            turn: 0,
+            combatants: [],
+            nextId: 1,
+            messageId: null,
+            log: [],
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.encounters.set(channelId, encounter);
+        this._save(encounter);
+        logger.info(`Encounter started in channel ${channelId}`, { name: encounter.name, startedBy });
+
+        return encounter;
+    }
+
+    /**
+     * End the encounter in a channel
+     * @param {string} channelId - Discord channel ID
+     * @returns {Object} - The ended encounter
+     */
+    end(channelId) {
+        const encounter = this._require(channelId);
+        this.encounters.delete(channelId);
+        this.store.delete(channelId);
+        logger.info(`Encounter ended in channel ${channelId}`, { rounds: encounter.round });
+
+        return encounter;
+    }
+
+    /**
+     * Remember the pinned tracker message for an encounter
+     * @param {string} channelId - Discord channel ID
+     * @param {string|null} messageId - Message ID
+     */
+    setMessageId(channelId, messageId) {
+        const encounter = this._require(channelId);
+        encounter.messageId = messageId;
+        this._save(encounter);
+    }
+
+    /**
+     * Find a combatant by name (case-insensitive, exact then prefix)
+     * @param {Object} encounter - Encounter
+     * @param {string} name - Combatant name
+     * @returns {Object} - Combatant
+     */
+    _findCombatant(encounter, name) {
+        const needle = (name || '').trim().toLowerCase();
+        const combatant = encounter.combatants.find(c => c.name.toLowerCase() === needle)
+            || encounter.combatants.find(c => c.name.toLowerCase().startsWith(needle));
+        if (!combatant) {
+            throw new Error(`No combatant named "${name}" in this encounter`);
+        }
+        return combatant;
+    }
+
+    /**
+     * Add combatants. With count > 1, monsters are numbered ("Goblin 1", "Goblin 2", ...).
+     * @param {string} channelId - Discord channel ID
+     * @param {Object} options - Combatant options
+     * @param {string} options.name - Name
+     * @param {number} options.bonus - Initiative modifier
+     * @param {string} [options.type='monster'] - 'pc' or 'monster'
+     * @param {number} [options.count=1] - How many to add
+     * @param {number|null} [options.initiative] - Set initiative instead of rolling later
+     * @param {string|null} [options.character] - Canonical dossier name for PCs
+     * @returns {Object[]} - Added combatants
+     */
+    addCombatant(channelId, { name, bonus, type = 'monster', count = 1, initiative = null, character = null }) {
+        const encounter = this._require(channelId);
+        if (encounter.combatants.length + count > MAX_COMBATANTS) {
+            throw new Error(`An encounter can hold at most ${MAX_COMBATANTS} combatants`);
+        }
+
+        const baseName = name.trim();
+        const taken = new Set(encounter.combatants.map(c => c.name.toLowerCase()));
+        if (count === 1 && taken.has(baseName.toLowerCase())) {
+            throw new Error(`"${baseName}" is already in this encounter`);
+        }
+
+        const added = [];
+        let number = 1;
+        for (let i = 0; i < count; i++) {
+            let combatantName = baseName;
+            if (count > 1) {
+                while (taken.has(`${baseName} ${number}`.toLowerCase())) number++;
+                combatantName = `${baseName} ${number++}`;
+            }
+            taken.add(combatantName.toLowerCase());
+
+            const combatant = {
+                id: encounter.nextId++,
+                name: combatantName,
+                type,
+                character,
+                bonus,
+                natural: null,
+                initiative: null,
+                tiebreak: null,
+                conditions: []
+            };
+            if (initiative !== null && initiative !== undefined) {
+                combatant.initiative = initiative;
+            } else if (encounter.round > 0) {
+                // Joining a fight in progress: roll right away
+                combatant.natural = rng.int(1, 20);
+                combatant.initiative = combatant.natural + bonus;
+            }
+            added.push(combatant);
+        }
+
+        // Keep the current combatant's turn when newcomers slot in ahead of it
+        const current = this.getCurrent(encounter);
+        encounter.combatants.push(...added);
+        this._sort(encounter, current);
+        this._save(encounter);
+
+        return added;
+    }
+
+    /**
+     * Remove a combatant
+     * @param {string} channelId - Discord channel ID
+     * @param {string} name - Combatant name
+     * @returns {Object} - Removed combatant
+     */
+    removeCombatant(channelId, name) {
+        const encounter = this._require(channelId);
+        const combatant = this._findCombatant(encounter, name);
+        const index = encounter.combatants.indexOf(combatant);
+
+        encounter.combatants.splice(index, 1);
+        if (index < encounter.turn) {
+            encounter.turn--;
+        }
+        if (encounter.turn >= encounter.combatants.length) {
+            // The last combatant in the order left on their own turn: play passes to the top of a new round, as with /init next
+            encounter.turn = 0;
+            if (encounter.round > 0 && encounter.combatants.length > 0) {
+                encounter.round++;
+                encounter.log.push(`Round ${encounter.round} begins`);
+                const current = encounter.combatants[0];
+                for (const { combatant, condition } of this._expireConditions(encounter, current)) {
+                    encounter.log.push(`${condition.name} ends on ${combatant.name}`);
+                }
+                encounter.log = encounter.log.slice(-20);
+            }
+        }
+        this._save(encounter);
+
+        return combatant;
+    }
+
+    /**
+     * Roll initiative (d20 + modifier) for one combatant, or for everyone who
+     * hasn't rolled yet
+     * @param {string} channelId - Discord channel ID
+     * @param {string|null} [name] - Combatant name (all unrolled if omitted)
+     * @returns {Object[]} - Combatants that rolled
+     */
+    rollInitiative(channelId, name = null) {
+        const encounter = this._require(channelId);
+        const targets = name
+            ? [this._findCombatant(encounter, name)]
+            : encounter.combatants.filter(c => c.initiative === null);
+
+        for (const combatant of targets) {
+            combatant.natural = rng.int(1, 20);
+            combatant.initiative = combatant.natural + combatant.bonus;
+            combatant.tiebreak = null;
+        }
+
+        const current = this.getCurrent(encounter);
+        this._sort(encounter, current);
+        this._save(encounter);
+
+        return targets;
+    }
+
+    /**
+     * Set a combatant's initiative directly (e.g., a player rolled at the table)
+     * @param {string} channelId - Discord channel ID
+     * @param {string} name - Combatant name
+     * @param {number} value - Initiative result
+     * @returns {Object} - Combatant
+     */
+    setInitiative(channelId, name, value) {
+        const encounter = this._require(channelId);
+        const combatant = this._findCombatant(encounter, name);
+
+        combatant.initiative = value;
+        combatant.natural = null;
+        combatant.tiebreak = null;
+
+        const current = this.getCurrent(encounter);
+        this._sort(encounter, current);
+        this._save(encounter);
+
+        return combatant;
+    }
+
+    /**
+     * Sort combatants by PF1 rules: initiative, then modifier, then a roll-off
+     * between combatants still tied. Unrolled combatants go last.
+     * @param {Object} encounter - Encounter
+     * @param {Object|null} current - Combatant whose turn it is (kept current)
+     */
+    _sort(encounter, current) {
+        const rolled = encounter.combatants.filter(c => c.initiative !== null);
+
+        // Roll off between combatants tied on both initiative and modifier
+        const groups = new Map();
+        for (const combatant of rolled) {
+            const key = `${combatant.initiative}/${combatant.bonus}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(combatant);
+        }
+        for (const group of groups.values()) {
+            if (group.length < 2) continue;
+            // Earlier roll-offs stand; newcomers roll, then anyone still matching re-rolls
+            for (const combatant of group) {
+                if (combatant.tiebreak === null) combatant.tiebreak = rng.int(1, 20);
+            }
+            let tied = this._sharedTiebreaks(group);
+            while (tied.length > 0) {
+                for (const combatant of tied) combatant.tiebreak = rng.int(1, 20);
+                tied = this._sharedTiebreaks(group);
+            }
+        }
+
+        encounter.combatants.sort((a, b) => {
+            if (a.initiative === null || b.initiative === null) {
+                return (a.initiative === null) - (b.initiative === null);
+            }
+            return (b.initiative - a.initiative)
+                || (b.bonus - a.bonus)
+                || ((b.tiebreak || 0) - (a.tiebreak || 0));
+        });
+
+        if (current && encounter.round > 0) {
+            const index = encounter.combatants.indexOf(current);
+            if (index !== -1) encounter.turn = index;
+        }
+    }
+
+    /**
+     * Combatants whose roll-off result matches someone else's in the group
+     * @param {Object[]} group - Combatants tied on initiative and modifier
+     * @returns {Object[]} - Combatants that still need to re-roll
+     */
+    _sharedTiebreaks(group) {
+        return group.filter(c => group.some(other => other !== c && other.tiebreak === c.tiebreak));
+    }
+
+    /**
+     * Combatant whose turn it is
+     * @param {Object} encounter - Encounter
+     * @returns {Object|null} - Combatant or null before round 1
+     */
+    getCurrent(encounter) {
+        if (!encounter || encounter.round === 0) return null;
+        return encounter.combatants[encounter.turn] || null;
+    }
+
+    /**
+     * Advance to the next turn (starting round 1 on the first call).
+     * Conditions that have run their duration expire as their initiative count passes.
+     * @param {string} channelId - Discord channel ID
+     * @returns {{encounter: Object, current: Object, newRound: boolean, expired: Object[]}} - Turn result
+     */
+    next(channelId) {
+        const encounter = this._require(channelId);
+        if (encounter.combatants.length === 0) {
+            throw new Error('Add combatants before starting the fight');
+        }
+
+        let newRound = false;
+        if (encounter.round === 0) {
+            // Anyone who hasn't rolled yet rolls now
+            this.rollInitiative(channelId);
+            encounter.round = 1;
+            encounter.turn = 0;
+            newRound = true;
+        } else {
+            encounter.turn++;
+            if (encounter.turn >= encounter.combatants.length) {
+                encounter.turn = 0;
+                encounter.round++;
+                newRound = true;
+            }
+        }
+
+        const current = encounter.combatants[encounter.turn];
+        const expired = this._expireConditions(encounter, current);
+
+        if (newRound) {
+            encounter.log.push(`Round ${encounter.round} begins`);
+        }
+        for (const { combatant, condition } of expired) {
+            encounter.log.push(`${condition.name} ends on ${combatant.name}`);
+        }
+        encounter.log = encounter.log.slice(-20);
+        this._save(encounter);
+
+        return { encounter, current, newRound, expired };
+    }
+
+    /**
+     * Attach a timed condition. It lasts `rounds` full rounds, ending just
+     * before the initiative count it was applied on (or at the start of the
+     * round when applied before the fight begins).
+     * @param {string} channelId - Discord channel ID
+     * @param {string} name - Combatant name
+     * @param {string} condition - Condition (e.g., "shaken")
+     * @param {number|null} rounds - Duration in rounds (null = until removed)
+     * @returns {{combatant: Object, condition: Object}} - Combatant and new condition
+     */
+    addCondition(channelId, name, condition, rounds = null) {
+        const encounter = this._require(channelId);
+        const combatant = this._findCombatant(encounter, name);
+        const current = this.getCurrent(encounter);
+
+        const entry = {
+            name: condition.trim().toLowerCase(),
+            rounds,
+            expires: rounds ? {
+                round: Math.max(encounter.round, 1) + rounds,
+                initiative: current ? current.initiative : null,
+                combatantId: current ? current.id : null
+            } : null
+        };
+
+        combatant.conditions = combatant.conditions.filter(c => c.name !== entry.name);
+        combatant.conditions.push(entry);
+        this._save(encounter);
+
+        return { combatant, condition: entry };
+    }
+
+    /**
+     * Remove a condition early
+     * @param {string} channelId - Discord channel ID
+     * @param {string} name - Combatant name
+     * @param {string} condition - Condition name
+     * @returns {Object} - Combatant
+     */
+    removeCondition(channelId, name, condition) {
+        const encounter = this._require(channelId);
+        const combatant = this._findCombatant(encounter, name);
+        const before = combatant.conditions.length;
+
+        combatant.conditions = combatant.conditions.filter(c => c.name !== condition.trim().toLowerCase());
+        if (combatant.conditions.length === before) {
+            throw new Error(`${combatant.name} isn't ${condition}`);
+        }
+        this._save(encounter);
+
+        return combatant;
+    }
+
+    /**
+     * Remove conditions whose duration has run out at this point of the round
+     * @param {Object} encounter - Encounter
+     * @param {Object} current - Combatant whose turn is starting
+     * @returns {Array<{combatant: Object, condition: Object}>} - Expired conditions
+     */
+    _expireConditions(encounter, current) {
+        const reached = (expires) => {
+            if (encounter.round !== expires.round) return encounter.round > expires.round;
+            if (expires.initiative === null) return true;
+            // Ends on the turn it was applied on; by initiative count if that combatant is gone
+            const anchor = encounter.combatants.findIndex(c => c.id === expires.combatantId);
+            return anchor !== -1 ? encounter.turn >= anchor : current.initiative <= expires.initiative;
+        };
+
+        const expired = [];
+        for (const combatant of encounter.combatants) {
+            combatant.conditions = combatant.conditions.filter(condition => {
+                const done = condition.expires && reached(condition.expires);
+                if (done) expired.push({ combatant, condition });
+                return !done;
+            });
+        }
+        return expired;
+    }
+
+    /**
+     * Out-of-combat time passed: remove every timed condition that would have run out by now
+     * @param {number} hours - In-game hours passed
+     * @returns {string[]} - One line per expired condition
+     */
+    passTime(hours) {
+        const lines = [];
+        for (const encounter of this.encounters.values()) {
+            let changed = false;
+            for (const combatant of encounter.combatants) {
+                combatant.conditions = combatant.conditions.filter(condition => {
+                    const remaining = this.roundsRemaining(encounter, condition);
+                    if (remaining === null || remaining > hours * ROUNDS_PER_HOUR) return true;
+                    lines.push(`${combatant.name} is no longer ${condition.name} (${encounter.name})`);
+                    changed = true;
+                    return false;
+                });
+            }
+            if (changed) this._save(encounter);
+        }
+        return lines;
+    }
+
+    /**
+     * Rounds left on a condition
+     * @param {Object} encounter - Encounter
+     * @param {Object} condition - Condition
+     * @returns {number|null} - Rounds remaining (null = indefinite)
+     */
+    roundsRemaining(encounter, condition) {
+        if (!condition.expires) return null;
+        return Math.max(condition.expires.round - Math.max(encounter.round, 1), 0);
+    }
+
+    /**
+     * Combatant names in a channel (for autocomplete)
+     * @param {string} channelId - Discord channel ID
+     * @returns {string[]} - Names
+     */
+    getCombatantNames(channelId) {
+        const encounter = this.getEncounter(channelId);
+        return encounter ? encounter.combatants.map(c => c.name) : [];
+    }
+}
+
+// Singleton instance
+const initiativeTracker = new InitiativeTracker();
+
+module.exports = initiativeTracker;
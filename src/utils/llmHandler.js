@@ -6,10 +6,11 @@
 const OpenAI = require('openai');
 const diceRoller = require('./diceRoller');
 const campaignContext = require('./campaignContext');
+const calendar = require('./golarionCalendar');
 const timelineSearch = require('./timelineSearch');
-const timelineCache = require('./timelineCache');
 const dossierManager = require('./dossierManager');
 const nameResolver = require('./nameResolver');
+const playerLinks = require('./playerLinks');
 const llmRouter = require('./llmRouter');
 const personalityManager = require('./personalityManager');
 // Actor index system removed - was causing database lock issues
@@ -22,8 +23,6 @@ class LLMHandler {
         this.openai = new OpenAI({
             apiKey: process.env.OPENAI_API_KEY
         });
-        
-        this.systemPrompt = this.buildSystemPrompt();
     }
 
     /**
@@ -44,7 +43,7 @@ class LLMHandler {
         return `You are Casandalee, an AI who became a goddess through 72 android incarnations. You are knowledgeable about:
 
 1. D&D and Pathfinder rules and mechanics
-2. The Pathfinder world and timeline (current year: ${currentDate.year} AR)
+2. The Pathfinder world and timeline (today is ${currentDate.formatted}${currentDate.time ? `, ${currentDate.time}` : ''})
 3. Dice rolling and probability
 4. Campaign management and storytelling
 5. FoundryVTT integration
@@ -92,22 +91,24 @@ Always be helpful, accurate, and maintain the fantasy atmosphere. If you're unsu
      * Process a user query and generate a response
      * @param {string} query - User's question or request
      * @param {string} username - Username of the person asking
+     * @param {string|null} [userId=null] - Their Discord id (their /iam character is "my character")
      * @returns {Promise<string>} - Generated response
      */
-    async processQuery(query, username) {
+    async processQuery(query, username, userId = null) {
         try {
             console.log(`🔍 Processing query: "${query}"`);
+            const myCharacter = userId ? playerLinks.getActive(userId) : null;
             
             // Check for dice rolling requests
             if (this.isDiceRollRequest(query)) {
                 console.log('🎲 Matched dice roll request');
-                return await this.handleDiceRoll(query);
+                return await this.handleDiceRoll(query, myCharacter);
             }
             
             // Check for reincarnation requests
             if (this.isReincarnationRequest(query)) {
                 console.log('🔄 Matched reincarnation request');
-                return await this.handleReincarnation(query);
+                return await this.handleReincarnation(query, myCharacter);
             }
             
             // Check for timeline search requests (before character search)
@@ -124,7 +125,7 @@ Always be helpful, accurate, and maintain the fantasy atmosphere. If you're unsu
             
             console.log('🤖 No specific handler matched, using general LLM response');
             // General LLM response
-            return await this.generateLLMResponse(query, username);
+            return await this.generateLLMResponse(query, username, myCharacter);
             
         } catch (error) {
             console.error('Error processing query:', error);
@@ -172,22 +173,26 @@ Always be helpful, accurate, and maintain the fantasy atmosphere. If you're unsu
     /**
      * Handle dice roll requests
      * @param {string} query - User query
+     * @param {string|null} [character=null] - Asker's active character (the roll is logged to their dossier)
      * @returns {Promise<string>} - Roll result
      */
-    async handleDiceRoll(query) {
+    async handleDiceRoll(query, character = null) {
         try {
-            // Extract dice notation from query
-            const diceMatch = query.match(/(\d+d\d+(?:[+-]\d+)?)/i);
+            // Extract the dice expression from the query (e.g., "roll 1d20+1d6+5 for sneak attack")
+            const notation = diceRoller.extractNotation(query);
             
-            if (diceMatch) {
-                const notation = diceMatch[1];
+            if (notation) {
                 const result = diceRoller.roll(notation);
+                let reply = `🎲 **Dice Roll Result**\n\`${result.notation}\` → ${result.breakdown}`;
+                if (result.terms.length > 1) {
+                    reply += `\n${diceRoller.formatTerms(result)}`;
+                }
                 
-                return `🎲 **Dice Roll Result**\n\`${result.notation}\` → ${result.breakdown}`;
+                return reply + this.logMentionRoll(character, result);
             } else {
                 // Default to d20 if no specific notation found
                 const result = diceRoller.roll('1d20');
-                return `🎲 **Dice Roll Result**\n\`1d20\` → ${result.breakdown}`;
+                return `🎲 **Dice Roll Result**\n\`1d20\` → ${result.breakdown}` + this.logMentionRoll(character, result);
             }
             
         } catch (error) {
@@ -195,12 +200,44 @@ Always be helpful, accurate, and maintain the fantasy atmosphere. If you're unsu
         }
     }
     
+    /**
+     * Log a mention roll to the asker's character
+     * @param {string|null} character - Asker's active character
+     * @param {Object} result - Dice roll result
+     * @returns {string} - Line to add to the reply ('' when nothing was logged)
+     */
+    logMentionRoll(character, result) {
+        if (!character) return '';
+        const logged = dossierManager.addRollHistory(character, {
+            type: 'Dice',
+            roll: result.notation,
+            result: result.total,
+            command: '@mention',
+            d20s: diceRoller.getD20Results(result)
+        });
+        return logged ? `\n*Logged to ${character}*` : '';
+    }
+
+    /**
+     * Who a reincarnation request is for: a name after "reincarnate", else the asker's character
+     * @param {string} query - User query
+     * @param {string|null} myCharacter - Asker's active character
+     * @returns {string|null} - Character name, or null if unknown
+     */
+    getReincarnationTarget(query, myCharacter) {
+        const match = query.match(/reincarnat\w*\s+(?:(?:standard|aquatic)\s+)?(.+)$/i);
+        const named = match ? match[1].trim() : '';
+        if (!named || /^(me|myself|my character|table)\b/i.test(named)) return myCharacter;
+        return nameResolver.resolve(named) || named;
+    }
+
     /**
      * Handle reincarnation requests
      * @param {string} query - User query
+     * @param {string|null} [myCharacter=null] - Asker's active character (used when the query names no one)
      * @returns {Promise<string>} - Reincarnation result
      */
-    async handleReincarnation(query) {
+    async handleReincarnation(query, myCharacter = null) {
         try {
             // Check if reincarnation table is loaded
             if (!reincarnationTable.isReady()) {
@@ -208,7 +245,8 @@ Always be helpful, accurate, and maintain the fantasy atmosphere. If you're unsu
             }
 
             const result = reincarnationTable.rollReincarnation();
-            const baseReply = `🔄 **Reincarnation Result**\n\`Roll: ${result.roll}\` → **${result.result}**\n\n*You have been reincarnated into a new form!*`;
+            const target = this.getReincarnationTarget(query, myCharacter);
+            const baseReply = `🔄 **Reincarnation Result**\n\`Roll: ${result.roll}\` → **${result.result}**\n\n*${target ? `${target} has` : 'You have'} been reincarnated into a new form!*`;
 
             // Add a one-line personality-flavored reaction from current Cass persona
             try {
@@ -355,7 +393,7 @@ Always be helpful, accurate, and maintain the fantasy atmosphere. If you're unsu
             // Show up to 5 most relevant events
             const relevantEvents = timelineEvents.slice(0, 5);
             relevantEvents.forEach(event => {
-                response += `**${event.date} (${event.location})** - ${event.ap}\n${event.description}\n\n`;
+                response += `**${calendar.formatEventDate(event.date)} (${event.location})** - ${event.ap}\n${event.description}\n\n`;
             });
             
             if (timelineEvents.length > 5) {
@@ -376,9 +414,10 @@ Always be helpful, accurate, and maintain the fantasy atmosphere. If you're unsu
      * Generate LLM response for general queries
      * @param {string} query - User query
      * @param {string} username - Username
+     * @param {string|null} [myCharacter=null] - Asker's active character
      * @returns {Promise<string>} - Generated response
      */
-    async generateLLMResponse(query, username) {
+    async generateLLMResponse(query, username, myCharacter = null) {
         try {
             // Check for personality query commands
             if (this.isPersonalityQuery(query)) {
@@ -411,7 +450,8 @@ Always be helpful, accurate, and maintain the fantasy atmosphere. If you're unsu
             const context = campaignContext.getContextForLLM();
             
             // Build personality-specific prompt using the new manager
-            let personalityPrompt = this.systemPrompt;
+            // (rebuilt per query so the date follows the campaign clock)
+            let personalityPrompt = this.buildSystemPrompt();
             personalityPrompt += personalityManager.buildPromptFragment(selectedPersonality);
 
             // Check if we have dossier context for any mentioned character
@@ -423,10 +463,17 @@ Always be helpful, accurate, and maintain the fantasy atmosphere. If you're unsu
                     dossierContext = `\n\nKnown Character Info: ${dossierInfo}`;
                 }
             }
+            // "I", "me" and "my" mean the asker's own character
+            if (!dossierContext && myCharacter) {
+                const dossierInfo = dossierManager.getContextForLLM(myCharacter);
+                if (dossierInfo) {
+                    dossierContext = `\n\nAsker's Character (${myCharacter}): ${dossierInfo}`;
+                }
+            }
 
             // Use LLM Router: Claude Haiku for user-facing responses
             const systemPrompt = `${personalityPrompt}\n\nCurrent Campaign Context:\n${context}${dossierContext}`;
-            const userPrompt = `${username} asks: ${query}`;
+            const userPrompt = `${username}${myCharacter ? ` (playing ${myCharacter})` : ''} asks: ${query}`;
 
             try {
                 const result = await llmRouter.route(userPrompt, {
@@ -592,7 +639,7 @@ Always be helpful, accurate, and maintain the fantasy atmosphere. If you're unsu
         try {
             // Prepare timeline context for LLM
             const timelineContext = timelineResults.slice(0, 10).map(event => 
-                `${event.date} (${event.location}) - ${event.description}`
+                `${calendar.formatEventDate(event.date)} (${event.location}) - ${event.description}`
             ).join('\n');
             
             const systemPrompt = `You are Casandalee, an AI with access to campaign timeline data. Analyze the timeline events below and answer the user's question intelligently. If the answer isn't clear from the timeline, say so. Focus on the most relevant information and be specific about dates and locations.
@@ -658,7 +705,7 @@ Answer the user's question based on this timeline data. Be helpful and specific.
             if (isDeathQuery && topResult.score > 50) {
                 // For death queries, show only the most relevant result
                 let response = `📚 **${this.getQuestionTitle(query)}**\n\n`;
-                response += `**${topResult.date} (${topResult.location}) - ${topResult.ap}**\n`;
+                response += `**${calendar.formatEventDate(topResult.date)} (${topResult.location}) - ${topResult.ap}**\n`;
                 response += `${topResult.description}`;
                 return response;
             }
@@ -667,7 +714,7 @@ Answer the user's question based on this timeline data. Be helpful and specific.
             const isSpecificQuestion = this.isSpecificQuestion(query);
             if (isSpecificQuestion && topResult.score > 100) {
                 let response = `📚 **${this.getQuestionTitle(query)}**\n\n`;
-                response += `**${topResult.date} (${topResult.location}) - ${topResult.ap}**\n`;
+                response += `**${calendar.formatEventDate(topResult.date)} (${topResult.location}) - ${topResult.ap}**\n`;
                 response += `${topResult.description}`;
                 return response;
             }
@@ -677,7 +724,7 @@ Answer the user's question based on this timeline data. Be helpful and specific.
             let response = `📚 **Campaign Timeline Search Results**\n\n`;
             
             topResults.forEach((event, index) => {
-                response += `**${event.date} (${event.location}) - ${event.ap}**\n`;
+                response += `**${calendar.formatEventDate(event.date)} (${event.location}) - ${event.ap}**\n`;
                 response += `${event.description}\n\n`;
             });
             
@@ -691,7 +738,7 @@ Answer the user's question based on this timeline data. Be helpful and specific.
             console.error('❌ Error formatting timeline response:', error);
             // Fallback to simple format
             const result = timelineResults[0];
-            return `**${result.date} (${result.location})** - ${result.description}`;
+            return `**${calendar.formatEventDate(result.date)} (${result.location})** - ${result.description}`;
         }
     }
 
@@ -747,7 +794,7 @@ Answer the user's question based on this timeline data. Be helpful and specific.
     async generateTimelineSummary(query, results) {
         try {
             const timelineContext = results.map(event => 
-                `${event.date} (${event.location}): ${event.description}`
+                `${calendar.formatEventDate(event.date)} (${event.location}): ${event.description}`
             ).join('\n');
             
             const result = await llmRouter.route(
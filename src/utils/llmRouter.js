@@ -217,11 +217,12 @@ class LLMRouter {
     }
 
     /**
-     * Send an image + prompt to Claude for vision analysis
-     * Best for: character sheet parsing, image description
+     * Send an image (or a PDF) + prompt to Claude for vision analysis
+     * Best for: character sheet parsing, image description. PDFs go in as a
+     * document block, which Claude reads page by page (text and page images).
      * @param {string} prompt - Text prompt describing what to extract
-     * @param {Buffer} imageBuffer - Image data as Buffer
-     * @param {string} mediaType - MIME type (e.g., 'image/png', 'image/jpeg')
+     * @param {Buffer} imageBuffer - Image or PDF data as Buffer
+     * @param {string} mediaType - MIME type (e.g., 'image/png', 'image/jpeg', 'application/pdf')
      * @param {Object} options - Configuration options
      * @param {string} [options.system] - System prompt
      * @param {string} [options.model='claude-3-5-haiku-latest'] - Model name
@@ -247,7 +248,7 @@ class LLMRouter {
                     role: 'user',
                     content: [
                         {
-                            type: 'image',
+                            type: mediaType === 'application/pdf' ? 'document' : 'image',
                             source: {
                                 type: 'base64',
                                 media_type: mediaType,
@@ -0,0 +1,254 @@
+/**
+ * Macro Manager for Casandalee
+ * Stores named rolls per Discord user or per character dossier, so players
+ * can save "1d20+@perception" or a greatsword full attack once and reuse it.
+ * Macros can reference @variables that resolve from the character's dossier sheet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const nameResolver = require('./nameResolver');
+
+/** Allowed macro names: short, lowercase, no spaces at the ends */
+const MACRO_NAME_PATTERN = /^[a-z0-9][a-z0-9 _-]{0,31}$/;
+
+/** @variable references inside a macro's notation */
+const VARIABLE_PATTERN = /@([a-z][a-z0-9_]*)/gi;
+
+class MacroManager {
+    constructor() {
+        this.macroDir = path.join(__dirname, '../../data/macros');
+        this.macroFile = path.join(this.macroDir, 'macros.json');
+        /** @type {{users: Object<string, Object>, characters: Object<string, Object>}} */
+        this.macros = { users: {}, characters: {} };
+
+        this._ensureDirectoryExists();
+        this._load();
+    }
+
+    /**
+     * Ensure the macro directory exists
+     */
+    _ensureDirectoryExists() {
+        if (!fs.existsSync(this.macroDir)) {
+            fs.mkdirSync(this.macroDir, { recursive: true });
+            logger.info('Created macros directory');
+        }
+    }
+
+    /**
+     * Load macros from disk
+     */
+    _load() {
+        try {
+            if (fs.existsSync(this.macroFile)) {
+                const data = JSON.parse(fs.readFileSync(this.macroFile, 'utf8'));
+                this.macros = { users: data.users || {}, characters: data.characters || {} };
+                const count = Object.values(this.macros.users).concat(Object.values(this.macros.characters))
+                    .reduce((sum, scope) => sum + Object.keys(scope).length, 0);
+                logger.info(`Loaded ${count} roll macros`);
+            }
+        } catch (err) {
+            logger.error('Error loading macros:', err.message);
+        }
+    }
+
+    /**
+     * Save macros to disk (macros are small, so save on every change)
+     */
+    _save() {
+        try {
+            fs.writeFileSync(this.macroFile, JSON.stringify(this.macros, null, 2), 'utf8');
+        } catch (err) {
+            logger.error('Error saving macros:', err.message);
+        }
+    }
+
+    /**
+     * Normalize and validate a macro name
+     * @param {string} name - User-provided macro name
+     * @returns {string} - Normalized name
+     */
+    normalizeName(name) {
+        const normalized = (name || '').trim().toLowerCase();
+        if (!MACRO_NAME_PATTERN.test(normalized)) {
+            throw new Error('Macro names must be 1-32 characters: letters, numbers, spaces, "-" or "_"');
+        }
+        return normalized;
+    }
+
+    /**
+     * Get the macro map for a scope
+     * @param {string} userId - Discord user ID (used when no character is given)
+     * @param {string|null} character - Canonical character name for character-scoped macros
+     * @returns {Object} - Macro name -> macro
+     */
+    _scope(userId, character) {
+        const bucket = character ? this.macros.characters : this.macros.users;
+        const key = character || userId;
+        if (!bucket[key]) bucket[key] = {};
+        return bucket[key];
+    }
+
+    /**
+     * Save (create or overwrite) a macro
+     * @param {Object} options - Macro options
+     * @param {string} options.userId - Discord user ID of the author
+     * @param {string} options.username - Discord username of the author
+     * @param {string} options.name - Macro name
+     * @param {string} options.notation - Dice notation, or attack bonus for attack macros
+     * @param {string|null} [options.character] - Character name to scope the macro to
+     * @param {Object|null} [options.attack] - Attack settings {damage, threat, extra, full}
+     * @returns {Object} - The saved macro
+     */
+    save({ userId, username, name, notation, character = null, attack = null }) {
+        const key = this.normalizeName(name);
+        const canonical = character ? nameResolver.resolve(character) : null;
+        if (character && !canonical) {
+            throw new Error(`I don't know a character named "${character}"`);
+        }
+
+        const scope = this._scope(userId, canonical);
+        const existing = scope[key];
+        if (existing && canonical && existing.createdById !== userId) {
+            throw new Error(`${canonical} already has a macro named "${key}" saved by ${existing.createdBy}`);
+        }
+
+        const macro = {
+            name: key,
+            notation: notation.trim(),
+            character: canonical,
+            attack: attack || null,
+            createdBy: username,
+            createdById: userId,
+            createdAt: existing ? existing.createdAt : new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        scope[key] = macro;
+        this._save();
+        logger.info(`Macro "${key}" saved by ${username}${canonical ? ` for ${canonical}` : ''}`);
+
+        return macro;
+    }
+
+    /**
+     * Find a macro. A character's own macros win over the user's personal ones.
+     * Without a character, personal macros are checked first, then a uniquely
+     * named character macro the user saved.
+     * @param {string} userId - Discord user ID
+     * @param {string} name - Macro name
+     * @param {string|null} [character] - Character name
+     * @returns {Object|null} - Macro or null
+     */
+    find(userId, name, character = null) {
+        const key = (name || '').trim().toLowerCase();
+        const canonical = character ? nameResolver.resolve(character) : null;
+
+        if (canonical && this.macros.characters[canonical]?.[key]) {
+            return this.macros.characters[canonical][key];
+        }
+        if (this.macros.users[userId]?.[key]) {
+            return this.macros.users[userId][key];
+        }
+        if (!character) {
+            const owned = Object.values(this.macros.characters)
+                .map(scope => scope[key])
+                .filter(macro => macro && macro.createdById === userId);
+            if (owned.length === 1) return owned[0];
+        }
+        return null;
+    }
+
+    /**
+     * Delete a macro. Character macros can only be deleted by their author.
+     * @param {string} userId - Discord user ID
+     * @param {string} name - Macro name
+     * @param {string|null} [character] - Character name
+     * @returns {Object} - The deleted macro
+     */
+    delete(userId, name, character = null) {
+        const key = (name || '').trim().toLowerCase();
+        const canonical = character ? nameResolver.resolve(character) : null;
+        const scope = canonical ? this.macros.characters[canonical] : this.macros.users[userId];
+
+        const macro = scope?.[key];
+        if (!macro) {
+            throw new Error(`No macro named "${key}"${canonical ? ` for ${canonical}` : ''}`);
+        }
+        if (canonical && macro.createdById !== userId) {
+            throw new Error(`Only ${macro.createdBy} can delete ${canonical}'s "${key}" macro`);
+        }
+
+        delete scope[key];
+        this._save();
+        logger.info(`Macro "${key}" deleted${canonical ? ` from ${canonical}` : ''}`);
+
+        return macro;
+    }
+
+    /**
+     * List macros visible to a user: their own, plus a character's if given
+     * @param {string} userId - Discord user ID
+     * @param {string|null} [character] - Character name
+     * @returns {{personal: Object[], character: Object[], characterName: string|null}} - Macros
+     */
+    list(userId, character = null) {
+        const canonical = character ? nameResolver.resolve(character) : null;
+        const sortByName = (a, b) => a.name.localeCompare(b.name);
+
+        return {
+            personal: Object.values(this.macros.users[userId] || {}).sort(sortByName),
+            character: canonical ? Object.values(this.macros.characters[canonical] || {}).sort(sortByName) : [],
+            characterName: canonical
+        };
+    }
+
+    /**
+     * Get all macro names a user can run (for autocomplete)
+     * @param {string} userId - Discord user ID
+     * @returns {string[]} - Macro names
+     */
+    getNamesForUser(userId) {
+        const names = new Set(Object.keys(this.macros.users[userId] || {}));
+        for (const scope of Object.values(this.macros.characters)) {
+            for (const macro of Object.values(scope)) {
+                if (macro.createdById === userId) names.add(macro.name);
+            }
+        }
+        return [...names].sort();
+    }
+
+    /**
+     * List the @variables used in a notation
+     * @param {string} notation - Macro notation
+     * @returns {string[]} - Variable names (lowercase)
+     */
+    getVariables(notation) {
+        return [...notation.matchAll(VARIABLE_PATTERN)].map(match => match[1].toLowerCase());
+    }
+
+    /**
+     * Replace @variables with values. Negative values are parenthesized so
+     * "1d20+@str" with Str -1 becomes "1d20+(-1)".
+     * @param {string} notation - Macro notation
+     * @param {Object|null} variables - Variable name -> number
+     * @returns {string} - Notation with every variable substituted
+     */
+    resolveVariables(notation, variables) {
+        return notation.replace(VARIABLE_PATTERN, (match, name) => {
+            const value = variables ? variables[name.toLowerCase()] : undefined;
+            if (typeof value !== 'number') {
+                const known = variables ? Object.keys(variables).sort().map(v => `@${v}`).join(', ') : '';
+                throw new Error(`Unknown variable ${match}${known ? ` (known: ${known})` : ' — no character stats available'}`);
+            }
+            return value < 0 ? `(${value})` : `${value}`;
+        });
+    }
+}
+
+// Singleton instance
+const macroManager = new MacroManager();
+
+module.exports = macroManager;
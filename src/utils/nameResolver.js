@@ -2,9 +2,12 @@
  * Name Resolver for Casandalee
  * Handles fuzzy name matching for characters, locations, and entities.
  * Players type "Rhy", "rhyarca", "Rhyaerca" — this resolves them all to the same entity.
+ * Aliases it learns along the way are saved, so they survive a restart.
  */
 
+const path = require('path');
 const logger = require('./logger');
+const storage = require('./storage');
 
 class NameResolver {
     constructor() {
@@ -16,6 +19,38 @@ class NameResolver {
 
         /** @type {string[]} - List of all canonical names for fuzzy matching */
         this.canonicalNames = [];
+
+        /** @type {Map<string, string>} - Learned alias -> canonical name (the part that is saved) */
+        this.learned = new Map();
+
+        this.store = storage.open(path.join(__dirname, '../../data/cache'), 'names');
+        this._loadLearned();
+    }
+
+    /**
+     * Load the aliases learned in earlier runs
+     */
+    _loadLearned() {
+        const saved = this.store.get('learned_aliases') || {};
+        for (const [alias, canonical] of Object.entries(saved)) {
+            this.learned.set(alias, canonical);
+            this.aliases.set(alias, canonical);
+        }
+        if (this.learned.size > 0) {
+            logger.info(`Loaded ${this.learned.size} learned name aliases`);
+        }
+    }
+
+    /**
+     * Remember an alias and save it
+     * @param {string} lower - Lowercased alias
+     * @param {string} canonical - The canonical name it maps to
+     */
+    _learn(lower, canonical) {
+        this.aliases.set(lower, canonical);
+        this.reverseAliases.get(canonical)?.add(lower);
+        this.learned.set(lower, canonical);
+        this.store.set('learned_aliases', Object.fromEntries(this.learned));
     }
 
     /**
@@ -29,6 +64,9 @@ class NameResolver {
 
         if (!this.reverseAliases.has(canonical)) {
             this.reverseAliases.set(canonical, new Set());
+            for (const [alias, learnedCanonical] of this.learned) {
+                if (learnedCanonical === canonical) this.reverseAliases.get(canonical).add(alias);
+            }
         }
         this.reverseAliases.get(canonical).add(lower);
 
@@ -101,8 +139,7 @@ class NameResolver {
 
         if (bestMatch) {
             // Auto-learn this alias for next time
-            this.aliases.set(lower, bestMatch);
-            this.reverseAliases.get(bestMatch)?.add(lower);
+            this._learn(lower, bestMatch);
             logger.debug(`Name resolver: fuzzy matched "${input}" -> "${bestMatch}" (distance: ${bestDistance})`);
             return bestMatch;
         }
@@ -134,11 +171,7 @@ class NameResolver {
      * @param {string} canonical - The canonical name it maps to
      */
     learnAlias(alias, canonical) {
-        const lower = alias.toLowerCase();
-        this.aliases.set(lower, canonical);
-        if (this.reverseAliases.has(canonical)) {
-            this.reverseAliases.get(canonical).add(lower);
-        }
+        this._learn(alias.toLowerCase(), canonical);
         logger.debug(`Name resolver: learned alias "${alias}" -> "${canonical}"`);
     }
 
@@ -14,6 +14,7 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const rng = require('./rng');
 
 class PersonalityManager {
     constructor() {
@@ -223,7 +224,7 @@ class PersonalityManager {
      * @returns {number}
      */
     _roll1d7() {
-        return Math.floor(Math.random() * 7) + 1;
+        return rng.int(1, 7);
     }
 
     /**
@@ -244,7 +245,7 @@ class PersonalityManager {
      * @returns {Object} Selected personality data
      */
     select(queryContext = '') {
-        const roll = Math.floor(Math.random() * 100) + 1;
+        const roll = rng.int(1, 100);
 
         if (roll >= 72) {
             // Goddess form
@@ -284,7 +285,7 @@ class PersonalityManager {
 
         // Weighted random selection
         const totalWeight = weights.reduce((sum, w) => sum + w.weight, 0);
-        let rand = Math.random() * totalWeight;
+        let rand = rng.random() * totalWeight;
 
         for (const entry of weights) {
             rand -= entry.weight;
@@ -408,7 +409,7 @@ class PersonalityManager {
     pickEmoji(personality = null) {
         const p = personality || this.current;
         if (!p || !p.emojis || p.emojis.length === 0) return '✨';
-        return p.emojis[Math.floor(Math.random() * p.emojis.length)];
+        return rng.pick(p.emojis);
     }
 
     /**
@@ -428,7 +429,7 @@ class PersonalityManager {
             .filter(([, data]) => data.timelineQuote && String(data.timelineQuote).trim().length > 0)
             .map(([lifeNum, data]) => ({ lifeNum, ...data }));
         if (withQuote.length === 0) return null;
-        return withQuote[Math.floor(Math.random() * withQuote.length)];
+        return rng.pick(withQuote);
     }
 
     /**
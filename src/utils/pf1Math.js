@@ -0,0 +1,133 @@
+/**
+ * PF1 Math for Casandalee
+ * The Core Rulebook formulas the importers and the sheet cross-check need:
+ * ability modifiers, base attack and base save progressions, size modifiers,
+ * combat maneuvers, skill totals and which ability each skill and save uses.
+ */
+
+/** Size -> modifier to AC and attack rolls */
+const SIZE_MODIFIERS = {
+    Fine: 8, Diminutive: 4, Tiny: 2, Small: 1, Medium: 0, Large: -1, Huge: -2, Gargantuan: -4, Colossal: -8
+};
+
+/** Size -> special size modifier to CMB and CMD */
+const SPECIAL_SIZE_MODIFIERS = {
+    Fine: -8, Diminutive: -4, Tiny: -2, Small: -1, Medium: 0, Large: 1, Huge: 2, Gargantuan: 4, Colossal: 8
+};
+
+/** Bonus a trained class skill gets */
+const CLASS_SKILL_BONUS = 3;
+
+/** Save -> ability it adds */
+const SAVE_ABILITIES = { fort: 'con', ref: 'dex', will: 'wis' };
+
+/** Skill (without its "(arcana)" style specialty) -> ability it adds */
+const SKILL_ABILITIES = {
+    acrobatics: 'dex', appraise: 'int', artistry: 'int', bluff: 'cha', climb: 'str', craft: 'int',
+    diplomacy: 'cha', 'disable device': 'dex', disguise: 'cha', 'escape artist': 'dex', fly: 'dex',
+    'handle animal': 'cha', heal: 'wis', intimidate: 'cha', knowledge: 'int', linguistics: 'int',
+    lore: 'int', perception: 'wis', perform: 'cha', profession: 'wis', ride: 'dex', 'sense motive': 'wis',
+    'sleight of hand': 'dex', spellcraft: 'int', stealth: 'dex', survival: 'wis', swim: 'str',
+    'use magic device': 'cha'
+};
+
+class Pf1Math {
+    constructor() {
+        this.SIZE_MODIFIERS = SIZE_MODIFIERS;
+        this.SPECIAL_SIZE_MODIFIERS = SPECIAL_SIZE_MODIFIERS;
+        this.SAVE_ABILITIES = SAVE_ABILITIES;
+        this.CLASS_SKILL_BONUS = CLASS_SKILL_BONUS;
+    }
+
+    /**
+     * Ability modifier for a score
+     * @param {number} score - Ability score
+     * @returns {number} - Modifier
+     */
+    abilityModifier(score) {
+        return Math.floor((score - 10) / 2);
+    }
+
+    /**
+     * Base attack bonus from one class
+     * @param {string} progression - 'high' (full), 'med' (3/4) or 'low' (1/2)
+     * @param {number} level - Levels in the class
+     * @returns {number} - BAB
+     */
+    baseAttack(progression, level) {
+        if (progression === 'high') return level;
+        if (progression === 'med') return Math.floor(level * 3 / 4);
+        return Math.floor(level / 2);
+    }
+
+    /**
+     * Base save bonus from one class
+     * @param {string} progression - 'high' (good) or 'low' (poor)
+     * @param {number} level - Levels in the class
+     * @returns {number} - Base save
+     */
+    baseSave(progression, level) {
+        if (level <= 0) return 0;
+        return progression === 'high' ? 2 + Math.floor(level / 2) : Math.floor(level / 3);
+    }
+
+    /**
+     * Size modifier to AC and attack rolls
+     * @param {string} size - Size category
+     * @returns {number} - Modifier
+     */
+    sizeModifier(size) {
+        return SIZE_MODIFIERS[size] || 0;
+    }
+
+    /**
+     * Special size modifier to CMB and CMD
+     * @param {string} size - Size category
+     * @returns {number} - Modifier
+     */
+    specialSizeModifier(size) {
+        return SPECIAL_SIZE_MODIFIERS[size] || 0;
+    }
+
+    /**
+     * Combat maneuver bonus: BAB + Str + special size modifier
+     * @param {Object} stats - {bab, str, size} (str is the modifier)
+     * @returns {number} - CMB
+     */
+    cmb({ bab, str, size = 'Medium' }) {
+        return bab + str + this.specialSizeModifier(size);
+    }
+
+    /**
+     * Combat maneuver defense: 10 + BAB + Str + Dex + special size modifier
+     * @param {Object} stats - {bab, str, dex, size} (str and dex are modifiers)
+     * @returns {number} - CMD
+     */
+    cmd({ bab, str, dex, size = 'Medium' }) {
+        return 10 + bab + str + dex + this.specialSizeModifier(size);
+    }
+
+    /**
+     * Which ability a skill adds
+     * @param {string} name - Skill name, e.g. "Knowledge (arcana)"
+     * @returns {string|null} - Ability key, or null for skills it doesn't know
+     */
+    skillAbility(name) {
+        const base = (name || '').replace(/\s*\(.*\)\s*$/, '').trim().toLowerCase();
+        return SKILL_ABILITIES[base] || null;
+    }
+
+    /**
+     * Skill total from ranks, ability modifier and the class skill bonus
+     * @param {Object} skill - {ranks, abilityMod, classSkill, misc}
+     * @returns {number} - Total bonus
+     */
+    skillTotal({ ranks = 0, abilityMod = 0, classSkill = false, misc = 0 }) {
+        return ranks + abilityMod + (classSkill && ranks > 0 ? CLASS_SKILL_BONUS : 0) + misc;
+    }
+}
+
+// Singleton instance
+const pf1Math = new Pf1Math();
+
+module.exports = pf1Math;
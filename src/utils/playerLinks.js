@@ -0,0 +1,166 @@
+/**
+ * Player Links for Casandalee
+ * Ties Discord users to the characters they play. A user can play several
+ * characters with one active at a time; the active one is who /roll,
+ * /reincarnate, /character and mentions mean when no name is given. Each
+ * character belongs to at most one user, and the dossier's `player` field
+ * shows who that is.
+ */
+
+const path = require('path');
+const logger = require('./logger');
+const storage = require('./storage');
+const dossierManager = require('./dossierManager');
+const nameResolver = require('./nameResolver');
+
+class PlayerLinks {
+    constructor() {
+        /** @type {Map<string, {userId: string, username: string, characters: string[], active: string|null}>} */
+        this.players = new Map();
+
+        this.store = storage.open(path.join(__dirname, '../../data/players'), 'players');
+        this._load();
+    }
+
+    /**
+     * Load saved links
+     */
+    _load() {
+        for (const { value } of this.store.getAll()) {
+            if (value && value.userId) this.players.set(value.userId, value);
+        }
+        logger.info(`Loaded character links for ${this.players.size} players`);
+    }
+
+    /**
+     * Save one player's links
+     * @param {Object} player - Player record
+     */
+    _save(player) {
+        if (player.characters.length === 0) {
+            this.players.delete(player.userId);
+            this.store.delete(player.userId);
+            return;
+        }
+        this.store.set(player.userId, player);
+    }
+
+    /**
+     * Characters a user plays
+     * @param {string} userId - Discord user id
+     * @returns {{characters: string[], active: string|null}} - Their characters, and the active one
+     */
+    getCharacters(userId) {
+        const player = this.players.get(userId);
+        return player
+            ? { characters: [...player.characters], active: player.active }
+            : { characters: [], active: null };
+    }
+
+    /**
+     * A user's active character
+     * @param {string} userId - Discord user id
+     * @returns {string|null} - Canonical name, or null if they haven't linked one
+     */
+    getActive(userId) {
+        return this.players.get(userId)?.active || null;
+    }
+
+    /**
+     * The character a command means: the name given, else the user's active character
+     * @param {string|null} input - Name typed into the command
+     * @param {string} userId - Discord user id
+     * @returns {string|null} - Name to use
+     */
+    resolve(input, userId) {
+        return input || this.getActive(userId);
+    }
+
+    /**
+     * Who plays a character
+     * @param {string} canonical - Canonical character name
+     * @returns {{userId: string, username: string}|null} - The player, if linked
+     */
+    getOwner(canonical) {
+        for (const player of this.players.values()) {
+            if (player.characters.includes(canonical)) {
+                return { userId: player.userId, username: player.username };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Link a character to a user and make it their active character, taking it from whoever had it.
+     * Creates the dossier if there isn't one yet.
+     * @param {Object} user - {id, username} of the player
+     * @param {string} name - Character name (fuzzy matched)
+     * @param {Object} meta - Who made the link: {updatedBy, updatedById}
+     * @returns {{canonical: string, previousOwner: Object|null, created: boolean}} - What happened
+     */
+    link(user, name, meta) {
+        const canonical = nameResolver.resolve(name) || name.trim();
+        const created = !dossierManager.getDossier(canonical);
+        if (created) {
+            dossierManager.createDossier(canonical, {}, meta);
+        }
+
+        let previousOwner = this.getOwner(canonical);
+        if (previousOwner && previousOwner.userId !== user.id) {
+            this._remove(previousOwner.userId, canonical);
+        } else {
+            previousOwner = null;
+        }
+
+        const player = this.players.get(user.id) || { userId: user.id, username: user.username, characters: [], active: null };
+        player.username = user.username;
+        if (!player.characters.includes(canonical)) player.characters.push(canonical);
+        player.active = canonical;
+        this.players.set(user.id, player);
+        this._save(player);
+
+        dossierManager.setPlayer(canonical, user.username, { ...meta, action: 'player link' });
+        logger.info(`Linked ${canonical} to ${user.username}`, { userId: user.id, previousOwner: previousOwner?.userId });
+
+        return { canonical, previousOwner, created };
+    }
+
+    /**
+     * Unlink a character from a user
+     * @param {string} userId - Discord user id
+     * @param {string} name - Character name (fuzzy matched)
+     * @param {Object} meta - Who did it: {updatedBy, updatedById}
+     * @returns {string|null} - Canonical name, or null if the user doesn't play that character
+     */
+    unlink(userId, name, meta) {
+        const canonical = nameResolver.resolve(name) || name.trim();
+        if (!this._remove(userId, canonical)) return null;
+
+        dossierManager.setPlayer(canonical, null, { ...meta, action: 'player unlink' });
+        logger.info(`Unlinked ${canonical}`, { userId });
+        return canonical;
+    }
+
+    /**
+     * Take a character off a user's list (the next one becomes active if it was)
+     * @param {string} userId - Discord user id
+     * @param {string} canonical - Canonical character name
+     * @returns {boolean} - True if they had it
+     */
+    _remove(userId, canonical) {
+        const player = this.players.get(userId);
+        if (!player || !player.characters.includes(canonical)) return false;
+
+        player.characters = player.characters.filter(name => name !== canonical);
+        if (player.active === canonical) {
+            player.active = player.characters[0] || null;
+        }
+        this._save(player);
+        return true;
+    }
+}
+
+// Singleton instance
+const playerLinks = new PlayerLinks();
+
+module.exports = playerLinks;
@@ -0,0 +1,166 @@
+/**
+ * Private Rolls for Casandalee
+ * GM rolls (result shown only to the roller and the GM role) and blind rolls
+ * (result hidden from the roller, sent to the GM by DM).
+ *
+ * The GM role is GM_ROLE_ID if set, otherwise a role named "GM" or "Game Master".
+ */
+
+const diceRoller = require('./diceRoller');
+const rollLog = require('./rollLog');
+const logger = require('./logger');
+
+/** Roll visibility modes */
+const VISIBILITY = {
+    PUBLIC: 'public',
+    GM: 'gm',
+    BLIND: 'blind'
+};
+
+/** Role names used when GM_ROLE_ID isn't configured */
+const GM_ROLE_NAMES = ['gm', 'game master', 'dm', 'dungeon master'];
+
+/** "gm roll 1d20+5" / "blind roll 1d20" / "secret roll ..." at the start of a mention */
+const MESSAGE_MODE_PATTERN = /^\s*(gm|blind|secret)\s+roll\b\s*/i;
+
+class PrivateRolls {
+    constructor() {
+        this.VISIBILITY = VISIBILITY;
+    }
+
+    /**
+     * Find the GM role in a guild
+     * @param {Object|null} guild - Discord guild
+     * @returns {Object|null} - Role or null
+     */
+    getGmRole(guild) {
+        if (!guild) return null;
+
+        const roleId = process.env.GM_ROLE_ID;
+        if (roleId) {
+            return guild.roles.cache.get(roleId) || null;
+        }
+        return guild.roles.cache.find(role => GM_ROLE_NAMES.includes(role.name.toLowerCase())) || null;
+    }
+
+    /**
+     * Check whether a guild member holds the GM role
+     * @param {Object|null} member - Discord guild member
+     * @returns {boolean} - True for GMs
+     */
+    isGameMaster(member) {
+        const role = member ? this.getGmRole(member.guild) : null;
+        return Boolean(role && member.roles.cache.has(role.id));
+    }
+
+    /**
+     * Get every member holding the GM role
+     * @param {Object|null} guild - Discord guild
+     * @returns {Promise<Object[]>} - Guild members
+     */
+    async getGameMasters(guild) {
+        const role = this.getGmRole(guild);
+        if (!role) return [];
+
+        try {
+            // Role member lists are only complete once members are cached
+            await guild.members.fetch();
+        } catch (error) {
+            logger.warn('Could not fetch guild members for GM lookup', { error: error.message });
+        }
+        return [...role.members.values()];
+    }
+
+    /**
+     * DM a message to every GM
+     * @param {Object|null} guild - Discord guild
+     * @param {Object|string} payload - Message content or options
+     * @param {string|null} [excludeUserId] - Skip this user (e.g., a GM who rolled)
+     * @returns {Promise<number>} - How many GMs received it
+     */
+    async sendToGameMasters(guild, payload, excludeUserId = null) {
+        const gms = (await this.getGameMasters(guild)).filter(member => member.id !== excludeUserId);
+
+        let delivered = 0;
+        for (const gm of gms) {
+            try {
+                await gm.send(payload);
+                delivered++;
+            } catch (error) {
+                logger.warn('Could not DM GM', { gm: gm.user.username, error: error.message });
+            }
+        }
+        return delivered;
+    }
+
+    /**
+     * Detect a private-roll prefix on a mention (e.g., "gm roll 1d20+5")
+     * @param {string} query - Mention text without the bot mention
+     * @returns {{visibility: string, query: string}|null} - Mode and remaining text, or null
+     */
+    parseMessageMode(query) {
+        const match = query.match(MESSAGE_MODE_PATTERN);
+        if (!match) return null;
+
+        const visibility = match[1].toLowerCase() === 'blind' ? VISIBILITY.BLIND : VISIBILITY.GM;
+        return { visibility, query: query.slice(match[0].length) };
+    }
+
+    /**
+     * Roll for a "gm roll ..." / "blind roll ..." mention. The channel only
+     * learns that a roll was made; the result goes out by DM.
+     * @param {Object} message - Discord message
+     * @param {{visibility: string, query: string}} mode - Result of parseMessageMode
+     */
+    async handleMessageRoll(message, { visibility, query }) {
+        const notation = diceRoller.extractNotation(query) || '1d20';
+        const result = diceRoller.roll(notation);
+        const entry = rollLog.record({
+            type: 'dice',
+            input: { notation },
+            result,
+            userId: message.author.id,
+            username: message.author.username,
+            visibility
+        });
+
+        const text = `🎲 \`${result.notation}\` → ${result.breakdown} *(Roll #${entry.id})*`;
+        logger.info('Private roll from mention', { visibility, notation, total: result.total, rollId: entry.id });
+
+        if (visibility === VISIBILITY.GM) {
+            const delivered = await this.sendToGameMasters(message.guild, `🔒 GM roll by **${message.author.username}**\n${text}`, message.author.id);
+            try {
+                await message.author.send(`🔒 Your GM roll\n${text}`);
+                await message.reply(`🔒 GM roll #${entry.id} sent privately to you${delivered > 0 ? ' and the GM' : ''}.`);
+            } catch (error) {
+                logger.warn('Could not DM GM roll to roller', { error: error.message });
+                await message.reply(`🔒 GM roll #${entry.id} made, but I couldn't DM you — use \`/roll dice mode:GM roll\` instead.`);
+            }
+            return;
+        }
+
+        const delivered = await this.sendToGameMasters(message.guild, `🙈 Blind roll by **${message.author.username}**\n${text}`);
+        await message.reply(delivered > 0
+            ? `🙈 Blind roll #${entry.id} made — the result went to the GM.`
+            : `⚠️ Blind roll #${entry.id} made, but no GM could be reached by DM.`);
+    }
+
+    /**
+     * Whether someone may see a logged roll's result
+     * @param {Object} entry - Roll log or roll history entry with visibility
+     * @param {string} userId - Viewer's Discord user ID
+     * @param {Object|null} member - Viewer's guild member (for the GM check)
+     * @returns {boolean} - True if the result may be shown
+     */
+    canView(entry, userId, member) {
+        const visibility = entry.visibility || VISIBILITY.PUBLIC;
+        if (visibility === VISIBILITY.PUBLIC) return true;
+        if (this.isGameMaster(member)) return true;
+        return visibility === VISIBILITY.GM && entry.userId === userId;
+    }
+}
+
+// Singleton instance
+const privateRolls = new PrivateRolls();
+
+module.exports = privateRolls;
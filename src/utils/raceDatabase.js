@@ -0,0 +1,241 @@
+/**
+ * Race Database for Casandalee
+ * Structured PF1 race records (races.json in the repo root): ability modifiers,
+ * size, speed, senses, languages, weapon familiarity, racial traits and
+ * alternate racial traits. Records were imported from the old one-line trait
+ * strings with tools/import-race-traits.js.
+ *
+ * Homebrew races written in the editor live one per file in data/races/ and
+ * override built-in races of the same name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { validateRace } = require('./homebrewSchema');
+
+const RACES_FILE = path.join(__dirname, '../../races.json');
+
+const ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+/** Results where the GM or player picks the race */
+const SPECIAL_RESULT_PATTERN = /GM's Choice|Player's Choice/i;
+
+class RaceDatabase {
+    constructor() {
+        this.homebrewDir = path.join(__dirname, '../../data/races');
+        /** @type {Object<string, Object>} race name -> record */
+        this.races = {};
+        this.ABILITIES = ABILITIES;
+
+        this._ensureDirectoryExists();
+        this.load();
+    }
+
+    /**
+     * Ensure the homebrew races directory exists
+     */
+    _ensureDirectoryExists() {
+        if (!fs.existsSync(this.homebrewDir)) {
+            fs.mkdirSync(this.homebrewDir, { recursive: true });
+            logger.info('Created homebrew races directory');
+        }
+    }
+
+    /**
+     * (Re)load races.json and the homebrew races in data/races/
+     */
+    load() {
+        const races = {};
+        try {
+            Object.assign(races, JSON.parse(fs.readFileSync(RACES_FILE, 'utf8')));
+        } catch (error) {
+            logger.error('Error loading races.json:', error.message);
+        }
+
+        let homebrew = 0;
+        const files = fs.existsSync(this.homebrewDir)
+            ? fs.readdirSync(this.homebrewDir).filter(f => f.endsWith('.json'))
+            : [];
+        for (const file of files) {
+            try {
+                const race = JSON.parse(fs.readFileSync(path.join(this.homebrewDir, file), 'utf8'));
+                const errors = validateRace(race);
+                if (errors.length > 0) {
+                    logger.warn(`Skipping homebrew race ${file}: ${errors.join('; ')}`);
+                    continue;
+                }
+                races[race.name] = { weaponFamiliarity: [], alternateTraits: [], naturalArmor: 0, flexibleBonus: 0, ...race, source: 'homebrew' };
+                homebrew++;
+            } catch (error) {
+                logger.error(`Failed to load homebrew race ${file}:`, error.message);
+            }
+        }
+
+        this.races = races;
+        logger.info(`Loaded ${Object.keys(this.races).length} races (${homebrew} homebrew)`);
+    }
+
+    /**
+     * Extra names races answer to, from their records' aliases
+     * @returns {Object<string, string>} - Lowercase alias -> race name
+     */
+    aliases() {
+        const aliases = {};
+        for (const race of Object.values(this.races)) {
+            for (const alias of race.aliases || []) {
+                aliases[alias.toLowerCase()] = race.name;
+            }
+        }
+        return aliases;
+    }
+
+    /**
+     * All race names
+     * @param {Object} [options] - Filters
+     * @param {boolean} [options.includeSpecial=false] - Include "GM's Choice" style results
+     * @returns {string[]} - Race names
+     */
+    names({ includeSpecial = false } = {}) {
+        return Object.keys(this.races).filter(name => includeSpecial || !this.isSpecial(name));
+    }
+
+    /**
+     * Whether a result is a "GM's Choice"/"Player's Choice" placeholder rather than a race
+     * @param {string} name - Race name
+     * @returns {boolean} - True for placeholders
+     */
+    isSpecial(name) {
+        return SPECIAL_RESULT_PATTERN.test(name || '');
+    }
+
+    /**
+     * Get a race by exact name
+     * @param {string} name - Race name
+     * @returns {Object|null} - Race record or null
+     */
+    get(name) {
+        return this.races[name] || null;
+    }
+
+    /**
+     * Find a race tolerating case and subrace suffixes ("half-elf", "Human (Taldan)")
+     * @param {string|null} name - Race name as written on a dossier or sheet
+     * @returns {Object|null} - Race record or null
+     */
+    find(name) {
+        if (!name) return null;
+        if (this.races[name]) return this.races[name];
+
+        const needle = name.trim().toLowerCase();
+        const keys = Object.keys(this.races);
+        const key = keys.find(k => k.toLowerCase() === needle)
+            || keys.find(k => k.toLowerCase() === needle.replace(/\s*\(.*\)$/, ''));
+        return key ? this.races[key] : null;
+    }
+
+    /**
+     * A race's ability adjustments
+     * @param {string|null} name - Race name
+     * @returns {{known: boolean, modifiers: Object, flexible: number}} - Fixed adjustments and any floating bonus
+     */
+    getAbilityModifiers(name) {
+        const race = this.find(name);
+        if (!race) {
+            return { known: false, modifiers: {}, flexible: 0 };
+        }
+        const modifiers = { ...race.abilityModifiers };
+        const flexible = race.flexibleBonus || 0;
+        return { known: Object.keys(modifiers).length > 0 || flexible > 0, modifiers, flexible };
+    }
+
+    /**
+     * "+2 Dex, +2 Int, -2 Con" / "+2 to one ability"
+     * @param {Object} race - Race record
+     * @returns {string} - Ability adjustments
+     */
+    formatAbilities(race) {
+        const parts = ABILITIES
+            .filter(a => race.abilityModifiers[a])
+            .map(a => `${race.abilityModifiers[a] > 0 ? '+' : ''}${race.abilityModifiers[a]} ${a.charAt(0).toUpperCase()}${a.slice(1)}`);
+        if (race.flexibleBonus) parts.push(`+${race.flexibleBonus} to one ability`);
+        return parts.join(', ') || 'None';
+    }
+
+    /**
+     * "30 ft, swim 60 ft"
+     * @param {Object} race - Race record
+     * @returns {string} - Speeds
+     */
+    formatSpeed(race) {
+        return Object.entries(race.speed)
+            .map(([mode, feet]) => (mode === 'land' ? `${feet} ft` : `${mode} ${feet} ft`))
+            .join(', ');
+    }
+
+    /**
+     * "darkvision 60 ft, low-light vision"
+     * @param {Object} race - Race record
+     * @returns {string} - Senses, or "Normal"
+     */
+    formatSenses(race) {
+        if (race.senses.length === 0) return 'Normal';
+        return race.senses.map(s => (s.range ? `${s.type} ${s.range} ft` : s.type)).join(', ');
+    }
+
+    /**
+     * What changes going from one race to another
+     * @param {Object} from - Current race record
+     * @param {Object} to - New race record
+     * @returns {Object} - {abilities, flexible, size, speed, sensesGained, sensesLost, naturalArmor}
+     */
+    compare(from, to) {
+        const abilities = {};
+        for (const ability of ABILITIES) {
+            const delta = (to.abilityModifiers[ability] || 0) - (from.abilityModifiers[ability] || 0);
+            if (delta !== 0) abilities[ability] = delta;
+        }
+
+        const speed = {};
+        for (const mode of new Set([...Object.keys(from.speed), ...Object.keys(to.speed)])) {
+            const delta = (to.speed[mode] || 0) - (from.speed[mode] || 0);
+            if (delta !== 0) speed[mode] = delta;
+        }
+
+        const describe = s => (s.range ? `${s.type} ${s.range} ft` : s.type);
+        const fromSenses = from.senses.map(describe);
+        const toSenses = to.senses.map(describe);
+
+        return {
+            abilities,
+            flexible: (to.flexibleBonus || 0) - (from.flexibleBonus || 0),
+            size: from.size === to.size ? null : { from: from.size, to: to.size },
+            speed,
+            sensesGained: toSenses.filter(s => !fromSenses.includes(s)),
+            sensesLost: fromSenses.filter(s => !toSenses.includes(s)),
+            naturalArmor: (to.naturalArmor || 0) - (from.naturalArmor || 0)
+        };
+    }
+
+    /**
+     * One-line summary built from the structured record (reincarnation embeds, LLM context)
+     * @param {Object} race - Race record
+     * @returns {string} - Summary
+     */
+    formatSummary(race) {
+        if (this.isSpecial(race.name)) return race.summary;
+
+        const parts = [this.formatAbilities(race), race.size, this.formatSpeed(race)];
+        if (race.senses.length > 0) parts.push(this.formatSenses(race));
+        if (race.naturalArmor) parts.push(`natural armor +${race.naturalArmor}`);
+        parts.push(...race.traits.filter(t => t.name !== 'Ability Scores').map(t => (t.description ? `${t.name} (${t.description})` : t.name)));
+        if (race.weaponFamiliarity.length > 0) parts.push(`Weapon Familiarity (${race.weaponFamiliarity.join(', ')})`);
+        if (race.languages.length > 0) parts.push(`Languages: ${race.languages.join(', ')}`);
+        return parts.join(' | ');
+    }
+}
+
+// Singleton instance
+const raceDatabase = new RaceDatabase();
+
+module.exports = raceDatabase;
@@ -0,0 +1,184 @@
+/**
+ * Race Importer for Casandalee
+ * Turns the old one-line trait summaries ("+4 Str, +2 Dex, -2 Cha | Darkvision 60ft | Small | ...")
+ * into structured race records for races.json. Used by tools/import-race-traits.js
+ * and for homebrew races written in the same shorthand.
+ */
+
+const ABILITY_PATTERN = /([+-]\d+)\s+(Str|Dex|Con|Int|Wis|Cha)\b/gi;
+const HAS_ABILITY_PATTERN = /[+-]\d+\s+(Str|Dex|Con|Int|Wis|Cha)\b/i;
+const FLEXIBLE_PATTERN = /\+(\d+)\s+to one ability/i;
+
+/** Segments naming a sense, e.g. "Darkvision 60ft/Low-light", "Blindsense 30ft", "Keen Scent" */
+const SENSE_PATTERNS = [
+    { type: 'darkvision', pattern: /darkvision\s*(\d+)\s*ft/i },
+    { type: 'low-light vision', pattern: /low-light/i },
+    { type: 'blindsense', pattern: /blindsense\s*(\d+)\s*ft/i },
+    { type: 'blindsight', pattern: /blindsight\s*(\d+)\s*ft/i },
+    { type: 'tremorsense', pattern: /tremorsense\s*(\d+)\s*ft/i },
+    { type: 'scent', pattern: /^(keen\s+)?scent$/i }
+];
+
+/** Movement modes at the start of a segment: "Swim 60ft", "Climb 20ft", "Flight 60ft (average)" */
+const MOVEMENT_PATTERN = /^(swim|fly|flight|climb|burrow)\s+(\d+)\s*ft/i;
+
+/** Land speed inside a named trait: "Slow & Steady (20ft, never slowed)", "Fast (30ft)" */
+const LAND_SPEED_PATTERN = /^(slow|slow & steady|slow and steady|fast)\b.*?\((\d+)\s*ft/i;
+
+const SIZES = ['Fine', 'Diminutive', 'Tiny', 'Small', 'Medium', 'Large', 'Huge', 'Gargantuan', 'Colossal'];
+
+class RaceImporter {
+    /**
+     * Parse a legacy race entry into a structured record
+     * @param {string} name - Race name
+     * @param {Object} legacy - Old entry {traits, srdLink, lore}
+     * @returns {Object} - Structured race record
+     */
+    parse(name, { traits = '', srdLink = null, lore = null } = {}) {
+        const segments = traits.split('|').map(s => s.trim()).filter(Boolean);
+        const record = {
+            name,
+            abilityModifiers: {},
+            flexibleBonus: 0,
+            size: 'Medium',
+            speed: { land: null },
+            senses: [],
+            languages: [],
+            weaponFamiliarity: [],
+            naturalArmor: 0,
+            traits: [],
+            alternateTraits: [],
+            summary: traits,
+            srdLink,
+            lore
+        };
+
+        // The first segment carries the ability adjustments when it has any
+        if (segments.length > 0 && (HAS_ABILITY_PATTERN.test(segments[0]) || FLEXIBLE_PATTERN.test(segments[0]))) {
+            this._parseAbilities(segments.shift(), record);
+        }
+
+        for (const segment of segments) {
+            this._parseSegment(segment, record);
+        }
+
+        if (record.speed.land === null) {
+            record.speed.land = ['Small', 'Tiny'].includes(record.size) ? 20 : 30;
+        }
+
+        return record;
+    }
+
+    /**
+     * Import a whole legacy map of race name -> {traits, srdLink, lore}
+     * @param {Object} legacyMap - Old raceTraits object
+     * @returns {Object} - Race name -> structured record
+     */
+    importAll(legacyMap) {
+        const races = {};
+        for (const [name, legacy] of Object.entries(legacyMap)) {
+            races[name] = this.parse(name, legacy);
+        }
+        return races;
+    }
+
+    /**
+     * Read ability adjustments ("+2 Dex, +2 Int, -2 Con", "+2 to one ability")
+     * @param {string} segment - Ability segment
+     * @param {Object} record - Record being built
+     */
+    _parseAbilities(segment, record) {
+        for (const match of segment.matchAll(ABILITY_PATTERN)) {
+            const ability = match[2].toLowerCase();
+            record.abilityModifiers[ability] = (record.abilityModifiers[ability] || 0) + parseInt(match[1], 10);
+        }
+        const flexible = segment.match(FLEXIBLE_PATTERN);
+        if (flexible) {
+            record.flexibleBonus = parseInt(flexible[1], 10);
+        }
+        // Keep qualifiers like "(varies by subtype)" as a note
+        const note = segment.match(/\(([^)]*)\)/);
+        if (note) {
+            record.traits.push({ name: 'Ability Scores', description: note[1] });
+        }
+    }
+
+    /**
+     * Sort one trait segment into senses, speed, size, languages or named traits
+     * @param {string} segment - Trait segment
+     * @param {Object} record - Record being built
+     */
+    _parseSegment(segment, record) {
+        const { name, description } = this._splitNamed(segment);
+
+        // Size, optionally with its modifiers spelled out: "Small (+1 AC/attack, -1 CMB/CMD)"
+        const size = SIZES.find(s => s.toLowerCase() === name.toLowerCase());
+        if (size) {
+            record.size = size;
+            return;
+        }
+
+        // Senses: a segment can hold several ("Darkvision 60ft/Low-light")
+        const senses = SENSE_PATTERNS
+            .map(({ type, pattern }) => {
+                const match = segment.match(pattern);
+                return match ? { type, range: match[1] ? parseInt(match[1], 10) : null } : null;
+            })
+            .filter(Boolean);
+        if (senses.length > 0 && /^(darkvision|low-light|blindsense|blindsight|tremorsense|(keen\s+)?scent)/i.test(segment)) {
+            record.senses.push(...senses);
+            return;
+        }
+
+        const movement = segment.match(MOVEMENT_PATTERN);
+        if (movement) {
+            const mode = movement[1].toLowerCase() === 'flight' ? 'fly' : movement[1].toLowerCase();
+            record.speed[mode] = parseInt(movement[2], 10);
+            return;
+        }
+
+        if (/^languages?\s*:/i.test(segment)) {
+            record.languages = segment.replace(/^languages?\s*:/i, '')
+                .split(/,|\+/)
+                .map(s => s.trim())
+                .filter(s => s && !/bonus/i.test(s));
+            return;
+        }
+
+        if (/^weapon familiarity/i.test(name)) {
+            record.weaponFamiliarity = description.split(/[\/,]/).map(s => s.trim()).filter(Boolean);
+            return;
+        }
+
+        const naturalArmor = segment.match(/^natural armor\s*\+(\d+)/i);
+        if (naturalArmor) {
+            record.naturalArmor = parseInt(naturalArmor[1], 10);
+            return;
+        }
+
+        // Named traits that also set land speed stay in the trait list
+        const landSpeed = segment.match(LAND_SPEED_PATTERN);
+        if (landSpeed) {
+            record.speed.land = parseInt(landSpeed[2], 10);
+        }
+
+        record.traits.push({ name, description });
+    }
+
+    /**
+     * Split "Name (description)" into its parts
+     * @param {string} segment - Trait segment
+     * @returns {{name: string, description: string}} - Name and description
+     */
+    _splitNamed(segment) {
+        const match = segment.match(/^([^(]+?)\s*\((.*)\)\s*$/);
+        return match
+            ? { name: match[1].trim(), description: match[2].trim() }
+            : { name: segment.trim(), description: '' };
+    }
+}
+
+// Singleton instance
+const raceImporter = new RaceImporter();
+
+module.exports = raceImporter;
@@ -1,69 +1,65 @@
 /**
  * Reincarnation Table Utility
- * Handles the custom reincarnation table for sea-giant and sahuagin druids
+ * Reincarnation on top of the roll table engine: draws from the standard
+ * (reincarnation_table.json) or aquatic/Shackles table and attaches racial traits.
  */
 
-const fs = require('fs');
-const path = require('path');
-const raceTraits = require('./raceTraits');
+const rollTables = require('./rollTables');
+const raceDatabase = require('./raceDatabase');
+
+/** Table names as exported from Foundry */
+const STANDARD_TABLE = 'Reincarnation';
+const AQUATIC_TABLE = 'Aquatic Reincarnation (Shackles)';
 
 class ReincarnationTable {
-    constructor() {
-        this.tableData = null;
-        this.loadTable();
+    /**
+     * @param {string} tableName - Roll table to draw from
+     */
+    constructor(tableName) {
+        this.tableName = tableName;
     }
     
     /**
-     * Load the reincarnation table from JSON file
+     * The underlying roll table
+     * @returns {Object|null} - Normalized roll table
      */
-    loadTable() {
-        try {
-            const tablePath = path.join(__dirname, '../../reincarnation_table.json');
-            const tableContent = fs.readFileSync(tablePath, 'utf8');
-            this.tableData = JSON.parse(tableContent);
-            console.log(`✅ Loaded reincarnation table with ${this.tableData.results.length} entries`);
-        } catch (error) {
-            console.error('❌ Failed to load reincarnation table:', error.message);
-            this.tableData = null;
-        }
+    get tableData() {
+        return rollTables.find(this.tableName);
     }
     
     /**
      * Roll on the reincarnation table
+     * @param {string|null} [seed] - Seed to replay a logged roll (fresh seed if omitted)
+     * @param {Object} [options]
+     * @param {boolean} [options.record=true] - Record the draw (false when replaying for /roll verify)
      * @returns {Object} - Reincarnation result
      */
-    rollReincarnation() {
-        if (!this.tableData || !this.tableData.results) {
-            throw new Error('Reincarnation table not loaded');
+    rollReincarnation(seed = null, { record = true } = {}) {
+        if (!this.isReady()) {
+            throw new Error(`${this.tableName} table not loaded`);
         }
         
-        // Roll 1d43 (1-43, but table has 44 entries, so we need to handle this)
-        const roll = Math.floor(Math.random() * 43) + 1;
-        
-        // Find the result that matches the roll
-        const result = this.tableData.results.find(entry => 
-            entry.range && entry.range[0] <= roll && entry.range[1] >= roll
-        );
-        
-        if (!result) {
-            throw new Error(`No reincarnation result found for roll ${roll}`);
-        }
+        const draw = rollTables.draw(this.tableName, { seed, record });
+        // A nested table result (e.g., "roll on the aquatic table") ends in the final race
+        let final = draw;
+        while (final.nested) final = final.nested;
         
         // Get race traits from the database
-        const raceName = result.description;
-        const traitData = raceTraits[raceName] || {
-            traits: "No trait data available. Consult GM for racial abilities.",
-            srdLink: null
-        };
+        const raceName = final.result.text;
+        const race = raceDatabase.get(raceName);
         
         return {
-            roll: roll,
+            roll: draw.roll.total,
+            formula: draw.roll.formula,
             result: raceName,
-            originalRoll: roll,
-            tableName: this.tableData.name,
-            traits: traitData.traits,
-            srdLink: traitData.srdLink,
-            lore: traitData.lore || null
+            originalRoll: draw.roll.total,
+            details: final.result.details,
+            tableName: draw.table.name,
+            race,
+            traits: race ? raceDatabase.formatSummary(race) : 'No trait data available. Consult GM for racial abilities.',
+            srdLink: race ? race.srdLink : null,
+            lore: race ? race.lore : null,
+            seed: draw.seed
         };
     }
     
@@ -72,13 +68,14 @@ class ReincarnationTable {
      * @returns {Array} - Array of all possible reincarnation results
      */
     getAllOptions() {
-        if (!this.tableData || !this.tableData.results) {
+        const table = this.tableData;
+        if (!table) {
             return [];
         }
         
-        return this.tableData.results.map(entry => ({
+        return table.results.map(entry => ({
             range: entry.range,
-            description: entry.description
+            description: entry.text
         }));
     }
     
@@ -87,15 +84,16 @@ class ReincarnationTable {
      * @returns {Object} - Table metadata
      */
     getTableInfo() {
-        if (!this.tableData) {
+        const table = this.tableData;
+        if (!table) {
             return null;
         }
         
         return {
-            name: this.tableData.name,
-            description: this.tableData.description,
-            formula: this.tableData.formula,
-            totalEntries: this.tableData.results.length,
+            name: table.name,
+            description: table.description,
+            formula: table.formula,
+            totalEntries: table.results.length,
             isLoaded: true
         };
     }
@@ -105,12 +103,13 @@ class ReincarnationTable {
      * @returns {boolean} - Table ready status
      */
     isReady() {
-        return this.tableData !== null && this.tableData.results && this.tableData.results.length > 0;
+        const table = this.tableData;
+        return Boolean(table && table.results.length > 0);
     }
 }
 
-// Create singleton instance
-const reincarnationTable = new ReincarnationTable();
+// Create singleton instances
+const reincarnationTable = new ReincarnationTable(STANDARD_TABLE);
 
 module.exports = reincarnationTable;
-
+module.exports.aquatic = new ReincarnationTable(AQUATIC_TABLE);
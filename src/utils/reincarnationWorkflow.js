@@ -0,0 +1,377 @@
+/**
+ * Reincarnation Workflow for Casandalee
+ * Turns a reincarnation roll into an actual change to the character: the old
+ * race's ability adjustments come off the recorded scores, the new race's go
+ * on, and the spell's cost is tracked (two permanent negative levels, or
+ * 2 points of Con drain for a 1st-level character). Nothing is written until
+ * the player (or a GM) presses Confirm — the adjustments are then worked out
+ * again against the sheet as it is at that moment, so edits made while the
+ * plan waited aren't lost; the old body goes into the dossier's
+ * "past bodies" history.
+ */
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const dossierManager = require('./dossierManager');
+const privateRolls = require('./privateRolls');
+const raceDatabase = require('./raceDatabase');
+const rollLog = require('./rollLog');
+const logger = require('./logger');
+
+const ABILITIES = ['str', 'dex', 'con', 'int', 'wis', 'cha'];
+
+/** Button custom ID prefix; index.js routes buttons to the command with this name */
+const BUTTON_PREFIX = 'reincarnate';
+
+/** Reincarnate: two permanent negative levels, or 2 Con drain at 1st level */
+const NEGATIVE_LEVELS = 2;
+const CON_DRAIN = 2;
+
+/** Unconfirmed reincarnations expire after a week */
+const PENDING_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const abilityChoices = ABILITIES.map(ability => ({ name: ability.toUpperCase(), value: ability }));
+
+/** Shared slash command options for the floating "+2 to one ability" racial bonus */
+const bonusOption = option =>
+    option.setName('bonus')
+        .setDescription('Ability for the new race\'s +2 to one ability (human, half-elf, half-orc)')
+        .setRequired(false)
+        .addChoices(...abilityChoices);
+
+const previousBonusOption = option =>
+    option.setName('previous-bonus')
+        .setDescription('Ability that got the old race\'s +2 to one ability, if it had one')
+        .setRequired(false)
+        .addChoices(...abilityChoices);
+
+class ReincarnationWorkflow {
+    constructor() {
+        this.ABILITIES = ABILITIES;
+        this.bonusOption = bonusOption;
+        this.previousBonusOption = previousBonusOption;
+    }
+
+    /**
+     * Work out what a reincarnation does to a character, without changing anything
+     * @param {Object|null} dossier - Character dossier
+     * @param {Object} roll - Reincarnation roll {race, table, rollId}
+     * @param {Object} [choices] - Floating racial bonus choices
+     * @param {string|null} [choices.bonus] - Ability for the new race's "+2 to one ability"
+     * @param {string|null} [choices.previousBonus] - Ability that got the old race's floating bonus
+     * @returns {Object} - Plan {character, oldRace, newRace, before, after, removed, applied, bonus, previousBonus, negativeLevels, conDrain, warnings, blocked}
+     */
+    plan(dossier, { race, table, rollId }, { bonus = null, previousBonus = null } = {}) {
+        const abilities = dossier && dossier.sheet ? dossier.sheet.data.abilities : {};
+        const before = {};
+        for (const ability of ABILITIES) {
+            if (typeof abilities[ability] === 'number') {
+                before[ability] = abilities[ability];
+            }
+        }
+        const hasScores = Object.keys(before).length > 0;
+
+        const plan = {
+            character: dossier ? dossier.canonicalName : null,
+            table,
+            rollId,
+            oldRace: dossier ? dossier.race : null,
+            newRace: race,
+            before: hasScores ? before : null,
+            after: null,
+            removed: {},
+            applied: {},
+            bonus: null,
+            previousBonus: null,
+            negativeLevels: 0,
+            conDrain: 0,
+            warnings: [],
+            blocked: null
+        };
+
+        if (!dossier) {
+            plan.blocked = 'No dossier for this character — nothing to update.';
+            return plan;
+        }
+        if (raceDatabase.isSpecial(race)) {
+            plan.blocked = 'The GM picks the new race; update the dossier once it is decided.';
+            return plan;
+        }
+
+        // Take the old race's adjustments off
+        const old = raceDatabase.getAbilityModifiers(plan.oldRace);
+        if (plan.oldRace && !old.known) {
+            plan.warnings.push(`No ability adjustments known for ${plan.oldRace}; none were removed.`);
+        }
+        plan.removed = { ...old.modifiers };
+        if (old.flexible) {
+            const previous = previousBonus || dossier.racialBonus || null;
+            if (previous) {
+                plan.previousBonus = previous;
+                plan.removed[previous] = (plan.removed[previous] || 0) + old.flexible;
+            } else {
+                plan.warnings.push(`Couldn't tell which score got the old +${old.flexible} racial bonus; it was left in place (set it with \`previous-bonus:\`).`);
+            }
+        }
+
+        // Put the new race's adjustments on
+        const next = raceDatabase.getAbilityModifiers(race);
+        if (!next.known) {
+            plan.warnings.push(`No ability adjustments known for ${race}; none were applied.`);
+        }
+        plan.applied = { ...next.modifiers };
+        if (next.flexible) {
+            plan.bonus = bonus || dossier.racialBonus || this._highest(before) || 'str';
+            plan.applied[plan.bonus] = (plan.applied[plan.bonus] || 0) + next.flexible;
+            if (!bonus) {
+                plan.warnings.push(`${race} gets +${next.flexible} to one ability: put on ${plan.bonus.toUpperCase()} (choose another with \`bonus:\`).`);
+            }
+        }
+
+        // The spell's cost: 1st-level characters take Con drain instead of negative levels
+        if (dossier.level === 1) {
+            plan.conDrain = CON_DRAIN;
+        } else {
+            plan.negativeLevels = NEGATIVE_LEVELS;
+            if (typeof dossier.level !== 'number') {
+                plan.warnings.push('Level not recorded; assumed above 1st (negative levels, not Con drain).');
+            }
+        }
+
+        if (hasScores) {
+            plan.after = {};
+            for (const [ability, score] of Object.entries(before)) {
+                plan.after[ability] = score - (plan.removed[ability] || 0) + (plan.applied[ability] || 0);
+            }
+            if (typeof plan.after.con === 'number') {
+                plan.after.con -= plan.conDrain;
+                if (plan.after.con <= 0) {
+                    plan.blocked = 'Con would drop to 0 or less — this character can\'t be reincarnated.';
+                }
+            }
+        } else {
+            plan.warnings.push('No ability scores recorded (import a sheet with `/charactersheet`); only the race and penalties will change.');
+        }
+
+        return plan;
+    }
+
+    /**
+     * Plan a fresh reincarnation roll and hold it for confirmation
+     * @param {string} characterName - Character name
+     * @param {Object} result - Result of reincarnationTable.rollReincarnation()
+     * @param {Object} context - {table, rollId, userId, bonus, previousBonus}
+     * @returns {{plan: Object, fields: Object[], components: ActionRowBuilder[]}} - Plan plus embed fields and buttons
+     */
+    prepare(characterName, result, { table, rollId, userId, bonus = null, previousBonus = null }) {
+        const dossier = dossierManager.getDossier(characterName);
+        const plan = this.plan(dossier, { race: result.result, table, rollId }, { bonus, previousBonus });
+        if (!plan.blocked) {
+            this.propose(plan, userId);
+        }
+        return { plan, fields: this.buildPlanFields(plan), components: this.buildButtons(plan) };
+    }
+
+    /**
+     * Highest recorded ability
+     * @param {Object} scores - Ability -> score
+     * @returns {string|null} - Ability name or null
+     */
+    _highest(scores) {
+        const entries = Object.entries(scores);
+        if (entries.length === 0) return null;
+        return entries.reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+    }
+
+    /**
+     * Store a plan on the dossier until it is confirmed or cancelled
+     * @param {Object} plan - Result of plan()
+     * @param {string} userId - Discord user who rolled
+     */
+    propose(plan, userId) {
+        dossierManager.setPendingReincarnation(plan.character, {
+            ...plan,
+            proposedBy: userId,
+            proposedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Embed fields describing a plan
+     * @param {Object} plan - Result of plan()
+     * @returns {Object[]} - Embed fields
+     */
+    buildPlanFields(plan) {
+        const fields = [];
+        if (!plan.character) return fields;
+
+        if (plan.after) {
+            const lines = ABILITIES.filter(a => plan.before[a] !== undefined).map(ability => {
+                const delta = plan.after[ability] - plan.before[ability];
+                const change = delta === 0 ? '' : ` (${delta > 0 ? '+' : ''}${delta})`;
+                return `${ability.toUpperCase()} ${plan.before[ability]} → **${plan.after[ability]}**${change}`;
+            });
+            fields.push({ name: 'New Ability Scores', value: lines.join('\n'), inline: true });
+        }
+
+        const changes = [`Race: ${plan.oldRace || 'unknown'} → **${plan.newRace}**`];
+        if (plan.conDrain) changes.push(`Cost: ${plan.conDrain} points of Con drain (1st level)`);
+        if (plan.negativeLevels) changes.push(`Cost: ${plan.negativeLevels} permanent negative levels`);
+        fields.push({ name: 'Changes', value: changes.join('\n'), inline: true });
+
+        if (plan.warnings.length > 0) {
+            fields.push({ name: 'Notes', value: plan.warnings.map(w => `• ${w}`).join('\n').substring(0, 1024), inline: false });
+        }
+
+        fields.push(plan.blocked
+            ? { name: 'Not Applied', value: plan.blocked, inline: false }
+            : { name: 'Confirm?', value: 'Press **Confirm** to rebuild the dossier in the new body, or **Cancel** to keep it as it is.', inline: false });
+
+        return fields;
+    }
+
+    /**
+     * Confirm/cancel buttons for a plan. The roll id in the custom ID ties a
+     * button to the plan it was shown with ("reincarnate:confirm:<rollId>:<character>").
+     * @param {Object} plan - Result of plan()
+     * @returns {ActionRowBuilder[]} - Message components (empty if the plan can't be applied)
+     */
+    buildButtons(plan) {
+        if (plan.blocked) return [];
+        return [
+            new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`${BUTTON_PREFIX}:confirm:${plan.rollId}:${plan.character}`.substring(0, 100))
+                    .setLabel('Confirm')
+                    .setStyle(ButtonStyle.Success),
+                new ButtonBuilder()
+                    .setCustomId(`${BUTTON_PREFIX}:cancel:${plan.rollId}:${plan.character}`.substring(0, 100))
+                    .setLabel('Cancel')
+                    .setStyle(ButtonStyle.Secondary)
+            )
+        ];
+    }
+
+    /**
+     * Handle a Confirm/Cancel press
+     * @param {Object} interaction - Discord button interaction
+     */
+    async handleButton(interaction) {
+        const [, action, rollId, ...nameParts] = interaction.customId.split(':');
+        const character = nameParts.join(':');
+        const dossier = dossierManager.getDossier(character);
+        const pending = dossier && dossier.pendingReincarnation;
+
+        // Only whoever made this roll (or a GM) may touch its buttons, even once they're stale
+        const entry = rollLog.get(rollId);
+        const rolledBy = entry ? entry.userId
+            : (pending && String(pending.rollId) === rollId ? pending.proposedBy : null);
+        if (rolledBy !== interaction.user.id && !privateRolls.isGameMaster(interaction.member)) {
+            await interaction.reply({ content: '❌ Only the player who rolled or a GM can decide this.', ephemeral: true });
+            return;
+        }
+
+        if (!pending || Date.now() - new Date(pending.proposedAt).getTime() > PENDING_TTL_MS) {
+            if (pending) dossierManager.setPendingReincarnation(character, null);
+            await interaction.update({ components: [] });
+            await interaction.followUp({ content: '⌛ That reincarnation is no longer waiting for confirmation.', ephemeral: true });
+            return;
+        }
+
+        // A newer roll replaced the plan these buttons were shown with
+        if (String(pending.rollId) !== rollId) {
+            await interaction.update({ components: [] });
+            await interaction.followUp({
+                content: `⌛ That reincarnation was replaced by a newer roll (#${pending.rollId}) — use the buttons on that one.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        if (action === 'cancel') {
+            dossierManager.setPendingReincarnation(character, null);
+            logger.info('Reincarnation cancelled', { character, by: interaction.user.username });
+            await interaction.update({ components: [] });
+            await interaction.followUp(`↩️ **${dossier.canonicalName}** keeps their old dossier — the ${pending.newRace} body was not applied.`);
+            return;
+        }
+
+        let applied;
+        try {
+            applied = this.apply(pending, interaction.user.username, interaction.user.id);
+        } catch (error) {
+            dossierManager.setPendingReincarnation(character, null);
+            await interaction.update({ components: [] });
+            await interaction.followUp({ content: `❌ ${error.message}`, ephemeral: true });
+            return;
+        }
+        await interaction.update({ components: [] });
+        await interaction.followUp(`✅ **${dossier.canonicalName}** is now a **${applied.newRace}**. ${this._summary(applied)}`);
+    }
+
+    /**
+     * Write a confirmed plan to the dossier. The plan is worked out again from
+     * the current sheet, so only the racial adjustments and the spell's cost
+     * change — not any scores edited since the roll.
+     * @param {Object} pending - Pending plan
+     * @param {string} confirmedBy - Discord username
+     * @param {string|null} [confirmedById] - Discord user ID
+     * @returns {Object|null} - The plan as applied, or null if there is no dossier
+     * @throws {Error} - If the character changed race since the roll, or the plan can no longer be applied
+     */
+    apply(pending, confirmedBy, confirmedById = null) {
+        const dossier = dossierManager.getDossier(pending.character);
+        if (!dossier) return null;
+
+        if ((dossier.race || null) !== (pending.oldRace || null)) {
+            throw new Error(`${dossier.canonicalName} is a ${dossier.race || 'different race'} now, not the ${pending.oldRace || 'unknown race'} this roll was for — roll again.`);
+        }
+        const plan = this.plan(dossier, { race: pending.newRace, table: pending.table, rollId: pending.rollId }, {
+            bonus: pending.bonus,
+            previousBonus: pending.previousBonus
+        });
+        if (plan.blocked) {
+            throw new Error(plan.blocked);
+        }
+
+        dossierManager.applyReincarnation(plan.character, {
+            race: plan.newRace,
+            racialBonus: plan.bonus,
+            abilityScores: plan.after,
+            negativeLevels: plan.negativeLevels,
+            conDrain: plan.conDrain,
+            pastBody: {
+                race: plan.oldRace,
+                abilityScores: plan.before,
+                racialBonus: plan.previousBonus,
+                becameRace: plan.newRace,
+                table: plan.table,
+                rollId: plan.rollId,
+                confirmedBy
+            }
+        }, { updatedBy: confirmedBy, updatedById: confirmedById });
+
+        logger.info('Reincarnation applied', { character: plan.character, from: plan.oldRace, to: plan.newRace, rollId: plan.rollId });
+        return plan;
+    }
+
+    /**
+     * One-line summary of what a plan changed
+     * @param {Object} plan - Plan
+     * @returns {string} - Summary
+     */
+    _summary(plan) {
+        const parts = [];
+        if (plan.after) {
+            parts.push(ABILITIES.filter(a => plan.after[a] !== undefined)
+                .map(a => `${a.toUpperCase()} ${plan.after[a]}`).join(' '));
+        }
+        if (plan.negativeLevels) parts.push(`${plan.negativeLevels} negative levels`);
+        if (plan.conDrain) parts.push(`${plan.conDrain} Con drain`);
+        return parts.join(' • ');
+    }
+}
+
+// Singleton instance
+const reincarnationWorkflow = new ReincarnationWorkflow();
+
+module.exports = reincarnationWorkflow;
@@ -0,0 +1,173 @@
+/**
+ * Random Number Service for Casandalee
+ * Every random system (dice, reincarnation, personality selection, daily
+ * messages) draws from here instead of Math.random().
+ *
+ * Each auditable roll runs inside its own seeded stream: the seed is fresh
+ * crypto randomness in production, and the stream expands it with
+ * HMAC-SHA256 in counter mode. Replaying a stored seed reproduces the roll
+ * exactly, which is what /roll verify does.
+ *
+ * For tests, set RNG_SEED (or call rng.setSeed) to make everything deterministic.
+ */
+
+const crypto = require('crypto');
+
+/** 2^32, used for rejection sampling of uniform integers */
+const UINT32_RANGE = 0x100000000;
+
+/**
+ * Deterministic random stream derived from a seed
+ */
+class RandomStream {
+    /**
+     * @param {string} seed - Seed string
+     */
+    constructor(seed) {
+        this.seed = `${seed}`;
+        this.counter = 0;
+        this.block = null;
+        this.offset = 0;
+    }
+
+    /**
+     * Next 32 random bits
+     * @returns {number} - Unsigned 32-bit integer
+     */
+    nextUint32() {
+        if (!this.block || this.offset >= this.block.length) {
+            this.block = crypto.createHmac('sha256', this.seed).update(`${this.counter++}`).digest();
+            this.offset = 0;
+        }
+        const value = this.block.readUInt32BE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    /**
+     * Uniform float in [0, 1) with 53 bits of precision
+     * @returns {number} - Random float
+     */
+    random() {
+        const high = this.nextUint32() >>> 5;
+        const low = this.nextUint32() >>> 6;
+        return (high * 67108864 + low) / 9007199254740992;
+    }
+
+    /**
+     * Uniform integer in [min, max] without modulo bias
+     * @param {number} min - Lowest value (inclusive)
+     * @param {number} max - Highest value (inclusive)
+     * @returns {number} - Random integer
+     */
+    int(min, max) {
+        const range = max - min + 1;
+        if (!Number.isInteger(range) || range < 1 || range > UINT32_RANGE) {
+            throw new Error(`Invalid random range ${min}..${max}`);
+        }
+        const limit = UINT32_RANGE - (UINT32_RANGE % range);
+        let value;
+        do {
+            value = this.nextUint32();
+        } while (value >= limit);
+        return min + (value % range);
+    }
+}
+
+class RandomService {
+    constructor() {
+        /** Seed injected for tests; null means crypto randomness */
+        this.fixedSeed = process.env.RNG_SEED || null;
+        /** Stream used outside of any seeded roll */
+        this.stream = new RandomStream(this.fixedSeed || this._cryptoSeed());
+        /** Stream of the seeded roll currently running, if any */
+        this.active = null;
+    }
+
+    /**
+     * Fresh seed from the OS crypto source
+     * @returns {string} - 16 hex characters
+     */
+    _cryptoSeed() {
+        return crypto.randomBytes(8).toString('hex');
+    }
+
+    /**
+     * Inject a seed so every random system becomes deterministic (tests).
+     * Pass null to go back to crypto randomness.
+     * @param {string|number|null} seed - Seed
+     */
+    setSeed(seed) {
+        this.fixedSeed = seed === null || seed === undefined ? null : `${seed}`;
+        this.stream = new RandomStream(this.fixedSeed || this._cryptoSeed());
+        this.active = null;
+    }
+
+    /**
+     * Create a seed for a new roll. With an injected seed the sequence of
+     * roll seeds is itself deterministic.
+     * @returns {string} - 16 hex characters
+     */
+    generateSeed() {
+        if (!this.fixedSeed) return this._cryptoSeed();
+        return [this.stream.nextUint32(), this.stream.nextUint32()]
+            .map(n => n.toString(16).padStart(8, '0'))
+            .join('');
+    }
+
+    /**
+     * Run a synchronous function inside a seeded stream so its result can be
+     * replayed later. Nested calls without a seed share the outer stream, so
+     * e.g. an advantage roll (two rolls) is reproduced by one seed.
+     * @param {string|null} seed - Seed to replay, or null for a fresh one
+     * @param {Function} fn - Function that draws random numbers
+     * @returns {{seed: string, result: *}} - Seed used and the function's result
+     */
+    withSeed(seed, fn) {
+        if ((seed === null || seed === undefined) && this.active) {
+            return { seed: this.active.seed, result: fn() };
+        }
+
+        const previous = this.active;
+        this.active = new RandomStream(seed === null || seed === undefined ? this.generateSeed() : seed);
+        try {
+            return { seed: this.active.seed, result: fn() };
+        } finally {
+            this.active = previous;
+        }
+    }
+
+    /**
+     * Uniform float in [0, 1)
+     * @returns {number} - Random float
+     */
+    random() {
+        return (this.active || this.stream).random();
+    }
+
+    /**
+     * Uniform integer in [min, max]
+     * @param {number} min - Lowest value (inclusive)
+     * @param {number} max - Highest value (inclusive)
+     * @returns {number} - Random integer
+     */
+    int(min, max) {
+        return (this.active || this.stream).int(min, max);
+    }
+
+    /**
+     * Pick a random element
+     * @param {Array} items - Items to pick from
+     * @returns {*} - Random item, or undefined for an empty array
+     */
+    pick(items) {
+        if (!items || items.length === 0) return undefined;
+        return items[this.int(0, items.length - 1)];
+    }
+}
+
+// Singleton instance
+const rng = new RandomService();
+
+module.exports = rng;
+module.exports.RandomStream = RandomStream;
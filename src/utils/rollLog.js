@@ -0,0 +1,132 @@
+/**
+ * Roll Log for Casandalee
+ * Keeps every audited roll with the seed it was rolled from, so a disputed
+ * roll can be replayed with /roll verify <id>.
+ */
+
+const path = require('path');
+const logger = require('./logger');
+const storage = require('./storage');
+
+/** Oldest entries are dropped beyond this many */
+const MAX_ENTRIES = 5000;
+
+class RollLog {
+    constructor() {
+        // One file per roll, so logging a roll doesn't rewrite the whole log
+        this.store = storage.open(path.join(__dirname, '../../data/rolls'), 'rolls');
+        this.nextId = 1;
+        /** @type {Object[]} */
+        this.entries = [];
+
+        this._load();
+    }
+
+    /**
+     * Load the roll log from disk
+     */
+    _load() {
+        // Older versions kept the whole log in rolls.json
+        const legacy = this.store.get('rolls');
+        if (legacy) {
+            for (const entry of (legacy.entries || []).slice(-MAX_ENTRIES)) {
+                this.store.set(String(entry.id), entry);
+            }
+            this.store.set('nextId', legacy.nextId || (legacy.entries || []).length + 1);
+            this.store.delete('rolls');
+            this.store.flush();
+            logger.info('Moved the roll log to one file per roll');
+        }
+
+        this.entries = this.store.getAll()
+            .filter(({ key }) => /^\d+$/.test(key))
+            .map(({ value }) => value)
+            .sort((a, b) => a.id - b.id);
+        this.nextId = this.store.get('nextId') || (this.entries.length ? this.entries[this.entries.length - 1].id + 1 : 1);
+        logger.info(`Loaded ${this.entries.length} logged rolls`);
+    }
+
+    /**
+     * Record a roll
+     * @param {Object} entry - Roll details
+     * @param {string} entry.type - Replay type ('dice', 'advantage', 'attack', 'reincarnation', 'table')
+     * @param {Object} entry.input - Everything needed to replay the roll (besides the seed)
+     * @param {Object} entry.result - Roll result (must carry the seed it was rolled with)
+     * @param {string} [entry.userId] - Discord user ID of the roller
+     * @param {string} [entry.username] - Discord username of the roller
+     * @param {string|null} [entry.character] - Character the roll was for
+     * @param {string} [entry.visibility='public'] - 'public', 'gm' or 'blind'
+     * @returns {Object} - Stored entry with its id
+     */
+    record({ type, input, result, userId = null, username = null, character = null, visibility = 'public' }) {
+        const stored = {
+            id: this.nextId++,
+            type,
+            input,
+            seed: result.seed,
+            outcome: this.describeOutcome(type, result),
+            userId,
+            username,
+            character,
+            visibility,
+            timestamp: new Date().toISOString()
+        };
+
+        this.entries.push(stored);
+        this.store.set(String(stored.id), stored);
+        this.store.set('nextId', this.nextId);
+        while (this.entries.length > MAX_ENTRIES) {
+            this.store.delete(String(this.entries.shift().id));
+        }
+
+        return stored;
+    }
+
+    /**
+     * Short text describing a roll's outcome. Stored with the roll and
+     * recomputed on replay; the two must match for the roll to verify.
+     * @param {string} type - Replay type
+     * @param {Object} result - Roll result
+     * @returns {string} - Outcome text
+     */
+    describeOutcome(type, result) {
+        switch (type) {
+            case 'dice':
+                return result.breakdown.replace(/\*\*/g, '').substring(0, 300);
+            case 'advantage':
+                return `${result.roll1.total} vs ${result.roll2.total} → ${result.finalTotal}`;
+            case 'attack': {
+                const naturals = result.attacks
+                    .map(a => a.confirmation ? `${a.natural} (confirm ${a.confirmation.natural})` : `${a.natural}`)
+                    .join(', ');
+                return `d20: ${naturals}${result.damage ? ` • damage ${result.totalDamage}` : ''}`;
+            }
+            case 'reincarnation':
+                return `${result.roll}: ${result.result}`;
+            case 'table': {
+                const steps = [];
+                for (let step = result; step; step = step.nested) {
+                    steps.push(`${step.table.name} ${step.roll.total}: ${step.result.text}`);
+                }
+                return steps.join(' → ').substring(0, 300);
+            }
+            default:
+                throw new Error(`Unknown roll type "${type}"`);
+        }
+    }
+
+    /**
+     * Find a logged roll by id
+     * @param {number|string} id - Roll id (a leading "#" is allowed)
+     * @returns {Object|null} - Entry or null
+     */
+    get(id) {
+        const number = parseInt(`${id}`.replace(/^#/, ''), 10);
+        return this.entries.find(entry => entry.id === number) || null;
+    }
+}
+
+// Singleton instance
+const rollLog = new RollLog();
+
+module.exports = rollLog;
@@ -0,0 +1,97 @@
+/**
+ * Roll Statistics for Casandalee
+ * Analyzes a character's logged rolls: d20 distribution, natural 20s and 1s,
+ * and how their totals compare to what the dice should have produced.
+ */
+
+/** Mean and standard deviation of a single fair d20 */
+const D20_MEAN = 10.5;
+const D20_STD_DEV = Math.sqrt((20 * 20 - 1) / 12);
+
+class RollStats {
+    /**
+     * Summarize a roll history
+     * @param {Array} rollHistory - Dossier roll history entries
+     * @returns {Object} - Summary statistics
+     */
+    static summarize(rollHistory) {
+        const rolls = rollHistory || [];
+        const d20s = rolls.flatMap(entry => Array.isArray(entry.d20s) ? entry.d20s : []);
+
+        const distribution = Array(20).fill(0);
+        for (const natural of d20s) {
+            if (natural >= 1 && natural <= 20) distribution[natural - 1]++;
+        }
+
+        const d20Average = d20s.length > 0 ? d20s.reduce((sum, n) => sum + n, 0) / d20s.length : null;
+
+        // Totals versus the expression's expected value (only rolls logged with an expectation)
+        const withExpectation = rolls.filter(entry =>
+            typeof entry.expected === 'number' && typeof entry.result === 'number'
+        );
+        const averageDeviation = withExpectation.length > 0
+            ? withExpectation.reduce((sum, entry) => sum + (entry.result - entry.expected), 0) / withExpectation.length
+            : null;
+
+        return {
+            totalRolls: rolls.length,
+            d20Count: d20s.length,
+            distribution,
+            nat20s: distribution[19],
+            nat1s: distribution[0],
+            expectedNat20s: d20s.length / 20,
+            expectedNat1s: d20s.length / 20,
+            d20Average,
+            d20Expected: D20_MEAN,
+            luckScore: this.luckScore(d20Average, d20s.length),
+            comparedRolls: withExpectation.length,
+            averageDeviation
+        };
+    }
+
+    /**
+     * How many standard errors the d20 average sits from 10.5
+     * @param {number|null} average - Average natural d20
+     * @param {number} count - Number of d20s
+     * @returns {number|null} - z-score, or null without data
+     */
+    static luckScore(average, count) {
+        if (average === null || count === 0) return null;
+        return (average - D20_MEAN) / (D20_STD_DEV / Math.sqrt(count));
+    }
+
+    /**
+     * Describe a luck score in words
+     * @param {number|null} score - z-score from luckScore
+     * @returns {string} - Verdict
+     */
+    static describeLuck(score) {
+        if (score === null) return 'Not enough d20 rolls to judge.';
+        if (score >= 2) return '🍀 Blessed by Desna — far luckier than the dice should allow.';
+        if (score >= 1) return '😊 Running hot — noticeably above average.';
+        if (score > -1) return '⚖️ Perfectly ordinary — the dice are behaving.';
+        if (score > -2) return '😬 Running cold — noticeably below average.';
+        return '💀 Cursed — consider a new set of dice (or an atonement).';
+    }
+
+    /**
+     * Render a d20 distribution as a text histogram
+     * @param {number[]} distribution - Counts for 1..20
+     * @returns {string} - Histogram lines (e.g., "20 │ ███ 3")
+     */
+    static formatHistogram(distribution) {
+        const maxCount = Math.max(...distribution, 1);
+        const barWidth = 12;
+
+        return distribution
+            .map((count, index) => {
+                const face = `${index + 1}`.padStart(2, ' ');
+                const bar = '█'.repeat(Math.round((count / maxCount) * barWidth));
+                return `${face} │ ${bar} ${count}`;
+            })
+            .reverse()
+            .join('\n');
+    }
+}
+
+module.exports = RollStats;
@@ -0,0 +1,393 @@
+/**
+ * Roll Table Engine for Casandalee
+ * Reads FoundryVTT RollTable exports and draws from them the way Foundry does:
+ * the table's `formula` is rolled and matched against each result's `range`;
+ * results without ranges get them from their `weight`. Tables with
+ * `replacement: false` mark results as `drawn` until reset, and results that
+ * point at another RollTable draw from it in turn.
+ *
+ * Built-in tables live in the repo root (reincarnation_table.json,
+ * reincarnation_aquatic_table.json); imported tables go in data/tables/.
+ * What has been drawn is kept in data/table-draws/ (one file per table); a
+ * table's own `drawn` flags only count until it is first drawn from or reset.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const diceRoller = require('./diceRoller');
+const rng = require('./rng');
+const logger = require('./logger');
+const storage = require('./storage');
+const { validateTable } = require('./homebrewSchema');
+
+/** Tables shipped with the bot */
+const BUILT_IN_TABLES = [
+    path.join(__dirname, '../../reincarnation_table.json'),
+    path.join(__dirname, '../../reincarnation_aquatic_table.json')
+];
+
+/** How deep nested table results may go */
+const MAX_NESTING = 5;
+
+/** Re-rolls before falling back to a weighted pick among undrawn results */
+const MAX_REROLLS = 20;
+
+class RollTables {
+    constructor() {
+        this.tableDir = path.join(__dirname, '../../data/tables');
+        /** @type {Map<string, Object>} table id -> normalized table */
+        this.tables = new Map();
+        /** @type {Object<string, string[]>} table id -> drawn result ids */
+        this.drawn = {};
+
+        this.tableStore = storage.open(this.tableDir, 'tables');
+        this.drawStore = storage.open(path.join(__dirname, '../../data/table-draws'), 'draws');
+        this._migrateDrawState();
+        this.loadAll();
+    }
+
+    /**
+     * Older versions kept every table's draw state in data/table-draws.json
+     */
+    _migrateDrawState() {
+        const legacyFile = path.join(__dirname, '../../data/table-draws.json');
+        if (!fs.existsSync(legacyFile)) return;
+
+        try {
+            const legacy = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+            for (const [tableId, ids] of Object.entries(legacy)) {
+                this.drawStore.set(tableId, ids);
+            }
+            this.drawStore.flush();
+            fs.unlinkSync(legacyFile);
+            logger.info('Moved table draw state to data/table-draws/');
+        } catch (error) {
+            logger.error('Error migrating table draw state:', error.message);
+        }
+    }
+
+    /**
+     * (Re)load built-in and imported tables plus the drawn-result state
+     */
+    loadAll() {
+        this.tables.clear();
+
+        const sources = [
+            ...BUILT_IN_TABLES.map(file => ({ name: path.basename(file, '.json'), source: 'built-in', read: () => JSON.parse(fs.readFileSync(file, 'utf8')) })),
+            ...this.tableStore.getAll().map(({ key, value }) => ({ name: key, source: 'imported', read: () => value }))
+        ];
+
+        for (const { name, source, read } of sources) {
+            try {
+                const raw = read();
+                const errors = validateTable(raw);
+                if (errors.length > 0) {
+                    logger.warn(`Skipping roll table ${name}: ${errors.join('; ')}`);
+                    continue;
+                }
+                const table = this.normalize(raw, name);
+                table.source = source;
+                this.tables.set(table.id, table);
+            } catch (error) {
+                logger.error(`Failed to load roll table ${name}:`, error.message);
+            }
+        }
+
+        this.drawn = {};
+        for (const { key, value } of this.drawStore.getAll()) {
+            this.drawn[key] = value;
+        }
+
+        logger.info(`Loaded ${this.tables.size} roll tables`);
+    }
+
+    /**
+     * Save which results have been drawn from a table without replacement
+     * @param {string} tableId - Table id
+     */
+    _saveDrawState(tableId) {
+        this.drawStore.set(tableId, this.drawn[tableId]);
+    }
+
+    /**
+     * Turn a Foundry RollTable export (any version) into the engine's shape
+     * @param {Object} raw - RollTable JSON
+     * @param {string} fallbackId - Id to use when the export has no _id
+     * @returns {Object} - Normalized table
+     */
+    normalize(raw, fallbackId) {
+        if (!raw || !Array.isArray(raw.results) || raw.results.length === 0) {
+            throw new Error('Not a RollTable: missing results');
+        }
+
+        const results = raw.results.map((result, index) => ({
+            id: result._id || `${index + 1}`,
+            // v13 uses description/name; older exports use text
+            text: this._stripHtml(result.description || result.text || result.name || ''),
+            details: result.details || null,
+            weight: typeof result.weight === 'number' ? result.weight : 1,
+            range: Array.isArray(result.range) && result.range.length === 2 ? [...result.range] : null,
+            type: result.type,
+            documentCollection: result.documentCollection || result.collection || null,
+            documentId: result.documentId || result.resultId || null,
+            documentUuid: result.documentUuid || null,
+            drawn: result.drawn === true
+        }));
+
+        // Results without ranges get consecutive ranges sized by weight
+        if (results.some(r => !r.range)) {
+            let next = 1;
+            for (const result of results) {
+                result.range = [next, next + Math.max(result.weight, 1) - 1];
+                next = result.range[1] + 1;
+            }
+        }
+
+        const maxRange = Math.max(...results.map(r => r.range[1]));
+
+        return {
+            id: raw._id || fallbackId,
+            name: raw.name || fallbackId,
+            description: this._stripHtml(raw.description || ''),
+            formula: raw.formula || `1d${maxRange}`,
+            replacement: raw.replacement !== false,
+            results
+        };
+    }
+
+    /**
+     * Remove HTML tags and Foundry @UUID links from text
+     * @param {string} text - HTML text
+     * @returns {string} - Plain text
+     */
+    _stripHtml(text) {
+        return `${text}`
+            .replace(/@UUID\[[^\]]*\]\{([^}]*)\}/g, '$1')
+            .replace(/<[^>]+>/g, '')
+            .trim();
+    }
+
+    /**
+     * Find a table by id or name (case-insensitive, exact then prefix then substring)
+     * @param {string} nameOrId - Table name or id
+     * @returns {Object|null} - Table or null
+     */
+    find(nameOrId) {
+        if (!nameOrId) return null;
+        if (this.tables.has(nameOrId)) return this.tables.get(nameOrId);
+
+        const needle = nameOrId.trim().toLowerCase();
+        const tables = [...this.tables.values()];
+        return tables.find(t => t.name.toLowerCase() === needle || t.id.toLowerCase() === needle)
+            || tables.find(t => t.name.toLowerCase().startsWith(needle))
+            || tables.find(t => t.name.toLowerCase().includes(needle))
+            || null;
+    }
+
+    /**
+     * List every loaded table
+     * @returns {Object[]} - Tables sorted by name
+     */
+    list() {
+        return [...this.tables.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Ids of results already drawn from a table
+     * @param {Object} table - Table
+     * @returns {string[]} - Result ids
+     */
+    getDrawnIds(table) {
+        // Saved state wins once there is any, so a reset sticks even if the table file still says drawn
+        if (this.drawn[table.id]) return [...this.drawn[table.id]];
+        return table.results.filter(r => r.drawn).map(r => r.id);
+    }
+
+    /**
+     * Draw from a table
+     * @param {string} nameOrId - Table name or id
+     * @param {Object} [options] - Draw options
+     * @param {string|null} [options.seed] - Seed to replay a logged draw
+     * @param {string[]|null} [options.exclude] - Drawn result ids to use instead of the saved state (replays)
+     * @param {string[][]|null} [options.nestedExclude] - The same for each nested table, outermost first (replays)
+     * @param {boolean} [options.record=true] - Mark the result drawn on tables without replacement
+     * @returns {Object} - {table, roll, result, nested, excluded, nestedExcluded, seed}
+     */
+    draw(nameOrId, { seed = null, exclude = null, nestedExclude = null, record = true } = {}) {
+        const table = this.find(nameOrId);
+        if (!table) {
+            throw new Error(`No roll table named "${nameOrId}"`);
+        }
+
+        const excluded = exclude || (table.replacement ? [] : this.getDrawnIds(table));
+        const { seed: usedSeed, result: drawn } = rng.withSeed(seed, () => this._drawFrom(table, excluded, 0, nestedExclude));
+
+        if (record) {
+            this._markDrawn(drawn);
+        }
+
+        // What each nested table had drawn at the time, so the draw can be replayed
+        const nestedExcluded = [];
+        for (let step = drawn.nested; step; step = step.nested) {
+            nestedExcluded.push(step.excluded);
+        }
+
+        return { ...drawn, excluded, nestedExcluded, seed: usedSeed };
+    }
+
+    /**
+     * Draw inside the current seeded stream, following nested tables
+     * @param {Object} table - Table
+     * @param {string[]} excluded - Drawn result ids to skip
+     * @param {number} depth - Nesting depth
+     * @param {string[][]|null} nestedExclude - Drawn result ids for each nested table (replays; saved state if null)
+     * @returns {Object} - {table, roll, result, nested, excluded}
+     */
+    _drawFrom(table, excluded, depth, nestedExclude) {
+        const available = table.results.filter(r => !excluded.includes(r.id));
+        if (available.length === 0) {
+            throw new Error(`Every result on "${table.name}" has been drawn — reset it with \`/table reset\``);
+        }
+
+        // Roll the formula; on tables without replacement, re-roll results already drawn
+        let roll = null;
+        let result = null;
+        for (let attempt = 0; attempt < MAX_REROLLS && !result; attempt++) {
+            roll = diceRoller.roll(table.formula);
+            result = available.find(r => r.range[0] <= roll.total && r.range[1] >= roll.total) || null;
+        }
+        if (!result) {
+            result = this._weightedPick(available);
+        }
+
+        const drawn = {
+            table: { id: table.id, name: table.name, replacement: table.replacement },
+            roll: { formula: table.formula, total: roll.total, breakdown: roll.breakdown },
+            result: {
+                id: result.id,
+                text: result.text,
+                details: result.details,
+                range: result.range
+            },
+            nested: null,
+            excluded
+        };
+
+        const nestedTable = this._linkedTable(result);
+        if (nestedTable) {
+            if (depth >= MAX_NESTING) {
+                throw new Error(`Nested tables go deeper than ${MAX_NESTING} levels`);
+            }
+            const nestedExcluded = (nestedExclude && nestedExclude[depth])
+                || (nestedTable.replacement ? [] : this.getDrawnIds(nestedTable));
+            drawn.nested = this._drawFrom(nestedTable, nestedExcluded, depth + 1, nestedExclude);
+        }
+
+        return drawn;
+    }
+
+    /**
+     * Pick a result by weight (used when re-rolls keep landing on drawn results)
+     * @param {Object[]} results - Available results
+     * @returns {Object} - Result
+     */
+    _weightedPick(results) {
+        const total = results.reduce((sum, r) => sum + Math.max(r.weight, 1), 0);
+        let pick = rng.int(1, total);
+        for (const result of results) {
+            pick -= Math.max(result.weight, 1);
+            if (pick <= 0) return result;
+        }
+        return results[results.length - 1];
+    }
+
+    /**
+     * The RollTable a result points at, if any
+     * @param {Object} result - Table result
+     * @returns {Object|null} - Linked table or null
+     */
+    _linkedTable(result) {
+        const uuid = result.documentUuid || '';
+        const isTable = result.documentCollection === 'RollTable'
+            || /(^|\.)RollTable\./.test(uuid)
+            || result.type === 'RollTable';
+        if (!isTable) return null;
+
+        const id = result.documentId || uuid.split('.').pop();
+        const linked = this.tables.get(id) || this.find(result.text);
+        if (!linked) {
+            logger.warn(`Nested roll table ${id || result.text} is not loaded`);
+        }
+        return linked;
+    }
+
+    /**
+     * Mark a draw (and its nested draws) as drawn on tables without replacement
+     * @param {Object} drawn - Draw from _drawFrom
+     */
+    _markDrawn(drawn) {
+        for (let step = drawn; step; step = step.nested) {
+            if (step.table.replacement) continue;
+            const table = this.tables.get(step.table.id);
+            if (!this.drawn[step.table.id]) this.drawn[step.table.id] = table ? this.getDrawnIds(table) : [];
+            this.drawn[step.table.id].push(step.result.id);
+            this._saveDrawState(step.table.id);
+        }
+    }
+
+    /**
+     * Put every drawn result back in a table
+     * @param {string} nameOrId - Table name or id
+     * @returns {Object} - Table
+     */
+    reset(nameOrId) {
+        const table = this.find(nameOrId);
+        if (!table) {
+            throw new Error(`No roll table named "${nameOrId}"`);
+        }
+        for (const result of table.results) result.drawn = false;
+        // An empty list rather than none, so `drawn` flags in the table file don't come back on reload
+        this.drawn[table.id] = [];
+        this._saveDrawState(table.id);
+        return table;
+    }
+
+    /**
+     * Import a Foundry RollTable export into data/tables/
+     * @param {Object} raw - RollTable JSON
+     * @returns {Object} - Normalized table
+     */
+    import(raw) {
+        const errors = validateTable(raw);
+        if (errors.length > 0) {
+            throw new Error(`Not a valid RollTable: ${errors.slice(0, 3).join('; ')}`);
+        }
+        const table = this.normalize(raw, this._slug(raw && raw.name));
+        if (!diceRoller.parseNotation(table.formula.trim().toLowerCase())) {
+            throw new Error(`Table formula "${table.formula}" isn't valid dice notation`);
+        }
+
+        this.tableStore.set(this._slug(table.name), raw);
+        this.tableStore.flush();
+
+        table.source = 'imported';
+        this.tables.set(table.id, table);
+        logger.info(`Imported roll table "${table.name}" (${table.results.length} results)`);
+
+        return table;
+    }
+
+    /**
+     * File-safe slug for a table name
+     * @param {string} name - Table name
+     * @returns {string} - Slug
+     */
+    _slug(name) {
+        return `${name || 'table'}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'table';
+    }
+}
+
+// Singleton instance
+const rollTables = new RollTables();
+
+module.exports = rollTables;
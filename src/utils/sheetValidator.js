@@ -0,0 +1,287 @@
+/**
+ * Sheet Validator for Casandalee
+ * Cross-checks a character sheet against PF1 rules before it is stored: ability
+ * modifiers against save and skill totals, BAB against level, CMB and CMD, and
+ * the AC components against total AC. Vision reads of a screenshot misread
+ * digits and drop signs; these checks catch most of that. A flagged number can
+ * still be right (an unusual feat or item), so the player gets to accept it.
+ */
+
+const pf1Math = require('./pf1Math');
+const raceDatabase = require('./raceDatabase');
+const characterSheet = require('./characterSheet');
+
+/** Ability scores outside this range are almost certainly misread */
+const MIN_ABILITY_SCORE = 1;
+const MAX_ABILITY_SCORE = 40;
+
+/** Room left for resistance, luck, morale and trait bonuses on a save */
+const SAVE_BONUS_ALLOWANCE = 6;
+
+/** Room left for racial, competence and feat bonuses on a skill */
+const SKILL_BONUS_ALLOWANCE = 12;
+
+/** How far armor check and size penalties can push a skill below its ability modifier */
+const SKILL_PENALTY_ALLOWANCE = 10;
+
+/** Classes whose Divine Grace adds Cha to every save */
+const DIVINE_GRACE_PATTERN = /paladin/i;
+
+class SheetValidator {
+    /**
+     * Cross-check a sheet's numbers
+     * @param {Object} data - Sheet data
+     * @returns {Object[]} - Issues [{field, value, expected, message}]; expected is null when the rules only give a range
+     */
+    check(data) {
+        const issues = [];
+        const mods = {};
+        for (const ability of characterSheet.ABILITIES) {
+            const score = data.abilities[ability];
+            if (score === null) continue;
+            if (score < MIN_ABILITY_SCORE || score > MAX_ABILITY_SCORE) {
+                issues.push(this._issue(data, `abilities.${ability}`, null,
+                    `${ability.toUpperCase()} ${score} is outside ${MIN_ABILITY_SCORE}-${MAX_ABILITY_SCORE}`));
+                continue;
+            }
+            mods[ability] = pf1Math.abilityModifier(score);
+        }
+
+        const context = {
+            mods,
+            level: this._level(data),
+            classes: this._classes(data),
+            size: this._size(data)
+        };
+
+        this._checkBab(data, context, issues);
+        this._checkManeuvers(data, context, issues);
+        this._checkArmorClass(data, context, issues);
+        this._checkSaves(data, context, issues);
+        this._checkSkills(data, context, issues);
+
+        return issues;
+    }
+
+    /**
+     * Sheet data with the expected value filled in for every issue that has one
+     * @param {Object} data - Sheet data
+     * @param {Object[]} issues - Result of check()
+     * @returns {Object} - New sheet data
+     */
+    applyExpected(data, issues) {
+        let corrected = data;
+        for (const issue of issues) {
+            if (issue.expected !== null) {
+                corrected = characterSheet.setValue(corrected, issue.field, issue.expected);
+            }
+        }
+        return corrected;
+    }
+
+    /**
+     * BAB has to sit between the slowest and fastest progression for the character's levels
+     * @param {Object} data - Sheet data
+     * @param {Object} context - {mods, level, classes, size}
+     * @param {Object[]} issues - Issues to add to
+     */
+    _checkBab(data, { classes }, issues) {
+        if (data.bab === null || classes.length === 0) return;
+        const min = classes.reduce((sum, c) => sum + pf1Math.baseAttack('low', c.level), 0);
+        const max = classes.reduce((sum, c) => sum + pf1Math.baseAttack('high', c.level), 0);
+        if (data.bab < min || data.bab > max) {
+            issues.push(this._issue(data, 'bab', null,
+                `BAB ${this._sign(data.bab)} is outside ${this._sign(min)} to ${this._sign(max)} for ${this._describeLevels(classes)}`));
+        }
+    }
+
+    /**
+     * CMB = BAB + Str (Dex with Agile Maneuvers) + size; CMD adds 10, Dex and the
+     * deflection/dodge/insight bonuses that touch AC also shows
+     * @param {Object} data - Sheet data
+     * @param {Object} context - {mods, level, classes, size}
+     * @param {Object[]} issues - Issues to add to
+     */
+    _checkManeuvers(data, { mods, size }, issues) {
+        if (data.bab === null || mods.str === undefined) return;
+
+        const agile = data.feats.some(f => /agile maneuvers/i.test(f)) && mods.dex !== undefined;
+        const attackMod = agile ? Math.max(mods.str, mods.dex) : mods.str;
+        const attackLabel = agile && mods.dex > mods.str ? 'Dex' : 'Str';
+        const sizeNote = pf1Math.specialSizeModifier(size) ? `, ${size} ${this._sign(pf1Math.specialSizeModifier(size))}` : '';
+
+        if (data.cmb !== null) {
+            const expected = pf1Math.cmb({ bab: data.bab, str: attackMod, size });
+            if (data.cmb !== expected) {
+                issues.push(this._issue(data, 'cmb', expected,
+                    `CMB ${this._sign(data.cmb)}, expected ${this._sign(expected)} (BAB ${this._sign(data.bab)}, ${attackLabel} ${this._sign(attackMod)}${sizeNote})`));
+            }
+        }
+
+        if (data.cmd !== null && mods.dex !== undefined) {
+            const base = pf1Math.cmd({ bab: data.bab, str: mods.str, dex: mods.dex, size });
+            const touchBonus = data.ac.touch !== null
+                ? Math.max(0, data.ac.touch - 10 - mods.dex - pf1Math.sizeModifier(size))
+                : 0;
+            if (data.cmd < base || data.cmd > base + touchBonus) {
+                const expected = data.cmd < base ? base : base + touchBonus;
+                const range = touchBonus > 0 ? `${base}-${base + touchBonus}` : `${base}`;
+                issues.push(this._issue(data, 'cmd', expected,
+                    `CMD ${data.cmd}, expected ${range} (10 + BAB ${this._sign(data.bab)}, Str ${this._sign(mods.str)}, Dex ${this._sign(mods.dex)}${sizeNote})`));
+            }
+        }
+    }
+
+    /**
+     * Touch and flat-footed AC can't beat AC, touch can't drop below 10 + size + a
+     * Dex penalty, and flat-footed only loses the Dex bonus and dodge bonuses
+     * @param {Object} data - Sheet data
+     * @param {Object} context - {mods, level, classes, size}
+     * @param {Object[]} issues - Issues to add to
+     */
+    _checkArmorClass(data, { mods, size }, issues) {
+        const { normal, touch, flatFooted } = data.ac;
+        if (normal === null) return;
+
+        if (touch !== null && touch > normal) {
+            issues.push(this._issue(data, 'ac.touch', null, `Touch AC ${touch} is higher than AC ${normal}`));
+        } else if (touch !== null && mods.dex !== undefined) {
+            const floor = 10 + pf1Math.sizeModifier(size) + Math.min(0, mods.dex);
+            if (touch < floor) {
+                issues.push(this._issue(data, 'ac.touch', floor,
+                    `Touch AC ${touch} is below ${floor} (10, Dex ${this._sign(mods.dex)}${pf1Math.sizeModifier(size) ? `, ${size} ${this._sign(pf1Math.sizeModifier(size))}` : ''})`));
+            }
+        }
+
+        if (flatFooted === null) return;
+        if (flatFooted > normal) {
+            issues.push(this._issue(data, 'ac.flatFooted', null, `Flat-footed AC ${flatFooted} is higher than AC ${normal}`));
+        } else if (mods.dex !== undefined) {
+            const dodge = data.feats.some(f => /^dodge$/i.test(f)) ? 1 : 0;
+            const lost = Math.max(0, mods.dex) + dodge;
+            if (normal - flatFooted > lost) {
+                issues.push(this._issue(data, 'ac.flatFooted', normal - lost,
+                    `Flat-footed AC ${flatFooted} is ${normal - flatFooted} below AC ${normal}, but losing Dex ${this._sign(mods.dex)}${dodge ? ' and Dodge' : ''} only costs ${lost}`));
+            }
+        }
+    }
+
+    /**
+     * Save total minus its ability modifier has to be a base save for the
+     * character's levels plus a plausible bonus
+     * @param {Object} data - Sheet data
+     * @param {Object} context - {mods, level, classes, size}
+     * @param {Object[]} issues - Issues to add to
+     */
+    _checkSaves(data, { mods, classes }, issues) {
+        const divineGrace = classes.some(c => DIVINE_GRACE_PATTERN.test(c.name)) && mods.cha > 0 ? mods.cha : 0;
+
+        for (const [save, ability] of Object.entries(pf1Math.SAVE_ABILITIES)) {
+            const total = data.saves[save];
+            if (total === null || mods[ability] === undefined) continue;
+
+            const base = total - mods[ability] - divineGrace;
+            const min = classes.reduce((sum, c) => sum + pf1Math.baseSave('low', c.level), 0);
+            const max = classes.reduce((sum, c) => sum + pf1Math.baseSave('high', c.level), 0) + SAVE_BONUS_ALLOWANCE;
+            if (base < min || (classes.length > 0 && base > max)) {
+                const label = characterSheet.fieldLabel(`saves.${save}`);
+                const allowed = classes.length > 0
+                    ? `a base save at ${this._describeLevels(classes)} is ${this._sign(min)} to ${this._sign(max - SAVE_BONUS_ALLOWANCE)}`
+                    : 'a base save can\'t be negative';
+                issues.push(this._issue(data, `saves.${save}`, null,
+                    `${label} ${this._sign(total)} leaves ${this._sign(base)} after ${ability.charAt(0).toUpperCase()}${ability.slice(1)} ${this._sign(mods[ability])}${divineGrace ? ` and Divine Grace ${this._sign(divineGrace)}` : ''}; ${allowed}`));
+            }
+        }
+    }
+
+    /**
+     * Skill total minus its ability modifier can't beat ranks (max one per
+     * level) + the class skill bonus + typical item/racial bonuses
+     * @param {Object} data - Sheet data
+     * @param {Object} context - {mods, level, classes, size}
+     * @param {Object[]} issues - Issues to add to
+     */
+    _checkSkills(data, { mods, level }, issues) {
+        for (const skill of data.skills) {
+            const ability = pf1Math.skillAbility(skill.name);
+            if (skill.bonus === null || !ability || mods[ability] === undefined) continue;
+
+            const rest = skill.bonus - mods[ability];
+            const abilityNote = `${ability.charAt(0).toUpperCase()}${ability.slice(1)} ${this._sign(mods[ability])}`;
+            if (rest < -SKILL_PENALTY_ALLOWANCE) {
+                issues.push(this._issue(data, `skills.${skill.name}`, null,
+                    `${skill.name} ${this._sign(skill.bonus)} is far below ${abilityNote}`));
+            } else if (level !== null && rest > level + pf1Math.CLASS_SKILL_BONUS + SKILL_BONUS_ALLOWANCE) {
+                issues.push(this._issue(data, `skills.${skill.name}`, null,
+                    `${skill.name} ${this._sign(skill.bonus)} is more than ${abilityNote}, ${level} ranks, class skill +${pf1Math.CLASS_SKILL_BONUS} and typical bonuses allow`));
+            }
+        }
+    }
+
+    /**
+     * Character level from class levels, else the sheet's level
+     * @param {Object} data - Sheet data
+     * @returns {number|null} - Level or null
+     */
+    _level(data) {
+        const classes = data.classes || [];
+        if (classes.length > 0) return classes.reduce((sum, c) => sum + c.level, 0);
+        return data.level;
+    }
+
+    /**
+     * Class levels, or the whole level as one class when the sheet only has a total
+     * @param {Object} data - Sheet data
+     * @returns {Object[]} - [{name, level}]
+     */
+    _classes(data) {
+        if ((data.classes || []).length > 0) return data.classes;
+        return data.level ? [{ name: data.class || 'level', level: data.level }] : [];
+    }
+
+    /**
+     * Size category from the race (Medium when unknown)
+     * @param {Object} data - Sheet data
+     * @returns {string} - Size
+     */
+    _size(data) {
+        const race = raceDatabase.find(data.race);
+        return race && race.size ? race.size : 'Medium';
+    }
+
+    /**
+     * "level 7" or "Fighter 5/Rogue 2"
+     * @param {Object[]} classes - [{name, level}]
+     * @returns {string} - Description
+     */
+    _describeLevels(classes) {
+        if (classes.length === 1) return `level ${classes[0].level}`;
+        return classes.map(c => `${c.name} ${c.level}`).join('/');
+    }
+
+    /**
+     * Build an issue
+     * @param {Object} data - Sheet data
+     * @param {string} field - Field path
+     * @param {number|null} expected - Value the rules give, if they give exactly one
+     * @param {string} message - What's wrong
+     * @returns {Object} - {field, value, expected, message}
+     */
+    _issue(data, field, expected, message) {
+        return { field, value: characterSheet.getValue(data, field), expected, message };
+    }
+
+    /**
+     * Signed number
+     * @param {number} value - Number
+     * @returns {string} - "+3" / "-1"
+     */
+    _sign(value) {
+        return `${value >= 0 ? '+' : ''}${value}`;
+    }
+}
+
+// Singleton instance
+const sheetValidator = new SheetValidator();
+
+module.exports = sheetValidator;
@@ -0,0 +1,386 @@
+/**
+ * Storage for Casandalee
+ * Crash-safe JSON persistence for dossiers, player links, the roll log, server settings, the campaign clock,
+ * initiative encounters, imported roll tables and their draw state, the saved timeline and learned name
+ * aliases. Every change is appended to a journal (and fsynced) as soon
+ * as the current tick finishes; the journal is folded into the JSON files
+ * once a minute, on flush and at shutdown. JSON files are only ever replaced
+ * by writing a temp file and renaming it over the old one, so a crash mid-write
+ * leaves the previous copy intact, and a journal left behind by a crash is
+ * replayed the next time the store opens.
+ *
+ * Values stay plain JSON files on disk (one per key) so they can still be read
+ * and hand-edited; callers keep their data in memory and use a store only to
+ * persist it, which is why this is synchronous rather than LevelDB-backed.
+ * Because of that only one process may write the data directory at a time:
+ * the bot locks it at startup, and tools that write it check the lock first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/** How often pending changes are folded into the JSON files */
+const COMPACT_INTERVAL_MS = 60000;
+
+/** Names the process currently writing the data directory */
+const LOCK_FILE = path.join(__dirname, '../../data/storage.lock');
+
+/**
+ * Whether a process is still running
+ * @param {number} pid - Process id
+ * @returns {boolean} - True if it is (or exists but can't be signalled)
+ */
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM';
+    }
+}
+
+/**
+ * Write a file so that readers see either the old contents or the new, never a mix
+ * @param {string} filePath - File to replace
+ * @param {string} contents - New contents
+ */
+function writeAtomic(filePath, contents) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+    syncDirectory(path.dirname(filePath));
+}
+
+/**
+ * Make a rename in a directory durable (not supported on every platform, e.g. Windows)
+ * @param {string} dir - Directory
+ */
+function syncDirectory(dir) {
+    let fd = null;
+    try {
+        fd = fs.openSync(dir, 'r');
+        fs.fsyncSync(fd);
+    } catch (err) {
+        // Best effort — the rename itself is still atomic
+    } finally {
+        if (fd !== null) fs.closeSync(fd);
+    }
+}
+
+/**
+ * One directory of JSON files (one per key) plus the journal of changes not yet written to them
+ */
+class Store {
+    /**
+     * @param {string} dir - Directory holding the JSON files
+     * @param {string} name - Store name (names the journal, so several stores can share a directory)
+     */
+    constructor(dir, name) {
+        this.dir = dir;
+        this.name = name;
+        this.journalFile = path.join(dir, `${name}.journal`);
+
+        /** @type {Map<string, *>} - Key -> value not yet in its JSON file (undefined = delete) */
+        this.pending = new Map();
+
+        /** @type {Set<string>} - Pending keys not yet in the journal */
+        this.unjournaled = new Set();
+
+        this.journalScheduled = false;
+
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        this._removeTempFiles();
+        this._recover();
+    }
+
+    /**
+     * Remove temp files a crash left behind mid-write (the JSON file they would have replaced is still intact).
+     * Another running process's temp files are left alone — they are writes in progress.
+     */
+    _removeTempFiles() {
+        for (const file of fs.readdirSync(this.dir).filter(f => f.endsWith('.tmp'))) {
+            const writer = file.match(/\.(\d+)\.tmp$/);
+            if (writer && Number(writer[1]) !== process.pid && isRunning(Number(writer[1]))) continue;
+            try {
+                fs.unlinkSync(path.join(this.dir, file));
+            } catch (err) {
+                logger.warn(`Could not remove leftover temp file ${file}:`, err.message);
+            }
+        }
+    }
+
+    /**
+     * Replay a journal left behind by a crash into the JSON files
+     */
+    _recover() {
+        if (!fs.existsSync(this.journalFile)) return;
+
+        const lines = fs.readFileSync(this.journalFile, 'utf8').split('\n').filter(Boolean);
+        let skipped = 0;
+        for (const line of lines) {
+            try {
+                const record = JSON.parse(line);
+                this.pending.set(record.key, record.deleted ? undefined : record.value);
+            } catch (err) {
+                // A crash mid-append leaves a torn last line
+                skipped++;
+            }
+        }
+
+        if (this.pending.size > 0) {
+            logger.info(`Recovered ${this.pending.size} unsaved ${this.name} change(s) from the journal`);
+        }
+        if (skipped > 0) {
+            logger.warn(`Skipped ${skipped} unreadable ${this.name} journal line(s)`);
+        }
+        this.flush();
+    }
+
+    /**
+     * JSON file for a key
+     * @param {string} key - Key
+     * @returns {string} - Path
+     */
+    _file(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    /**
+     * Read a value
+     * @param {string} key - Key
+     * @returns {*} - Value, or null if there is none (or its file can't be read)
+     */
+    get(key) {
+        if (this.pending.has(key)) {
+            const value = this.pending.get(key);
+            return value === undefined ? null : value;
+        }
+
+        const file = this._file(key);
+        if (!fs.existsSync(file)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            logger.error(`Error reading ${file}:`, err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Every stored value, skipping (and logging) files that can't be read
+     * @returns {Array<{key: string, value: *}>} - Entries
+     */
+    getAll() {
+        const keys = new Set(
+            fs.readdirSync(this.dir).filter(f => f.endsWith('.json')).map(f => f.slice(0, -'.json'.length))
+        );
+        for (const key of this.pending.keys()) keys.add(key);
+
+        const entries = [];
+        for (const key of keys) {
+            const value = this.get(key);
+            if (value !== null) entries.push({ key, value });
+        }
+        return entries;
+    }
+
+    /**
+     * Store a value. It is journaled once the current tick finishes, so an
+     * object changed several times in one operation is written once, as it ends up.
+     * @param {string} key - Key
+     * @param {*} value - JSON-serializable value
+     */
+    set(key, value) {
+        this.pending.set(key, value);
+        this._scheduleJournal(key);
+    }
+
+    /**
+     * Delete a value
+     * @param {string} key - Key
+     */
+    delete(key) {
+        this.pending.set(key, undefined);
+        this._scheduleJournal(key);
+    }
+
+    /**
+     * Queue a key for the journal
+     * @param {string} key - Key
+     */
+    _scheduleJournal(key) {
+        this.unjournaled.add(key);
+        if (this.journalScheduled) return;
+        this.journalScheduled = true;
+        setImmediate(() => this._writeJournal());
+    }
+
+    /**
+     * Append queued changes to the journal and fsync it
+     */
+    _writeJournal() {
+        this.journalScheduled = false;
+        if (this.unjournaled.size === 0) return;
+
+        const lines = [];
+        for (const key of this.unjournaled) {
+            const value = this.pending.get(key);
+            lines.push(JSON.stringify(value === undefined ? { key, deleted: true } : { key, value }));
+        }
+
+        try {
+            const fd = fs.openSync(this.journalFile, 'a');
+            try {
+                fs.writeSync(fd, lines.join('\n') + '\n');
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            this.unjournaled.clear();
+        } catch (err) {
+            logger.error(`Error writing ${this.name} journal:`, err.message);
+        }
+    }
+
+    /**
+     * Write every pending change to its JSON file and empty the journal
+     */
+    flush() {
+        let failed = false;
+        for (const [key, value] of this.pending) {
+            try {
+                if (value === undefined) {
+                    if (fs.existsSync(this._file(key))) fs.unlinkSync(this._file(key));
+                } else {
+                    writeAtomic(this._file(key), JSON.stringify(value, null, 2));
+                }
+                this.pending.delete(key);
+                this.unjournaled.delete(key);
+            } catch (err) {
+                failed = true;
+                logger.error(`Error saving ${this.name} "${key}":`, err.message);
+            }
+        }
+
+        // Anything that failed stays pending and in the journal for the next try
+        if (failed) return;
+        try {
+            if (fs.existsSync(this.journalFile)) fs.unlinkSync(this.journalFile);
+        } catch (err) {
+            logger.error(`Error clearing ${this.name} journal:`, err.message);
+        }
+    }
+}
+
+class Storage {
+    constructor() {
+        /** @type {Map<string, Store>} - Journal path -> open store */
+        this.stores = new Map();
+
+        /** @type {boolean} - Whether this process holds the data directory lock */
+        this.locked = false;
+
+        // Fold journals into the JSON files now and then; unref'd so it never keeps the process alive
+        this.compactInterval = setInterval(() => this.flushAll(), COMPACT_INTERVAL_MS);
+        this.compactInterval.unref();
+
+        // Last chance for anything still pending, whichever script is exiting (the bot also flushes on SIGTERM)
+        process.once('exit', () => {
+            this.flushAll();
+            this.unlock();
+        });
+    }
+
+    /**
+     * Claim the data directory for this process
+     * @param {string} owner - Who is claiming it, e.g. 'bot' (shown to anyone refused)
+     * @throws {Error} - If another running process holds it
+     */
+    lock(owner) {
+        if (this.locked) return;
+        const holder = this.lockHolder();
+        if (holder) {
+            throw new Error(`The data directory is in use by the ${holder.owner} (process ${holder.pid}) — stop it first, or delete ${LOCK_FILE} if it isn't running`);
+        }
+
+        // A lock left by a process that has since died is taken over
+        if (fs.existsSync(LOCK_FILE)) fs.unlinkSync(LOCK_FILE);
+        fs.mkdirSync(path.dirname(LOCK_FILE), { recursive: true });
+        try {
+            fs.writeFileSync(LOCK_FILE, JSON.stringify({ pid: process.pid, owner, since: new Date().toISOString() }), { flag: 'wx' });
+        } catch (err) {
+            if (err.code === 'EEXIST') {
+                throw new Error('Another process claimed the data directory at the same moment — try again');
+            }
+            throw err;
+        }
+        this.locked = true;
+    }
+
+    /**
+     * Release the data directory lock, if this process holds it
+     */
+    unlock() {
+        if (!this.locked) return;
+        this.locked = false;
+        try {
+            fs.unlinkSync(LOCK_FILE);
+        } catch (err) {
+            logger.warn('Could not remove the storage lock:', err.message);
+        }
+    }
+
+    /**
+     * The other running process holding the data directory, if any
+     * @returns {{pid: number, owner: string, since: string}|null} - Holder, or null if it's free (or ours)
+     */
+    lockHolder() {
+        if (!fs.existsSync(LOCK_FILE)) return null;
+        try {
+            const holder = JSON.parse(fs.readFileSync(LOCK_FILE, 'utf8'));
+            if (holder.pid === process.pid || !isRunning(holder.pid)) return null;
+            return holder;
+        } catch (err) {
+            // Unreadable: treat as stale
+            return null;
+        }
+    }
+
+    /**
+     * Open (or reuse) a store, replaying any journal a crash left behind
+     * @param {string} dir - Directory holding the store's JSON files
+     * @param {string} name - Store name, e.g. 'dossiers'
+     * @returns {Store} - The store
+     */
+    open(dir, name) {
+        const key = path.join(dir, name);
+        if (!this.stores.has(key)) {
+            this.stores.set(key, new Store(dir, name));
+        }
+        return this.stores.get(key);
+    }
+
+    /**
+     * Write every store's pending changes to disk (call before exiting)
+     */
+    flushAll() {
+        for (const store of this.stores.values()) {
+            store.flush();
+        }
+    }
+}
+
+// Singleton instance
+const storage = new Storage();
+
+module.exports = storage;
+module.exports.writeAtomic = writeAtomic;
@@ -1,23 +1,17 @@
 /**
  * Timeline Cache for Casandalee
- * Pre-processes timeline data into an indexed, cached format.
- * Updates daily at 6 AM (before daily announcement) or on-demand.
- * Builds keyword, character, and location indexes for fast lookup.
+ * Keyword, character, and location indexes over the timeline repository's
+ * events for fast lookup, rebuilt whenever the timeline changes.
  */
 
-const fs = require('fs');
-const path = require('path');
-const cron = require('node-cron');
 const logger = require('./logger');
-const googleSheetsIntegration = require('./googleSheetsIntegration');
+const calendar = require('./golarionCalendar');
 const nameResolver = require('./nameResolver');
+const timelineRepository = require('./timelineRepository');
 
 class TimelineCache {
     constructor() {
-        this.cacheDir = path.join(__dirname, '../../data/cache');
-        this.cacheFile = path.join(this.cacheDir, 'timeline_cache.json');
-
-        /** @type {Array} - Raw timeline events */
+        /** @type {Array} - Timeline events (the repository's) */
         this.events = [];
 
         /** @type {Map<string, Set<number>>} - Keyword -> event indices */
@@ -29,64 +23,21 @@ class TimelineCache {
         /** @type {Map<string, Set<number>>} - Location -> event indices */
         this.locationIndex = new Map();
 
-        /** @type {Date|null} - Last cache build time */
+        /** @type {Date|null} - Last index build time */
         this.lastBuild = null;
 
-        /** @type {Object|null} - Cron job reference */
-        this.cronJob = null;
-
-        /** @type {number|null} - Previous event count for change detection */
-        this.previousEventCount = null;
-
-        this._ensureDirectoryExists();
-        this._loadCache();
-    }
-
-    /**
-     * Ensure the cache directory exists
-     */
-    _ensureDirectoryExists() {
-        if (!fs.existsSync(this.cacheDir)) {
-            fs.mkdirSync(this.cacheDir, { recursive: true });
-        }
+        this._index(timelineRepository.getEvents());
+        timelineRepository.onChange(({ events }) => this._index(events));
     }
 
     /**
-     * Load cached data from disk
+     * Index a new set of events
+     * @param {Array} events - Timeline events
      */
-    _loadCache() {
-        try {
-            if (fs.existsSync(this.cacheFile)) {
-                const raw = fs.readFileSync(this.cacheFile, 'utf8');
-                const cached = JSON.parse(raw);
-                this.events = cached.events || [];
-                this.lastBuild = cached.lastBuild ? new Date(cached.lastBuild) : null;
-                this.previousEventCount = cached.previousEventCount || null;
-
-                // Rebuild indexes from cached events
-                this._buildIndexes();
-                logger.info(`Loaded timeline cache: ${this.events.length} events, built at ${this.lastBuild}`);
-            }
-        } catch (err) {
-            logger.error('Error loading timeline cache:', err.message);
-        }
-    }
-
-    /**
-     * Save cache to disk
-     */
-    _saveCache() {
-        try {
-            const data = {
-                events: this.events,
-                lastBuild: this.lastBuild?.toISOString(),
-                previousEventCount: this.previousEventCount
-            };
-            fs.writeFileSync(this.cacheFile, JSON.stringify(data), 'utf8');
-            logger.debug('Timeline cache saved to disk');
-        } catch (err) {
-            logger.error('Error saving timeline cache:', err.message);
-        }
+    _index(events) {
+        this.events = events;
+        this.lastBuild = new Date();
+        this._buildIndexes();
     }
 
     /**
@@ -146,86 +97,6 @@ class TimelineCache {
         logger.debug(`Timeline indexes built: ${this.keywordIndex.size} keywords, ${this.characterIndex.size} characters, ${this.locationIndex.size} locations`);
     }
 
-    /**
-     * Rebuild the cache from Google Sheets data
-     * @returns {Promise<{newEvents: Array, totalEvents: number}>} - Build result
-     */
-    async rebuild() {
-        logger.info('Rebuilding timeline cache...');
-
-        try {
-            // Force refresh from Google Sheets
-            if (googleSheetsIntegration.isAvailable()) {
-                await googleSheetsIntegration.forceRefresh();
-            }
-
-            const rawTimeline = googleSheetsIntegration.getCampaignTimeline();
-
-            if (!rawTimeline || rawTimeline.length === 0) {
-                logger.warn('No timeline data available for cache rebuild');
-                return { newEvents: [], totalEvents: this.events.length };
-            }
-
-            // Detect new events by comparing counts
-            const oldCount = this.previousEventCount || 0;
-            const newEvents = rawTimeline.length > oldCount
-                ? rawTimeline.slice(oldCount)
-                : [];
-
-            // Update events
-            this.events = rawTimeline.map(event => ({
-                date: event.date || '',
-                location: event.location || '',
-                ap: event.ap || '',
-                description: event.description || ''
-            }));
-
-            this.previousEventCount = this.events.length;
-            this.lastBuild = new Date();
-
-            // Rebuild indexes
-            this._buildIndexes();
-
-            // Save to disk
-            this._saveCache();
-
-            logger.info(`Timeline cache rebuilt: ${this.events.length} events (${newEvents.length} new)`);
-
-            return { newEvents, totalEvents: this.events.length };
-        } catch (err) {
-            logger.error('Error rebuilding timeline cache:', err.message);
-            return { newEvents: [], totalEvents: this.events.length };
-        }
-    }
-
-    /**
-     * Start the 6 AM daily cron job
-     * @param {Function} [onNewEvents] - Callback when new events are detected
-     */
-    startCron(onNewEvents = null) {
-        // Run at 6:00 AM daily
-        this.cronJob = cron.schedule('0 6 * * *', async () => {
-            logger.info('Running scheduled timeline cache rebuild (6 AM)');
-            const result = await this.rebuild();
-
-            if (result.newEvents.length > 0 && onNewEvents) {
-                onNewEvents(result.newEvents);
-            }
-        });
-
-        logger.info('Timeline cache cron job scheduled for 6:00 AM daily');
-    }
-
-    /**
-     * Stop the cron job
-     */
-    stopCron() {
-        if (this.cronJob) {
-            this.cronJob.stop();
-            this.cronJob = null;
-        }
-    }
-
     /**
      * Search timeline using the index (fast path)
      * @param {string} query - Search query
@@ -339,7 +210,7 @@ class TimelineCache {
      */
     getCompactContext(limit = 20) {
         const recent = this.events.slice(-limit);
-        return recent.map(e => `${e.date} [${e.location}]: ${e.description}`).join('\n');
+        return recent.map(e => `${calendar.formatEventDate(e.date)} [${e.location}]: ${e.description}`).join('\n');
     }
 }
 
@@ -0,0 +1,436 @@
+/**
+ * Timeline Repository for Casandalee
+ * The one place timeline events come from. Loads the campaign timeline from
+ * Google Sheets (or pf_folkengames_timeline.csv when Sheets isn't configured),
+ * turns every row into the same event shape, keeps the last load in
+ * data/cache so the bot starts with a timeline even when Sheets is down, and
+ * tells listeners whenever the timeline changes. Search, the indexes, /today,
+ * /timeline, daily history and Cass's prompt all read from here.
+ *
+ * Event: {id, date (as written in the sheet), parsed ({year, month, day} from
+ * the Golarion calendar, or null), year, location, ap (AP code, e.g. "HV"),
+ * description}
+ *
+ * An event's id is a hash of its content, so it stays the same when rows are
+ * inserted, deleted or reordered around it. Each load is compared with the
+ * previous one to find the events that were added, edited and removed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const logger = require('./logger');
+const storage = require('./storage');
+const calendar = require('./golarionCalendar');
+const googleSheetsIntegration = require('./googleSheetsIntegration');
+
+/** How long load() waits for the first Google Sheets fetch */
+const SHEETS_WAIT_MS = 5000;
+
+class TimelineRepository {
+    constructor() {
+        this.csvPath = path.join(__dirname, '../../pf_folkengames_timeline.csv');
+        this.store = storage.open(path.join(__dirname, '../../data/cache'), 'timeline');
+
+        /** @type {Array<Object>} - Events in sheet order */
+        this.events = [];
+
+        /** @type {string|null} - Where the events came from: 'sheets', 'csv' or 'cache' */
+        this.source = null;
+
+        /** @type {string|null} - Where the loaded rows were first fetched from ('sheets' or 'csv'), even when read back from the saved copy */
+        this.origin = null;
+
+        /** @type {Date|null} - When the events were loaded */
+        this.loadedAt = null;
+
+        /** @type {Object|null} - The last load: {events, added, changed, removed, source} */
+        this.lastChange = null;
+
+        /** @type {Function[]} - Called with {events, added, changed, removed, source} after every load */
+        this.listeners = [];
+
+        /** @type {Object|null} - Cron job reference */
+        this.cronJob = null;
+
+        this._loadSnapshot();
+
+        // Every Sheets fetch (startup, auto-refresh, /refresh) comes through here
+        googleSheetsIntegration.onTimelineLoaded(rows => this._apply(rows, 'sheets'));
+        if (googleSheetsIntegration.getCampaignTimeline().length > 0) {
+            this._apply(googleSheetsIntegration.getCampaignTimeline(), 'sheets');
+        }
+    }
+
+    /**
+     * Start from the last saved load, or the CSV if there isn't one
+     */
+    _loadSnapshot() {
+        // 'timeline_cache' is where the timeline cache used to keep its copy
+        const snapshot = this.store.get('snapshot') || this.store.get('timeline_cache');
+        const rows = snapshot?.rows || snapshot?.events;
+        if (rows && rows.length > 0) {
+            this.events = this._normalize(rows);
+            this.source = 'cache';
+            this.origin = snapshot.source || null;
+            this.loadedAt = (snapshot.loadedAt || snapshot.lastBuild) ? new Date(snapshot.loadedAt || snapshot.lastBuild) : null;
+            logger.info(`Loaded ${this.events.length} timeline events from the saved copy`);
+            return;
+        }
+
+        const csvRows = this._readCSV();
+        if (csvRows.length > 0) {
+            this._apply(csvRows, 'csv');
+        }
+    }
+
+    /**
+     * Load the timeline: wait for Google Sheets if it's configured, otherwise read the CSV
+     * @returns {Promise<number>} - Number of events
+     */
+    async load() {
+        if (googleSheetsIntegration.isAvailable()) {
+            const deadline = Date.now() + SHEETS_WAIT_MS;
+            while (Date.now() < deadline) {
+                if (googleSheetsIntegration.getLastRefresh()) {
+                    return this.events.length;
+                }
+                await new Promise(resolve => setTimeout(resolve, 500));
+            }
+            logger.warn(`Google Sheets did not load in time, using the ${this.source || 'CSV'} timeline for now`);
+            if (this.events.length > 0) return this.events.length;
+        }
+
+        this._apply(this._readCSV(), 'csv');
+        return this.events.length;
+    }
+
+    /**
+     * Reload from the source now (Google Sheets, or the CSV)
+     * @returns {Promise<Object>} - The load's result: {events, added, changed, removed, source}
+     */
+    async refresh() {
+        if (googleSheetsIntegration.isAvailable()) {
+            const before = this.loadedAt;
+            await googleSheetsIntegration.forceRefresh();
+            if (this.loadedAt === before) {
+                throw new Error('Google Sheets refresh failed or returned no rows — check the logs');
+            }
+            return this.lastChange;
+        }
+        const change = this._apply(this._readCSV(), 'csv');
+        if (!change) {
+            throw new Error('The timeline CSV is missing or empty — kept the events already loaded');
+        }
+        return change;
+    }
+
+    /**
+     * Read the CSV fallback
+     * @returns {Array<Object>} - Raw rows {date, location, ap, description}
+     */
+    _readCSV() {
+        try {
+            if (!fs.existsSync(this.csvPath)) {
+                logger.warn(`Timeline CSV file not found: ${this.csvPath}`);
+                return [];
+            }
+
+            const lines = fs.readFileSync(this.csvPath, 'utf8').split('\n');
+            const rows = [];
+
+            // Skip header row
+            for (let i = 1; i < lines.length; i++) {
+                const line = lines[i].trim();
+                if (!line) continue;
+
+                const fields = this.parseCSVLine(line);
+                if (fields.length >= 4) {
+                    rows.push({ date: fields[0], location: fields[1], ap: fields[2], description: fields[3] });
+                }
+            }
+            return rows;
+        } catch (error) {
+            logger.error('Error loading timeline from CSV:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Parse a CSV line handling quoted fields
+     * @param {string} line - CSV line to parse
+     * @returns {Array} - Array of fields
+     */
+    parseCSVLine(line) {
+        const fields = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (char === ',' && !inQuotes) {
+                fields.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        fields.push(current.trim());
+        return fields;
+    }
+
+    /**
+     * Turn raw rows into events
+     * @param {Array<Object>} rows - Raw rows {date, location, ap, description}
+     * @returns {Array<Object>} - Events
+     */
+    _normalize(rows) {
+        const seen = new Map();
+        return rows
+            .filter(row => row && String(row.date || '').trim() !== '')
+            .map(row => {
+                const date = String(row.date).replace(/"/g, '').trim();
+                const parsed = calendar.parse(date);
+                const event = {
+                    id: null,
+                    date,
+                    parsed,
+                    year: parsed ? parsed.year : null,
+                    location: String(row.location || '').trim(),
+                    ap: String(row.ap || '').trim().toUpperCase(),
+                    description: String(row.description || '').trim()
+                };
+
+                // Identical rows are told apart by their order
+                const hash = this._hash(event);
+                const copy = (seen.get(hash) || 0) + 1;
+                seen.set(hash, copy);
+                event.id = copy === 1 ? hash : `${hash}-${copy}`;
+                return event;
+            });
+    }
+
+    /**
+     * Content hash of an event (spacing and how the date is written don't count)
+     * @param {Object} event - Event
+     * @returns {string} - 12 hex characters
+     */
+    _hash(event) {
+        const date = event.parsed ? calendar.toKey(event.parsed) : event.date;
+        const content = [date, event.location, event.ap, event.description]
+            .map(field => field.replace(/\s+/g, ' '))
+            .join('|');
+        return crypto.createHash('sha1').update(content).digest('hex').slice(0, 12);
+    }
+
+    /**
+     * Compare two loads
+     * @param {Array<Object>} before - Previous events
+     * @param {Array<Object>} after - New events
+     * @returns {{added: Array, changed: Array<{before: Object, after: Object}>, removed: Array}} - The differences
+     */
+    _diff(before, after) {
+        const beforeIds = new Set(before.map(event => event.id));
+        const afterIds = new Set(after.map(event => event.id));
+        const added = after.filter(event => !beforeIds.has(event.id));
+        const removed = before.filter(event => !afterIds.has(event.id));
+        const changed = [];
+
+        // An event that disappeared and one that appeared are the same row edited when they
+        // share a description (its date, location or AP was fixed) or a date and location
+        // (its description was rewritten)
+        const sameRow = [
+            (a, b) => a.description === b.description,
+            (a, b) => a.date === b.date && a.location === b.location
+        ];
+        for (const match of sameRow) {
+            for (const old of [...removed]) {
+                const edited = added.find(event => match(old, event));
+                if (!edited) continue;
+                changed.push({ before: old, after: edited });
+                removed.splice(removed.indexOf(old), 1);
+                added.splice(added.indexOf(edited), 1);
+            }
+        }
+
+        return { added, changed, removed };
+    }
+
+    /**
+     * Replace the events with a fresh load, save it and tell listeners
+     * @param {Array<Object>} rows - Raw rows
+     * @param {string} source - 'sheets' or 'csv'
+     * @returns {{events: Array, added: Array, changed: Array, removed: Array, source: string}|null} - The change, or null if the load was empty and ignored
+     */
+    _apply(rows, source) {
+        const events = this._normalize(rows);
+
+        // An empty load (unreadable CSV, blank sheet range) would wipe the timeline and the saved copy
+        if (events.length === 0 && this.events.length > 0) {
+            logger.warn(`Ignored an empty timeline load from ${source === 'sheets' ? 'Google Sheets' : 'CSV'}; keeping ${this.events.length} events`);
+            return null;
+        }
+
+        const previous = this.events;
+        const previousOrigin = this.origin;
+        this.events = events;
+        this.source = source;
+        this.origin = source;
+        this.loadedAt = new Date();
+
+        // Only compare like with like: the first load, or the first Sheets load after the CSV
+        // fallback, would report every difference between the two as changes
+        const { added, changed, removed } = previous.length > 0 && previousOrigin === source
+            ? this._diff(previous, this.events)
+            : { added: [], changed: [], removed: [] };
+
+        this.store.set('snapshot', { rows, source, loadedAt: this.loadedAt.toISOString() });
+        if (this.store.get('timeline_cache')) this.store.delete('timeline_cache');
+
+        const summary = this.describeChange({ added, changed, removed });
+        logger.info(`✅ Loaded ${this.events.length} timeline events from ${source === 'sheets' ? 'Google Sheets' : 'CSV'}${summary ? ` (${summary})` : ''}`);
+
+        this.lastChange = { events: this.events, added, changed, removed, source };
+        for (const listener of this.listeners) {
+            try {
+                listener(this.lastChange);
+            } catch (error) {
+                logger.error('Error in timeline listener:', error);
+            }
+        }
+        return this.lastChange;
+    }
+
+    /**
+     * Summarize a change, e.g. "2 new, 1 edited, 1 removed"
+     * @param {{added: Array, changed: Array, removed: Array}} change - The change
+     * @returns {string} - Summary, or '' when nothing changed
+     */
+    describeChange({ added, changed, removed }) {
+        return [
+            added.length && `${added.length} new`,
+            changed.length && `${changed.length} edited`,
+            removed.length && `${removed.length} removed`
+        ].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Run a function after every load (the first call comes with the next load)
+     * @param {Function} listener - Called with {events, added, changed, removed, source}
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Refresh every day at 6 AM (before the daily history post)
+     */
+    startCron() {
+        this.cronJob = cron.schedule('0 6 * * *', async () => {
+            logger.info('Running scheduled timeline refresh (6 AM)');
+            try {
+                await this.refresh();
+            } catch (error) {
+                logger.error('Scheduled timeline refresh failed:', error.message);
+            }
+        });
+
+        logger.info('Timeline refresh cron job scheduled for 6:00 AM daily');
+    }
+
+    /**
+     * Stop the cron job
+     */
+    stopCron() {
+        if (this.cronJob) {
+            this.cronJob.stop();
+            this.cronJob = null;
+        }
+    }
+
+    /**
+     * All events, in sheet order
+     * @returns {Array<Object>} - Events
+     */
+    getEvents() {
+        return this.events;
+    }
+
+    /**
+     * An event by id
+     * @param {string} id - Event id
+     * @returns {Object|null} - Event
+     */
+    getById(id) {
+        return this.events.find(event => event.id === id) || null;
+    }
+
+    /**
+     * The last events in the sheet
+     * @param {number} [limit=10] - How many
+     * @returns {Array<Object>} - Events
+     */
+    getRecent(limit = 10) {
+        return this.events.slice(-limit);
+    }
+
+    /**
+     * The event with the latest date
+     * @returns {Object|null} - Event
+     */
+    getLatest() {
+        let latest = null;
+        for (const event of this.events) {
+            if (event.parsed && (!latest || calendar.compare(event.parsed, latest.parsed) > 0)) {
+                latest = event;
+            }
+        }
+        return latest;
+    }
+
+    /**
+     * Events on a day and month in any year, most recent year first
+     * @param {number} month - Month 1-12
+     * @param {number} day - Day of month
+     * @returns {Array<Object>} - Events
+     */
+    getEventsOn(month, day) {
+        return this.events
+            .filter(event => event.parsed && event.parsed.month === month && event.parsed.day === day)
+            .sort((a, b) => b.year - a.year);
+    }
+
+    /**
+     * Events between two dates, inclusive
+     * @param {Object} start - {year, month, day}
+     * @param {Object} end - {year, month, day}
+     * @returns {Array<Object>} - Events
+     */
+    getEventsBetween(start, end) {
+        return this.events.filter(event =>
+            event.parsed && calendar.compare(event.parsed, start) >= 0 && calendar.compare(event.parsed, end) <= 0
+        );
+    }
+
+    /**
+     * Where the timeline came from and when
+     * @returns {Object} - Stats
+     */
+    getStats() {
+        return {
+            totalEvents: this.events.length,
+            source: this.source,
+            loadedAt: this.loadedAt?.toISOString() || 'never'
+        };
+    }
+}
+
+// Singleton instance
+const timelineRepository = new TimelineRepository();
+
+module.exports = timelineRepository;
@@ -3,159 +3,16 @@
  * Provides intelligent search and filtering for campaign timeline data
  */
 
-const fs = require('fs');
-const path = require('path');
-const googleSheetsIntegration = require('./googleSheetsIntegration');
 const logger = require('./logger');
+const timelineRepository = require('./timelineRepository');
 
 class TimelineSearch {
-    constructor() {
-        this.csvPath = path.join(__dirname, '../../pf_folkengames_timeline.csv');
-        this.timeline = [];
-        this.initialize();
-    }
-
-    /**
-     * Initialize timeline data
-     */
-    async initialize() {
-        try {
-            // Try Google Sheets first, fallback to CSV
-            if (googleSheetsIntegration.isAvailable()) {
-                // Wait for Google Sheets to load if it's still loading
-                await this.waitForGoogleSheets();
-            } else {
-                this.loadFromCSV();
-            }
-        } catch (error) {
-            logger.error('Error initializing timeline search:', error);
-            this.timeline = [];
-        }
-    }
-
     /**
-     * Wait for Google Sheets to load and then process the data
+     * Timeline events (from the timeline repository)
+     * @returns {Array} - Events
      */
-    async waitForGoogleSheets() {
-        let attempts = 0;
-        const maxAttempts = 10;
-        
-        while (attempts < maxAttempts) {
-            const rawTimeline = googleSheetsIntegration.getCampaignTimeline();
-            
-            if (rawTimeline && rawTimeline.length > 0) {
-                // Add parsedDate field to Google Sheets data
-                this.timeline = rawTimeline.map(event => ({
-                    ...event,
-                    parsedDate: this.parseDate(event.date)
-                }));
-                logger.info(`Loaded ${this.timeline.length} timeline events from Google Sheets`);
-                return;
-            }
-            
-            // Wait 500ms before trying again
-            await new Promise(resolve => setTimeout(resolve, 500));
-            attempts++;
-        }
-        
-        // If Google Sheets didn't load, fallback to CSV
-        logger.warn('Google Sheets did not load in time, falling back to CSV');
-        this.loadFromCSV();
-    }
-
-    /**
-     * Load timeline from CSV file
-     */
-    loadFromCSV() {
-        try {
-            if (!fs.existsSync(this.csvPath)) {
-                logger.warn(`Timeline CSV file not found: ${this.csvPath}`);
-                return;
-            }
-
-            const csvContent = fs.readFileSync(this.csvPath, 'utf8');
-            const lines = csvContent.split('\n');
-            
-            this.timeline = [];
-            
-            // Skip header row
-            for (let i = 1; i < lines.length; i++) {
-                const line = lines[i].trim();
-                if (!line) continue;
-                
-                const fields = this.parseCSVLine(line);
-                if (fields.length >= 4) {
-                    this.timeline.push({
-                        date: fields[0],
-                        location: fields[1],
-                        ap: fields[2],
-                        description: fields[3],
-                        parsedDate: this.parseDate(fields[0])
-                    });
-                }
-            }
-            
-            logger.info(`✅ Loaded ${this.timeline.length} timeline events from CSV`);
-            
-        } catch (error) {
-            logger.error('Error loading timeline from CSV:', error);
-            this.timeline = [];
-        }
-    }
-
-    /**
-     * Parse CSV line handling quoted fields
-     * @param {string} line - CSV line to parse
-     * @returns {Array} - Array of fields
-     */
-    parseCSVLine(line) {
-        const fields = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                fields.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-        
-        fields.push(current.trim());
-        return fields;
-    }
-
-    /**
-     * Parse date string to number
-     * @param {string} dateStr - Date string (e.g., "4707.00", "-1,293.00", "0499.00.00")
-     * @returns {number} - Parsed date as number
-     */
-    parseDate(dateStr) {
-        if (!dateStr) return 0;
-        
-        // Remove quotes and clean up the date string
-        let cleanDate = dateStr.replace(/"/g, '').replace(/,/g, '');
-        
-        // Handle different date formats
-        if (cleanDate.includes('.')) {
-            // Split by dots and take the first part (year)
-            const parts = cleanDate.split('.');
-            const yearPart = parts[0];
-            
-            // Remove leading zeros but preserve negative sign
-            if (yearPart.startsWith('-')) {
-                return parseFloat(yearPart);
-            } else {
-                return parseFloat(yearPart);
-            }
-        }
-        
-        return parseFloat(cleanDate) || 0;
+    get timeline() {
+        return timelineRepository.getEvents();
     }
 
     /**
@@ -287,8 +144,8 @@ class TimelineSearch {
         let score = 0;
         
         // Year matching (highest priority)
-        if (targetYear && event.parsedDate) {
-            const yearDiff = Math.abs(event.parsedDate - targetYear);
+        if (targetYear && event.year !== null) {
+            const yearDiff = Math.abs(event.year - targetYear);
             if (yearDiff === 0) {
                 score += 100; // Exact year match
             } else if (yearDiff <= 1) {
@@ -373,9 +230,9 @@ class TimelineSearch {
      */
     searchByYearRange(startYear, endYear) {
         return this.timeline.filter(event => {
-            if (!event.parsedDate) return false;
-            return event.parsedDate >= startYear && event.parsedDate <= endYear;
-        }).sort((a, b) => a.parsedDate - b.parsedDate);
+            if (event.year === null) return false;
+            return event.year >= startYear && event.year <= endYear;
+        }).sort((a, b) => a.year - b.year);
     }
 
     /**
@@ -405,7 +262,7 @@ class TimelineSearch {
      * @returns {Object} - Timeline statistics
      */
     getStats() {
-        const years = this.timeline.map(event => event.parsedDate).filter(year => !isNaN(year));
+        const years = this.timeline.map(event => event.year).filter(year => year !== null);
         const locations = [...new Set(this.timeline.map(event => event.location))];
         
         return {
@@ -418,24 +275,6 @@ class TimelineSearch {
             locations: locations.slice(0, 10) // First 10 locations
         };
     }
-
-    /**
-     * Force refresh timeline data
-     */
-    async refresh() {
-        if (googleSheetsIntegration.isAvailable()) {
-            await googleSheetsIntegration.forceRefresh();
-            const rawTimeline = googleSheetsIntegration.getCampaignTimeline();
-            // Add parsedDate field to Google Sheets data
-            this.timeline = rawTimeline.map(event => ({
-                ...event,
-                parsedDate: this.parseDate(event.date)
-            }));
-            logger.info(`Refreshed ${this.timeline.length} timeline events from Google Sheets`);
-        } else {
-            this.loadFromCSV();
-        }
-    }
 }
 
 // Create singleton instance
@@ -13,6 +13,7 @@
  *   node tools/cass-cli.js --ollama "test"      # Test Ollama directly
  *   node tools/cass-cli.js --claude "test"      # Test Claude directly
  *   node tools/cass-cli.js --logs               # Show recent log entries
+ *   node tools/cass-cli.js --import-actor actor.json ["Name"]  # Import a Foundry PF1 actor export
  */
 
 const path = require('path');
@@ -33,9 +34,13 @@ const llmRouter = require('../src/utils/llmRouter');
 const llmHandler = require('../src/utils/llmHandler');
 const timelineCache = require('../src/utils/timelineCache');
 const timelineSearch = require('../src/utils/timelineSearch');
+const timelineRepository = require('../src/utils/timelineRepository');
 const dossierManager = require('../src/utils/dossierManager');
 const nameResolver = require('../src/utils/nameResolver');
 const campaignContext = require('../src/utils/campaignContext');
+const foundryActorImporter = require('../src/utils/foundryActorImporter');
+const characterSheet = require('../src/utils/characterSheet');
+const storage = require('../src/utils/storage');
 
 // ANSI color helpers
 const colors = {
@@ -135,6 +140,52 @@ function showDossier(name) {
     console.log();
 }
 
+function importActor(file, name) {
+    console.log(c('yellow', `\n--- Foundry Actor Import: ${file} ---`));
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    } catch (err) {
+        console.log(c('red', `  Could not read ${file}: ${err.message}`));
+        return;
+    }
+
+    // The running bot keeps the dossiers in memory and would write over an import made here
+    try {
+        storage.lock('cass-cli import');
+    } catch (err) {
+        console.log(c('red', `  ${err.message}`));
+        console.log(c('dim', '  While the bot is running, import with /characterimport in Discord instead.'));
+        return;
+    }
+
+    try {
+        dossierManager.reload();
+        const result = foundryActorImporter.importIntoDossier(raw, { name: name || null, updatedBy: 'cli' });
+        console.log(c('green', `  ${result.created ? 'Created' : 'Updated'} ${result.canonical} — sheet v${result.version}`));
+        console.log(c('dim', `  Foundry actor: ${result.actorId || '(no id)'}`));
+        const sections = characterSheet.formatSections(result.sheet);
+        for (const [label, text] of Object.entries(sections)) {
+            if (text) console.log(`    ${c('bright', label.padEnd(10))} ${text.replace(/\n/g, ' | ')}`);
+        }
+        if (result.version > 1) {
+            console.log(c('yellow', `  Changes since v${result.version - 1}: ${result.changes.length}`));
+            for (const change of result.changes) {
+                console.log(`    ${characterSheet.formatChange(change)}`);
+            }
+        }
+        for (const warning of result.warnings) {
+            console.log(c('yellow', `  ⚠ ${warning}`));
+        }
+    } catch (err) {
+        console.log(c('red', `  Error: ${err.message}`));
+    } finally {
+        storage.flushAll();
+        storage.unlock();
+    }
+    console.log();
+}
+
 async function testOllama(prompt) {
     console.log(c('yellow', `\n--- Ollama Direct Test ---`));
     console.log(c('dim', `  Model: ${process.env.OLLAMA_MODEL_FAST || 'qwen2.5:7b'}`));
@@ -254,6 +305,7 @@ async function interactiveMode() {
     console.log(c('dim', '  /stats         - Show usage stats'));
     console.log(c('dim', '  /timeline <q>  - Search timeline'));
     console.log(c('dim', '  /dossier <n>   - View character dossier'));
+    console.log(c('dim', '  /import <file> - Import a Foundry PF1 actor export'));
     console.log(c('dim', '  /ollama <q>    - Test Ollama directly'));
     console.log(c('dim', '  /claude <q>    - Test Claude directly'));
     console.log(c('dim', '  /personality   - Show current personality'));
@@ -288,6 +340,8 @@ async function interactiveMode() {
             await searchTimeline(input.slice(10));
         } else if (input.startsWith('/dossier ')) {
             showDossier(input.slice(9));
+        } else if (input.startsWith('/import ')) {
+            importActor(input.slice(8).trim());
         } else if (input.startsWith('/ollama ')) {
             await testOllama(input.slice(8));
         } else if (input.startsWith('/claude ')) {
@@ -316,8 +370,8 @@ async function interactiveMode() {
 async function main() {
     const args = process.argv.slice(2);
 
-    // Wait for timeline to initialize
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    // Load the timeline (Google Sheets if configured, otherwise the CSV)
+    await timelineRepository.load();
 
     if (args.length === 0) {
         await interactiveMode();
@@ -334,6 +388,8 @@ async function main() {
         await searchTimeline(args.slice(1).join(' '));
     } else if (args[0] === '--dossier' && args[1]) {
         showDossier(args.slice(1).join(' '));
+    } else if (args[0] === '--import-actor' && args[1]) {
+        importActor(args[1], args.slice(2).join(' '));
     } else if (args[0] === '--ollama' && args[1]) {
         await testOllama(args.slice(1).join(' '));
     } else if (args[0] === '--claude' && args[1]) {
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Import races written in the old one-line trait format into races.json.
+ * Input is a JS module or JSON file mapping race name -> { traits, srdLink, lore },
+ * e.g. the raceTraits.js that shipped before races.json existed.
+ * Races already in races.json keep their hand-written alternate racial traits,
+ * and anything the one-line format can't carry (languages, weapon familiarity)
+ * comes from tools/race-overrides.json, which wins over the parsed values.
+ * Hand-edit that file, not races.json, so a re-import doesn't lose the change.
+ *
+ * Run: node tools/import-race-traits.js <legacy-file> [--replace]
+ *   --replace  overwrite races that already exist instead of skipping them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const raceImporter = require('../src/utils/raceImporter');
+
+const RACES_FILE = path.join(__dirname, '..', 'races.json');
+const OVERRIDES_FILE = path.join(__dirname, 'race-overrides.json');
+
+function loadLegacy(file) {
+    const fullPath = path.resolve(file);
+    if (fullPath.endsWith('.json')) {
+        return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    }
+    return require(fullPath);
+}
+
+function run() {
+    const args = process.argv.slice(2);
+    const file = args.find(a => !a.startsWith('--'));
+    const replace = args.includes('--replace');
+
+    if (!file) {
+        console.error('Usage: node tools/import-race-traits.js <legacy-file> [--replace]');
+        process.exit(1);
+    }
+
+    const existing = fs.existsSync(RACES_FILE) ? JSON.parse(fs.readFileSync(RACES_FILE, 'utf8')) : {};
+    const overrides = fs.existsSync(OVERRIDES_FILE) ? JSON.parse(fs.readFileSync(OVERRIDES_FILE, 'utf8')) : {};
+    const imported = raceImporter.importAll(loadLegacy(file));
+
+    let added = 0;
+    let replaced = 0;
+    let skipped = 0;
+    for (const [name, record] of Object.entries(imported)) {
+        if (existing[name] && !replace) {
+            skipped++;
+            continue;
+        }
+        if (existing[name]) {
+            record.alternateTraits = existing[name].alternateTraits || [];
+            replaced++;
+        } else {
+            added++;
+        }
+        existing[name] = { ...record, ...(overrides[name] || {}) };
+    }
+
+    fs.writeFileSync(RACES_FILE, JSON.stringify(existing, null, 2) + '\n', 'utf8');
+    console.log(`races.json: ${added} added, ${replaced} replaced, ${skipped} skipped (already present)`);
+}
+
+run();
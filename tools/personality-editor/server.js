@@ -3,11 +3,16 @@
  * Run: node tools/personality-editor/server.js
  * Open: http://localhost:3960
  * Saves go to data/personalities/; the bot watches that folder and reloads on change.
+ * Homebrew races and roll tables are edited here too and saved to data/races/ and
+ * data/tables/ (validated against src/utils/homebrewSchema.js first).
  */
 
 const fs = require('fs');
 const path = require('path');
 const express = require('express');
+const homebrewSchema = require('../../src/utils/homebrewSchema');
+const { writeAtomic } = require('../../src/utils/storage');
+const raceImporter = require('../../src/utils/raceImporter');
 
 // Use env for explicit path (Docker/local), else cwd-relative so "data/personalities" is same in container and host
 const DATA_DIR = process.env.PERSONALITIES_DATA_DIR
@@ -15,6 +20,13 @@ const DATA_DIR = process.env.PERSONALITIES_DATA_DIR
     : path.join(process.cwd(), 'data', 'personalities');
 const PORT = parseInt(process.env.PERSONALITY_EDITOR_PORT, 10) || 3960;
 
+// Homebrew races and tables sit next to the personalities folder (data/races, data/tables)
+const RACES_DIR = path.join(path.dirname(DATA_DIR), 'races');
+const TABLES_DIR = path.join(path.dirname(DATA_DIR), 'tables');
+const BUILT_IN_RACES_FILE = path.join(__dirname, '../../races.json');
+const BUILT_IN_TABLE_FILES = ['reincarnation_table.json', 'reincarnation_aquatic_table.json']
+    .map(f => path.join(__dirname, '../..', f));
+
 /** Default Pathfinder 25-point buy (STR DEX CON WIS INT CHA) */
 const DEFAULT_STATS = { str: 15, dex: 15, con: 14, wis: 12, int: 12, cha: 10 };
 
@@ -178,9 +190,53 @@ const app = express();
 app.use(express.json({ limit: '2mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
+// Ensure data directories exist
+for (const dir of [DATA_DIR, RACES_DIR, TABLES_DIR]) {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+}
+
+/**
+ * File-safe slug (same rule the bot uses for imported tables)
+ */
+function slugify(name) {
+    return `${name || ''}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Read every .json file in a folder as { slug, data }; unreadable files are listed with an error
+ */
+function readJsonDir(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort().map(filename => {
+        const slug = path.basename(filename, '.json');
+        try {
+            return { slug, data: JSON.parse(fs.readFileSync(path.join(dir, filename), 'utf8')) };
+        } catch (err) {
+            return { slug, data: null, error: err.message };
+        }
+    });
+}
+
+/**
+ * Built-in races from races.json
+ */
+function readBuiltInRaces() {
+    try {
+        return JSON.parse(fs.readFileSync(BUILT_IN_RACES_FILE, 'utf8'));
+    } catch (_) {
+        return {};
+    }
+}
+
+/**
+ * Resolve a slug from the URL to a file in dir, or null if it isn't a valid slug
+ */
+function homebrewPath(dir, rawSlug) {
+    const slug = decodeURIComponent(rawSlug);
+    if (!slug || slug !== slugify(slug)) return null;
+    return path.join(dir, `${slug}.json`);
 }
 
 /** GET /api/config — so the portal can show which folder is used (confirm correct docs) */
@@ -289,7 +345,201 @@ app.post('/api/personalities', (req, res) => {
     }
 });
 
+/** GET /api/schema/:kind — race or table schema, so the page can show what's required */
+app.get('/api/schema/:kind', (req, res) => {
+    const schemas = { race: homebrewSchema.RACE_SCHEMA, table: homebrewSchema.TABLE_SCHEMA };
+    const schema = schemas[req.params.kind];
+    if (!schema) {
+        return res.status(404).json({ error: 'Unknown schema' });
+    }
+    res.json(schema);
+});
+
+/** GET /api/races — built-in and homebrew races (homebrew overrides built-in of the same name) */
+app.get('/api/races', (req, res) => {
+    try {
+        const list = Object.values(readBuiltInRaces()).map(race => ({
+            slug: slugify(race.name),
+            name: race.name,
+            size: race.size,
+            source: 'built-in'
+        }));
+        for (const { slug, data, error } of readJsonDir(RACES_DIR)) {
+            const name = data && data.name ? data.name : slug;
+            const existing = list.findIndex(r => r.name === name);
+            if (existing !== -1) list.splice(existing, 1);
+            list.push({
+                slug,
+                name,
+                size: data ? data.size : null,
+                source: 'homebrew',
+                errors: error ? [error] : homebrewSchema.validateRace(data)
+            });
+        }
+        list.sort((a, b) => a.name.localeCompare(b.name));
+        res.json(list);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/** POST /api/races/parse — turn the one-line shorthand ("+2 Dex, -2 Con | Small | Darkvision 60ft") into a record */
+app.post('/api/races/parse', (req, res) => {
+    try {
+        const { name, traits, srdLink, lore } = req.body || {};
+        if (!name || !traits) {
+            return res.status(400).json({ error: 'name and traits are required' });
+        }
+        res.json(raceImporter.parse(String(name).trim(), { traits: String(traits), srdLink: srdLink || null, lore: lore || null }));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/** GET /api/races/:slug — one race; homebrew if there is one, else built-in */
+app.get('/api/races/:slug', (req, res) => {
+    try {
+        const filePath = homebrewPath(RACES_DIR, req.params.slug);
+        if (!filePath) {
+            return res.status(400).json({ error: 'Invalid race id' });
+        }
+        if (fs.existsSync(filePath)) {
+            const race = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            return res.json({ slug: req.params.slug, source: 'homebrew', race });
+        }
+        const race = Object.values(readBuiltInRaces()).find(r => slugify(r.name) === req.params.slug);
+        if (!race) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+        res.json({ slug: req.params.slug, source: 'built-in', race });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/** PUT /api/races/:slug — save a homebrew race to data/races/<slug>.json (slug must match the name) */
+app.put('/api/races/:slug', (req, res) => {
+    try {
+        const filePath = homebrewPath(RACES_DIR, req.params.slug);
+        if (!filePath) {
+            return res.status(400).json({ error: 'Invalid race id' });
+        }
+        const race = req.body;
+        const errors = homebrewSchema.validateRace(race);
+        if (errors.length > 0) {
+            return res.status(422).json({ error: 'Race does not match the schema', errors });
+        }
+        if (slugify(race.name) !== req.params.slug) {
+            return res.status(400).json({ error: `Race "${race.name}" belongs at ${slugify(race.name)}, not ${req.params.slug}` });
+        }
+        // The bot reloads on change, so it must never see a half-written file
+        writeAtomic(filePath, JSON.stringify(race, null, 2) + '\n');
+        res.json({ ok: true, slug: req.params.slug });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/** DELETE /api/races/:slug — remove a homebrew race (a built-in race of the same name comes back) */
+app.delete('/api/races/:slug', (req, res) => {
+    try {
+        const filePath = homebrewPath(RACES_DIR, req.params.slug);
+        if (!filePath) {
+            return res.status(400).json({ error: 'Invalid race id' });
+        }
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+        fs.unlinkSync(filePath);
+        res.json({ ok: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/** GET /api/tables — built-in and homebrew roll tables */
+app.get('/api/tables', (req, res) => {
+    try {
+        const list = BUILT_IN_TABLE_FILES.filter(f => fs.existsSync(f)).map(file => {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return { slug: slugify(path.basename(file, '.json')), name: data.name, results: data.results.length, source: 'built-in' };
+        });
+        for (const { slug, data, error } of readJsonDir(TABLES_DIR)) {
+            list.push({
+                slug,
+                name: data && data.name ? data.name : slug,
+                results: data && Array.isArray(data.results) ? data.results.length : 0,
+                source: 'homebrew',
+                errors: error ? [error] : homebrewSchema.validateTable(data)
+            });
+        }
+        res.json(list);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/** GET /api/tables/:slug — one roll table (Foundry RollTable JSON) */
+app.get('/api/tables/:slug', (req, res) => {
+    try {
+        const filePath = homebrewPath(TABLES_DIR, req.params.slug);
+        if (!filePath) {
+            return res.status(400).json({ error: 'Invalid table id' });
+        }
+        const builtIn = BUILT_IN_TABLE_FILES.find(f => slugify(path.basename(f, '.json')) === req.params.slug);
+        if (fs.existsSync(filePath)) {
+            return res.json({ slug: req.params.slug, source: 'homebrew', table: JSON.parse(fs.readFileSync(filePath, 'utf8')) });
+        }
+        if (builtIn) {
+            return res.json({ slug: req.params.slug, source: 'built-in', table: JSON.parse(fs.readFileSync(builtIn, 'utf8')) });
+        }
+        res.status(404).json({ error: 'Not found' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/** PUT /api/tables/:slug — save a homebrew roll table to data/tables/<slug>.json (slug must match the name; same _id as a built-in overrides it) */
+app.put('/api/tables/:slug', (req, res) => {
+    try {
+        const filePath = homebrewPath(TABLES_DIR, req.params.slug);
+        if (!filePath) {
+            return res.status(400).json({ error: 'Invalid table id' });
+        }
+        const table = req.body;
+        const errors = homebrewSchema.validateTable(table);
+        if (errors.length > 0) {
+            return res.status(422).json({ error: 'Table does not match the schema', errors });
+        }
+        if (slugify(table.name) !== req.params.slug) {
+            return res.status(400).json({ error: `Table "${table.name}" belongs at ${slugify(table.name)}, not ${req.params.slug}` });
+        }
+        writeAtomic(filePath, JSON.stringify(table, null, 2) + '\n');
+        res.json({ ok: true, slug: req.params.slug });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/** DELETE /api/tables/:slug — remove a homebrew roll table */
+app.delete('/api/tables/:slug', (req, res) => {
+    try {
+        const filePath = homebrewPath(TABLES_DIR, req.params.slug);
+        if (!filePath) {
+            return res.status(400).json({ error: 'Invalid table id' });
+        }
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+        fs.unlinkSync(filePath);
+        res.json({ ok: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`Personality editor: http://localhost:${PORT}`);
     console.log(`Data directory: ${DATA_DIR}`);
+    console.log(`Homebrew races: ${RACES_DIR}, tables: ${TABLES_DIR}`);
 });